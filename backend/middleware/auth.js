@@ -1,7 +1,8 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive, JWT_SECRET } = require('../utils/sessions');
 
 // Authentication middleware for protected routes
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -12,7 +13,7 @@ const auth = (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = jwt.verify(token, JWT_SECRET);
     
     // ✅ Add detailed logging
     // console.log('✅ Token verified:', {
@@ -21,6 +22,11 @@ const auth = (req, res, next) => {
     //   exp: new Date(decoded.exp * 1000).toISOString()
     // });
     
+    // Access tokens are tied to a server-side session so logout can revoke them
+    if (!decoded.sessionId || !(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({ message: 'Session has ended. Please login again.' });
+    }
+
     // Add user info to request object
     req.user = decoded;
     
@@ -0,0 +1,27 @@
+// Admin or collector authentication middleware.
+// Collectors are further limited to the stops on their own routes by the route handlers.
+const STAFF_ROLES = ['admin', 'collector'];
+
+const staffAuth = (req, res, next) => {
+  try {
+    // Check if user is authenticated (auth middleware should run first)
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (!STAFF_ROLES.includes(req.user.role)) {
+      console.log(`⚠️ Access denied for user role: ${req.user.role}`);
+      return res.status(403).json({
+        message: 'Admin or collector access required',
+        currentRole: req.user.role
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Staff auth error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = staffAuth;
@@ -0,0 +1,203 @@
+// Declarative request validation.
+//
+// Routes describe their body, params and query with the rule builders below:
+//
+//   router.post('/request', auth, validate({
+//     body: { quantity: rules.number({ required: true, min: 0.1 }) }
+//   }), handler);
+//
+// Values are coerced (e.g. "5" -> 5), unknown fields are dropped so they can't be
+// mass-assigned, and every failing field is reported in a single 400 response:
+//
+//   { message: 'Validation failed: ...', errors: [{ location, field, message }] }
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const rules = {
+  string: (options = {}) => ({ type: 'string', trim: true, ...options }),
+  email: (options = {}) => ({ type: 'string', trim: true, max: 254, email: true, ...options }),
+  number: (options = {}) => ({ type: 'number', ...options }),
+  integer: (options = {}) => ({ type: 'number', integer: true, ...options }),
+  boolean: (options = {}) => ({ type: 'boolean', ...options }),
+  objectId: (options = {}) => ({ type: 'objectId', ...options }),
+  date: (options = {}) => ({ type: 'date', ...options }),
+  array: (items, options = {}) => ({ type: 'array', items, ...options }),
+  object: (schema, options = {}) => ({ type: 'object', schema, ...options })
+};
+
+function isMissing(rule, value) {
+  if (value === undefined || value === null) return true;
+  // Empty strings count as "not provided" unless the field is itself a string
+  return value === '' && rule.type !== 'string';
+}
+
+function checkString(rule, value, label, errors) {
+  if (typeof value === 'number') value = String(value);
+  if (typeof value !== 'string') {
+    errors.push(`${label} must be a string`);
+    return undefined;
+  }
+  if (rule.trim) value = value.trim();
+  if (rule.lowercase) value = value.toLowerCase();
+  if (value === '') {
+    if (rule.required) errors.push(`${label} is required`);
+    return rule.required ? undefined : value;
+  }
+  if (rule.min !== undefined && value.length < rule.min) {
+    errors.push(`${label} must be at least ${rule.min} characters`);
+  }
+  if (rule.max !== undefined && value.length > rule.max) {
+    errors.push(`${label} must be at most ${rule.max} characters`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(`${label} must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.email && !EMAIL_PATTERN.test(value)) {
+    errors.push(`${label} must be a valid email address`);
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push(rule.patternMessage ? `${label} ${rule.patternMessage}` : `${label} has an invalid format`);
+  }
+  return value;
+}
+
+function checkNumber(rule, value, label, errors) {
+  const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof num !== 'number' || !Number.isFinite(num)) {
+    errors.push(`${label} must be a number`);
+    return undefined;
+  }
+  if (rule.integer && !Number.isInteger(num)) {
+    errors.push(`${label} must be a whole number`);
+  }
+  if (rule.min !== undefined && num < rule.min) {
+    errors.push(`${label} must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && num > rule.max) {
+    errors.push(`${label} must be at most ${rule.max}`);
+  }
+  return num;
+}
+
+function checkBoolean(rule, value, label, errors) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === '1' || value === 1) return true;
+  if (value === 'false' || value === '0' || value === 0) return false;
+  errors.push(`${label} must be true or false`);
+  return undefined;
+}
+
+function checkObjectId(rule, value, label, errors) {
+  if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) {
+    errors.push(`${label} must be a valid id`);
+    return undefined;
+  }
+  return value;
+}
+
+function checkDate(rule, value, label, errors) {
+  const date = new Date(value);
+  if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+    errors.push(`${label} must be a valid date`);
+    return undefined;
+  }
+  return date;
+}
+
+function checkArray(rule, value, path, errors) {
+  if (!Array.isArray(value)) {
+    errors.push({ path, message: `${path.field} must be a list` });
+    return undefined;
+  }
+  if (rule.min !== undefined && value.length < rule.min) {
+    errors.push({ path, message: `${path.field} must contain at least ${rule.min} item(s)` });
+  }
+  if (rule.max !== undefined && value.length > rule.max) {
+    errors.push({ path, message: `${path.field} must contain at most ${rule.max} item(s)` });
+    return undefined;
+  }
+  return value.map((item, index) => checkValue(
+    { ...rule.items, required: true },
+    item,
+    { ...path, field: `${path.field}[${index}]` },
+    errors
+  ));
+}
+
+function checkValue(rule, value, path, errors) {
+  if (isMissing(rule, value)) {
+    if (rule.required) {
+      errors.push({ path, message: `${path.field} is required` });
+    }
+    return rule.default !== undefined ? rule.default : undefined;
+  }
+
+  if (rule.type === 'array') return checkArray(rule, value, path, errors);
+  if (rule.type === 'object') return checkObject(rule.schema, value, path, errors);
+
+  const messages = [];
+  let result;
+  switch (rule.type) {
+    case 'string': result = checkString(rule, value, path.field, messages); break;
+    case 'number': result = checkNumber(rule, value, path.field, messages); break;
+    case 'boolean': result = checkBoolean(rule, value, path.field, messages); break;
+    case 'objectId': result = checkObjectId(rule, value, path.field, messages); break;
+    case 'date': result = checkDate(rule, value, path.field, messages); break;
+    default: throw new Error(`Unknown validation rule type "${rule.type}"`);
+  }
+
+  if (!messages.length && rule.custom) {
+    const customError = rule.custom(result);
+    if (customError) messages.push(`${path.field} ${customError}`);
+  }
+
+  messages.forEach(message => errors.push({ path, message }));
+  return result;
+}
+
+// Validate a plain object against a schema, keeping only the declared fields
+function checkObject(schema, value, path, errors) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push({ path, message: `${path.field || path.location} must be an object` });
+    return undefined;
+  }
+
+  const result = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = path.field ? `${path.field}.${key}` : key;
+    const checked = checkValue(rule, value[key], { location: path.location, field }, errors);
+    if (checked !== undefined) result[key] = checked;
+  }
+  return result;
+}
+
+// Express middleware factory: validate({ body, params, query })
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const sanitized = {};
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue;
+      sanitized[location] = checkObject(schemas[location], req[location] || {}, { location, field: '' }, errors);
+    }
+
+    if (errors.length) {
+      // The summary goes in message so existing clients that only show data.message stay useful
+      return res.status(400).json({
+        message: `Validation failed: ${errors.map(e => e.message).join('; ')}`,
+        errors: errors.map(e => ({ location: e.path.location, field: e.path.field, message: e.message }))
+      });
+    }
+
+    // Handlers only ever see declared, coerced fields
+    for (const [location, value] of Object.entries(sanitized)) {
+      req[location] = value;
+    }
+    next();
+  };
+}
+
+module.exports = validate;
+module.exports.rules = rules;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A compost processing site. Each center is a depot routes start and end at, has its
+// own service area (boundary + city used when geocoding), compost stock and price.
+// Pickups go to the nearest center and farmers order from the center they choose
+// (see utils/serviceArea.js).
+
+const pointSchema = new mongoose.Schema({
+  lat: { type: Number, required: true, min: -90, max: 90 },
+  lon: { type: Number, required: true, min: -180, max: 180 }
+}, { _id: false });
+
+const centerSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  address: { type: String, trim: true },
+  lat: { type: Number, required: true, min: -90, max: 90 },
+  lon: { type: Number, required: true, min: -180, max: 180 },
+  city: { type: String, default: 'Belagavi, Karnataka, India', trim: true },
+  boundary: {
+    shape: { type: String, enum: ['radius', 'polygon'], default: 'radius' },
+    radiusKm: { type: Number, default: 60, min: 1 },
+    polygon: [pointSchema]
+  },
+  // What happens to a pickup or order located outside the boundary
+  outOfArea: { type: String, enum: ['reject', 'flag'], default: 'flag' },
+  // Compost stock (kg) and selling price at this center
+  available: { type: Number, default: 0 },
+  pricePerKg: { type: Number, default: 0, min: 0 },
+  active: { type: Boolean, default: true },
+  // Handles anything without a center of its own, e.g. pickups that couldn't be located
+  isDefault: { type: Boolean, default: false },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+const DEFAULT_CENTER = {
+  name: 'Compost Center',
+  address: 'Central Processing Facility, HIT Campus, Nidasoshi',
+  lat: 16.296188,
+  lon: 74.527439
+};
+
+// First center, carried over from the single service area and compost stock
+// documents used before there were several centers
+async function createFirstCenter(Center) {
+  const db = mongoose.connection.db;
+  const [area, stock] = await Promise.all([
+    db.collection('serviceareas').findOne(),
+    db.collection('composts').findOne()
+  ]);
+  return Center.create({
+    ...DEFAULT_CENTER,
+    ...(area && {
+      name: area.depot?.name || DEFAULT_CENTER.name,
+      address: area.depot?.address,
+      lat: area.depot?.lat ?? DEFAULT_CENTER.lat,
+      lon: area.depot?.lon ?? DEFAULT_CENTER.lon,
+      city: area.city,
+      boundary: area.boundary,
+      outOfArea: area.outOfArea
+    }),
+    available: stock?.available || 0,
+    pricePerKg: stock?.pricePerKg || 0,
+    isDefault: true
+  });
+}
+
+// Active centers, default first; creates the first center on first use
+centerSchema.statics.listActive = async function () {
+  if (!(await this.exists({}))) {
+    await createFirstCenter(this);
+  }
+  return this.find({ active: true }).sort({ isDefault: -1, name: 1 });
+};
+
+// The default center (or the first active one if none is marked)
+centerSchema.statics.getDefault = async function () {
+  const [center] = await this.listActive();
+  return center || null;
+};
+
+module.exports = mongoose.model('Center', centerSchema);
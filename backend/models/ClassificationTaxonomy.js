@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Single document telling the photo classifier in the household's browser
+// (frontend/js/ai-classifier.js) how to read MobileNet's labels. Each label rule adds
+// probability x rank weight x its weight to its category when its keyword appears in
+// a predicted label; only the strongest matching rule per category counts. The
+// category with most of the score wins if it has at least minConfidence of the total.
+//
+//   compost - organic waste we collect
+//   non     - not compostable
+//   recycle - recyclable (paper, cardboard)
+
+const CATEGORIES = ['compost', 'non', 'recycle'];
+
+const labelRuleSchema = new mongoose.Schema({
+  // Matched against the lower-cased label, e.g. "banana" matches "banana, plantain"
+  keyword: { type: String, required: true, trim: true, lowercase: true },
+  category: { type: String, enum: CATEGORIES, required: true },
+  weight: { type: Number, required: true, min: 0 },
+  // Waste type the pickup form is filled with when this rule decides the verdict
+  wasteType: { type: String, trim: true }
+}, { _id: false });
+
+const rule = (category, weight, wasteType) => keyword => ({ keyword, category, weight, wasteType });
+
+// The lists the classifier shipped with. Words it also matched by pattern carry the
+// combined weight (e.g. "fruit" 3 + 2).
+const DEFAULT_LABELS = [
+  ...['banana', 'apple', 'orange', 'lemon', 'mango', 'pear', 'pineapple', 'strawberry', 'grapes',
+    'watermelon', 'peach', 'plum', 'kiwi'].map(rule('compost', 3, 'fruit-waste')),
+  ...['potato', 'tomato', 'cabbage', 'onion', 'carrot', 'broccoli', 'cauliflower', 'cucumber', 'lettuce',
+    'spinach', 'pepper', 'squash', 'zucchini', 'eggplant', 'pumpkin', 'corn', 'mushroom', 'peel']
+    .map(rule('compost', 3, 'vegetable-peels')),
+  ...['salad', 'pizza', 'sandwich', 'bread', 'rice', 'pasta', 'soup', 'meal', 'dish', 'plate', 'bowl',
+    'bagel', 'pretzel', 'leaf', 'leaves', 'plant', 'flower', 'grass', 'twig', 'bark', 'shell', 'nut', 'egg']
+    .map(rule('compost', 3, 'mixed-organic')),
+  rule('compost', 5, 'fruit-waste')('fruit'),
+  rule('compost', 5, 'vegetable-peels')('vegetable'),
+  ...['food', 'grocery', 'market', 'produce', 'bean', 'seed'].map(rule('compost', 5, 'mixed-organic')),
+  rule('compost', 3, 'coffee-grounds')('coffee'),
+  rule('compost', 3, 'tea-leaves')('tea'),
+  ...['wrapper', 'bag', 'container', 'package', 'styrofoam', 'foam', 'packaging', 'can', 'glass', 'jar',
+    'aluminum', 'steel', 'tin', 'phone', 'remote', 'toy', 'tool', 'utensil', 'cup', 'mug', 'fork', 'spoon',
+    'knife', 'screwdriver', 'hammer', 'tire', 'wheel', 'battery', 'cable', 'wire', 'pin', 'safety', 'clip',
+    'buckle', 'diaper', 'tench', 'goldfish'].map(rule('non', 2, 'non-organic')),
+  ...['plastic', 'bottle', 'metal', 'fish', 'shark'].map(rule('non', 4, 'non-organic')),
+  ...['paper', 'cardboard', 'newspaper', 'book', 'magazine', 'box', 'carton', 'envelope', 'notebook']
+    .map(rule('recycle', 1.5, 'recyclable'))
+];
+
+const taxonomySchema = new mongoose.Schema({
+  labels: { type: [labelRuleSchema], default: () => DEFAULT_LABELS },
+  // Labels MobileNet often gets wrong on waste photos; predictions containing them are dropped
+  ignoredLabels: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: () => ['safety pin', 'diaper', 'buckle', 'ballpoint', 'tench', 'goldfish', 'shark', 'fish', 'stingray']
+  },
+  // Share of the total score the winning category needs (0-1)
+  minConfidence: { type: Number, default: 0.4, min: 0, max: 1 },
+  // Below minConfidence, a top label at least this likely containing one of these
+  // keywords still counts as compostable
+  fallbackProbability: { type: Number, default: 0.25, min: 0, max: 1 },
+  fallbackKeywords: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: () => ['banana', 'apple', 'orange', 'cucumber', 'strawberry', 'mushroom', 'grocery', 'market']
+  },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// The taxonomy document, created with the defaults on first use
+// A single upsert, so concurrent first requests can't each create a taxonomy
+taxonomySchema.statics.getCurrent = function () {
+  return this.findOneAndUpdate({}, {}, { upsert: true, new: true, setDefaultsOnInsert: true });
+};
+
+// Put the shipped lists back in place on the one taxonomy document (created if missing)
+taxonomySchema.statics.resetToDefaults = function (updatedBy) {
+  const { _id, ...defaults } = new this().toObject();
+  return this.findOneAndUpdate(
+    {},
+    { $set: { ...defaults, updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+taxonomySchema.statics.CATEGORIES = CATEGORIES;
+
+module.exports = mongoose.model('ClassificationTaxonomy', taxonomySchema);
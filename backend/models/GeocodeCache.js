@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Geocoding results keyed by the normalised address + area, so each address is only
+// looked up once. Misses are cached too, but expire so a later retry can succeed.
+const geocodeCacheSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  address: { type: String },
+  found: { type: Boolean, required: true },
+  lat: { type: Number },
+  lon: { type: Number },
+  displayName: { type: String },
+  // 0..1, how precisely the result pins the address (see utils/geocoder.js)
+  confidence: { type: Number, min: 0, max: 1 },
+  source: { type: String },
+  hits: { type: Number, default: 0 },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes entries once expiresAt has passed; found results have no expiry
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
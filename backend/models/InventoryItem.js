@@ -5,10 +5,16 @@ const inventoryItemSchema = new mongoose.Schema({
 	category: { type: String, required: true, trim: true, default: 'general' },
 	pricePerKg: { type: Number, required: true, min: 0 },
 	stock: { type: Number, required: true, min: 0 },
+	// Kg held for placed orders that haven't been delivered yet (see utils/orderStock.js)
+	reserved: { type: Number, default: 0, min: 0 },
 	image: { type: String, trim: true, default: '' }
 }, { timestamps: true });
 
-module.exports = mongoose.model('InventoryItem', inventoryItemSchema);
-
+// What farmers can still order
+inventoryItemSchema.virtual('available').get(function () {
+	return Math.max(0, (this.stock || 0) - (this.reserved || 0));
+});
 
+inventoryItemSchema.set('toJSON', { virtuals: true });
 
+module.exports = mongoose.model('InventoryItem', inventoryItemSchema);
@@ -1,5 +1,38 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes. Rejecting releases a store order's held stock and
+// reopening reserves it again; delivery consumes it, so delivered is final.
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'rejected'],
+  confirmed: ['in-transit', 'delivered', 'rejected'],
+  'in-transit': ['delivered', 'rejected'],
+  rejected: ['pending'],
+  delivered: []
+};
+
+// Prices as quoted when the order was placed (see utils/pricing.js); never recalculated
+const priceBreakdownSchema = new mongoose.Schema({
+  pricePerKg: Number,
+  quantity: Number,
+  subtotal: Number,
+  discount: {
+    type: new mongoose.Schema({ minQuantity: Number, percent: Number, amount: Number }, { _id: false }),
+    default: null
+  },
+  discountedSubtotal: Number,
+  taxes: [new mongoose.Schema({ name: String, percent: Number, amount: Number }, { _id: false })],
+  taxTotal: Number,
+  delivery: {
+    distanceKm: Number,
+    chargedKm: Number,
+    baseFee: Number,
+    perKm: Number,
+    fee: Number
+  },
+  total: Number,
+  calculatedAt: Date
+}, { _id: false });
+
 const OrderSchema = new mongoose.Schema({
   farmerId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,6 +44,10 @@ const OrderSchema = new mongoose.Schema({
     required: true,
     default: 'Organic Compost'
   },
+  // Product ordered from the store; its stock is reserved while the order is open
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem' },
+  // Where the reservation stands (see utils/orderStock.js); unset for orders placed before reservations
+  stockStatus: { type: String, enum: ['reserved', 'released', 'consumed'] },
   quantity: {
     type: Number,
     required: true
@@ -27,9 +64,20 @@ const OrderSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  // Where lat/lon came from: 'user' or a geocoding provider (see utils/geocoder.js)
+  geocode: {
+    source: { type: String },
+    confidence: { type: Number },
+    displayName: { type: String },
+    geocodedAt: { type: Date }
+  },
+  // Located outside the service area but accepted because the area only flags such requests
+  outsideServiceArea: { type: Boolean, default: false },
+  // Compost center the order is fulfilled from (stock and price come from it)
+  centerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Center', index: true },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'in-transit', 'rejected', 'delivered'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
   pricePerKg: {
@@ -40,6 +88,7 @@ const OrderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  priceBreakdown: { type: priceBreakdownSchema, immutable: true },
   createdAt: {
     type: Date,
     default: Date.now
@@ -50,6 +99,12 @@ OrderSchema.virtual('orderNumber').get(function () {
   return `ORD-${this._id.toString().slice(-6).toUpperCase()}`;
 });
 
+OrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+OrderSchema.statics.canTransition = function (from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
 OrderSchema.set('toJSON', { virtuals: true });
 
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
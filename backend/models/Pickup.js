@@ -1,24 +1,114 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes. Reopening a completed pickup takes back the points
+// and compost stock it added (see utils/pickupLifecycle.js). Cancelled pickups,
+// withdrawn by the household before the cut-off, are final.
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'picked', 'rejected', 'cancelled'],
+  processing: ['pending', 'picked', 'completed', 'rejected'],
+  picked: ['pending', 'processing', 'completed'],
+  completed: ['picked', 'pending'],
+  rejected: ['pending'],
+  cancelled: []
+};
+
+// What the photo classifier in the household's browser made of the waste
+// (frontend/js/ai-classifier.js), kept to compare with what was collected
+const ClassificationSchema = new mongoose.Schema({
+  verdict: { type: String, enum: ['compostable', 'non-compostable', 'recyclable', 'unknown'], required: true },
+  confidence: { type: Number, min: 0, max: 1 },
+  // Top MobileNet labels, most likely first
+  predictions: [{
+    _id: false,
+    label: { type: String },
+    probability: { type: Number }
+  }],
+  photoIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PickupPhoto' }],
+  classifiedAt: { type: Date }
+}, { _id: false });
+
+const StatusChangeSchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const PickupSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   quantity: { type: Number, required: true },
   address: { type: String, required: true },
   lat: { type: Number },
   lon: { type: Number },
+  // Where lat/lon came from: 'user' or a geocoding provider (see utils/geocoder.js)
+  geocode: {
+    source: { type: String },
+    confidence: { type: Number },
+    displayName: { type: String },
+    geocodedAt: { type: Date }
+  },
+  // Located outside the service area but accepted because the area only flags such requests
+  outsideServiceArea: { type: Boolean, default: false },
+  // Compost center the waste is taken to: the nearest one to the pickup location
+  centerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Center', index: true },
   wasteType: { type: String },
   phone: { type: String },
+  // Set on pickups the scheduler generated from a recurring subscription
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PickupSubscription' },
+  // Booked slot (see models/PickupSlot.js); pickupDate and pickupTime are copied from it
+  slotId: { type: mongoose.Schema.Types.ObjectId, ref: 'PickupSlot' },
   pickupDate: { type: String },
   pickupTime: { type: String },
+  // pickupDate + pickupTime as absolute instants (see utils/timeWindows.js)
+  timeWindow: {
+    start: { type: Date },
+    end: { type: Date }
+  },
   instructions: { type: String },
+  classification: { type: ClassificationSchema },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'picked', 'completed', 'rejected'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
+  statusHistory: [StatusChangeSchema],
+  // Why the household cancelled
+  cancelReason: { type: String },
+  // Weighed by the collector at completion; quantity stays as the household reported it
+  measuredQuantity: { type: Number, min: 0 },
+  contaminationPercent: { type: Number, min: 0, max: 100, default: 0 },
+  measuredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  measuredAt: { type: Date },
   pointsAwarded: { type: Number, default: 0 },
+  // How pointsAwarded was calculated from the points rules at completion time
+  pointsBreakdown: { type: mongoose.Schema.Types.Mixed },
+  // Ledger entry for pointsAwarded, reversed if the completion is undone
+  pointsTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PointsTransaction' },
+  // Kg added to compost stock on completion, removed again if it is undone
+  compostAdded: { type: Number },
   requestDate: { type: Date, default: Date.now },
   completedDate: { type: Date }
 });
 
+// One pickup per subscription and date, so scheduler runs can't double up
+PickupSchema.index(
+  { subscriptionId: 1, pickupDate: 1 },
+  { unique: true, partialFilterExpression: { subscriptionId: { $exists: true } } }
+);
+
+PickupSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+PickupSchema.statics.canTransition = function (from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Kg credited for points and compost: the measured weight minus contamination,
+// or the reported quantity for pickups completed before weighing was recorded
+PickupSchema.methods.creditedQuantity = function () {
+  if (this.measuredQuantity == null) return this.quantity || 0;
+  const clean = this.measuredQuantity * (1 - (this.contaminationPercent || 0) / 100);
+  return Math.round(clean * 100) / 100;
+};
+
 module.exports = mongoose.model('Pickup', PickupSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Waste photos the household ran through the classifier when requesting a pickup.
+// Kept out of the Pickup document so pickup lists stay small; fetched on demand
+// through GET /api/pickup/:id/photos.
+
+const PICKUP_PHOTO_PATTERN = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/=]+$/;
+
+const pickupPhotoSchema = new mongoose.Schema({
+  pickupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Pickup', required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Data URL, downscaled in the browser before upload
+  image: { type: String, required: true, match: PICKUP_PHOTO_PATTERN }
+}, {
+  timestamps: true
+});
+
+pickupPhotoSchema.statics.PICKUP_PHOTO_PATTERN = PICKUP_PHOTO_PATTERN;
+
+module.exports = mongoose.model('PickupPhoto', pickupPhotoSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A bookable pickup time slot on one day in one zone (the area served by a compost
+// center). Admins set a kg and/or stop capacity; 0 means no limit. Households book
+// through POST /api/pickup/request, which claims capacity with a single conditional
+// $inc so concurrent requests can't overfill a slot.
+
+const pickupSlotSchema = new mongoose.Schema({
+  centerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Center', required: true },
+  // Local service date and time range, as stored on the pickup (see utils/timeWindows.js)
+  date: { type: String, required: true },
+  time: { type: String, required: true },
+  capacityKg: { type: Number, default: 0, min: 0 },
+  capacityStops: { type: Number, default: 0, min: 0 },
+  bookedKg: { type: Number, default: 0 },
+  bookedStops: { type: Number, default: 0 },
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+pickupSlotSchema.index({ centerId: 1, date: 1, time: 1 }, { unique: true });
+
+// Kg and stops still free; null when unlimited
+pickupSlotSchema.virtual('remainingKg').get(function () {
+  return this.capacityKg > 0 ? Math.max(0, this.capacityKg - this.bookedKg) : null;
+});
+pickupSlotSchema.virtual('remainingStops').get(function () {
+  return this.capacityStops > 0 ? Math.max(0, this.capacityStops - this.bookedStops) : null;
+});
+
+pickupSlotSchema.methods.hasRoomFor = function (quantity) {
+  return this.active &&
+    (this.remainingKg === null || this.remainingKg >= quantity) &&
+    (this.remainingStops === null || this.remainingStops >= 1);
+};
+
+pickupSlotSchema.set('toJSON', { virtuals: true });
+
+// Book quantity kg and one stop; resolves to the updated slot, or null if it is full or closed
+pickupSlotSchema.statics.book = function (slotId, quantity) {
+  return this.findOneAndUpdate(
+    {
+      _id: slotId,
+      active: true,
+      $expr: {
+        $and: [
+          { $or: [{ $lte: ['$capacityKg', 0] }, { $lte: [{ $add: ['$bookedKg', quantity] }, '$capacityKg'] }] },
+          { $or: [{ $lte: ['$capacityStops', 0] }, { $lt: ['$bookedStops', '$capacityStops'] }] }
+        ]
+      }
+    },
+    { $inc: { bookedKg: quantity, bookedStops: 1 } },
+    { new: true }
+  );
+};
+
+// Give a booking back, e.g. when the pickup is rejected
+pickupSlotSchema.statics.release = function (slotId, quantity) {
+  return this.findByIdAndUpdate(slotId, { $inc: { bookedKg: -quantity, bookedStops: -1 } }, { new: true });
+};
+
+// Book again regardless of capacity; used when an admin reopens a rejected pickup
+pickupSlotSchema.statics.rebook = function (slotId, quantity) {
+  return this.findByIdAndUpdate(slotId, { $inc: { bookedKg: quantity, bookedStops: 1 } }, { new: true });
+};
+
+module.exports = mongoose.model('PickupSlot', pickupSlotSchema);
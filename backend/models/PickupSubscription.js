@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A household's standing request for regular pickups. The scheduler in
+// utils/subscriptions.js turns it into concrete Pickup documents (with a booked slot)
+// a few days ahead; the household can pause it, skip single dates or cancel it.
+//
+//   weekly   - every week on the given weekdays
+//   biweekly - every other week on the given weekdays, counted from startDate's week
+//   custom   - every intervalDays days from startDate
+
+const subscriptionIssueSchema = new mongoose.Schema({
+  date: { type: String, required: true },
+  message: { type: String, required: true },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const pickupSubscriptionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  frequency: { type: String, enum: ['weekly', 'biweekly', 'custom'], required: true },
+  // 0 = Sunday ... 6 = Saturday; used by weekly and biweekly
+  weekdays: [{ type: Number, min: 0, max: 6 }],
+  intervalDays: { type: Number, min: 1, max: 90 },
+  startDate: { type: String, required: true },
+  // Slot time range booked on each date, e.g. "09:00-12:00"
+  time: { type: String, required: true },
+  quantity: { type: Number, required: true, min: 0.1 },
+  address: { type: String, required: true },
+  lat: { type: Number },
+  lon: { type: Number },
+  geocode: {
+    source: { type: String },
+    confidence: { type: Number },
+    displayName: { type: String },
+    geocodedAt: { type: Date }
+  },
+  outsideServiceArea: { type: Boolean, default: false },
+  // Zone whose slots are booked; resolved from the location like a one-off request
+  centerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Center', required: true },
+  wasteType: { type: String },
+  phone: { type: String },
+  instructions: { type: String },
+  status: { type: String, enum: ['active', 'paused', 'cancelled'], default: 'active' },
+  // Paused subscriptions resume by themselves after this date when it is set
+  pausedUntil: { type: String },
+  // Single dates the household doesn't want a pickup on
+  skipDates: [{ type: String }],
+  // Dates the scheduler couldn't book (e.g. no slot open); the latest per date
+  issues: [subscriptionIssueSchema],
+  cancelledAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PickupSubscription', pickupSubscriptionSchema);
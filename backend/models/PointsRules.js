@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Single document holding the admin-editable rules used to award points when a
+// pickup is completed (see utils/pointsRules.js for how they are applied).
+
+const wasteTypeRateSchema = new mongoose.Schema({
+  wasteType: { type: String, required: true, trim: true },
+  pointsPerKg: { type: Number, required: true, min: 0 },
+  // Pickups below this quantity earn no points for this waste type
+  minQuantity: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const bonusSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  multiplier: { type: Number, default: 1, min: 1 }
+}, { _id: false });
+
+const streakBonusSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  // Consecutive weeks (including the current one) with a completed pickup
+  weeks: { type: Number, default: 4, min: 2 },
+  multiplier: { type: Number, default: 1, min: 1 }
+}, { _id: false });
+
+const campaignSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Empty means the campaign applies to every waste type
+  wasteTypes: [{ type: String, trim: true }],
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  multiplier: { type: Number, default: 1, min: 1 },
+  active: { type: Boolean, default: true }
+});
+
+const pointsRulesSchema = new mongoose.Schema({
+  // Used for waste types without their own rate (10/kg was the original flat rate)
+  defaultPointsPerKg: { type: Number, default: 10, min: 0 },
+  defaultMinQuantity: { type: Number, default: 0, min: 0 },
+  rates: [wasteTypeRateSchema],
+  firstPickupBonus: { type: bonusSchema, default: () => ({}) },
+  streakBonus: { type: streakBonusSchema, default: () => ({}) },
+  campaigns: [campaignSchema],
+  // 0 means no cap
+  maxPointsPerPickup: { type: Number, default: 0, min: 0 },
+  maxPointsPerMonth: { type: Number, default: 0, min: 0 },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// The rules document, created with defaults on first use
+pointsRulesSchema.statics.getCurrent = async function () {
+  let rules = await this.findOne();
+  if (!rules) {
+    rules = new this();
+    await rules.save();
+  }
+  return rules;
+};
+
+module.exports = mongoose.model('PointsRules', pointsRulesSchema);
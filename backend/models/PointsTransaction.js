@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of every change to a user's reward points.
+// `points` is signed (+ earned, - spent) and `balanceAfter` is the user's
+// rewardPoints right after the change was applied.
+const pointsTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'adjust', 'reverse'],
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  pickupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pickup'
+  },
+  redemptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Redemption'
+  },
+  // Set on "reverse" entries: the transaction being undone
+  reversesTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PointsTransaction'
+  },
+  reversedAt: {
+    type: Date
+  },
+  // Who made the change when it wasn't the user themselves (e.g. an admin)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+pointsTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PointsTransaction', pointsTransactionSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Single document holding the admin-editable rules used to price compost orders
+// (see utils/pricing.js for how they are applied).
+
+const quantityTierSchema = new mongoose.Schema({
+  // Orders of at least this many kg get the discount; the highest matching tier wins
+  minQuantity: { type: Number, required: true, min: 0 },
+  discountPercent: { type: Number, required: true, min: 0, max: 100 }
+}, { _id: false });
+
+const taxSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  percent: { type: Number, required: true, min: 0, max: 100 }
+}, { _id: false });
+
+const deliverySchema = new mongoose.Schema({
+  baseFee: { type: Number, default: 0, min: 0 },
+  perKm: { type: Number, default: 0, min: 0 },
+  // Kilometres from the compost center that are covered by the base fee
+  freeKm: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const pricingRulesSchema = new mongoose.Schema({
+  quantityTiers: [quantityTierSchema],
+  // Charged on the discounted compost price, not on the delivery fee
+  taxes: [taxSchema],
+  delivery: { type: deliverySchema, default: () => ({}) },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// The rules document, created with defaults on first use
+pricingRulesSchema.statics.getCurrent = async function () {
+  let rules = await this.findOne();
+  if (!rules) {
+    rules = new this();
+    await rules.save();
+  }
+  return rules;
+};
+
+module.exports = mongoose.model('PricingRules', pricingRulesSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A saved route: an ordered list of pickup and/or delivery stops, usually produced by
+// the route optimizer and assigned to a collector who works through it on their phone.
+// A mixed route collects waste and delivers compost in the same trip.
+const routeStopSchema = new mongoose.Schema({
+  sequence: { type: Number, required: true },
+  kind: { type: String, enum: ['depot', 'pickup', 'delivery'], required: true },
+  pickupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Pickup' },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  // Snapshot for display; live status comes from the Pickup / Order
+  name: { type: String },
+  address: { type: String },
+  phone: { type: String },
+  lat: { type: Number, required: true },
+  lon: { type: Number, required: true },
+  quantity: { type: Number, default: 0 },
+  // Household's requested slot (pickups only) and when the collector should be there
+  windowStart: { type: Date },
+  windowEnd: { type: Date },
+  plannedArrival: { type: Date },
+  // Kg on board when leaving the stop (see utils/vehicleLoad.js)
+  loadAfter: { type: Number }
+}, { _id: false });
+
+// A stop the plan can't reach within its time window, or whose window was ignored
+const routeWarningSchema = new mongoose.Schema({
+  name: { type: String },
+  message: { type: String, required: true },
+  lateMinutes: { type: Number }
+}, { _id: false });
+
+const routePlanSchema = new mongoose.Schema({
+  type: { type: String, enum: ['pickup', 'delivery', 'mixed'], required: true },
+  date: { type: Date, required: true, index: true },
+  name: { type: String, trim: true },
+  // Compost center the route starts and ends at
+  centerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Center', index: true },
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' },
+  // Vehicle name at planning time, kept if the vehicle is later renamed or deleted
+  vehicle: { type: String, trim: true },
+  departureAt: { type: Date },
+  stops: [routeStopSchema],
+  warnings: [routeWarningSchema],
+  metrics: {
+    totalStops: { type: Number, default: 0 },
+    totalDistance: { type: Number, default: 0 }, // km
+    estimatedTime: { type: Number, default: 0 }, // minutes
+    load: { type: Number, default: 0 } // kg, peak along the route
+  },
+  method: { type: String, default: 'manual' },
+  reasoning: { type: String },
+  optimizedAt: { type: Date },
+  status: {
+    type: String,
+    enum: ['planned', 'in-progress', 'completed', 'archived'],
+    default: 'planned'
+  },
+  collectorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedAt: { type: Date },
+  completedAt: { type: Date },
+  archivedAt: { type: Date },
+  archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+routePlanSchema.index({ 'stops.pickupId': 1 });
+routePlanSchema.index({ 'stops.orderId': 1 });
+
+module.exports = mongoose.model('RoutePlan', routePlanSchema);
@@ -1,6 +1,10 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -17,7 +21,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['household', 'admin', 'farmer'],
+    enum: ['household', 'admin', 'farmer', 'collector'],
     required: true
   },
   // For household users - reward points
@@ -31,6 +35,43 @@ const userSchema = new mongoose.Schema({
   },
   phone: {
     type: String
+  },
+  // Deactivated accounts can't log in; admins can reactivate them
+  active: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  // Set when an admin created or invited this user
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // True until an invited user sets their first password
+  invitePending: {
+    type: Boolean,
+    default: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Only SHA-256 hashes of emailed tokens are stored; they are cleared once used
+  emailVerificationTokenHash: {
+    type: String,
+    index: true
+  },
+  emailVerificationExpires: {
+    type: Date
+  },
+  passwordResetTokenHash: {
+    type: String,
+    index: true
+  },
+  passwordResetExpires: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -48,4 +89,25 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Generate a new email verification token; returns the raw token for the email link
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationTokenHash = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  return token;
+};
+
+// Generate a new password reset token; any previous reset token stops working.
+// Invitations reuse this with a longer ttl so the invitee can set a first password.
+userSchema.methods.createPasswordResetToken = function(ttlMs = PASSWORD_RESET_TTL_MS) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + ttlMs);
+  return token;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A collection/delivery vehicle used by the fleet route planner
+const vehicleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  registration: { type: String, trim: true },
+  capacityKg: { type: Number, required: true, min: 1 },
+  // Compost center the vehicle works from; vehicles without one can serve any center
+  centerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Center' },
+  // Where the vehicle starts and ends its shift; routes fall back to the planner's depot when unset
+  depot: {
+    name: { type: String, trim: true },
+    address: { type: String, trim: true },
+    lat: { type: Number, min: -90, max: 90 },
+    lon: { type: Number, min: -180, max: 180 }
+  },
+  shiftStart: { type: String, default: '08:00', match: TIME_PATTERN },
+  shiftEnd: { type: String, default: '17:00', match: TIME_PATTERN },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Length of the shift in minutes (how long a route for this vehicle may take)
+vehicleSchema.methods.shiftMinutes = function () {
+  return Math.max(0, toMinutes(this.shiftEnd) - toMinutes(this.shiftStart));
+};
+
+vehicleSchema.methods.hasDepot = function () {
+  return typeof this.depot?.lat === 'number' && typeof this.depot?.lon === 'number';
+};
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
@@ -1,10 +1,43 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/auth');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/mailer');
 const router = express.Router();
 
+function userPayload(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    rewardPoints: user.rewardPoints,
+    emailVerified: user.emailVerified
+  };
+}
+
+// Mail failures are logged but never fail the request that triggered them
+async function deliverVerificationEmail(user) {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+  try {
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error(`❌ Failed to send verification email to ${user.email}:`, error.message);
+  }
+}
+
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', validate(schemas.register), async (req, res) => {
   try {
     const { name, email, password, role, address, phone } = req.body;
 
@@ -25,24 +58,16 @@ router.post('/register', async (req, res) => {
     });
 
     await user.save();
+    await deliverVerificationEmail(user);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Start a session (short-lived access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        rewardPoints: user.rewardPoints
-      }
+      refreshToken,
+      user: userPayload(user)
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -50,7 +75,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -66,27 +91,202 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    if (user.active === false) {
+      return res.status(403).json({ message: 'This account has been deactivated. Please contact support.' });
+    }
+
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        emailVerified: false
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        rewardPoints: user.rewardPoints
+      refreshToken,
+      user: userPayload(user)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+  try {
+    const { token } = req.body;
+    const user = await User.findOne({
+      emailVerificationTokenHash: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Send a fresh verification email (response never reveals whether the account exists)
+router.post('/resend-verification', validate(schemas.resendVerification), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user && !user.emailVerified) {
+      await deliverVerificationEmail(user);
+    }
+
+    res.json({ message: 'If that account needs verification, a new email has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Start a password reset (response never reveals whether the account exists)
+router.post('/forgot-password', validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error(`❌ Failed to send password reset email to ${user.email}:`, error.message);
       }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Finish a password reset; the token is single-use and all sessions are logged out
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Clear the token atomically so two concurrent requests can't both use it
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: User.hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    // Receiving the reset email proves ownership of the address
+    user.emailVerified = true;
+    user.invitePending = false;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password-reset');
+
+    res.json({ message: 'Password has been reset. Please login with your new password.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token stops working)
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Session has ended. Please login again.' });
+    }
+
+    res.json({
+      message: 'Session refreshed',
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      user: userPayload(rotated.user)
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Logout: revoke the session behind the refresh token (or the current access token)
+router.post('/logout', validate(schemas.logout), async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (!session) {
+      // Logging out with an unknown token is not an error for the client
+      return res.json({ message: 'Logged out' });
+    }
+
+    if (allDevices) {
+      const revoked = await revokeAllSessions(session.userId, 'logout-all');
+      return res.json({ message: 'Logged out from all devices', revoked });
+    }
+
+    await revokeSession(session._id, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List the logged-in user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(s => ({
+      id: s._id,
+      userAgent: s.userAgent,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      expiresAt: s.expiresAt,
+      current: String(s._id) === String(req.user.sessionId)
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Revoke one of the logged-in user's sessions (e.g. a lost phone)
+router.delete('/sessions/:id', auth, validate(schemas.revokeSession), async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'revoked-by-user');
+    res.json({ message: 'Session revoked', id: session._id });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
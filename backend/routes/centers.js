@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/centers');
+const Center = require('../models/Center');
+const { nearestCenter } = require('../utils/serviceArea');
+
+// A polygon boundary needs enough points to enclose an area; returns an error message or null
+function boundaryError(center) {
+  if (center.boundary.shape === 'polygon' && center.boundary.polygon.length < 3) {
+    return 'A polygon boundary needs at least 3 points';
+  }
+  return null;
+}
+
+// Only one center is the default
+async function makeDefault(center) {
+  await Center.updateMany({ _id: { $ne: center._id } }, { isDefault: false });
+}
+
+// Public: active compost centers (maps centre on them, farmers pick one to order from).
+// Admins can include inactive centers.
+router.get('/', validate(schemas.listCenters), async (req, res) => {
+  try {
+    const active = await Center.listActive();
+    if (!req.query.includeInactive) {
+      return res.json(active);
+    }
+    const inactive = await Center.find({ active: false }).sort({ name: 1 });
+    res.json([...active, ...inactive]);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Admin: open a new center
+router.post('/', auth, adminAuth, validate(schemas.createCenter), async (req, res) => {
+  try {
+    const center = new Center({ ...req.body, updatedBy: req.user.userId });
+    const error = boundaryError(center);
+    if (error) return res.status(400).json({ message: error });
+
+    await center.save();
+    if (center.isDefault) await makeDefault(center);
+
+    console.log(`🏭 Admin ${req.user.userId} added center ${center.name}`);
+    res.status(201).json({ message: 'Center added', center });
+  } catch (err) {
+    res.status(400).json({ message: 'Invalid center', error: err.message });
+  }
+});
+
+// Admin: update a center (location, service area, stock, price, active). Only the fields sent change.
+router.put('/:id', auth, adminAuth, validate(schemas.updateCenter), async (req, res) => {
+  try {
+    const center = await Center.findById(req.params.id);
+    if (!center) return res.status(404).json({ message: 'Center not found' });
+
+    const { boundary, ...rest } = req.body;
+    if (center.isDefault && (rest.active === false || rest.isDefault === false)) {
+      return res.status(400).json({ message: 'Make another center the default first' });
+    }
+
+    center.set(rest);
+    if (boundary) center.set('boundary', { ...center.boundary.toObject(), ...boundary });
+    const error = boundaryError(center);
+    if (error) return res.status(400).json({ message: error });
+
+    center.updatedBy = req.user.userId;
+    await center.save();
+    if (center.isDefault) await makeDefault(center);
+
+    console.log(`✅ Admin ${req.user.userId} updated center ${center.name}`);
+    res.json({ message: 'Center updated', center });
+  } catch (err) {
+    res.status(400).json({ message: 'Update failed', error: err.message });
+  }
+});
+
+// Which center serves a location (e.g. a point picked on the map) and whether it is in its area
+router.post('/check', auth, validate(schemas.checkLocation), async (req, res) => {
+  try {
+    const match = nearestCenter(await Center.listActive(), req.body);
+    if (!match) return res.status(404).json({ message: 'No active centers' });
+    res.json({
+      centerId: match.center._id,
+      centerName: match.center.name,
+      inside: match.inside,
+      distanceKm: match.distanceKm
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+module.exports = router;
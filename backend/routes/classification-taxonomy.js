@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/classification-taxonomy');
+const ClassificationTaxonomy = require('../models/ClassificationTaxonomy');
+
+// Public: the taxonomy the browser classifier scores MobileNet's labels with
+router.get('/', async (req, res) => {
+  try {
+    const taxonomy = await ClassificationTaxonomy.getCurrent();
+    res.json(taxonomy);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Admin: update the taxonomy. Only the fields sent are changed; lists are replaced
+// as a whole. Takes effect the next time a household's classifier loads it.
+router.put('/', auth, adminAuth, validate(schemas.updateTaxonomy), async (req, res) => {
+  try {
+    const keys = (req.body.labels || []).map(l => `${l.category}:${l.keyword}`);
+    if (new Set(keys).size !== keys.length) {
+      return res.status(400).json({ message: 'Each keyword can only appear once per category' });
+    }
+
+    const taxonomy = await ClassificationTaxonomy.getCurrent();
+    taxonomy.set(req.body);
+    taxonomy.updatedBy = req.user.userId;
+    await taxonomy.save();
+
+    console.log(`✅ Admin ${req.user.userId} updated the classification taxonomy`);
+    res.json({ message: 'Classification taxonomy updated', taxonomy });
+  } catch (err) {
+    res.status(400).json({ message: 'Invalid classification taxonomy', error: err.message });
+  }
+});
+
+// Admin: go back to the taxonomy the classifier shipped with
+router.post('/reset', auth, adminAuth, async (req, res) => {
+  try {
+    const taxonomy = await ClassificationTaxonomy.resetToDefaults(req.user.userId);
+
+    console.log(`✅ Admin ${req.user.userId} reset the classification taxonomy`);
+    res.json({ message: 'Classification taxonomy reset to defaults', taxonomy });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+module.exports = router;
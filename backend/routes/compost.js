@@ -1,46 +1,63 @@
 const express = require('express');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/compost');
 const router = express.Router();
-const Compost = require('../models/Compost');
+const Center = require('../models/Center');
 
-// Compost stock APIs — stored in database using Compost model (not in-memory)
+// Compost stock APIs — each compost center keeps its own stock and price (models/Center.js)
 
-// Get compost stock
-router.get('/stock', async (req, res) => {
+function centerStock(center) {
+  return {
+    centerId: center._id,
+    centerName: center.name,
+    available: center.available,
+    pricePerKg: center.pricePerKg
+  };
+}
+
+// Get compost stock: one center's, or the total over all active centers with a
+// per-center breakdown (pricePerKg is then the default center's)
+router.get('/stock', validate(schemas.getStock), async (req, res) => {
   try {
-    let compost = await Compost.findOne();
-    // If no record exists yet, initialize with defaults
-    if (!compost) {
-      compost = new Compost({ available: 0, pricePerKg: 0 });
-      await compost.save();
+    const centers = await Center.listActive();
+
+    if (req.query.centerId) {
+      const center = centers.find(c => String(c._id) === req.query.centerId);
+      if (!center) return res.status(404).json({ message: 'Center not found or inactive' });
+      return res.json(centerStock(center));
     }
 
-    res.json(compost);
+    res.json({
+      available: centers.reduce((sum, c) => sum + (c.available || 0), 0),
+      pricePerKg: centers[0]?.pricePerKg || 0,
+      centers: centers.map(centerStock)
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Update compost stock (Admin only)
-router.put('/stock', auth, async (req, res) => {
+// Update a center's compost stock (Admin only); the default center when none is given
+router.put('/stock', auth, validate(schemas.updateStock), async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ message: 'Admin access required' });
     }
 
-    const { available, pricePerKg } = req.body;
+    const { centerId, available, pricePerKg } = req.body;
 
-    let compost = await Compost.findOne();
-    if (!compost) compost = new Compost();
+    const center = centerId ? await Center.findById(centerId) : await Center.getDefault();
+    if (!center) return res.status(404).json({ message: 'Center not found' });
 
-    if (available !== undefined) compost.available = available;
-    if (pricePerKg !== undefined) compost.pricePerKg = pricePerKg;
+    if (available !== undefined) center.available = available;
+    if (pricePerKg !== undefined) center.pricePerKg = pricePerKg;
 
-    await compost.save();
+    await center.save();
 
     res.json({
-      message: 'Compost stock updated successfully',
-      stock: compost
+      message: `Compost stock updated for ${center.name}`,
+      stock: centerStock(center)
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
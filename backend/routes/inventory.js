@@ -1,5 +1,7 @@
 const express = require('express');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/inventory');
 const InventoryItem = require('../models/InventoryItem');
 
 const router = express.Router();
@@ -15,7 +17,7 @@ router.get('/', async (req, res) => {
 });
 
 // Admin: create item
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, validate(schemas.createItem), async (req, res) => {
 	try {
 		if (req.user.role !== 'admin') {
 			return res.status(403).json({ message: 'Admin access required' });
@@ -30,15 +32,23 @@ router.post('/', auth, async (req, res) => {
 });
 
 // Admin: update item
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, validate(schemas.updateItem), async (req, res) => {
 	try {
 		if (req.user.role !== 'admin') {
 			return res.status(403).json({ message: 'Admin access required' });
 		}
 		const { id } = req.params;
+		// req.body only holds the whitelisted item fields
 		const update = req.body;
-		const updated = await InventoryItem.findByIdAndUpdate(id, update, { new: true });
-		if (!updated) return res.status(404).json({ message: 'Item not found' });
+		// Stock can't drop below what open orders are holding
+		const filter = { _id: id };
+		if (update.stock !== undefined) filter.reserved = { $not: { $gt: update.stock } };
+		const updated = await InventoryItem.findOneAndUpdate(filter, update, { new: true, runValidators: true });
+		if (!updated) {
+			const item = await InventoryItem.findById(id);
+			if (!item) return res.status(404).json({ message: 'Item not found' });
+			return res.status(400).json({ message: `Stock can't be less than the ${item.reserved} kg reserved for open orders` });
+		}
 		res.json(updated);
 	} catch (err) {
 		res.status(400).json({ message: 'Update failed', error: err.message });
@@ -46,13 +56,17 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // Admin: delete item
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, validate(schemas.deleteItem), async (req, res) => {
 	try {
 		if (req.user.role !== 'admin') {
 			return res.status(403).json({ message: 'Admin access required' });
 		}
 		const { id } = req.params;
-		const deleted = await InventoryItem.findByIdAndDelete(id);
+		// Items with stock held for open orders stay until those orders are settled
+		const deleted = await InventoryItem.findOneAndDelete({ _id: id, reserved: { $not: { $gt: 0 } } });
+		if (!deleted && await InventoryItem.exists({ _id: id })) {
+			return res.status(400).json({ message: 'Item has stock reserved for open orders' });
+		}
 		if (!deleted) return res.status(404).json({ message: 'Item not found' });
 		res.json({ message: 'Deleted', id });
 	} catch (err) {
@@ -2,101 +2,146 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/order');
 const Order = require('../models/Order');
-const Compost = require('../models/Compost');
+const Center = require('../models/Center');
+const InventoryItem = require('../models/InventoryItem');
+const PricingRules = require('../models/PricingRules');
+const { calculateOrderPrice, deliveryDistanceKm } = require('../utils/pricing');
+const { InsufficientStockError, reserveStock, releaseStock, consumeStock } = require('../utils/orderStock');
+const { collectorStopError, refreshRoutesForStop } = require('../utils/routePlans');
+const { geocodeDetails, userLocationDetails, LOW_CONFIDENCE } = require('../utils/geocoder');
+const { nearestCenter, locateAddress, applyServiceArea } = require('../utils/serviceArea');
+
+// The farmer's chosen center (or the one nearest the delivery) and where the delivery
+// goes: the farmer's own coordinates, else the geocoded address (none if not found)
+async function locateOrder({ deliveryAddress, lat, lon, centerId }) {
+  const centers = await Center.listActive();
+  let center = null;
+  if (centerId) {
+    center = centers.find(c => String(c._id) === centerId);
+    if (!center) return { error: 'Compost center not found or closed' };
+  }
+
+  let point = null;
+  let geocode = null;
+  let approximate = false;
+  if (lat != null && lon != null) {
+    point = { lat, lon };
+    geocode = userLocationDetails();
+  } else {
+    const location = await locateAddress(deliveryAddress || 'Not provided', center ? [center, ...centers] : centers);
+    if (location) {
+      point = { lat: location.lat, lon: location.lon };
+      geocode = geocodeDetails(location);
+      approximate = location.confidence < LOW_CONFIDENCE;
+    }
+  }
 
-// ✅ Helper function to geocode address
-async function geocodeAddress(address) {
-  if (!address || address === 'Not provided') {
-    return null;
+  if (!center) {
+    center = point ? nearestCenter(centers, point).center : centers[0];
   }
+  return { center, point, geocode, approximate };
+}
+
+// Price of the order from the item's price and the current pricing rules
+async function priceOrder(item, quantity, center, point) {
+  const rules = await PricingRules.getCurrent();
+  return calculateOrderPrice(rules, {
+    pricePerKg: item.pricePerKg,
+    quantity,
+    distanceKm: deliveryDistanceKm(center, point)
+  });
+}
 
+// Farmer: what an order would cost, priced exactly as POST / would
+router.post('/quote', auth, validate(schemas.quoteOrder), async (req, res) => {
   try {
-    const fetch = require('node-fetch');
-    const cleanAddress = address.trim().replace(/\s+/g, ' ');
-    const encodedAddress = encodeURIComponent(`${cleanAddress}, Mysuru, Karnataka, India`);
-    const geoUrl = `https://nominatim.openstreetmap.org/search?format=json&q=${encodedAddress}&limit=1`;
-    
-    console.log(`🔍 Geocoding order address: ${cleanAddress}`);
-    
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 3000);
-    
-    const geoRes = await fetch(geoUrl, {
-      headers: { 'User-Agent': 'Waste2Wealth-App/1.0' },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeout);
-    
-    if (geoRes.ok) {
-      const geoData = await geoRes.json();
-      
-      if (geoData && geoData.length > 0) {
-        const coords = {
-          lat: parseFloat(geoData[0].lat),
-          lon: parseFloat(geoData[0].lon)
-        };
-        console.log(`✅ Geocoded order address: (${coords.lat}, ${coords.lon})`);
-        return coords;
-      }
+    const { itemId, quantity } = req.body;
+    const item = await InventoryItem.findById(itemId);
+    if (!item) {
+      return res.status(400).json({ message: 'Compost product not found' });
+    }
+
+    const { center, point, error } = await locateOrder(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
+
+    res.json({
+      itemId: item._id,
+      compostName: item.name,
+      available: item.available,
+      centerId: center._id,
+      centerName: center.name,
+      breakdown: await priceOrder(item, quantity, center, point)
+    });
   } catch (error) {
-    console.warn(`⚠️ Geocoding failed for order: ${error.message}`);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
-  
-  // Fallback coordinates (near Mysuru)
-  const addressHash = address.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-  const latOffset = ((addressHash % 100) - 50) / 1000;
-  const lonOffset = ((addressHash % 100) - 50) / 1000;
-  
-  return {
-    lat: 12.2958 + latOffset,
-    lon: 76.6394 + lonOffset
-  };
-}
+});
 
 // Create Order (Farmer)
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, validate(schemas.createOrder), async (req, res) => {
   try {
     if (req.user.role !== 'farmer') {
       return res.status(403).json({ message: 'Only farmers can order compost' });
     }
 
-    const { compostName, quantity, deliveryAddress, lat, lon, pricePerKg, totalAmount } = req.body;
+    const { itemId, quantity, deliveryAddress } = req.body;
 
-    if (!compostName)
-      return res.status(400).json({ message: "Compost name required" });
+    const item = await InventoryItem.findById(itemId);
+    if (!item) {
+      return res.status(400).json({ message: 'Compost product not found' });
+    }
 
-    const qty = Number(quantity);
-    if (qty <= 0)
-      return res.status(400).json({ message: "Invalid quantity" });
+    const { center, point, geocode, approximate, error } = await locateOrder(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    // ⭐ OPTIONAL: Validate compost exists
-    // const item = await InventoryItem.findOne({ name: compostName });
-    // if (!item) return res.status(400).json({ message: "Compost not found" });
+    // Prices come from the item and the pricing rules, never from the request
+    const breakdown = await priceOrder(item, quantity, center, point);
 
     const newOrder = new Order({
       farmerId: req.user.userId,
-      compostName,
-      quantity: qty,
+      itemId: item._id,
+      compostName: item.name,
+      quantity,
       deliveryAddress: deliveryAddress || 'Not provided',
-      pricePerKg,
-      totalAmount,
+      centerId: center._id,
+      pricePerKg: item.pricePerKg,
+      totalAmount: breakdown.total,
+      priceBreakdown: breakdown,
       status: 'pending'
     });
+    if (point) {
+      newOrder.lat = point.lat;
+      newOrder.lon = point.lon;
+      newOrder.geocode = geocode;
+    }
 
-    // coordinates
-    if (lat && lon) {
-      newOrder.lat = lat;
-      newOrder.lon = lon;
+    const areaCheck = applyServiceArea(center, newOrder, { approximate });
+    if (areaCheck.rejected) {
+      return res.status(400).json({ message: areaCheck.message });
     }
 
-    await newOrder.save();
+    // Saves the order with its stock held, or refuses it if the product ran out
+    try {
+      await reserveStock(newOrder);
+    } catch (error) {
+      if (error instanceof InsufficientStockError) {
+        return res.status(400).json({ message: error.message, available: error.available });
+      }
+      throw error;
+    }
 
     res.status(201).json({
       message: "Order placed successfully",
-      order: newOrder
+      order: newOrder,
+      warning: areaCheck.warning
     });
 
   } catch (error) {
@@ -106,13 +151,14 @@ router.post('/', auth, async (req, res) => {
 
 
 
-// Update order status (Admin only)
-router.put('/:id/status', auth, adminAuth, async (req, res) => {
+// Update order status (Admin, or the collector delivering it)
+router.put('/:id/status', auth, staffAuth, validate(schemas.updateStatus), async (req, res) => {
   try {
     const { status } = req.body;
-    const allowedStatuses = ['pending', 'confirmed', 'in-transit', 'rejected', 'delivered'];
-    if (!allowedStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status value' });
+
+    const accessError = await collectorStopError(req.user, 'delivery', req.params.id, status);
+    if (accessError) {
+      return res.status(403).json({ message: accessError });
     }
 
     const order = await Order.findById(req.params.id);
@@ -124,17 +170,29 @@ router.put('/:id/status', auth, adminAuth, async (req, res) => {
       return res.json({ message: `Order already ${status}`, order: populatedOrder });
     }
 
-    // Confirm: check stock, deduct, set pricing & total
-    if (status === 'confirmed' && order.status === 'pending') {
-      const compost = await Compost.findOne();
-      if (!compost || order.quantity > (compost.available || 0)) {
-        return res.status(400).json({ message: 'Not enough stock to approve order' });
+    if (!Order.canTransition(order.status, status)) {
+      return res.status(400).json({
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        status: order.status,
+        allowed: Order.STATUS_TRANSITIONS[order.status] || []
+      });
+    }
+
+    // Confirm an order placed before stock reservations: check the order's center
+    // has the stock, deduct, set pricing & total. Store orders already hold their stock.
+    if (status === 'confirmed' && !order.itemId) {
+      const center = order.centerId ? await Center.findById(order.centerId) : await Center.getDefault();
+      if (!center || order.quantity > (center.available || 0)) {
+        return res.status(400).json({
+          message: `Not enough stock${center ? ` at ${center.name}` : ''} to approve order`
+        });
       }
 
-      compost.available -= order.quantity;
-      await compost.save();
+      center.available -= order.quantity;
+      await center.save();
 
-      order.pricePerKg = compost.pricePerKg || 0;
+      order.centerId = center._id;
+      order.pricePerKg = center.pricePerKg || 0;
       order.totalAmount = order.quantity * order.pricePerKg;
     }
 
@@ -143,20 +201,40 @@ router.put('/:id/status', auth, adminAuth, async (req, res) => {
       order.totalAmount = 0;
     }
 
-    if (status === 'in-transit') {
-      if (order.status !== 'confirmed') {
-        return res.status(400).json({ message: 'Only confirmed orders can move to in-transit' });
+    if (status === 'rejected') {
+      await releaseStock(order);
+    }
+
+    // Reopening a rejected store order holds its stock again at the quoted price,
+    // or refuses if the product has since run out
+    if (order.status === 'rejected' && order.itemId && order.stockStatus !== 'reserved') {
+      if (order.priceBreakdown) {
+        order.pricePerKg = order.priceBreakdown.pricePerKg;
+        order.totalAmount = order.priceBreakdown.total;
+      }
+      order.status = status;
+      try {
+        await reserveStock(order);
+      } catch (error) {
+        if (error instanceof InsufficientStockError) {
+          return res.status(400).json({ message: error.message, available: error.available });
+        }
+        throw error;
       }
     }
 
-    if (status === 'delivered') {
-      if (!['confirmed', 'in-transit'].includes(order.status)) {
-        return res.status(400).json({ message: 'Order must be confirmed or in-transit before marking delivered' });
+    if (status === 'delivered' && order.itemId) {
+      if (order.stockStatus !== 'reserved') {
+        return res.status(400).json({ message: 'Order has no stock reserved to deliver' });
+      }
+      if (!await consumeStock(order)) {
+        return res.status(409).json({ message: 'Order stock changed meanwhile, please refresh and try again' });
       }
     }
 
     order.status = status;
     await order.save();
+    await refreshRoutesForStop('delivery', order._id);
 
     const populated = await Order.findById(order._id).populate('farmerId', 'name email phone');
 
@@ -180,10 +258,11 @@ router.get('/my', auth, async (req, res) => {
   }
 });
 
-// Admin: get all orders
-router.get('/all', auth, adminAuth, async (req, res) => {
+// Admin: get all orders, optionally for one compost center
+router.get('/all', auth, adminAuth, validate(schemas.listOrders), async (req, res) => {
   try {
-    const orders = await Order.find()
+    const filter = req.query.centerId ? { centerId: req.query.centerId } : {};
+    const orders = await Order.find(filter)
       .populate('farmerId', 'name email phone')
       .sort({ createdAt: -1 });
 
@@ -211,26 +290,34 @@ router.post('/fix-coordinates', auth, adminAuth, async (req, res) => {
     console.log(`📦 Found ${ordersWithoutCoords.length} orders without coordinates`);
 
     let updated = 0;
+    const notFound = [];
+    const centers = await Center.listActive();
 
+    // The geocoder spaces out provider requests itself
     for (const order of ordersWithoutCoords) {
-      const coords = await geocodeAddress(order.deliveryAddress);
-
-      if (coords) {
-        order.lat = coords.lat;
-        order.lon = coords.lon;
+      const center = centers.find(c => String(c._id) === String(order.centerId)) || centers[0];
+      const location = await locateAddress(order.deliveryAddress, [center, ...centers]);
+
+      if (location) {
+        order.lat = location.lat;
+        order.lon = location.lon;
+        order.geocode = geocodeDetails(location);
+        order.centerId = center._id;
+        // Already placed, so never rejected here; only flagged
+        applyServiceArea(center, order);
         await order.save();
         updated++;
-        console.log(`✅ Updated order ${order._id}: (${coords.lat}, ${coords.lon})`);
-        
-        // Rate limit: 1 request per second
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        console.log(`✅ Updated order ${order._id} via ${location.source}: (${location.lat}, ${location.lon})`);
+      } else {
+        notFound.push({ _id: order._id, deliveryAddress: order.deliveryAddress });
       }
     }
 
     res.json({
       message: `Fixed coordinates for ${updated} orders`,
       total: ordersWithoutCoords.length,
-      updated
+      updated,
+      notFound
     });
   } catch (error) {
     console.error('❌ Error fixing coordinates:', error);
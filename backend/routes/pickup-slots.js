@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/pickup-slots');
+const PickupSlot = require('../models/PickupSlot');
+const Center = require('../models/Center');
+const { parseTimeWindow } = require('../utils/timeWindows');
+const { nearestCenter, locateAddress } = require('../utils/serviceArea');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest date range slots can be created for in one go
+const MAX_DAYS = 92;
+
+// Calendar dates from start to end (inclusive) on the given weekdays
+function datesBetween(startDate, endDate, weekdays) {
+  const dates = [];
+  const end = Date.parse(`${endDate}T00:00:00Z`);
+  for (let day = Date.parse(`${startDate}T00:00:00Z`); day <= end; day += DAY_MS) {
+    const date = new Date(day);
+    if (!weekdays?.length || weekdays.includes(date.getUTCDay())) {
+      dates.push(date.toISOString().slice(0, 10));
+    }
+  }
+  return dates;
+}
+
+// The zone a household is in: the chosen center, else the one nearest to their
+// pinned location or address, else the default. Matches how POST /api/pickup/request
+// assigns the center.
+async function zoneCenter({ centerId, lat, lon, address }) {
+  const centers = await Center.listActive();
+  if (centerId) return centers.find(c => String(c._id) === centerId) || null;
+  if (lat != null && lon != null) return nearestCenter(centers, { lat, lon })?.center || null;
+  if (address) {
+    const location = await locateAddress(address, centers);
+    if (location) return nearestCenter(centers, location).center;
+  }
+  return centers[0] || null;
+}
+
+// Household: open slots on a day in their zone
+router.get('/availability', auth, validate(schemas.availability), async (req, res) => {
+  try {
+    const center = await zoneCenter(req.query);
+    if (!center) {
+      return res.status(404).json({ message: 'No compost center serves this area' });
+    }
+
+    const now = new Date();
+    const quantity = req.query.quantity || 0;
+    const slots = await PickupSlot.find({ centerId: center._id, date: req.query.date, active: true }).sort({ time: 1 });
+    const open = slots
+      .filter(slot => slot.hasRoomFor(quantity))
+      .filter(slot => parseTimeWindow(slot.date, slot.time)?.end > now)
+      .map(slot => ({
+        _id: slot._id,
+        time: slot.time,
+        remainingKg: slot.remainingKg,
+        remainingStops: slot.remainingStops
+      }));
+
+    res.json({ centerId: center._id, centerName: center.name, date: req.query.date, slots: open });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Admin: slots with their bookings, optionally for one center and date range
+router.get('/', auth, adminAuth, validate(schemas.listSlots), async (req, res) => {
+  try {
+    const { centerId, from, to } = req.query;
+    const filter = {};
+    if (centerId) filter.centerId = centerId;
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = from;
+      if (to) filter.date.$lte = to;
+    }
+    const slots = await PickupSlot.find(filter).sort({ date: 1, time: 1 });
+    res.json(slots);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Admin: open the same slots on a range of days. Slots that already exist keep their
+// bookings and get the new capacity.
+router.post('/', auth, adminAuth, validate(schemas.createSlots), async (req, res) => {
+  try {
+    const { centerId, startDate, endDate, weekdays, times, capacityKg = 0, capacityStops = 0 } = req.body;
+
+    if (endDate < startDate) {
+      return res.status(400).json({ message: 'End date must not be before the start date' });
+    }
+    if ((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS >= MAX_DAYS) {
+      return res.status(400).json({ message: `Slots can be created for at most ${MAX_DAYS} days at a time` });
+    }
+    const invalidTime = times.find(time => !parseTimeWindow(startDate, time));
+    if (invalidTime) {
+      return res.status(400).json({ message: `Time slot ${invalidTime} must end after it starts` });
+    }
+    if (!(await Center.exists({ _id: centerId }))) {
+      return res.status(400).json({ message: 'Compost center not found' });
+    }
+
+    const dates = datesBetween(startDate, endDate, weekdays);
+    const operations = dates.flatMap(date => times.map(time => ({
+      updateOne: {
+        filter: { centerId, date, time },
+        update: { $set: { capacityKg, capacityStops, active: true }, $setOnInsert: { centerId, date, time } },
+        upsert: true
+      }
+    })));
+    const result = operations.length ? await PickupSlot.bulkWrite(operations) : { upsertedCount: 0, modifiedCount: 0 };
+
+    console.log(`🗓️ Admin ${req.user.userId} opened ${operations.length} pickup slot(s) from ${startDate} to ${endDate}`);
+    res.status(201).json({
+      message: `${result.upsertedCount} slot(s) created, ${result.modifiedCount} updated`,
+      created: result.upsertedCount,
+      updated: result.modifiedCount
+    });
+  } catch (err) {
+    res.status(400).json({ message: 'Invalid pickup slots', error: err.message });
+  }
+});
+
+// Admin: change a slot's capacity or close it. Lowering the capacity doesn't cancel existing bookings.
+router.put('/:id', auth, adminAuth, validate(schemas.updateSlot), async (req, res) => {
+  try {
+    const slot = await PickupSlot.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    if (!slot) return res.status(404).json({ message: 'Pickup slot not found' });
+    res.json({ message: 'Pickup slot updated', slot });
+  } catch (err) {
+    res.status(400).json({ message: 'Update failed', error: err.message });
+  }
+});
+
+// Admin: delete a slot nobody has booked; booked slots can only be closed
+router.delete('/:id', auth, adminAuth, validate(schemas.deleteSlot), async (req, res) => {
+  try {
+    const deleted = await PickupSlot.findOneAndDelete({ _id: req.params.id, bookedStops: { $lte: 0 } });
+    if (!deleted) {
+      if (await PickupSlot.exists({ _id: req.params.id })) {
+        return res.status(400).json({ message: 'Slot has bookings; close it instead' });
+      }
+      return res.status(404).json({ message: 'Pickup slot not found' });
+    }
+    res.json({ message: 'Pickup slot deleted', id: req.params.id });
+  } catch (err) {
+    res.status(400).json({ message: 'Delete failed', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/pickup-subscriptions');
+const PickupSubscription = require('../models/PickupSubscription');
+const Center = require('../models/Center');
+const PickupSlot = require('../models/PickupSlot');
+const { localDate } = require('../utils/timeWindows');
+const { nearestCenter, locateHousehold, applyServiceArea } = require('../utils/serviceArea');
+const {
+  HORIZON_DAYS,
+  upcomingDates,
+  generatePickups,
+  removeUpcomingPickups
+} = require('../utils/subscriptions');
+
+// How many of the next dates are listed with each subscription
+const NEXT_DATES = 5;
+
+function requireHousehold(req, res, next) {
+  if (req.user.role !== 'household') {
+    return res.status(403).json({ message: 'Only household users can manage recurring pickups' });
+  }
+  next();
+}
+
+// The household's own subscription, or a 404 response
+async function findOwn(req, res) {
+  const subscription = await PickupSubscription.findOne({ _id: req.params.id, userId: req.user.userId });
+  if (!subscription) {
+    res.status(404).json({ message: 'Recurring pickup not found' });
+  }
+  return subscription;
+}
+
+// The subscription plus its next pickup dates, skipped ones left out
+function withNextDates(subscription) {
+  const nextDates = subscription.status === 'cancelled'
+    ? []
+    : upcomingDates(subscription, localDate(new Date()), 8 * 7)
+      .filter(date => !subscription.skipDates.includes(date))
+      .slice(0, NEXT_DATES);
+  return { ...subscription.toObject(), nextDates };
+}
+
+// Household: their recurring pickups
+router.get('/my', auth, requireHousehold, async (req, res) => {
+  try {
+    const subscriptions = await PickupSubscription.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+    res.json(subscriptions.map(withNextDates));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Admin: every recurring pickup
+router.get('/all', auth, adminAuth, async (req, res) => {
+  try {
+    const subscriptions = await PickupSubscription.find()
+      .populate('userId', 'name email phone')
+      .sort({ createdAt: -1 });
+    res.json(subscriptions.map(withNextDates));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Household: start a recurring pickup; the pickups for the next few days are booked right away
+router.post('/', auth, requireHousehold, validate(schemas.createSubscription), async (req, res) => {
+  try {
+    const { frequency, weekdays, intervalDays, startDate, time, slotId, quantity, address, wasteType, phone, instructions } = req.body;
+    if (frequency === 'custom' ? !intervalDays : !weekdays?.length) {
+      return res.status(400).json({
+        message: frequency === 'custom'
+          ? 'Choose how many days apart the pickups should be'
+          : 'Choose at least one day of the week'
+      });
+    }
+    if (startDate < localDate(new Date())) {
+      return res.status(400).json({ message: 'Start date cannot be in the past' });
+    }
+
+    // The slot picked for the first date fixes the zone when the address can't be placed
+    const slot = await PickupSlot.findById(slotId);
+    if (!slot || !slot.active) {
+      return res.status(400).json({ message: 'Pickup slot not found or closed' });
+    }
+    if (slot.date !== startDate || slot.time !== time) {
+      return res.status(400).json({ message: 'The pickup slot does not match the start date and time' });
+    }
+
+    const subscription = new PickupSubscription({
+      userId: req.user.userId,
+      frequency,
+      weekdays: frequency === 'custom' ? [] : [...new Set(weekdays)].sort(),
+      intervalDays: frequency === 'custom' ? intervalDays : undefined,
+      startDate,
+      time,
+      quantity,
+      address,
+      wasteType,
+      phone,
+      instructions
+    });
+
+    // Located and assigned to a zone the same way as a one-off pickup request
+    const centers = await Center.listActive();
+    if (!centers.length) {
+      return res.status(404).json({ message: 'No compost center serves this area' });
+    }
+    const location = await locateHousehold(req.body, centers);
+    let { warning } = location;
+    if (location.lat != null) {
+      subscription.lat = location.lat;
+      subscription.lon = location.lon;
+      subscription.geocode = location.geocode;
+      const { center } = nearestCenter(centers, subscription);
+      subscription.centerId = center._id;
+      const areaCheck = applyServiceArea(center, subscription, { approximate: location.approximate });
+      if (areaCheck.rejected) {
+        return res.status(400).json({ message: areaCheck.message });
+      }
+      warning = areaCheck.warning || warning;
+    } else {
+      subscription.centerId = slot.centerId;
+    }
+    if (String(subscription.centerId) !== String(slot.centerId)) {
+      return res.status(400).json({ message: 'That slot is for a different area. Please choose a time slot again.' });
+    }
+
+    await subscription.save();
+    const created = await generatePickups(subscription);
+    console.log(`🔁 Recurring pickup ${subscription._id} created, ${created} pickup(s) scheduled`);
+
+    res.status(201).json({
+      message: 'Recurring pickup created',
+      subscription: withNextDates(subscription),
+      created,
+      warning
+    });
+  } catch (err) {
+    console.error('❌ Recurring pickup error:', err);
+    res.status(500).json({ message: 'Failed to create recurring pickup', error: err.message });
+  }
+});
+
+// Household: pause, optionally until a date; pickups already booked in that time are removed
+router.post('/:id/pause', auth, requireHousehold, validate(schemas.pauseSubscription), async (req, res) => {
+  try {
+    const subscription = await findOwn(req, res);
+    if (!subscription) return;
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({ message: 'This recurring pickup has been cancelled' });
+    }
+    const today = localDate(new Date());
+    const { until } = req.body;
+    if (until && until < today) {
+      return res.status(400).json({ message: 'Pause date cannot be in the past' });
+    }
+
+    subscription.status = 'paused';
+    subscription.pausedUntil = until;
+    await subscription.save();
+    const dates = upcomingDates(subscription, today, HORIZON_DAYS).filter(date => !until || date <= until);
+    const removed = await removeUpcomingPickups(subscription, { dates });
+
+    res.json({ message: 'Recurring pickup paused', subscription: withNextDates(subscription), removed });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+router.post('/:id/resume', auth, requireHousehold, validate(schemas.subscriptionAction), async (req, res) => {
+  try {
+    const subscription = await findOwn(req, res);
+    if (!subscription) return;
+    if (subscription.status !== 'paused') {
+      return res.status(400).json({ message: `Recurring pickup is ${subscription.status}, not paused` });
+    }
+
+    subscription.status = 'active';
+    subscription.pausedUntil = undefined;
+    const created = await generatePickups(subscription);
+
+    res.json({ message: 'Recurring pickup resumed', subscription: withNextDates(subscription), created });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Household: no pickup on one date; a pickup already booked for it is removed
+router.post('/:id/skip', auth, requireHousehold, validate(schemas.skipDate), async (req, res) => {
+  try {
+    const subscription = await findOwn(req, res);
+    if (!subscription) return;
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({ message: 'This recurring pickup has been cancelled' });
+    }
+    const { date } = req.body;
+    if (date < localDate(new Date())) {
+      return res.status(400).json({ message: 'Cannot skip a date in the past' });
+    }
+    if (!upcomingDates(subscription, date, 1).length) {
+      return res.status(400).json({ message: 'There is no recurring pickup on that date' });
+    }
+
+    if (!subscription.skipDates.includes(date)) subscription.skipDates.push(date);
+    subscription.issues = subscription.issues.filter(issue => issue.date !== date);
+    await subscription.save();
+    const removed = await removeUpcomingPickups(subscription, { dates: [date] });
+
+    res.json({ message: `Pickup on ${date} skipped`, subscription: withNextDates(subscription), removed });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+router.post('/:id/cancel', auth, requireHousehold, validate(schemas.subscriptionAction), async (req, res) => {
+  try {
+    const subscription = await findOwn(req, res);
+    if (!subscription) return;
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({ message: 'Recurring pickup is already cancelled' });
+    }
+
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = new Date();
+    await subscription.save();
+    const removed = await removeUpcomingPickups(subscription);
+
+    res.json({ message: 'Recurring pickup cancelled', subscription: withNextDates(subscription), removed });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -2,45 +2,47 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/pickup');
 const Pickup = require('../models/Pickup'); // ✅ Make sure this is imported
-const User = require('../models/User');
-const Compost = require('../models/Compost');
+const {
+  transitionPickup,
+  PickupTransitionError,
+  householdChangeError,
+  startsWithinCutoff,
+  CHANGE_CUTOFF_HOURS
+} = require('../utils/pickupLifecycle');
+const { collectorStopError, refreshRoutesForStop, isOnActiveRoute } = require('../utils/routePlans');
+const { parseTimeWindow } = require('../utils/timeWindows');
+const Center = require('../models/Center');
+const PickupSlot = require('../models/PickupSlot');
+const PickupSubscription = require('../models/PickupSubscription');
+const PickupPhoto = require('../models/PickupPhoto');
+const { nearestCenter, locateHousehold, applyServiceArea } = require('../utils/serviceArea');
 
-const ALLOWED_STATUSES = ['pending', 'processing', 'picked', 'completed', 'rejected'];
-
-async function applyCompletionSideEffects(pickup) {
-  pickup.status = 'completed';
-  pickup.completedDate = new Date();
-  pickup.pointsAwarded = pickup.pointsAwarded || Math.round((pickup.quantity || 0) * 10);
-  await pickup.save();
-
-  if (pickup.userId?._id) {
-    const user = await User.findById(pickup.userId._id);
-    if (user) {
-      user.rewardPoints = (user.rewardPoints || 0) + pickup.pointsAwarded;
-      await user.save();
-    }
-  }
-
-  const compost = await Compost.findOne();
-  if (compost) {
-    compost.available = (compost.available || 0) + (pickup.quantity || 0);
-    await compost.save();
-  }
-
-  return pickup;
+function transitionErrorResponse(res, err) {
+  return res.status(400).json({ message: err.message, status: err.from, allowed: err.allowed });
 }
 
 // Request pickup (Household only)
-router.post('/request', auth, async (req, res) => {
+router.post('/request', auth, validate(schemas.requestPickup), async (req, res) => {
   try {
     if (req.user.role !== 'household') {
       return res.status(403).json({ message: 'Only household users can request pickups' });
     }
 
-    const { quantity, address, wasteType, phone, pickupDate, pickupTime, instructions } = req.body;
-    if (!quantity || !address)
-      return res.status(400).json({ message: 'Quantity and address are required' });
+    const { quantity, address, wasteType, phone, slotId, instructions, classification } = req.body;
+
+    // The slot's date and time become the window the route planner works to
+    const slot = await PickupSlot.findById(slotId);
+    if (!slot || !slot.active) {
+      return res.status(400).json({ message: 'Pickup slot not found or closed' });
+    }
+    const timeWindow = parseTimeWindow(slot.date, slot.time);
+    if (!timeWindow || timeWindow.end <= new Date()) {
+      return res.status(400).json({ message: 'Pickup time slot has already passed' });
+    }
 
     const pickup = new Pickup({
       userId: req.user.userId,
@@ -48,73 +50,74 @@ router.post('/request', auth, async (req, res) => {
       address,
       wasteType,
       phone,
-      pickupDate,
-      pickupTime,
+      slotId: slot._id,
+      pickupDate: slot.date,
+      pickupTime: slot.time,
+      timeWindow,
       instructions,
       status: 'pending',
+      statusHistory: [{ to: 'pending', changedBy: req.user.userId }],
       requestDate: new Date()
     });
 
-    // ✅ Geocoding with fallback
-    if (!req.body.lat && address) {
-      try {
-        const fetch = require('node-fetch');
-        const cleanAddress = address.trim().replace(/\s+/g, ' ');
-        const encodedAddress = encodeURIComponent(`${cleanAddress}, Mysuru, Karnataka, India`);
-        const geoUrl = `https://nominatim.openstreetmap.org/search?format=json&q=${encodedAddress}&limit=1`;
-        
-        console.log(`🔍 Geocoding: ${cleanAddress}`);
-        
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 3000);
-        
-        const geoRes = await fetch(geoUrl, {
-          headers: { 'User-Agent': 'Waste2Wealth-App/1.0' },
-          signal: controller.signal
-        });
-        
-        clearTimeout(timeout);
-        
-        if (geoRes.ok) {
-          const geoData = await geoRes.json();
-          
-          if (geoData && geoData.length > 0) {
-            pickup.lat = parseFloat(geoData[0].lat);
-            pickup.lon = parseFloat(geoData[0].lon);
-            console.log(`✅ Geocoded: (${pickup.lat}, ${pickup.lon})`);
-          } else {
-            throw new Error('No geocoding results');
-          }
-        } else {
-          throw new Error(`Geocoding API error: ${geoRes.status}`);
-        }
-        
-      } catch (geoError) {
-        console.warn(`⚠️ Geocoding failed (${geoError.message}), using fallback coordinates`);
-        
-        const addressHash = address.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-        const latOffset = ((addressHash % 100) - 50) / 1000;
-        const lonOffset = ((addressHash % 100) - 50) / 1000;
-        
-        pickup.lat = 12.2958 + latOffset;
-        pickup.lon = 76.6394 + lonOffset;
-        
-        console.log(`📍 Fallback coordinates: (${pickup.lat}, ${pickup.lon})`);
+    // The classifier's verdict stays on the pickup; its photos go in their own collection
+    let photos = [];
+    if (classification) {
+      const { photos: images = [], ...result } = classification;
+      photos = images.map(image => new PickupPhoto({ pickupId: pickup._id, userId: req.user.userId, image }));
+      pickup.classification = {
+        ...result,
+        classifiedAt: result.classifiedAt || new Date(),
+        photoIds: photos.map(photo => photo._id)
+      };
+    }
+
+    // Coordinates picked by the household win; otherwise look the address up.
+    // An address that can't be placed is saved without coordinates for the admin to fix.
+    const centers = await Center.listActive();
+    const location = await locateHousehold(req.body, centers);
+    let { warning } = location;
+    const { approximate } = location;
+    if (location.lat != null) {
+      pickup.lat = location.lat;
+      pickup.lon = location.lon;
+      pickup.geocode = location.geocode;
+    }
+
+    // The waste goes to the nearest center; unlocated pickups go to the center of the slot's zone
+    if (pickup.lat != null && centers.length) {
+      const { center } = nearestCenter(centers, pickup);
+      pickup.centerId = center._id;
+      const areaCheck = applyServiceArea(center, pickup, { approximate });
+      if (areaCheck.rejected) {
+        return res.status(400).json({ message: areaCheck.message });
       }
-    } else if (req.body.lat && req.body.lon) {
-      pickup.lat = req.body.lat;
-      pickup.lon = req.body.lon;
+      warning = areaCheck.warning || warning;
     } else {
-      pickup.lat = 12.2958;
-      pickup.lon = 76.6394;
+      pickup.centerId = slot.centerId;
+    }
+    if (String(pickup.centerId) !== String(slot.centerId)) {
+      return res.status(400).json({ message: 'That slot is for a different area. Please choose a time slot again.' });
     }
 
-    await pickup.save();
+    // Claim the capacity atomically; another household may have taken the last place
+    if (!(await PickupSlot.book(slot._id, quantity))) {
+      return res.status(409).json({ message: 'That pickup slot is now full. Please choose another time.' });
+    }
+    try {
+      if (photos.length) await PickupPhoto.insertMany(photos);
+      await pickup.save();
+    } catch (err) {
+      await PickupSlot.release(slot._id, quantity);
+      if (photos.length) await PickupPhoto.deleteMany({ pickupId: pickup._id });
+      throw err;
+    }
     console.log(`✅ Pickup request saved: ${pickup._id}`);
 
     res.status(201).json({ 
       message: 'Pickup request submitted successfully', 
-      pickup 
+      pickup,
+      warning
     });
     
   } catch (err) {
@@ -142,73 +145,192 @@ router.get('/my', auth, async (req, res) => {
   }
 });
 
-// ✅ FIX: Admin get all pickups (was fetching Orders!)
-router.get('/all', auth, adminAuth, async (req, res) => {
+// Photos the household classified when requesting (Admin, or the household itself)
+router.get('/:id/photos', auth, validate(schemas.pickupPhotos), async (req, res) => {
   try {
-    const pickups = await Pickup.find()
-      .populate('userId', 'name email phone')
-      .sort({ requestDate: -1 });
-    
-    // console.log(`✅ Fetched ${pickups.length} pickups for admin`);
-    res.json(pickups);
+    const pickup = await Pickup.findById(req.params.id).select('userId');
+    if (!pickup || (req.user.role !== 'admin' && String(pickup.userId) !== String(req.user.userId))) {
+      return res.status(404).json({ message: 'Pickup not found' });
+    }
+    const photos = await PickupPhoto.find({ pickupId: pickup._id }).select('image createdAt').sort({ createdAt: 1 });
+    res.json(photos);
   } catch (err) {
-    console.error('❌ Error fetching all pickups:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 });
 
-// Admin: Update pickup status
-router.put('/:id/status', auth, adminAuth, async (req, res) => {
+// Household: cancel their own pending pickup before the cut-off; the slot is freed
+router.post('/:id/cancel', auth, validate(schemas.cancelPickup), async (req, res) => {
   try {
-    const { status } = req.body;
-    if (!ALLOWED_STATUSES.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status value' });
+    const pickup = await Pickup.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!pickup) {
+      return res.status(404).json({ message: 'Pickup not found' });
     }
+    const changeError = householdChangeError(pickup);
+    if (changeError) {
+      return res.status(400).json({ message: changeError });
+    }
+
+    const result = await transitionPickup(pickup._id, 'cancelled', {
+      actorId: req.user.userId,
+      note: req.body.reason
+    });
+    await refreshRoutesForStop('pickup', pickup._id);
+    console.log(`🚫 Pickup ${pickup._id} cancelled by household`);
 
-    const pickup = await Pickup.findById(req.params.id).populate('userId');
+    res.json({ message: 'Pickup cancelled', pickup: result.pickup });
+  } catch (err) {
+    if (err instanceof PickupTransitionError) return transitionErrorResponse(res, err);
+    console.error('❌ Error cancelling pickup:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Household: move their own pending pickup to another open slot in the same zone
+router.post('/:id/reschedule', auth, validate(schemas.reschedulePickup), async (req, res) => {
+  try {
+    const pickup = await Pickup.findOne({ _id: req.params.id, userId: req.user.userId });
     if (!pickup) {
       return res.status(404).json({ message: 'Pickup not found' });
     }
+    const changeError = householdChangeError(pickup);
+    if (changeError) {
+      return res.status(400).json({ message: changeError });
+    }
 
-    const currentStatus = pickup.status;
+    const slot = await PickupSlot.findById(req.body.slotId);
+    if (!slot || !slot.active) {
+      return res.status(400).json({ message: 'Pickup slot not found or closed' });
+    }
+    if (String(slot._id) === String(pickup.slotId)) {
+      return res.status(400).json({ message: 'Your pickup is already booked in that slot' });
+    }
+    if (pickup.centerId && String(slot.centerId) !== String(pickup.centerId)) {
+      return res.status(400).json({ message: 'That slot is for a different area. Please choose a time slot again.' });
+    }
+    const timeWindow = parseTimeWindow(slot.date, slot.time);
+    if (!timeWindow || startsWithinCutoff(timeWindow.start)) {
+      return res.status(400).json({ message: `Choose a slot starting at least ${CHANGE_CUTOFF_HOURS} hours from now` });
+    }
+    // The collector may already be planning around it
+    if (await isOnActiveRoute('pickup', pickup._id)) {
+      return res.status(400).json({ message: 'This pickup is already on a collection route and can no longer be moved' });
+    }
 
-    if (status === 'completed' && currentStatus !== 'completed') {
-      await applyCompletionSideEffects(pickup);
-      const populated = await Pickup.findById(pickup._id).populate('userId', 'name email phone');
-      return res.json({ message: 'Pickup marked as completed', pickup: populated });
+    if (!(await PickupSlot.book(slot._id, pickup.quantity))) {
+      return res.status(409).json({ message: 'That pickup slot is now full. Please choose another time.' });
     }
 
-    if (status !== 'completed') {
-      pickup.status = status;
-      if (currentStatus === 'completed' && status !== 'completed') {
-        pickup.completedDate = undefined;
-        pickup.pointsAwarded = pickup.pointsAwarded || 0;
+    const note = `Rescheduled by household from ${pickup.pickupDate} ${pickup.pickupTime} to ${slot.date} ${slot.time}`;
+    let updated;
+    try {
+      updated = await Pickup.findOneAndUpdate(
+        { _id: pickup._id, status: 'pending', slotId: pickup.slotId },
+        {
+          slotId: slot._id,
+          pickupDate: slot.date,
+          pickupTime: slot.time,
+          timeWindow,
+          $push: { statusHistory: { from: 'pending', to: 'pending', changedBy: req.user.userId, note } }
+        },
+        { new: true }
+      );
+    } catch (err) {
+      await PickupSlot.release(slot._id, pickup.quantity);
+      // Recurring pickups allow one pickup per day
+      if (err.code === 11000) {
+        return res.status(409).json({ message: 'Your recurring pickup already has a pickup on that day' });
       }
-      await pickup.save();
+      throw err;
+    }
+    if (!updated) {
+      await PickupSlot.release(slot._id, pickup.quantity);
+      return res.status(409).json({ message: 'Pickup was changed meanwhile. Please refresh and try again.' });
+    }
+
+    if (pickup.slotId) await PickupSlot.release(pickup.slotId, pickup.quantity);
+    // Otherwise the scheduler would book the original day again
+    if (pickup.subscriptionId && pickup.pickupDate !== slot.date) {
+      await PickupSubscription.updateOne({ _id: pickup.subscriptionId }, { $addToSet: { skipDates: pickup.pickupDate } });
     }
+    console.log(`📅 Pickup ${pickup._id} rescheduled to ${slot.date} ${slot.time}`);
 
-    const populated = await Pickup.findById(pickup._id).populate('userId', 'name email phone');
-    return res.json({ message: `Pickup status updated to ${status}`, pickup: populated });
+    res.json({ message: `Pickup moved to ${slot.date} ${slot.time}`, pickup: updated });
   } catch (err) {
+    console.error('❌ Error rescheduling pickup:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// ✅ FIX: Admin get all pickups (was fetching Orders!), optionally for one compost center
+router.get('/all', auth, adminAuth, validate(schemas.listPickups), async (req, res) => {
+  try {
+    const filter = req.query.centerId ? { centerId: req.query.centerId } : {};
+    const pickups = await Pickup.find(filter)
+      .populate('userId', 'name email phone')
+      .sort({ requestDate: -1 });
+    
+    // console.log(`✅ Fetched ${pickups.length} pickups for admin`);
+    res.json(pickups);
+  } catch (err) {
+    console.error('❌ Error fetching all pickups:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Admin or assigned collector: Update pickup status (only transitions allowed by Pickup.STATUS_TRANSITIONS)
+router.put('/:id/status', auth, staffAuth, validate(schemas.updateStatus), async (req, res) => {
+  try {
+    const { status, note, measuredQuantity, contaminationPercent } = req.body;
+
+    const accessError = await collectorStopError(req.user, 'pickup', req.params.id, status);
+    if (accessError) {
+      return res.status(403).json({ message: accessError });
+    }
+
+    const result = await transitionPickup(req.params.id, status, {
+      actorId: req.user.userId,
+      note,
+      measurement: { measuredQuantity, contaminationPercent }
+    });
+    if (!result) {
+      return res.status(404).json({ message: 'Pickup not found' });
+    }
+
+    const populated = await Pickup.findById(result.pickup._id).populate('userId', 'name email phone');
+    if (!result.changed) {
+      return res.json({ message: `Pickup is already ${status}`, pickup: populated });
+    }
+    await refreshRoutesForStop('pickup', result.pickup._id);
+    const message = status === 'completed' ? 'Pickup marked as completed' : `Pickup status updated to ${status}`;
+    return res.json({ message, pickup: populated });
+  } catch (err) {
+    if (err instanceof PickupTransitionError) return transitionErrorResponse(res, err);
     console.error('❌ Error updating pickup status:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 });
 
 // Admin: Mark pickup completed
-router.put('/:id/complete', auth, adminAuth, async (req, res) => {
+router.put('/:id/complete', auth, adminAuth, validate(schemas.completePickup), async (req, res) => {
   try {
-    const pickup = await Pickup.findById(req.params.id).populate('userId');
-    if (!pickup) return res.status(404).json({ message: 'Pickup not found' });
+    const { measuredQuantity, contaminationPercent, note } = req.body;
+    const result = await transitionPickup(req.params.id, 'completed', {
+      actorId: req.user.userId,
+      note,
+      measurement: { measuredQuantity, contaminationPercent }
+    });
+    if (!result) return res.status(404).json({ message: 'Pickup not found' });
 
-    if (pickup.status === 'completed')
+    if (!result.changed)
       return res.status(400).json({ message: 'Pickup already completed' });
 
-    await applyCompletionSideEffects(pickup);
-    const populated = await Pickup.findById(pickup._id).populate('userId', 'name email phone');
+    await refreshRoutesForStop('pickup', result.pickup._id);
+    const populated = await Pickup.findById(result.pickup._id).populate('userId', 'name email phone');
 
     res.json({ message: 'Pickup marked as completed', pickup: populated });
   } catch (err) {
+    if (err instanceof PickupTransitionError) return transitionErrorResponse(res, err);
     console.error('❌ Error completing pickup:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
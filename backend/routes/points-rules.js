@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/points-rules');
+const PointsRules = require('../models/PointsRules');
+const { calculatePickupPoints } = require('../utils/pointsRules');
+
+// Public: current points rules (households can see what each waste type earns)
+router.get('/', async (req, res) => {
+  try {
+    const rules = await PointsRules.getCurrent();
+    res.json(rules);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Admin: update the points rules. Only the fields sent are changed; lists
+// (rates, campaigns) are replaced as a whole.
+router.put('/', auth, adminAuth, validate(schemas.updateRules), async (req, res) => {
+  try {
+    const invalidCampaign = (req.body.campaigns || []).find(c => c.endDate < c.startDate);
+    if (invalidCampaign) {
+      return res.status(400).json({ message: `Campaign "${invalidCampaign.name}" ends before it starts` });
+    }
+    const wasteTypes = (req.body.rates || []).map(r => r.wasteType);
+    if (new Set(wasteTypes).size !== wasteTypes.length) {
+      return res.status(400).json({ message: 'Each waste type can only have one rate' });
+    }
+
+    const rules = await PointsRules.getCurrent();
+    rules.set(req.body);
+    rules.updatedBy = req.user.userId;
+    await rules.save();
+
+    console.log(`✅ Admin ${req.user.userId} updated points rules`);
+    res.json({ message: 'Points rules updated', rules });
+  } catch (err) {
+    res.status(400).json({ message: 'Invalid points rules', error: err.message });
+  }
+});
+
+// Admin: try the current rules against a sample pickup without awarding anything
+router.post('/preview', auth, adminAuth, validate(schemas.preview), async (req, res) => {
+  try {
+    const { wasteType, quantity, isFirstPickup, streakWeeks, pointsThisMonth } = req.body;
+    const rules = await PointsRules.getCurrent();
+    const breakdown = calculatePickupPoints(rules, { wasteType, quantity }, { isFirstPickup, streakWeeks, pointsThisMonth });
+    res.json(breakdown);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+module.exports = router;
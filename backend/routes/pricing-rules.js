@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/pricing-rules');
+const PricingRules = require('../models/PricingRules');
+const { calculateOrderPrice } = require('../utils/pricing');
+
+// Public: current pricing rules (farmers can see the discounts and delivery fees)
+router.get('/', async (req, res) => {
+  try {
+    const rules = await PricingRules.getCurrent();
+    res.json(rules);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Admin: update the pricing rules. Only the fields sent are changed; lists
+// (tiers, taxes) are replaced as a whole. Placed orders keep the prices they were quoted.
+router.put('/', auth, adminAuth, validate(schemas.updateRules), async (req, res) => {
+  try {
+    const minimums = (req.body.quantityTiers || []).map(t => t.minQuantity);
+    if (new Set(minimums).size !== minimums.length) {
+      return res.status(400).json({ message: 'Each quantity tier needs a different minimum' });
+    }
+
+    const rules = await PricingRules.getCurrent();
+    rules.set(req.body);
+    rules.updatedBy = req.user.userId;
+    await rules.save();
+
+    console.log(`✅ Admin ${req.user.userId} updated pricing rules`);
+    res.json({ message: 'Pricing rules updated', rules });
+  } catch (err) {
+    res.status(400).json({ message: 'Invalid pricing rules', error: err.message });
+  }
+});
+
+// Admin: try the current rules against a sample order
+router.post('/preview', auth, adminAuth, validate(schemas.preview), async (req, res) => {
+  try {
+    const { pricePerKg, quantity, distanceKm } = req.body;
+    const rules = await PricingRules.getCurrent();
+    res.json(calculateOrderPrice(rules, { pricePerKg, quantity, distanceKm: distanceKm ?? null }));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+module.exports = router;
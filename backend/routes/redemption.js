@@ -1,12 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/redemption');
 const Redemption = require('../models/Redemption');
 const Reward = require('../models/Reward');
 const User = require('../models/User');
+const { redeemPoints, reverseTransaction, InsufficientPointsError } = require('../utils/points');
 
 // Redeem a reward
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, validate(schemas.redeem), async (req, res) => {
     try {
         const { rewardId } = req.body;
 
@@ -22,28 +25,39 @@ router.post('/', auth, async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
 
-        // Check if user has enough points
-        if (user.rewardPoints < reward.points) {
-            return res.status(400).json({ message: 'Insufficient points' });
-        }
-
-        // Deduct points
-        user.rewardPoints -= reward.points;
-        await user.save();
-
-        // Create redemption record
         const redemption = new Redemption({
             userId: user._id,
             rewardId: reward._id,
             rewardTitle: reward.title,
             pointsSpent: reward.points
         });
-        await redemption.save();
+
+        // Deduct points atomically; fails if the balance doesn't cover the reward
+        let debit;
+        try {
+            debit = await redeemPoints(user._id, reward.points, {
+                redemptionId: redemption._id,
+                description: `Redeemed: ${reward.title}`
+            });
+        } catch (err) {
+            if (err instanceof InsufficientPointsError) {
+                return res.status(400).json({ message: 'Insufficient points' });
+            }
+            throw err;
+        }
+
+        // Create redemption record, refunding the points if that fails
+        try {
+            await redemption.save();
+        } catch (err) {
+            await reverseTransaction(debit.transaction._id, { description: `Refund: ${reward.title} could not be redeemed` });
+            throw err;
+        }
 
         res.status(201).json({
             message: 'Reward redeemed successfully',
             redemption,
-            remainingPoints: user.rewardPoints
+            remainingPoints: debit.user.rewardPoints
         });
     } catch (err) {
         res.status(500).json({ message: 'Server error', error: err.message });
@@ -1,5 +1,7 @@
 const express = require('express');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/rewards');
 const Reward = require('../models/Reward');
 
 const router = express.Router();
@@ -15,7 +17,7 @@ router.get('/', async (req, res) => {
 });
 
 // Admin: create reward
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, validate(schemas.createReward), async (req, res) => {
 	try {
 		if (req.user.role !== 'admin') {
 			return res.status(403).json({ message: 'Admin access required' });
@@ -30,14 +32,15 @@ router.post('/', auth, async (req, res) => {
 });
 
 // Admin: update reward
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, validate(schemas.updateReward), async (req, res) => {
 	try {
 		if (req.user.role !== 'admin') {
 			return res.status(403).json({ message: 'Admin access required' });
 		}
 		const { id } = req.params;
+		// req.body only holds the whitelisted reward fields
 		const update = req.body;
-		const updated = await Reward.findByIdAndUpdate(id, update, { new: true });
+		const updated = await Reward.findByIdAndUpdate(id, update, { new: true, runValidators: true });
 		if (!updated) return res.status(404).json({ message: 'Reward not found' });
 		res.json(updated);
 	} catch (err) {
@@ -46,7 +49,7 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // Admin: delete reward
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, validate(schemas.deleteReward), async (req, res) => {
 	try {
 		if (req.user.role !== 'admin') {
 			return res.status(403).json({ message: 'Admin access required' });
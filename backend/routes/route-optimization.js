@@ -2,215 +2,183 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/route-optimization');
+const Vehicle = require('../models/Vehicle');
+const Pickup = require('../models/Pickup');
+const Order = require('../models/Order');
+const { optimizeLocations, routeMetrics, travelMinutes, explainRoute } = require('../utils/routeOptimizer');
+const { planFleetRoutes } = require('../utils/fleetPlanner');
+const {
+  DEFAULT_ROUTE_START,
+  combineDateTime,
+  pickupTimeWindow,
+  localDate,
+  windowForRouteDate
+} = require('../utils/timeWindows');
+const Center = require('../models/Center');
+const { nearestCenter, locateAddress } = require('../utils/serviceArea');
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+function vehicleSummary(vehicle) {
+  return {
+    id: vehicle._id,
+    name: vehicle.name,
+    registration: vehicle.registration,
+    capacityKg: vehicle.capacityKg,
+    shiftStart: vehicle.shiftStart,
+    shiftEnd: vehicle.shiftEnd
+  };
+}
 
-// Install: npm install @google/generative-ai@latest
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-// Initialize Gemini (add GEMINI_API_KEY to your .env file)
-const genAI = process.env.GEMINI_API_KEY
-  ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
-  : null;
-
-/**
- * Simple fallback optimization using nearest-neighbor algorithm
- * Used when Gemini API fails or is unavailable
- */
-function fallbackOptimization(locations) {
-  if (!locations || locations.length <= 2) return locations;
-
-  const unvisited = [...locations];
-  const route = [unvisited.shift()]; // Start with first location
-
-  while (unvisited.length > 0) {
-    const current = route[route.length - 1];
-    let nearestIdx = 0;
-    let minDist = Infinity;
-
-    // Find nearest unvisited location
-    unvisited.forEach((loc, idx) => {
-      const dist = Math.sqrt(
-        Math.pow(loc.lat - current.lat, 2) +
-        Math.pow(loc.lon - current.lon, 2)
-      );
-      if (dist < minDist) {
-        minDist = dist;
-        nearestIdx = idx;
-      }
-    });
-
-    route.push(unvisited.splice(nearestIdx, 1)[0]);
-  }
-
-  return route;
+// Planning uses the stored pickup/order quantity, kind and pickup time window rather than
+// what the browser sent. Windows on another day than the route are left out with a warning.
+// Stops that aren't stored pickups or orders keep the kind sent (pickup if none).
+async function withStoredDetails(stops, date) {
+  const ids = stops.map(s => s.id || s._id).filter(id => OBJECT_ID_PATTERN.test(id || ''));
+  const [pickups, orders] = await Promise.all([
+    Pickup.find({ _id: { $in: ids } }).select('quantity timeWindow pickupDate pickupTime'),
+    Order.find({ _id: { $in: ids } }).select('quantity')
+  ]);
+  const docs = new Map([...pickups, ...orders].map(doc => [String(doc._id), doc]));
+  const pickupIds = new Set(pickups.map(p => String(p._id)));
+  const orderIds = new Set(orders.map(o => String(o._id)));
+  const warnings = [];
+
+  const detailed = stops.map(stop => {
+    const id = String(stop.id || stop._id);
+    const doc = docs.get(id);
+    const result = { ...stop, quantity: doc ? doc.quantity : (stop.quantity ?? 0) };
+    if (pickupIds.has(id)) result.kind = 'pickup';
+    else if (orderIds.has(id)) result.kind = 'delivery';
+    delete result.timeWindow;
+
+    const { window, warning } = windowForRouteDate(
+      stop.name,
+      pickupIds.has(id) ? pickupTimeWindow(doc) : pickupTimeWindow(stop),
+      date
+    );
+    if (warning) warnings.push({ id: stop.id || stop._id || null, name: stop.name, message: warning });
+    if (window) result.timeWindow = window;
+    return result;
+  });
+
+  return { stops: detailed, warnings };
 }
 
-router.post('/optimize-route', auth, async (req, res) => {
-  console.log('--- Route Optimization Request v3 (Gemini 1.5) ---');
+router.post('/optimize-route', auth, validate(schemas.optimizeRoute), async (req, res) => {
+  console.log('--- Route Optimization Request ---');
   try {
     // Only admin can optimize routes
     if (req.user.role !== 'admin') {
       return res.status(403).json({ message: 'Admin access required' });
     }
 
-    const { locations } = req.body;
-
-    // Validate input
-    if (!locations || !Array.isArray(locations) || locations.length < 2) {
-      return res.status(400).json({
-        message: 'Please provide at least 2 locations with lat/lon coordinates'
-      });
-    }
+    // At least 2 locations, each with name, lat and lon (checked by validate)
+    const { locations, vehicleIds, startTime, centerId } = req.body;
+    const date = req.body.date || localDate(new Date());
 
-    // Validate each location has required fields
-    for (const loc of locations) {
-      if (!loc.lat || !loc.lon || !loc.name) {
-        return res.status(400).json({
-          message: 'Each location must have name, lat, and lon'
-        });
-      }
+    const vehicleFilter = vehicleIds ? { _id: { $in: vehicleIds }, active: true } : { active: true };
+    if (!vehicleIds && centerId) vehicleFilter.centerId = { $in: [centerId, null] };
+    const vehicles = await Vehicle.find(vehicleFilter).sort({ name: 1 });
+    if (vehicleIds && vehicles.length !== new Set(vehicleIds).size) {
+      return res.status(400).json({ message: 'One or more vehicles were not found or are inactive' });
     }
 
-    let optimizedOrder;
-    let method = 'gemini';
-
-    // Try Gemini optimization first
-    try {
-      if (!process.env.GEMINI_API_KEY || !genAI) {
-        throw new Error('Gemini API key not configured');
-      }
-
-      const model = genAI.getGenerativeModel({
-        model: 'models/gemini-2.5-flash',
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 1024,
-          responseMimeType: "application/json"
-        }
-      });
-
-
-      // Prepare location data for Gemini
-      const locationData = locations.map((loc, idx) => ({
-        index: idx,
-        id: loc.id || loc._id,
-        name: loc.name,
-        lat: loc.lat,
-        lon: loc.lon,
-        address: loc.address || ''
-      }));
-
-      // Craft optimization prompt for Gemini
-      const prompt = `
-You are a route optimization expert.
-Task: Optimize the route visiting sequence required to minimize total distance.
-Start at index 0. Visit all other locations exactly once.
-Return Strict JSON.
-
-LOCATIONS:
-${locationData.map((loc, i) => `${i}. ${loc.name} (${loc.lat}, ${loc.lon})`).join('\n')}
-
-OUTPUT FORMAT:
-{
-  "optimizedOrder": [0, 2, 1],
-  "reasoning": "Brief explanation of the route choice."
-}
-`;
-
-      console.log('Sending prompt to Gemini...');
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      let text = response.text();
-
-      console.log('📝 Raw Gemini Response:', text);
-
-      // Clean cleanup potential markdown
-      text = text.replace(/```json/g, '').replace(/```/g, '').trim();
-
-      // Parse Gemini response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        // Try parsing the whole text if regex failed (since we asked for JSON mode)
-        try {
-          JSON.parse(text);
-          // If success, use text directly
-        } catch (e) {
-          throw new Error('Could not find JSON in response: ' + text.substring(0, 100) + '...');
-        }
-      }
-
-      const geminiResult = JSON.parse(jsonMatch ? jsonMatch[0] : text);
-
-      // Validate response structure
-      if (!geminiResult.optimizedOrder || !Array.isArray(geminiResult.optimizedOrder)) {
-        throw new Error('Invalid Gemini response format');
-      }
-
-      // Map indices back to full location objects with ALL properties preserved
-      optimizedOrder = geminiResult.optimizedOrder.map(idx => {
-        const original = locations[idx];
-        const dataItem = locationData[idx];
-        return {
-          ...original,           // Keep ALL original properties
-          ...dataItem,           // Overlay with formatted data
-          quantity: original.quantity || dataItem.quantity || 0,
-          wasteType: original.wasteType,
-          phone: original.phone,
-          pickupDate: original.pickupDate,
-          pickupTime: original.pickupTime
-        };
+    // Compared with driving the stops in the order they were sent
+    const unoptimized = routeMetrics([...locations, locations[0]]);
+    const [depot, ...requested] = locations;
+    const { stops, warnings: dateWarnings } = await withStoredDetails(requested, date);
+
+    // Without a fleet, plan one uncapacitated route that starts and ends at locations[0]
+    if (!vehicles.length) {
+      const departure = combineDateTime(date, startTime || DEFAULT_ROUTE_START);
+      const { optimizedOrder, method, reasoning, warnings: windowWarnings, loadProfile } = await optimizeLocations(
+        [depot, ...stops],
+        { explain: true, departure }
+      );
+      const metrics = routeMetrics(optimizedOrder);
+      const timeSaved = Math.max(0, Math.round(
+        travelMinutes(unoptimized.totalDistance) - travelMinutes(metrics.totalDistance)
+      ));
+      const load = loadProfile.peakLoad;
+      const warnings = [...dateWarnings, ...windowWarnings];
+
+      return res.json({
+        success: true,
+        method, // 'exact' or 'local-search'
+        reasoning, // Gemini's explanation, or null when Gemini isn't configured
+        explainedBy: reasoning ? 'gemini' : null,
+        date,
+        departure,
+        // Each stop carries plannedArrival (plus waitMinutes/lateMinutes against its window)
+        // and loadAfter, the kg on board when leaving it
+        optimizedOrder: optimizedOrder.map((loc, idx) => ({
+          ...loc,
+          stopNumber: idx + 1
+        })),
+        metrics: {
+          ...metrics,
+          load,
+          timeSaved
+        },
+        loadProfile,
+        warnings,
+        routes: [{ vehicle: null, departure, optimizedOrder, method, reasoning, load, loadProfile, metrics, warnings: windowWarnings }],
+        unassigned: []
       });
-
-      console.log('✅ Gemini optimization successful');
-      console.log('Reasoning:', geminiResult.reasoning);
-
-    } catch (geminiError) {
-      // Fallback to simple nearest-neighbor algorithm
-      console.error('⚠️ Gemini optimization failed:', geminiError);
-      console.warn('Reason for failure:', geminiError.message);
-      if (geminiError.response) {
-        console.warn('Gemini Response Error:', await geminiError.response.text());
-      }
-
-      method = 'fallback';
-      optimizedOrder = fallbackOptimization(locations);
     }
 
-    // Calculate simple metrics
-    const calculateDistance = (loc1, loc2) => {
-      // Haversine formula for lat/lon distance (km)
-      const R = 6371; // Earth radius in km
-      const dLat = (loc2.lat - loc1.lat) * Math.PI / 180;
-      const dLon = (loc2.lon - loc1.lon) * Math.PI / 180;
-      const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(loc1.lat * Math.PI / 180) * Math.cos(loc2.lat * Math.PI / 180) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-      return R * c;
+    // Fleet: split the stops across vehicles by load along the route and shift length;
+    // each vehicle leaves at startTime or the start of its shift
+    const plan = planFleetRoutes(
+      depot,
+      stops,
+      vehicles.map(v => ({
+        id: String(v._id),
+        capacityKg: v.capacityKg,
+        shiftMinutes: v.shiftMinutes(),
+        depot: v.hasDepot() ? v.depot.toObject() : null,
+        departure: combineDateTime(date, startTime || v.shiftStart)
+      }))
+    );
+
+    const byId = new Map(vehicles.map(v => [String(v._id), v]));
+    const routes = await Promise.all(plan.routes.map(async route => ({
+      ...route,
+      vehicle: vehicleSummary(byId.get(route.vehicle.id)),
+      departure: route.vehicle.departure,
+      reasoning: await explainRoute(route.optimizedOrder, route.metrics)
+    })));
+    const warnings = [...dateWarnings, ...routes.flatMap(r => r.warnings)];
+
+    // Vehicles drive in parallel: the plan takes as long as its longest route
+    const metrics = {
+      totalStops: routes.reduce((sum, r) => sum + r.metrics.totalStops, 0),
+      totalDistance: Math.round(routes.reduce((sum, r) => sum + r.metrics.totalDistance, 0) * 100) / 100,
+      estimatedTime: Math.max(0, ...routes.map(r => r.metrics.estimatedTime)),
+      vehiclesUsed: routes.length
     };
+    metrics.timeSaved = Math.max(0, Math.round(
+      travelMinutes(unoptimized.totalDistance) - travelMinutes(metrics.totalDistance)
+    ));
 
-    let totalDistance = 0;
-    for (let i = 0; i < optimizedOrder.length - 1; i++) {
-      totalDistance += calculateDistance(optimizedOrder[i], optimizedOrder[i + 1]);
+    if (plan.unassigned.length) {
+      console.warn(`⚠️ ${plan.unassigned.length} stop(s) could not be assigned to a vehicle`);
     }
 
-    // Estimate time (assume 30 km/h average speed + 5 min per stop)
-    const travelTime = (totalDistance / 30) * 60; // minutes
-    const stopTime = optimizedOrder.length * 5; // 5 min per stop
-    const totalTime = Math.round(travelTime + stopTime);
-
     res.json({
       success: true,
-      method, // 'gemini' or 'fallback'
-      optimizedOrder: optimizedOrder.map((loc, idx) => ({
-        ...loc,
-        stopNumber: idx + 1
-      })),
-      metrics: {
-        totalStops: optimizedOrder.length,
-        totalDistance: Math.round(totalDistance * 100) / 100, // km, 2 decimals
-        estimatedTime: totalTime, // minutes
-        timeSaved: Math.round(optimizedOrder.length * 2) // rough estimate
-      }
+      method: routes[0]?.method || 'exact',
+      // First route kept at the top level for clients that only draw one route
+      optimizedOrder: routes[0]?.optimizedOrder || [depot],
+      reasoning: routes[0]?.reasoning || null,
+      date,
+      metrics,
+      warnings,
+      routes,
+      unassigned: plan.unassigned
     });
 
   } catch (error) {
@@ -224,35 +192,29 @@ OUTPUT FORMAT:
 
 /**
  * Helper endpoint to geocode addresses (optional)
- * Uses free Nominatim (OpenStreetMap) service
+ * Goes through the shared geocoder, so results are cached and carry their source
  */
-router.post('/geocode', auth, async (req, res) => {
+router.post('/geocode', auth, validate(schemas.geocode), async (req, res) => {
   try {
-    const { address } = req.body;
+    const centers = await Center.listActive();
+    const location = await locateAddress(req.body.address, centers);
 
-    if (!address) {
-      return res.status(400).json({ message: 'Address is required' });
+    if (!location) {
+      return res.status(404).json({ message: 'Address not found' });
     }
+    const { center, inside, distanceKm } = nearestCenter(centers, location);
 
-    // Use Nominatim for free geocoding
-    const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(address)}, Belagavi, Karnataka, India&limit=1`;
-
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'Waste2Wealth-App' }
+    res.json({
+      lat: location.lat,
+      lon: location.lon,
+      displayName: location.displayName,
+      confidence: location.confidence,
+      source: location.source,
+      centerId: center._id,
+      centerName: center.name,
+      inServiceArea: inside,
+      distanceKm
     });
-
-    const data = await response.json();
-
-    if (data && data.length > 0) {
-      res.json({
-        lat: parseFloat(data[0].lat),
-        lon: parseFloat(data[0].lon),
-        displayName: data[0].display_name
-      });
-    } else {
-      res.status(404).json({ message: 'Address not found' });
-    }
   } catch (error) {
     console.error('Geocoding error:', error);
     res.status(500).json({ message: 'Geocoding failed', error: error.message });
@@ -0,0 +1,345 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/route-plans');
+const RoutePlan = require('../models/RoutePlan');
+const User = require('../models/User');
+const Vehicle = require('../models/Vehicle');
+const Center = require('../models/Center');
+const {
+  ACTIVE_ROUTE_STATUSES,
+  COLLECTOR_STATUSES,
+  attachTimeWindows,
+  loadStopStatuses
+} = require('../utils/routePlans');
+const { optimizeLocations, routeMetrics, scheduleRoute } = require('../utils/routeOptimizer');
+const { DEFAULT_ROUTE_START, combineDateTime } = require('../utils/timeWindows');
+const { deliveryLoad, loadProfile } = require('../utils/vehicleLoad');
+
+async function findActiveCollector(collectorId) {
+  return User.findOne({ _id: collectorId, role: 'collector', active: { $ne: false } }).select('name email phone');
+}
+
+// Route with the live status of each stop, as shown on the collector's phone
+async function routeWithProgress(route) {
+  const stops = await loadStopStatuses(route);
+  const workStops = stops.filter(s => s.stop.kind !== 'depot');
+
+  return {
+    ...route.toObject(),
+    stops: stops.map(({ stop, doc, status, finished }) => ({
+      ...stop.toObject(),
+      status,
+      finished,
+      orderNumber: doc?.orderNumber,
+      measuredQuantity: doc?.measuredQuantity,
+      contaminationPercent: doc?.contaminationPercent
+    })),
+    progress: {
+      finished: workStops.filter(s => s.finished).length,
+      total: workStops.length
+    },
+    allowedStatuses: route.type === 'mixed'
+      ? [...COLLECTOR_STATUSES.pickup, ...COLLECTOR_STATUSES.delivery]
+      : COLLECTOR_STATUSES[route.type]
+  };
+}
+
+// Warnings as stored on a RoutePlan
+function planWarnings(warnings) {
+  return warnings.map(({ name, message, lateMinutes }) => ({ name, message, lateMinutes }));
+}
+
+// Plain stop fields in visiting order, ready to store on a RoutePlan
+function sequenceStops(stops) {
+  return stops.map((s, index) => ({
+    sequence: index,
+    kind: s.kind,
+    pickupId: s.pickupId,
+    orderId: s.orderId,
+    name: s.name,
+    address: s.address,
+    phone: s.phone,
+    lat: s.lat,
+    lon: s.lon,
+    quantity: s.quantity,
+    windowStart: s.timeWindow?.start,
+    windowEnd: s.timeWindow?.end,
+    plannedArrival: s.plannedArrival,
+    loadAfter: s.loadAfter
+  }));
+}
+
+// Save a route plan, optionally assigning it to a collector straight away (Admin only)
+router.post('/', auth, adminAuth, validate(schemas.createRoute), async (req, res) => {
+  try {
+    const { type, date, startTime, name, centerId, vehicleId, collectorId, stops, method, reasoning } = req.body;
+
+    if (centerId && !(await Center.exists({ _id: centerId }))) {
+      return res.status(400).json({ message: 'Center not found' });
+    }
+
+    let vehicle = null;
+    if (vehicleId) {
+      vehicle = await Vehicle.findById(vehicleId);
+      if (!vehicle) {
+        return res.status(400).json({ message: 'Vehicle not found' });
+      }
+    }
+
+    let collector = null;
+    if (collectorId) {
+      collector = await findActiveCollector(collectorId);
+      if (!collector) {
+        return res.status(400).json({ message: 'Collector not found or inactive' });
+      }
+    }
+
+    const wrongKind = type !== 'mixed' && stops.find(s => s.kind !== 'depot' && s.kind !== type);
+    if (wrongKind) {
+      return res.status(400).json({ message: `A ${type} route cannot contain ${wrongKind.kind} stops` });
+    }
+    if (stops.some(s => s.kind !== 'depot' && !s.refId)) {
+      return res.status(400).json({ message: 'Every pickup or delivery stop needs a refId' });
+    }
+
+    // Planned arrivals are worked out here from the stored time windows, not taken from the client
+    const departure = combineDateTime(date, startTime || vehicle?.shiftStart || DEFAULT_ROUTE_START);
+    const { stops: windowed, warnings: dateWarnings } = await attachTimeWindows(stops.map(s => ({
+      ...s,
+      pickupId: s.kind === 'pickup' ? s.refId : undefined,
+      orderId: s.kind === 'delivery' ? s.refId : undefined
+    })), date);
+    const schedule = scheduleRoute(windowed, departure);
+    const profile = loadProfile(schedule.stops);
+    const planStops = sequenceStops(profile.stops);
+    const load = profile.peakLoad;
+    if (vehicle && load > vehicle.capacityKg) {
+      return res.status(400).json({
+        message: `Route load peaks at ${load} kg, over ${vehicle.name}'s capacity of ${vehicle.capacityKg} kg`
+      });
+    }
+
+    const route = await RoutePlan.create({
+      type,
+      date: new Date(date),
+      name,
+      centerId,
+      vehicleId: vehicle?._id,
+      vehicle: vehicle ? vehicle.name : req.body.vehicle,
+      collectorId: collector?._id,
+      assignedBy: collector ? req.user.userId : undefined,
+      assignedAt: collector ? new Date() : undefined,
+      createdBy: req.user.userId,
+      method: method || 'manual',
+      reasoning,
+      optimizedAt: method ? new Date() : undefined,
+      departureAt: departure,
+      stops: planStops,
+      warnings: planWarnings([...dateWarnings, ...schedule.warnings]),
+      // Metrics are always recalculated from the stops rather than trusted from the client
+      metrics: { ...routeMetrics(planStops), load }
+    });
+
+    console.log(`🗺️ ${type} route ${route._id} saved${collector ? ` and assigned to ${collector.email}` : ''}`);
+    res.status(201).json({
+      message: collector ? `Route saved and assigned to ${collector.name}` : 'Route saved',
+      route
+    });
+  } catch (error) {
+    console.error('❌ Route save error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List saved route plans; archived plans only when asked for (Admin only)
+router.get('/', auth, adminAuth, validate(schemas.listRoutes), async (req, res) => {
+  try {
+    const { date, type, status, collectorId, centerId } = req.query;
+
+    const filter = { status: status || { $ne: 'archived' } };
+    if (type) filter.type = type;
+    if (collectorId) filter.collectorId = collectorId;
+    if (centerId) filter.centerId = centerId;
+    if (date) {
+      const start = new Date(`${date}T00:00:00.000Z`);
+      filter.date = { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+    }
+
+    const routes = await RoutePlan.find(filter)
+      .populate('collectorId', 'name email')
+      .sort({ date: -1, createdAt: -1 })
+      .limit(100);
+
+    res.json(routes);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Routes assigned to the logged-in collector, with live stop statuses
+router.get('/mine', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'collector') {
+      return res.status(403).json({ message: 'Only collectors have assigned routes' });
+    }
+
+    const routes = await RoutePlan.find({
+      collectorId: req.user.userId,
+      status: { $in: ACTIVE_ROUTE_STATUSES }
+    }).sort({ date: 1, createdAt: 1 });
+
+    res.json(await Promise.all(routes.map(routeWithProgress)));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Fetch one plan with live stop statuses (Admin, or the collector it is assigned to)
+router.get('/:id', auth, staffAuth, validate(schemas.getRoute), async (req, res) => {
+  try {
+    const route = await RoutePlan.findById(req.params.id).populate('collectorId', 'name email phone');
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+    if (req.user.role === 'collector' && String(route.collectorId?._id) !== String(req.user.userId)) {
+      return res.status(403).json({ message: 'This route is not assigned to you' });
+    }
+
+    res.json(await routeWithProgress(route));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Reassign a route that hasn't finished yet (Admin only)
+router.put('/:id/assign', auth, adminAuth, validate(schemas.assignRoute), async (req, res) => {
+  try {
+    const collector = await findActiveCollector(req.body.collectorId);
+    if (!collector) {
+      return res.status(400).json({ message: 'Collector not found or inactive' });
+    }
+
+    const route = await RoutePlan.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ACTIVE_ROUTE_STATUSES } },
+      { collectorId: collector._id, assignedBy: req.user.userId, assignedAt: new Date() },
+      { new: true }
+    );
+    if (!route) {
+      return res.status(404).json({ message: 'Active route not found' });
+    }
+
+    res.json({ message: `Route assigned to ${collector.name}`, route });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Re-run the optimizer on the stops still to visit, using their current coordinates.
+// Finished stops keep their place so a route in progress can be re-planned mid-shift. (Admin only)
+router.post('/:id/reoptimize', auth, adminAuth, validate(schemas.reoptimizeRoute), async (req, res) => {
+  try {
+    const route = await RoutePlan.findById(req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+    if (!ACTIVE_ROUTE_STATUSES.includes(route.status)) {
+      return res.status(400).json({ message: `A ${route.status} route cannot be re-optimized` });
+    }
+
+    const date = route.date.toISOString().slice(0, 10);
+    const { stops, warnings: dateWarnings } = await attachTimeWindows(
+      (await loadStopStatuses(route)).map(({ stop, doc, finished }) => ({
+        ...stop.toObject(),
+        // Coordinates may have been corrected since the plan was saved
+        lat: doc?.lat ?? stop.lat,
+        lon: doc?.lon ?? stop.lon,
+        finished
+      })),
+      date
+    );
+
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+    const startDepot = first?.kind === 'depot' ? first : null;
+    const endDepot = stops.length > 1 && last.kind === 'depot' ? last : null;
+    const done = stops.filter(s => s.kind !== 'depot' && s.finished);
+    const remaining = stops.filter(s => s.kind !== 'depot' && !s.finished);
+
+    // Continue from wherever the collector is now: the last finished stop, or the depot,
+    // leaving at the planned departure or now, whichever is later
+    const anchor = done[done.length - 1] || startDepot;
+    const departure = route.departureAt || combineDateTime(date, DEFAULT_ROUTE_START);
+    const leaveAt = new Date(Math.max(Date.now(), departure.getTime()));
+    let ordered = remaining;
+    let finish = endDepot;
+    let method = route.method;
+    let warnings = [];
+    if (remaining.length) {
+      // The anchor is where the vehicle leaves from, not a stop to be timed against its window
+      const locations = anchor ? [{ ...anchor, timeWindow: undefined }, ...remaining] : remaining;
+      // On board now: compost still to deliver plus waste already collected
+      const startLoad = deliveryLoad(remaining) + done
+        .filter(s => s.kind === 'pickup')
+        .reduce((sum, s) => sum + (s.quantity || 0), 0);
+      const vehicle = route.vehicleId ? await Vehicle.findById(route.vehicleId).select('capacityKg') : null;
+      const result = await optimizeLocations(locations, {
+        returnTo: endDepot,
+        departure: leaveAt,
+        capacity: vehicle ? vehicle.capacityKg : null,
+        startLoad
+      });
+      ordered = result.optimizedOrder.slice(anchor ? 1 : 0, endDepot ? -1 : undefined);
+      if (endDepot) finish = result.optimizedOrder[result.optimizedOrder.length - 1];
+      method = result.method;
+      warnings = result.warnings;
+    }
+
+    const profile = loadProfile([
+      ...(startDepot ? [startDepot] : []),
+      ...done,
+      ...ordered,
+      ...(finish ? [finish] : [])
+    ]);
+    const newStops = sequenceStops(profile.stops);
+
+    route.stops = newStops;
+    route.departureAt = departure;
+    route.warnings = planWarnings([...dateWarnings, ...warnings]);
+    route.metrics = { ...routeMetrics(newStops), load: profile.peakLoad };
+    route.method = method;
+    // The old explanation no longer describes the new order
+    route.reasoning = undefined;
+    route.optimizedAt = new Date();
+    await route.save();
+
+    console.log(`🗺️ Route ${route._id} re-optimized (${method})`);
+    res.json({ message: 'Route re-optimized', route: await routeWithProgress(route) });
+  } catch (error) {
+    console.error('❌ Route re-optimization error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Archive a plan so it drops off the planner and the collector's list (Admin only)
+router.put('/:id/archive', auth, adminAuth, validate(schemas.archiveRoute), async (req, res) => {
+  try {
+    const route = await RoutePlan.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'archived' } },
+      { status: 'archived', archivedAt: new Date(), archivedBy: req.user.userId },
+      { new: true }
+    );
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found or already archived' });
+    }
+
+    res.json({ message: 'Route archived', route });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
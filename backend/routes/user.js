@@ -1,7 +1,80 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/user');
 const User = require('../models/User');
+const PointsTransaction = require('../models/PointsTransaction');
+const { adjustPoints, InsufficientPointsError } = require('../utils/points');
+const { revokeAllSessions } = require('../utils/sessions');
+const { sendInviteEmail } = require('../utils/mailer');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Fields admins see in the user management list
+function adminUserView(user) {
+    return {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+        address: user.address,
+        rewardPoints: user.rewardPoints || 0,
+        active: user.active !== false,
+        invitePending: !!user.invitePending,
+        emailVerified: !!user.emailVerified,
+        deactivatedAt: user.deactivatedAt,
+        createdAt: user.createdAt
+    };
+}
+
+// One page of a user's points ledger, newest first, with the current balance
+async function pointsStatement(userId, { page, limit }) {
+    const user = await User.findById(userId).select('rewardPoints');
+    if (!user) return null;
+
+    const filter = { userId: user._id };
+    const [total, transactions, first] = await Promise.all([
+        PointsTransaction.countDocuments(filter),
+        PointsTransaction.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('actorId', 'name'),
+        PointsTransaction.findOne(filter).sort({ createdAt: 1, _id: 1 })
+    ]);
+
+    return {
+        balance: user.rewardPoints || 0,
+        // Points held before the ledger existed (accounts created earlier)
+        openingBalance: first ? first.balanceAfter - first.points : user.rewardPoints || 0,
+        page,
+        pages: Math.max(1, Math.ceil(total / limit)),
+        total,
+        transactions: transactions.map(t => ({
+            id: t._id,
+            type: t.type,
+            points: t.points,
+            balanceAfter: t.balanceAfter,
+            description: t.description,
+            pickupId: t.pickupId,
+            redemptionId: t.redemptionId,
+            actor: t.actorId ? { id: t.actorId._id, name: t.actorId.name } : null,
+            reversed: !!t.reversedAt,
+            createdAt: t.createdAt
+        }))
+    };
+}
+
+// Refuse changes that would leave the system without an active admin
+async function isLastActiveAdmin(user) {
+    if (user.role !== 'admin' || user.active === false) return false;
+    const otherAdmins = await User.countDocuments({ _id: { $ne: user._id }, role: 'admin', active: { $ne: false } });
+    return otherAdmins === 0;
+}
 
 // Get logged-in user info (for points)
 router.get('/me', auth, async (req, res) => {
@@ -22,59 +95,212 @@ router.get('/me', auth, async (req, res) => {
     }
 });
 
-// Update user points (used for redemptions)
-router.put('/points', auth, async (req, res) => {
+// Points statement for the logged-in user, newest first
+router.get('/me/points/history', auth, validate(schemas.pointsHistory), async (req, res) => {
     try {
-        const { pointsToDeduct } = req.body;
-        
-        if (!pointsToDeduct || pointsToDeduct <= 0) {
-            return res.status(400).json({ message: 'Invalid points value' });
+        const statement = await pointsStatement(req.user.userId, req.query);
+        if (!statement) return res.status(404).json({ message: 'User not found' });
+        res.json(statement);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// Admin: list users, optionally filtered by role, status and a name/email/phone search
+router.get('/', auth, adminAuth, validate(schemas.listUsers), async (req, res) => {
+    try {
+        const { role, status, q } = req.query;
+        const filter = {};
+        if (role) filter.role = role;
+        if (status === 'active') filter.active = { $ne: false };
+        if (status === 'deactivated') filter.active = false;
+        if (status === 'invited') filter.invitePending = true;
+        if (q) {
+            const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
         }
 
-        const user = await User.findById(req.user.userId);
-        if (!user) return res.status(404).json({ message: 'User not found' });
+        const users = await User.find(filter).sort({ createdAt: -1 });
+        res.json(users.map(adminUserView));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
 
-        // Check if user has enough points
-        if (user.rewardPoints < pointsToDeduct) {
-            return res.status(400).json({ message: 'Insufficient points' });
+// Admin: create a user with a password chosen by the admin
+router.post('/', auth, adminAuth, validate(schemas.createUser), async (req, res) => {
+    try {
+        const { name, email, password, role, address, phone } = req.body;
+        if (await User.findOne({ email })) {
+            return res.status(400).json({ message: 'User already exists' });
         }
 
-        // Deduct points
-        user.rewardPoints -= pointsToDeduct;
+        const user = new User({ name, email, password, role, address, phone, invitedBy: req.user.userId });
         await user.save();
 
-        res.json({
-            message: 'Points updated successfully',
-            rewardPoints: user.rewardPoints
+        console.log(`✅ Admin ${req.user.userId} created ${role} user ${user._id}`);
+        res.status(201).json({ message: 'User created successfully', user: adminUserView(user) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// Admin: invite a user by email; they choose their own password from the emailed link
+router.post('/invite', auth, adminAuth, validate(schemas.inviteUser), async (req, res) => {
+    try {
+        const { name, email, role, address, phone } = req.body;
+        if (await User.findOne({ email })) {
+            return res.status(400).json({ message: 'User already exists' });
+        }
+
+        const user = new User({
+            name,
+            email,
+            role,
+            address,
+            phone,
+            // Unusable placeholder until the invitee sets a password
+            password: crypto.randomBytes(32).toString('hex'),
+            invitedBy: req.user.userId,
+            invitePending: true
+        });
+        const token = user.createPasswordResetToken(INVITE_TTL_MS);
+        await user.save();
+
+        const inviter = await User.findById(req.user.userId).select('name');
+        let emailSent = true;
+        try {
+            await sendInviteEmail(user, token, inviter);
+        } catch (mailErr) {
+            emailSent = false;
+            console.error(`❌ Failed to send invite email to ${user.email}:`, mailErr.message);
+        }
+
+        res.status(201).json({
+            message: emailSent ? 'Invitation sent' : 'User created, but the invitation email could not be sent',
+            emailSent,
+            user: adminUserView(user)
         });
     } catch (err) {
         res.status(500).json({ message: 'Server error', error: err.message });
     }
 });
 
-// Add points (used internally when pickups are completed)
-router.post('/points/add', auth, async (req, res) => {
+// Admin: change a user's role (their sessions are ended so the new role takes effect)
+router.put('/:id/role', auth, adminAuth, validate(schemas.changeRole), async (req, res) => {
     try {
-        const { userId, pointsToAdd } = req.body;
-        
-        if (!pointsToAdd || pointsToAdd <= 0) {
-            return res.status(400).json({ message: 'Invalid points value' });
+        const { role } = req.body;
+
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'User not found' });
+
+        if (user.role === role) {
+            return res.json({ message: `User is already ${role}`, user: adminUserView(user) });
+        }
+        if (await isLastActiveAdmin(user)) {
+            return res.status(400).json({ message: 'Cannot change the role of the last active admin' });
         }
 
-        // If userId is provided (admin adding points), use that; otherwise use authenticated user
-        const targetUserId = userId || req.user.userId;
-        
-        const user = await User.findById(targetUserId);
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+        await revokeAllSessions(user._id, 'role-changed');
+
+        console.log(`✅ Admin ${req.user.userId} changed role of ${user._id}: ${previousRole} → ${role}`);
+        res.json({ message: `Role changed to ${role}`, user: adminUserView(user) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// Admin: deactivate a user and end all of their sessions
+router.put('/:id/deactivate', auth, adminAuth, validate(schemas.userId), async (req, res) => {
+    try {
+        if (String(req.params.id) === String(req.user.userId)) {
+            return res.status(400).json({ message: 'You cannot deactivate your own account' });
+        }
+
+        const user = await User.findById(req.params.id);
         if (!user) return res.status(404).json({ message: 'User not found' });
 
-        user.rewardPoints = (user.rewardPoints || 0) + pointsToAdd;
+        if (user.active === false) {
+            return res.json({ message: 'User is already deactivated', user: adminUserView(user) });
+        }
+        if (await isLastActiveAdmin(user)) {
+            return res.status(400).json({ message: 'Cannot deactivate the last active admin' });
+        }
+
+        user.active = false;
+        user.deactivatedAt = new Date();
         await user.save();
+        const revoked = await revokeAllSessions(user._id, 'deactivated');
 
-        res.json({
-            message: 'Points added successfully',
-            rewardPoints: user.rewardPoints
+        console.log(`⚠️ Admin ${req.user.userId} deactivated user ${user._id} (${revoked} sessions revoked)`);
+        res.json({ message: 'User deactivated', user: adminUserView(user) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// Admin: reactivate a previously deactivated user
+router.put('/:id/reactivate', auth, adminAuth, validate(schemas.userId), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'User not found' });
+
+        if (user.active !== false) {
+            return res.json({ message: 'User is already active', user: adminUserView(user) });
+        }
+
+        user.active = true;
+        user.deactivatedAt = undefined;
+        await user.save();
+
+        console.log(`✅ Admin ${req.user.userId} reactivated user ${user._id}`);
+        res.json({ message: 'User reactivated', user: adminUserView(user) });
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// Admin: a household's points statement
+router.get('/:id/points/history', auth, adminAuth, validate(schemas.userPointsHistory), async (req, res) => {
+    try {
+        const statement = await pointsStatement(req.params.id, req.query);
+        if (!statement) return res.status(404).json({ message: 'User not found' });
+        res.json(statement);
+    } catch (err) {
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+});
+
+// Admin: credit (positive) or debit (negative) a household's points with a reason.
+// The ledger entry records the admin who made the change.
+router.post('/:id/points/adjust', auth, adminAuth, validate(schemas.adjustPoints), async (req, res) => {
+    try {
+        const { points, reason } = req.body;
+
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'User not found' });
+        if (user.role !== 'household') {
+            return res.status(400).json({ message: 'Points can only be adjusted for household accounts' });
+        }
+
+        const { user: updated, transaction } = await adjustPoints(user._id, points, {
+            description: reason,
+            actorId: req.user.userId
+        });
+
+        console.log(`✅ Admin ${req.user.userId} adjusted points of ${user._id} by ${points}: ${reason}`);
+        res.status(201).json({
+            message: `${points > 0 ? 'Credited' : 'Debited'} ${Math.abs(points)} points`,
+            rewardPoints: updated.rewardPoints,
+            transaction
         });
     } catch (err) {
+        if (err instanceof InsufficientPointsError) {
+            return res.status(400).json({ message: `Cannot debit ${err.required} points, balance is ${err.balance}` });
+        }
         res.status(500).json({ message: 'Server error', error: err.message });
     }
 });
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/vehicles');
+const Vehicle = require('../models/Vehicle');
+
+// A shift must end after it starts; returns an error message or null
+function shiftError({ shiftStart, shiftEnd }) {
+  if (shiftStart && shiftEnd && shiftEnd <= shiftStart) {
+    return 'Shift end must be after shift start';
+  }
+  return null;
+}
+
+// Admin: list vehicles (optionally only active ones, or those able to work from a center)
+router.get('/', auth, adminAuth, validate(schemas.listVehicles), async (req, res) => {
+  try {
+    const filter = req.query.active === undefined ? {} : { active: req.query.active };
+    if (req.query.centerId) filter.centerId = { $in: [req.query.centerId, null] };
+    const vehicles = await Vehicle.find(filter).sort({ active: -1, name: 1 });
+    res.json(vehicles);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Admin: add a vehicle
+router.post('/', auth, adminAuth, validate(schemas.createVehicle), async (req, res) => {
+  try {
+    const error = shiftError(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const vehicle = await Vehicle.create(req.body);
+    res.status(201).json(vehicle);
+  } catch (error) {
+    res.status(400).json({ message: 'Invalid vehicle', error: error.message });
+  }
+});
+
+// Admin: update a vehicle (capacity, depot, shift hours, active)
+router.put('/:id', auth, adminAuth, validate(schemas.updateVehicle), async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) return res.status(404).json({ message: 'Vehicle not found' });
+
+    vehicle.set(req.body);
+    const error = shiftError(vehicle);
+    if (error) return res.status(400).json({ message: error });
+
+    await vehicle.save();
+    res.json(vehicle);
+  } catch (error) {
+    res.status(400).json({ message: 'Update failed', error: error.message });
+  }
+});
+
+// Admin: delete a vehicle. Saved route plans keep the vehicle name they were planned with.
+router.delete('/:id', auth, adminAuth, validate(schemas.deleteVehicle), async (req, res) => {
+  try {
+    const deleted = await Vehicle.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ message: 'Vehicle not found' });
+    res.json({ message: 'Deleted', id: req.params.id });
+  } catch (error) {
+    res.status(400).json({ message: 'Delete failed', error: error.message });
+  }
+});
+
+module.exports = router;
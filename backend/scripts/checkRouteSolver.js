@@ -0,0 +1,286 @@
+// Check the route solver against brute force on small random inputs.
+// Usage: node scripts/checkRouteSolver.js [cases-per-size]
+//
+// For every case it verifies that the solver returns each stop exactly once, that
+// the exact search matches an independent brute force, and reports how far the
+// local search (used for larger routes) lands from the true optimum. Cases are run
+// without constraints, with time windows, and mixing pickups and deliveries in a
+// vehicle of limited capacity.
+const { haversineKm } = require('../utils/geo');
+const { solveRoute } = require('../utils/routeSolver');
+
+const CASES_PER_SIZE = parseInt(process.argv[2], 10) || 50;
+const MAX_STOPS = 8;
+// Local search is a heuristic; flag anything noticeably worse than optimal
+const MAX_LOCAL_SEARCH_GAP = 0.05;
+const MINUTES_PER_KM = 2; // 30 km/h
+const SERVICE_MINUTES = 5;
+
+// Small seeded PRNG (mulberry32) so failures can be reproduced
+function createRandom(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Random points within ~15 km of the default depot
+function randomLocations(random, stops) {
+  const depot = { lat: 16.296188, lon: 74.527439 };
+  return [depot, ...Array.from({ length: stops }, () => ({
+    lat: depot.lat + (random() - 0.5) * 0.27,
+    lon: depot.lon + (random() - 0.5) * 0.27
+  }))];
+}
+
+function* permutations(items) {
+  if (items.length <= 1) {
+    yield items;
+    return;
+  }
+  for (let i = 0; i < items.length; i++) {
+    const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+    for (const perm of permutations(rest)) {
+      yield [items[i], ...perm];
+    }
+  }
+}
+
+function routeLength(locations, order, end) {
+  const points = order.map(idx => locations[idx]);
+  if (end) points.push(end);
+  let total = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    total += haversineKm(points[i], points[i + 1]);
+  }
+  return total;
+}
+
+function bruteForce(locations, end) {
+  const stops = locations.map((_, idx) => idx).slice(1);
+  let best = Infinity;
+  for (const perm of permutations(stops)) {
+    best = Math.min(best, routeLength(locations, [0, ...perm], end));
+  }
+  return best;
+}
+
+// Random 1-2 hour windows within the first 3 hours for about half the stops
+function randomWindows(random, count) {
+  return Array.from({ length: count }, (_, idx) => {
+    if (idx === 0 || random() < 0.5) return null;
+    const start = Math.floor(random() * 180);
+    return { start, end: start + 60 + Math.floor(random() * 60) };
+  });
+}
+
+function lateness(locations, order, end, windows) {
+  const points = order.map(idx => ({ ...locations[idx], window: windows[idx] }));
+  if (end) points.push({ ...end, window: null, isEnd: true });
+  let time = 0;
+  let late = 0;
+  for (let i = 1; i < points.length; i++) {
+    time += haversineKm(points[i - 1], points[i]) * MINUTES_PER_KM;
+    const window = points[i].window;
+    if (window) {
+      time = Math.max(time, window.start);
+      late += Math.max(0, time - window.end);
+    }
+    if (!points[i].isEnd) time += SERVICE_MINUTES;
+  }
+  return late;
+}
+
+// Least lateness, then shortest distance
+function bruteForceWindows(locations, end, windows) {
+  const stops = locations.map((_, idx) => idx).slice(1);
+  let best = { late: Infinity, distance: Infinity };
+  for (const perm of permutations(stops)) {
+    const order = [0, ...perm];
+    const late = lateness(locations, order, end, windows);
+    const distance = routeLength(locations, order, end);
+    if (late < best.late - 1e-9 || (Math.abs(late - best.late) <= 1e-9 && distance < best.distance - 1e-9)) {
+      best = { late, distance };
+    }
+  }
+  return best;
+}
+
+// Random pickups (+kg) and deliveries (-kg) for a vehicle that can't always carry everything
+function randomLoads(random, count) {
+  return Array.from({ length: count }, (_, idx) => {
+    if (idx === 0) return 0;
+    const quantity = 5 + Math.floor(random() * 30);
+    return random() < 0.5 ? -quantity : quantity;
+  });
+}
+
+// Kg over capacity summed over the stops, starting with every delivery on board
+function overload(order, loads, capacity) {
+  let load = loads.reduce((sum, change) => sum + Math.max(0, -change), 0);
+  let total = Math.max(0, load - capacity);
+  for (const idx of order.slice(1)) {
+    load += loads[idx];
+    total += Math.max(0, load - capacity);
+  }
+  return total;
+}
+
+// Least overload, then shortest distance
+function bruteForceLoads(locations, end, loads, capacity) {
+  const stops = locations.map((_, idx) => idx).slice(1);
+  let best = { overload: Infinity, distance: Infinity };
+  for (const perm of permutations(stops)) {
+    const order = [0, ...perm];
+    const over = overload(order, loads, capacity);
+    const distance = routeLength(locations, order, end);
+    if (over < best.overload - 1e-9 || (Math.abs(over - best.overload) <= 1e-9 && distance < best.distance - 1e-9)) {
+      best = { overload: over, distance };
+    }
+  }
+  return best;
+}
+
+function isValidOrder(order, count) {
+  return order[0] === 0 &&
+    order.length === count &&
+    new Set(order).size === count &&
+    order.every(idx => idx >= 0 && idx < count);
+}
+
+let failures = 0;
+let worstGap = 0;
+let optimalLocalRuns = 0;
+let totalRuns = 0;
+
+for (let stops = 1; stops <= MAX_STOPS; stops++) {
+  for (let c = 0; c < CASES_PER_SIZE; c++) {
+    const random = createRandom(stops * 100000 + c);
+    const locations = randomLocations(random, stops);
+
+    // Closed routes (back to the depot) and open routes
+    for (const end of [locations[0], null]) {
+      const optimum = bruteForce(locations, end);
+      const exact = solveRoute(locations, { end, exact: true });
+      const local = solveRoute(locations, { end, exact: false });
+      const label = `stops=${stops} case=${c} ${end ? 'closed' : 'open'}`;
+      totalRuns++;
+
+      for (const [name, result] of [['exact', exact], ['local-search', local]]) {
+        if (!isValidOrder(result.order, locations.length)) {
+          console.error(`❌ ${label}: ${name} returned an invalid order ${JSON.stringify(result.order)}`);
+          failures++;
+        }
+        const measured = routeLength(locations, result.order, end);
+        if (Math.abs(measured - result.distance) > 1e-6) {
+          console.error(`❌ ${label}: ${name} reported ${result.distance} km but the order is ${measured} km`);
+          failures++;
+        }
+      }
+
+      if (Math.abs(exact.distance - optimum) > 1e-6) {
+        console.error(`❌ ${label}: exact search found ${exact.distance} km, brute force ${optimum} km`);
+        failures++;
+      }
+
+      const gap = optimum > 0 ? (local.distance - optimum) / optimum : 0;
+      if (gap <= 1e-9) optimalLocalRuns++;
+      worstGap = Math.max(worstGap, gap);
+      if (gap > MAX_LOCAL_SEARCH_GAP) {
+        console.error(`❌ ${label}: local search is ${(gap * 100).toFixed(2)}% above optimal`);
+        failures++;
+      }
+    }
+  }
+}
+
+let windowRuns = 0;
+let windowLocalOnTime = 0;
+for (let stops = 1; stops <= MAX_STOPS; stops++) {
+  for (let c = 0; c < CASES_PER_SIZE; c++) {
+    const random = createRandom(stops * 100000 + c + 7);
+    const locations = randomLocations(random, stops);
+    const windows = randomWindows(random, locations.length);
+    const end = locations[0];
+    const options = { end, windows, minutesPerKm: MINUTES_PER_KM, serviceMinutes: SERVICE_MINUTES };
+    const label = `windows stops=${stops} case=${c}`;
+    windowRuns++;
+
+    const optimum = bruteForceWindows(locations, end, windows);
+    const exact = solveRoute(locations, { ...options, exact: true });
+    const local = solveRoute(locations, { ...options, exact: false });
+
+    for (const [name, result] of [['exact', exact], ['local-search', local]]) {
+      if (!isValidOrder(result.order, locations.length)) {
+        console.error(`❌ ${label}: ${name} returned an invalid order ${JSON.stringify(result.order)}`);
+        failures++;
+      }
+      const measured = lateness(locations, result.order, end, windows);
+      if (Math.abs(measured - result.lateMinutes) > 1e-6) {
+        console.error(`❌ ${label}: ${name} reported ${result.lateMinutes} late minutes but the order has ${measured}`);
+        failures++;
+      }
+    }
+
+    if (Math.abs(exact.lateMinutes - optimum.late) > 1e-6 || Math.abs(exact.distance - optimum.distance) > 1e-6) {
+      console.error(`❌ ${label}: exact search found ${exact.lateMinutes} min late / ${exact.distance} km, brute force ${optimum.late} / ${optimum.distance}`);
+      failures++;
+    }
+    if (local.lateMinutes <= optimum.late + 1e-6) windowLocalOnTime++;
+  }
+}
+
+let loadRuns = 0;
+for (let stops = 1; stops <= MAX_STOPS; stops++) {
+  for (let c = 0; c < CASES_PER_SIZE; c++) {
+    const random = createRandom(stops * 100000 + c + 13);
+    const locations = randomLocations(random, stops);
+    const loads = randomLoads(random, locations.length);
+    const startLoad = loads.reduce((sum, change) => sum + Math.max(0, -change), 0);
+    const capacity = 40;
+    const end = locations[0];
+    const options = { end, loads, startLoad, capacity };
+    const label = `loads stops=${stops} case=${c}`;
+    loadRuns++;
+
+    const optimum = bruteForceLoads(locations, end, loads, capacity);
+    const exact = solveRoute(locations, { ...options, exact: true });
+    const local = solveRoute(locations, { ...options, exact: false });
+
+    for (const [name, result] of [['exact', exact], ['local-search', local]]) {
+      if (!isValidOrder(result.order, locations.length)) {
+        console.error(`❌ ${label}: ${name} returned an invalid order ${JSON.stringify(result.order)}`);
+        failures++;
+      }
+      const measured = overload(result.order, loads, capacity);
+      if (Math.abs(measured - result.overloadKg) > 1e-6) {
+        console.error(`❌ ${label}: ${name} reported ${result.overloadKg} kg overload but the order has ${measured}`);
+        failures++;
+      }
+      // Unloading first never exceeds capacity when any order doesn't, so neither may the search
+      if (optimum.overload === 0 && result.overloadKg > 0) {
+        console.error(`❌ ${label}: ${name} overloads by ${result.overloadKg} kg but a feasible order exists`);
+        failures++;
+      }
+    }
+
+    if (Math.abs(exact.overloadKg - optimum.overload) > 1e-6 || Math.abs(exact.distance - optimum.distance) > 1e-6) {
+      console.error(`❌ ${label}: exact search found ${exact.overloadKg} kg over / ${exact.distance} km, brute force ${optimum.overload} / ${optimum.distance}`);
+      failures++;
+    }
+  }
+}
+
+console.log(`Checked ${totalRuns} routes with 1-${MAX_STOPS} stops`);
+console.log(`Local search matched the optimum in ${optimalLocalRuns}/${totalRuns} routes, worst gap ${(worstGap * 100).toFixed(2)}%`);
+console.log(`Checked ${windowRuns} routes with time windows; local search matched the least lateness in ${windowLocalOnTime}/${windowRuns}`);
+console.log(`Checked ${loadRuns} mixed pickup/delivery routes with a limited vehicle capacity`);
+
+if (failures) {
+  console.error(`❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('✅ Route solver checks passed');
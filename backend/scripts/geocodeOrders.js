@@ -1,55 +1,9 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Order = require('../models/Order');
-
-// Geocode address helper
-async function geocodeAddress(address) {
-  if (!address || address === 'Not provided') {
-    return null;
-  }
-
-  try {
-    const fetch = require('node-fetch');
-    const cleanAddress = address.trim().replace(/\s+/g, ' ');
-    const encodedAddress = encodeURIComponent(`${cleanAddress}, Mysuru, Karnataka, India`);
-    const geoUrl = `https://nominatim.openstreetmap.org/search?format=json&q=${encodedAddress}&limit=1`;
-    
-    console.log(`🔍 Geocoding: ${cleanAddress}`);
-    
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 3000);
-    
-    const geoRes = await fetch(geoUrl, {
-      headers: { 'User-Agent': 'Waste2Wealth-App/1.0' },
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeout);
-    
-    if (geoRes.ok) {
-      const geoData = await geoRes.json();
-      
-      if (geoData && geoData.length > 0) {
-        return {
-          lat: parseFloat(geoData[0].lat),
-          lon: parseFloat(geoData[0].lon)
-        };
-      }
-    }
-  } catch (error) {
-    console.warn(`⚠️ Geocoding failed: ${error.message}`);
-  }
-  
-  // Fallback: generate consistent coordinates based on address
-  const addressHash = address.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-  const latOffset = ((addressHash % 100) - 50) / 1000; // ±0.05 degrees
-  const lonOffset = ((addressHash % 100) - 50) / 1000;
-  
-  return {
-    lat: 12.2958 + latOffset,
-    lon: 76.6394 + lonOffset
-  };
-}
+const Center = require('../models/Center');
+const { geocodeDetails } = require('../utils/geocoder');
+const { nearestCenter, locateAddress, applyServiceArea } = require('../utils/serviceArea');
 
 async function geocodeExistingOrders() {
   try {
@@ -73,6 +27,9 @@ async function geocodeExistingOrders() {
       process.exit(0);
     }
 
+    const centers = await Center.listActive();
+    console.log(`📍 Geocoding around ${centers.map(c => c.name).join(', ')}`);
+
     let updated = 0;
     let failed = 0;
 
@@ -81,19 +38,24 @@ async function geocodeExistingOrders() {
       console.log(`   Address: ${order.deliveryAddress}`);
       console.log(`   Status: ${order.status}`);
 
-      const coords = await geocodeAddress(order.deliveryAddress);
+      // Providers are rate limited inside the geocoder
+      const chosen = centers.find(c => String(c._id) === String(order.centerId));
+      const location = await locateAddress(order.deliveryAddress, chosen ? [chosen, ...centers] : centers);
 
-      if (coords) {
-        order.lat = coords.lat;
-        order.lon = coords.lon;
+      if (location) {
+        order.lat = location.lat;
+        order.lon = location.lon;
+        order.geocode = geocodeDetails(location);
+        // Orders placed before there were centers go to the nearest one
+        const center = chosen || nearestCenter(centers, order).center;
+        order.centerId = center._id;
+        applyServiceArea(center, order);
         await order.save();
-        console.log(`   ✅ Updated: (${coords.lat}, ${coords.lon})`);
+        if (order.outsideServiceArea) console.log('   ⚠️ Outside the service area');
+        console.log(`   ✅ Updated via ${location.source} (confidence ${location.confidence}): (${location.lat}, ${location.lon})`);
         updated++;
-        
-        // Add delay to respect rate limits (1 request per second)
-        await new Promise(resolve => setTimeout(resolve, 1000));
       } else {
-        console.log(`   ❌ Failed to geocode`);
+        console.log(`   ❌ Address not found, left without coordinates`);
         failed++;
       }
     }
@@ -0,0 +1,23 @@
+// Book the upcoming pickups of every recurring pickup once, e.g. from cron when
+// the server runs with SUBSCRIPTION_SCHEDULER_MINUTES=0.
+// Usage: node scripts/scheduleRecurringPickups.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { runScheduler } = require('../utils/subscriptions');
+
+async function scheduleRecurringPickups() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    await runScheduler();
+
+    console.log('✅ Recurring pickups scheduled');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+scheduleRecurringPickups();
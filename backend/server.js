@@ -3,6 +3,7 @@ const cors = require('cors');
 const connectDB = require('./config/db');
 const path = require("path");
 require('dotenv').config();
+const { startSubscriptionScheduler } = require('./utils/subscriptions');
 
 const app = express();
 
@@ -28,6 +29,14 @@ app.use('/api/inventory', require('./routes/inventory'));
 app.use('/api/rewards', require('./routes/rewards'));
 app.use('/api/users', require('./routes/user'));
 app.use('/api/redemptions', require('./routes/redemption')); 
+app.use('/api/points-rules', require('./routes/points-rules'));
+app.use('/api/pricing-rules', require('./routes/pricing-rules'));
+app.use('/api/classification-taxonomy', require('./routes/classification-taxonomy'));
+app.use('/api/route-plans', require('./routes/route-plans'));
+app.use('/api/vehicles', require('./routes/vehicles'));
+app.use('/api/centers', require('./routes/centers'));
+app.use('/api/pickup-slots', require('./routes/pickup-slots'));
+app.use('/api/pickup-subscriptions', require('./routes/pickup-subscriptions'));
 app.use('/api/pickup', require('./routes/route-optimization'));
 
 
@@ -55,4 +64,5 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`✅ Server running on port ${PORT}`);
   console.log(`🏠 Host: localhost`);
+  startSubscriptionScheduler();
 });
\ No newline at end of file
@@ -0,0 +1,167 @@
+// Capacitated multi-vehicle routing (CVRP).
+//
+// Stops are handed out heaviest first, each to the vehicle and position where it adds
+// the least distance without the vehicle's load exceeding its capacity (kg) at any stop
+// or the route getting longer than its shift. Stops can be pickups (load in) or
+// deliveries (load out), so a trip may do both. Each vehicle's stops are then re-sequenced with the local route
+// solver. Stops that fit no vehicle are returned as unassigned with a reason.
+// When a vehicle has a departure time, its sequence also respects the stops' time
+// windows and each stop gets a planned arrival.
+
+const { haversineKm } = require('./geo');
+const { solveRoute } = require('./routeSolver');
+const {
+  routeMetrics,
+  estimateMinutes,
+  relativeWindows,
+  scheduleRoute,
+  MINUTES_PER_KM,
+  MINUTES_PER_STOP
+} = require('./routeOptimizer');
+const { loadChange, deliveryLoad, loadProfile } = require('./vehicleLoad');
+
+const EPSILON = 1e-9;
+
+function vehicleStart(vehicle, defaultDepot) {
+  const depot = vehicle.depot && typeof vehicle.depot.lat === 'number' && typeof vehicle.depot.lon === 'number'
+    ? vehicle.depot
+    : defaultDepot;
+  return {
+    ...defaultDepot,
+    ...depot,
+    id: `depot-${vehicle.id}`,
+    name: depot.name || defaultDepot.name,
+    address: depot.address || defaultDepot.address,
+    isDepot: true
+  };
+}
+
+function routeDistance(start, stops) {
+  const points = [start, ...stops, start];
+  let total = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    total += haversineKm(points[i], points[i + 1]);
+  }
+  return total;
+}
+
+// Within capacity first, then fewer late minutes, then shorter distance
+function isBetterSequence(start, a, b, { departure, capacityKg }) {
+  const fitsA = loadProfile(a, { capacity: capacityKg }).feasible;
+  const fitsB = loadProfile(b, { capacity: capacityKg }).feasible;
+  if (fitsA !== fitsB) return fitsA;
+  if (departure) {
+    const lateA = scheduleRoute([start, ...a, start], departure).lateMinutes;
+    const lateB = scheduleRoute([start, ...b, start], departure).lateMinutes;
+    if (Math.abs(lateA - lateB) > EPSILON) return lateA < lateB;
+  }
+  return routeDistance(start, a) <= routeDistance(start, b) + EPSILON;
+}
+
+/**
+ * Split stops across vehicles.
+ *
+ * @param {Object} depot - default start/end point for vehicles without their own depot
+ * @param {Array<{lat:number, lon:number, quantity:number, kind?:'pickup'|'delivery'}>} stops
+ * @param {Array<{id:string, capacityKg:number, shiftMinutes:number, depot?:Object, departure?:Date}>} vehicles
+ * @returns {{ routes: Array<{ vehicle, optimizedOrder, load, loadProfile, metrics, warnings }>, unassigned: Array }}
+ *   load is the peak load along the route
+ */
+function planFleetRoutes(depot, stops, vehicles) {
+  const fleet = vehicles.map(vehicle => ({
+    vehicle,
+    start: vehicleStart(vehicle, depot),
+    stops: [],
+    distance: 0
+  }));
+  const maxCapacity = Math.max(0, ...vehicles.map(v => v.capacityKg));
+  const unassigned = [];
+
+  // Heaviest first, original order for ties, so the result is reproducible
+  const queue = stops
+    .map((stop, index) => ({ stop, index }))
+    .sort((a, b) => (b.stop.quantity || 0) - (a.stop.quantity || 0) || a.index - b.index);
+
+  for (const { stop } of queue) {
+    const quantity = stop.quantity || 0;
+    if (quantity > maxCapacity) {
+      unassigned.push({ ...stop, reason: `Needs ${quantity} kg but the largest vehicle carries ${maxCapacity} kg` });
+      continue;
+    }
+
+    let best = null;
+    let capacityFits = false;
+    fleet.forEach((slot, vehicleIndex) => {
+      for (let position = 0; position <= slot.stops.length; position++) {
+        // A delivery is carried from the depot to its position, a pickup from there on
+        const candidate = [...slot.stops.slice(0, position), stop, ...slot.stops.slice(position)];
+        if (!loadProfile(candidate, { capacity: slot.vehicle.capacityKg }).feasible) continue;
+        capacityFits = true;
+
+        const prev = position === 0 ? slot.start : slot.stops[position - 1];
+        const next = position === slot.stops.length ? slot.start : slot.stops[position];
+        const added = haversineKm(prev, stop) + haversineKm(stop, next) - haversineKm(prev, next);
+        const minutes = estimateMinutes(slot.distance + added, slot.stops.length + 1);
+        if (minutes > slot.vehicle.shiftMinutes) continue;
+
+        if (!best || added < best.added - EPSILON) {
+          best = { vehicleIndex, position, added };
+        }
+      }
+    });
+
+    if (!best) {
+      unassigned.push({
+        ...stop,
+        reason: capacityFits
+          ? 'Does not fit in any vehicle shift'
+          : 'Not enough capacity left in the fleet'
+      });
+      continue;
+    }
+
+    const slot = fleet[best.vehicleIndex];
+    slot.stops.splice(best.position, 0, stop);
+    slot.distance += best.added;
+  }
+
+  const routes = fleet
+    .filter(slot => slot.stops.length)
+    .map(slot => {
+      const { departure, capacityKg } = slot.vehicle;
+      const locations = [slot.start, ...slot.stops];
+      const { order, method } = solveRoute(locations, {
+        end: slot.start,
+        windows: departure ? relativeWindows(locations, departure) : null,
+        minutesPerKm: MINUTES_PER_KM,
+        serviceMinutes: MINUTES_PER_STOP,
+        loads: locations.map(loadChange),
+        startLoad: deliveryLoad(slot.stops),
+        capacity: capacityKg
+      });
+      // Re-sequencing should only improve on the insertion order; keep whichever is better
+      const solved = order.slice(1).map(idx => slot.stops[idx - 1]);
+      const sequence = isBetterSequence(slot.start, solved, slot.stops, slot.vehicle) ? solved : slot.stops;
+
+      const load = loadProfile([slot.start, ...sequence, { ...slot.start }], { capacity: capacityKg });
+      let optimizedOrder = load.stops;
+      let warnings = [];
+      if (departure) ({ stops: optimizedOrder, warnings } = scheduleRoute(optimizedOrder, departure));
+
+      return {
+        vehicle: slot.vehicle,
+        optimizedOrder,
+        method,
+        load: load.peakLoad,
+        loadProfile: { startLoad: load.startLoad, peakLoad: load.peakLoad, capacity: capacityKg, feasible: load.feasible },
+        metrics: routeMetrics(optimizedOrder),
+        warnings
+      };
+    });
+
+  return { routes, unassigned };
+}
+
+module.exports = {
+  planFleetRoutes
+};
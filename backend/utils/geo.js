@@ -0,0 +1,32 @@
+// Small geographic helpers shared by routing code
+
+const EARTH_RADIUS_KM = 6371;
+
+// Haversine formula for lat/lon distance (km)
+function haversineKm(loc1, loc2) {
+  const dLat = (loc2.lat - loc1.lat) * Math.PI / 180;
+  const dLon = (loc2.lon - loc1.lon) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(loc1.lat * Math.PI / 180) * Math.cos(loc2.lat * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+}
+
+// Ray casting on lat/lon treated as a plane; fine at city scale
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lon < (b.lon - a.lon) * (point.lat - a.lat) / (b.lat - a.lat) + a.lon;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+module.exports = {
+  haversineKm,
+  pointInPolygon
+};
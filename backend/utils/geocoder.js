@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const GeocodeCache = require('../models/GeocodeCache');
+
+// Pluggable geocoding. A provider is an object with an async
+// geocode(address, { context, near }) method that resolves to { lat, lon, displayName, confidence }
+// or null when it can't place the address. Providers are tried in the order given by
+// GEOCODER_PROVIDERS (default "nominatim,gazetteer"); "mock" is for local testing only.
+// Callers pass the city to search in (see utils/serviceArea.js). Every result
+// records its source and confidence, and an address nobody can place stays without
+// coordinates instead of getting made-up ones.
+
+const REQUEST_TIMEOUT_MS = 3000;
+// Misses are retried after a day, found addresses are kept until evicted
+const MISS_TTL_MS = 24 * 60 * 60 * 1000;
+// Below this a location is shown as approximate and should be checked by hand
+const LOW_CONFIDENCE = 0.5;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function normaliseAddress(address) {
+  return String(address || '').trim().replace(/\s+/g, ' ');
+}
+
+// OpenStreetMap Nominatim; the public instance allows one request per second
+function nominatimConfidence(result) {
+  const rank = parseInt(result.place_rank, 10) || 0;
+  if (rank >= 26) return 0.9; // street or building
+  if (rank >= 16) return 0.7; // village, suburb or town
+  return 0.4; // district or wider
+}
+
+// Localities from a CSV (name,lat,lon,aliases) with "|" separated aliases
+function loadGazetteer(file) {
+  if (!fs.existsSync(file)) {
+    console.warn(`⚠️ Gazetteer file not found: ${file}`);
+    return [];
+  }
+  const [, ...rows] = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  return rows.flatMap(row => {
+    const [name, lat, lon, aliases = ''] = row.split(',').map(cell => cell.trim());
+    const place = { name, lat: parseFloat(lat), lon: parseFloat(lon) };
+    if (!name || Number.isNaN(place.lat) || Number.isNaN(place.lon)) return [];
+    return [name, ...aliases.split('|')]
+      .filter(Boolean)
+      .map(alias => ({ ...place, match: alias.toLowerCase() }));
+  });
+}
+
+function containsWord(text, word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(text);
+}
+
+const providers = {
+  nominatim: () => ({
+    minIntervalMs: 1000,
+    async geocode(address, { context }) {
+      const fetch = require('node-fetch');
+      const query = encodeURIComponent(context ? `${address}, ${context}` : address);
+      const url = `https://nominatim.openstreetmap.org/search?format=json&q=${query}&limit=1`;
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+      try {
+        const response = await fetch(url, {
+          headers: { 'User-Agent': 'Waste2Wealth-App/1.0' },
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          throw new Error(`Nominatim responded with ${response.status}`);
+        }
+        const [result] = await response.json();
+        if (!result) return null;
+        return {
+          lat: parseFloat(result.lat),
+          lon: parseFloat(result.lon),
+          displayName: result.display_name,
+          confidence: nominatimConfidence(result)
+        };
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+  }),
+
+  // Offline lookup of the village or town named in the address; only as precise as the locality
+  gazetteer: () => {
+    const file = process.env.GEOCODER_GAZETTEER_FILE || path.join(__dirname, '..', 'data', 'localities.csv');
+    // Longest names first so "Bellad Bagewadi" wins over "Bagewadi"
+    const places = loadGazetteer(file).sort((a, b) => b.match.length - a.match.length);
+    return {
+      minIntervalMs: 0,
+      async geocode(address) {
+        const text = address.toLowerCase();
+        const place = places.find(candidate => containsWord(text, candidate.match));
+        if (!place) return null;
+        return { lat: place.lat, lon: place.lon, displayName: place.name, confidence: 0.5 };
+      }
+    };
+  },
+
+  // Stable made-up coordinates near the depot for development without network access.
+  // Confidence 0 marks them as fake; they are never cached.
+  mock: () => ({
+    minIntervalMs: 0,
+    cacheable: false,
+    async geocode(address, { near }) {
+      if (!near) return null;
+      const hash = address.split('').reduce((acc, char) => (acc * 31 + char.charCodeAt(0)) % 100000, 7);
+      return {
+        lat: near.lat + ((hash % 100) - 50) / 1000,
+        lon: near.lon + ((Math.floor(hash / 100) % 100) - 50) / 1000,
+        displayName: `${address} (mock)`,
+        confidence: 0
+      };
+    }
+  })
+};
+
+const instances = new Map();
+// Earliest time each provider may be called again
+const nextSlot = new Map();
+
+function registerProvider(name, factory) {
+  providers[name] = factory;
+  instances.delete(name);
+}
+
+function getProvider(name) {
+  if (!instances.has(name)) {
+    const factory = providers[name];
+    if (!factory) {
+      throw new Error(`Unknown geocoding provider "${name}"`);
+    }
+    instances.set(name, { name, ...factory() });
+  }
+  return instances.get(name);
+}
+
+function activeProviders() {
+  return (process.env.GEOCODER_PROVIDERS || 'nominatim,gazetteer')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(getProvider);
+}
+
+// Concurrent callers queue up behind each other per provider
+async function rateLimited(provider, task) {
+  const interval = provider.minIntervalMs || 0;
+  if (interval > 0) {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(provider.name) || 0);
+    nextSlot.set(provider.name, slot + interval);
+    if (slot > now) await sleep(slot - now);
+  }
+  return task();
+}
+
+function cacheKey(address, context) {
+  return `${address}|${context}`.toLowerCase();
+}
+
+async function readCache(key) {
+  try {
+    const entry = await GeocodeCache.findOneAndUpdate(
+      { key, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+      { $inc: { hits: 1 }, lastUsedAt: new Date() },
+      { new: true }
+    );
+    return entry;
+  } catch (err) {
+    console.warn(`⚠️ Geocode cache read failed: ${err.message}`);
+    return null;
+  }
+}
+
+async function writeCache(key, address, result) {
+  try {
+    await GeocodeCache.findOneAndUpdate(
+      { key },
+      {
+        key,
+        address,
+        found: !!result,
+        lat: result ? result.lat : undefined,
+        lon: result ? result.lon : undefined,
+        displayName: result ? result.displayName : undefined,
+        confidence: result ? result.confidence : undefined,
+        source: result ? result.source : undefined,
+        lastUsedAt: new Date(),
+        expiresAt: result ? null : new Date(Date.now() + MISS_TTL_MS)
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.warn(`⚠️ Geocode cache write failed: ${err.message}`);
+  }
+}
+
+/**
+ * Geocode an address, using the cache first and then each provider in turn.
+ * options.context is appended to the address (e.g. the city); options.near centres mock results.
+ * Resolves to { lat, lon, displayName, confidence, source, cached } or null when no
+ * provider could place it. Provider errors are logged and the next provider is tried.
+ */
+async function geocode(address, { context = '', near = null } = {}) {
+  const cleanAddress = normaliseAddress(address);
+  if (!cleanAddress || cleanAddress === 'Not provided') return null;
+
+  const key = cacheKey(cleanAddress, context);
+  const cached = await readCache(key);
+  if (cached) {
+    if (!cached.found) return null;
+    const { lat, lon, displayName, confidence, source } = cached;
+    return { lat, lon, displayName, confidence, source, cached: true };
+  }
+
+  let failed = false;
+  for (const provider of activeProviders()) {
+    try {
+      const result = await rateLimited(provider, () => provider.geocode(cleanAddress, { context, near }));
+      if (result && Number.isFinite(result.lat) && Number.isFinite(result.lon)) {
+        const found = { ...result, source: provider.name };
+        console.log(`📍 Geocoded "${cleanAddress}" via ${provider.name}: (${found.lat}, ${found.lon})`);
+        if (provider.cacheable !== false) await writeCache(key, cleanAddress, found);
+        return { ...found, cached: false };
+      }
+    } catch (err) {
+      failed = true;
+      console.warn(`⚠️ Geocoding via ${provider.name} failed: ${err.message}`);
+    }
+  }
+
+  console.warn(`⚠️ Could not geocode "${cleanAddress}"`);
+  // Only remember a miss when every provider answered; errors may be temporary
+  if (!failed) await writeCache(key, cleanAddress, null);
+  return null;
+}
+
+// What gets stored on a pickup or order next to its coordinates
+function geocodeDetails(result) {
+  return {
+    source: result.source,
+    confidence: result.confidence,
+    displayName: result.displayName,
+    geocodedAt: new Date()
+  };
+}
+
+// Coordinates typed or picked on the map by the user
+function userLocationDetails() {
+  return { source: 'user', confidence: 1, geocodedAt: new Date() };
+}
+
+module.exports = {
+  LOW_CONFIDENCE,
+  registerProvider,
+  geocode,
+  geocodeDetails,
+  userLocationDetails
+};
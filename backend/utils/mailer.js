@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable mail delivery. A transport is any object with an async
+// send({ to, subject, text, html }) method; pick one with MAIL_TRANSPORT.
+// "console" and "file" are built in for local testing, production setups can
+// call registerTransport() with their own provider before the first send.
+
+const transports = {
+  // Print the message to the server log
+  console: () => ({
+    async send(message) {
+      console.log('📧 Mail (console transport)');
+      console.log(`   To: ${message.to}`);
+      console.log(`   Subject: ${message.subject}`);
+      console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+      return { delivered: true, transport: 'console' };
+    }
+  }),
+
+  // Write each message as a JSON file into MAIL_OUTBOX_DIR
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+    return {
+      async send(message) {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+        const file = path.join(outboxDir, `${Date.now()}-${safeTo}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+        console.log(`📧 Mail written to ${file}`);
+        return { delivered: true, transport: 'file', file };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  activeTransport = null;
+}
+
+function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+}
+
+// text is sent as plain text; html only when the caller built (and escaped) it
+async function sendMail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || 'Waste2Wealth <no-reply@waste2wealth.app>';
+  const message = { from, to, subject, text };
+  if (html) message.html = html;
+  return getTransport().send(message);
+}
+
+// Links in emails point at the login page, which reads the token from the query string
+function appLink(params) {
+  const base = (process.env.APP_URL || 'http://localhost:5000').replace(/\/$/, '');
+  return `${base}/login.html?${new URLSearchParams(params).toString()}`;
+}
+
+async function sendVerificationEmail(user, token) {
+  const link = appLink({ verify: token });
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Waste2Wealth email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      'The link is valid for 24 hours.'
+    ].join('\n')
+  });
+}
+
+async function sendPasswordResetEmail(user, token) {
+  const link = appLink({ reset: token });
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Waste2Wealth password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      link,
+      '',
+      'The link is valid for 1 hour and can only be used once.',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+async function sendInviteEmail(user, token, invitedBy) {
+  const link = appLink({ reset: token });
+  return sendMail({
+    to: user.email,
+    subject: 'You have been invited to Waste2Wealth',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `${invitedBy?.name || 'An administrator'} has created a Waste2Wealth ${user.role} account for you.`,
+      'Open the link below to choose your password and sign in:',
+      link,
+      '',
+      'The link is valid for 7 days.'
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInviteEmail
+};
@@ -0,0 +1,85 @@
+const InventoryItem = require('../models/InventoryItem');
+const Order = require('../models/Order');
+
+// Orders hold inventory stock through three steps, tracked in order.stockStatus:
+//   placed    -> reserveStock():  item.reserved += quantity     ('reserved')
+//   rejected  -> releaseStock():  item.reserved -= quantity     ('released')
+//   delivered -> consumeStock():  item.stock and item.reserved -= quantity ('consumed')
+// Reopening a rejected order reserves again.
+// The reservation is a single conditional $inc, so concurrent orders can't take more
+// than stock - reserved. Release and consume first claim the order's reservation so
+// each happens at most once.
+
+class InsufficientStockError extends Error {
+  constructor(item, requested) {
+    super(`Only ${item.available} kg of ${item.name} left`);
+    this.name = 'InsufficientStockError';
+    this.available = item.available;
+    this.requested = requested;
+  }
+}
+
+// Hold the new order's quantity of its item and save the order. Throws
+// InsufficientStockError if the stock isn't there; the hold is undone if the save fails.
+async function reserveStock(order) {
+  const { itemId, quantity } = order;
+  const item = await InventoryItem.findOneAndUpdate(
+    // Items created before reservations have no reserved field yet
+    { _id: itemId, $expr: { $gte: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, quantity] } },
+    { $inc: { reserved: quantity } },
+    { new: true }
+  );
+  if (!item) {
+    const existing = await InventoryItem.findById(itemId);
+    if (!existing) throw new Error('Inventory item not found');
+    throw new InsufficientStockError(existing, quantity);
+  }
+
+  order.stockStatus = 'reserved';
+  try {
+    await order.save();
+    return item;
+  } catch (error) {
+    await InventoryItem.updateOne({ _id: itemId }, { $inc: { reserved: -quantity } });
+    throw error;
+  }
+}
+
+// Claim the order's reservation so it is only released or consumed once
+async function claimReservation(order, stockStatus) {
+  if (!order.itemId || order.stockStatus !== 'reserved') return false;
+  const claimed = await Order.updateOne(
+    { _id: order._id, stockStatus: 'reserved' },
+    { stockStatus }
+  );
+  if (!claimed.modifiedCount) return false;
+  order.stockStatus = stockStatus;
+  return true;
+}
+
+// Give the held stock back, e.g. when the order is rejected
+async function releaseStock(order) {
+  if (!(await claimReservation(order, 'released'))) return null;
+  return InventoryItem.findByIdAndUpdate(
+    order.itemId,
+    { $inc: { reserved: -order.quantity } },
+    { new: true }
+  );
+}
+
+// The compost has left with the delivery: take it out of stock for good
+async function consumeStock(order) {
+  if (!(await claimReservation(order, 'consumed'))) return null;
+  return InventoryItem.findByIdAndUpdate(
+    order.itemId,
+    { $inc: { stock: -order.quantity, reserved: -order.quantity } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  InsufficientStockError,
+  reserveStock,
+  releaseStock,
+  consumeStock
+};
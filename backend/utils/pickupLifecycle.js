@@ -0,0 +1,169 @@
+const Pickup = require('../models/Pickup');
+const Center = require('../models/Center');
+const PickupSlot = require('../models/PickupSlot');
+const PointsRules = require('../models/PointsRules');
+const { calculatePickupPoints, buildPointsContext } = require('./pointsRules');
+const { earnPoints, revokePoints, reverseTransaction } = require('./points');
+
+// Every pickup status change goes through transitionPickup(), which enforces
+// Pickup.STATUS_TRANSITIONS, records the change in statusHistory and applies or
+// undoes the side effects of completion (reward points and the stock of the pickup's
+// compost center). Rejecting or cancelling a pickup frees its place in the booked time slot.
+
+// Households can cancel or reschedule their pending pickups until this many hours
+// before the booked slot starts
+const CHANGE_CUTOFF_HOURS = parseFloat(process.env.PICKUP_CHANGE_CUTOFF_HOURS ?? '2');
+
+class PickupTransitionError extends Error {
+  constructor(from, to, message) {
+    super(message || `Cannot change pickup status from ${from} to ${to}`);
+    this.name = 'PickupTransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = Pickup.STATUS_TRANSITIONS[from] || [];
+  }
+}
+
+// Why the household can't change this pickup any more, or null when it still can
+function householdChangeError(pickup, now = new Date()) {
+  if (pickup.status !== 'pending') {
+    return `Only pending pickups can be changed; this one is ${pickup.status}`;
+  }
+  if (startsWithinCutoff(pickup.timeWindow?.start, now)) {
+    return `Pickups can't be changed less than ${CHANGE_CUTOFF_HOURS} hours before the time slot`;
+  }
+  return null;
+}
+
+function startsWithinCutoff(start, now = new Date()) {
+  return !!start && new Date(start).getTime() - CHANGE_CUTOFF_HOURS * 60 * 60 * 1000 <= now.getTime();
+}
+
+function pickupLabel(pickup) {
+  return `${pickup.creditedQuantity()} kg ${pickup.wasteType || 'waste'}`;
+}
+
+async function applyCompletion(pickup) {
+  const quantity = pickup.creditedQuantity();
+  pickup.completedDate = new Date();
+
+  const rules = await PointsRules.getCurrent();
+  const context = await buildPointsContext(pickup, pickup.completedDate);
+  pickup.pointsBreakdown = calculatePickupPoints(rules, { wasteType: pickup.wasteType, quantity }, context);
+  pickup.pointsAwarded = pickup.pointsBreakdown.points;
+
+  if (pickup.pointsAwarded > 0) {
+    const { transaction } = await earnPoints(pickup.userId, pickup.pointsAwarded, {
+      pickupId: pickup._id,
+      description: `Pickup completed: ${pickupLabel(pickup)}`
+    });
+    pickup.pointsTransactionId = transaction._id;
+  }
+
+  // Pickups that couldn't be located were never assigned a center; they go to the default one
+  if (!pickup.centerId) {
+    const center = await Center.getDefault();
+    pickup.centerId = center?._id;
+  }
+  const center = pickup.centerId
+    ? await Center.findByIdAndUpdate(pickup.centerId, { $inc: { available: quantity } }, { new: true })
+    : null;
+  pickup.compostAdded = center ? quantity : 0;
+
+  await pickup.save();
+}
+
+async function revertCompletion(pickup, actorId) {
+  const description = `Pickup reopened: ${pickupLabel(pickup)}`;
+
+  // Points may already have been spent, so the balance is allowed to go negative
+  if (pickup.pointsTransactionId) {
+    await reverseTransaction(pickup.pointsTransactionId, { description, actorId, allowNegative: true });
+  } else if (pickup.pointsAwarded > 0) {
+    await revokePoints(pickup.userId, pickup.pointsAwarded, { description, pickupId: pickup._id, actorId });
+  }
+
+  // Pickups completed before compostAdded existed added their full quantity
+  const compostToRemove = pickup.compostAdded ?? pickup.quantity ?? 0;
+  if (compostToRemove > 0) {
+    const centerId = pickup.centerId || (await Center.getDefault())?._id;
+    const center = centerId
+      ? await Center.findByIdAndUpdate(centerId, { $inc: { available: -compostToRemove } }, { new: true })
+      : null;
+    if (center && center.available < 0) {
+      console.warn(`⚠️ Compost stock at ${center.name} is negative (${center.available} kg) after reopening pickup ${pickup._id}`);
+    }
+  }
+
+  pickup.completedDate = undefined;
+  pickup.pointsAwarded = 0;
+  pickup.pointsBreakdown = undefined;
+  // The pickup has to be weighed again when it is next completed
+  pickup.measuredQuantity = undefined;
+  pickup.contaminationPercent = 0;
+  pickup.measuredBy = undefined;
+  pickup.measuredAt = undefined;
+  pickup.pointsTransactionId = undefined;
+  pickup.compostAdded = 0;
+  await pickup.save();
+}
+
+// Returns { pickup, changed } or null if the pickup doesn't exist.
+// Throws PickupTransitionError for transitions the state machine doesn't allow.
+// Completing requires measurement: { measuredQuantity, contaminationPercent }.
+async function transitionPickup(pickupId, status, { actorId, note, measurement } = {}) {
+  const pickup = await Pickup.findById(pickupId);
+  if (!pickup) return null;
+  if (pickup.status === status) return { pickup, changed: false };
+
+  const from = pickup.status;
+  if (!Pickup.canTransition(from, status)) {
+    throw new PickupTransitionError(from, status);
+  }
+
+  const update = { status };
+  if (status === 'cancelled') update.cancelReason = note;
+  if (status === 'completed') {
+    if (measurement?.measuredQuantity == null) {
+      throw new PickupTransitionError(from, status, 'Measured weight is required to complete a pickup');
+    }
+    const contamination = measurement.contaminationPercent || 0;
+    Object.assign(update, {
+      measuredQuantity: measurement.measuredQuantity,
+      contaminationPercent: contamination,
+      measuredBy: actorId,
+      measuredAt: new Date()
+    });
+    const weighed = `Weighed ${measurement.measuredQuantity} kg${contamination ? `, ${contamination}% contamination` : ''}`;
+    note = note ? `${weighed}. ${note}` : weighed;
+  }
+
+  // Claim the transition atomically so side effects run exactly once
+  update.$push = { statusHistory: { from, to: status, changedBy: actorId, note, changedAt: new Date() } };
+  const updated = await Pickup.findOneAndUpdate({ _id: pickup._id, status: from }, update, { new: true });
+  if (!updated) {
+    throw new PickupTransitionError(from, status, 'Pickup status was changed by someone else. Please refresh and try again.');
+  }
+
+  if (status === 'completed') {
+    await applyCompletion(updated);
+  } else if (from === 'completed') {
+    await revertCompletion(updated, actorId);
+  }
+
+  if (updated.slotId && (status === 'rejected' || status === 'cancelled')) {
+    await PickupSlot.release(updated.slotId, updated.quantity);
+  } else if (updated.slotId && from === 'rejected') {
+    await PickupSlot.rebook(updated.slotId, updated.quantity);
+  }
+
+  return { pickup: updated, changed: true };
+}
+
+module.exports = {
+  CHANGE_CUTOFF_HOURS,
+  PickupTransitionError,
+  householdChangeError,
+  startsWithinCutoff,
+  transitionPickup
+};
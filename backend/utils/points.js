@@ -0,0 +1,100 @@
+const User = require('../models/User');
+const PointsTransaction = require('../models/PointsTransaction');
+
+// All reward point changes go through here. The balance on User is changed with
+// a single conditional $inc (so concurrent debits can't overdraw) and every change
+// is written to the PointsTransaction ledger. MongoDB transactions would need a
+// replica set, so a failed ledger write is compensated by undoing the $inc.
+
+class InsufficientPointsError extends Error {
+  constructor(balance, required) {
+    super('Insufficient points');
+    this.name = 'InsufficientPointsError';
+    this.balance = balance;
+    this.required = required;
+  }
+}
+
+async function applyPointsChange(userId, points, entry, { allowNegative = false } = {}) {
+  if (!Number.isFinite(points) || points === 0) {
+    throw new Error('Points change must be a non-zero number');
+  }
+
+  const filter = { _id: userId };
+  // Debits only succeed if the balance covers them at the moment of the update
+  if (points < 0 && !allowNegative) filter.rewardPoints = { $gte: -points };
+
+  const user = await User.findOneAndUpdate(filter, { $inc: { rewardPoints: points } }, { new: true });
+  if (!user) {
+    const existing = await User.findById(userId).select('rewardPoints');
+    if (!existing) throw new Error('User not found');
+    throw new InsufficientPointsError(existing.rewardPoints || 0, -points);
+  }
+
+  try {
+    const transaction = await PointsTransaction.create({
+      ...entry,
+      userId,
+      points,
+      balanceAfter: user.rewardPoints
+    });
+    return { user, transaction };
+  } catch (error) {
+    await User.updateOne({ _id: userId }, { $inc: { rewardPoints: -points } });
+    throw error;
+  }
+}
+
+function earnPoints(userId, points, { description = 'Points earned', pickupId, actorId } = {}) {
+  return applyPointsChange(userId, Math.abs(points), { type: 'earn', description, pickupId, actorId });
+}
+
+function redeemPoints(userId, points, { description = 'Points redeemed', redemptionId } = {}) {
+  return applyPointsChange(userId, -Math.abs(points), { type: 'redeem', description, redemptionId });
+}
+
+// Signed manual correction; debits can't take the balance below zero
+function adjustPoints(userId, points, { description = 'Manual adjustment', actorId } = {}) {
+  return applyPointsChange(userId, points, { type: 'adjust', description, actorId });
+}
+
+// Take back points that were granted without a ledger entry (before the ledger existed).
+// The balance may go negative if the points were already spent.
+function revokePoints(userId, points, { description = 'Points revoked', pickupId, actorId } = {}) {
+  return applyPointsChange(userId, -Math.abs(points), { type: 'reverse', description, pickupId, actorId }, { allowNegative: true });
+}
+
+// Undo an earlier transaction with an opposite entry. Each transaction can only be
+// reversed once; the claim on reversedAt is released again if the balance change fails.
+// allowNegative lets an earn be taken back even if the points were already spent.
+async function reverseTransaction(transactionId, { description, actorId, allowNegative = false } = {}) {
+  const original = await PointsTransaction.findOneAndUpdate(
+    { _id: transactionId, reversedAt: null, type: { $ne: 'reverse' } },
+    { reversedAt: new Date() },
+    { new: true }
+  );
+  if (!original) return null;
+
+  try {
+    return await applyPointsChange(original.userId, -original.points, {
+      type: 'reverse',
+      description: description || `Reversal: ${original.description}`,
+      pickupId: original.pickupId,
+      redemptionId: original.redemptionId,
+      reversesTransactionId: original._id,
+      actorId
+    }, { allowNegative });
+  } catch (error) {
+    await PointsTransaction.updateOne({ _id: original._id }, { $unset: { reversedAt: 1 } });
+    throw error;
+  }
+}
+
+module.exports = {
+  InsufficientPointsError,
+  earnPoints,
+  redeemPoints,
+  adjustPoints,
+  revokePoints,
+  reverseTransaction
+};
@@ -0,0 +1,122 @@
+const Pickup = require('../models/Pickup');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function rateFor(rules, wasteType) {
+  const rate = (rules.rates || []).find(r => r.wasteType === wasteType);
+  return rate
+    ? { pointsPerKg: rate.pointsPerKg, minQuantity: rate.minQuantity || 0, source: 'waste-type' }
+    : { pointsPerKg: rules.defaultPointsPerKg, minQuantity: rules.defaultMinQuantity || 0, source: 'default' };
+}
+
+// Pure calculation so the admin preview and real completions give the same answer.
+// context: { completedAt, isFirstPickup, streakWeeks, pointsThisMonth }
+function calculatePickupPoints(rules, { wasteType, quantity }, context = {}) {
+  const completedAt = context.completedAt || new Date();
+  const rate = rateFor(rules, wasteType);
+  const breakdown = {
+    wasteType: wasteType || null,
+    quantity,
+    pointsPerKg: rate.pointsPerKg,
+    rateSource: rate.source,
+    minQuantity: rate.minQuantity,
+    basePoints: 0,
+    multipliers: [],
+    totalMultiplier: 1,
+    uncappedPoints: 0,
+    caps: [],
+    points: 0,
+    summary: ''
+  };
+
+  if (quantity < rate.minQuantity) {
+    breakdown.summary = `${quantity} kg is below the ${rate.minQuantity} kg minimum for this waste type, no points awarded`;
+    return breakdown;
+  }
+
+  breakdown.basePoints = round(quantity * rate.pointsPerKg);
+
+  const { firstPickupBonus, streakBonus } = rules;
+  if (firstPickupBonus?.enabled && context.isFirstPickup) {
+    breakdown.multipliers.push({ type: 'first-pickup', label: 'First pickup bonus', multiplier: firstPickupBonus.multiplier });
+  }
+  if (streakBonus?.enabled && context.streakWeeks >= streakBonus.weeks) {
+    breakdown.multipliers.push({
+      type: 'streak',
+      label: `${context.streakWeeks}-week streak bonus`,
+      multiplier: streakBonus.multiplier
+    });
+  }
+  for (const campaign of rules.campaigns || []) {
+    const inWindow = completedAt >= campaign.startDate && completedAt <= campaign.endDate;
+    const matchesType = !campaign.wasteTypes?.length || campaign.wasteTypes.includes(wasteType);
+    if (campaign.active && inWindow && matchesType) {
+      breakdown.multipliers.push({ type: 'campaign', label: campaign.name, multiplier: campaign.multiplier });
+    }
+  }
+
+  // Multipliers stack multiplicatively
+  breakdown.totalMultiplier = round(breakdown.multipliers.reduce((acc, m) => acc * m.multiplier, 1));
+  breakdown.uncappedPoints = Math.round(breakdown.basePoints * breakdown.totalMultiplier);
+
+  let points = breakdown.uncappedPoints;
+  if (rules.maxPointsPerPickup > 0 && points > rules.maxPointsPerPickup) {
+    breakdown.caps.push({ type: 'per-pickup', limit: rules.maxPointsPerPickup, reducedBy: points - rules.maxPointsPerPickup });
+    points = rules.maxPointsPerPickup;
+  }
+  if (rules.maxPointsPerMonth > 0) {
+    const remaining = Math.max(0, rules.maxPointsPerMonth - (context.pointsThisMonth || 0));
+    if (points > remaining) {
+      breakdown.caps.push({ type: 'per-month', limit: rules.maxPointsPerMonth, reducedBy: points - remaining });
+      points = remaining;
+    }
+  }
+  breakdown.points = points;
+
+  const parts = [`${quantity} kg × ${rate.pointsPerKg} pts/kg`];
+  breakdown.multipliers.forEach(m => parts.push(`× ${m.multiplier} (${m.label})`));
+  breakdown.summary = `${parts.join(' ')} = ${breakdown.uncappedPoints} pts`;
+  breakdown.caps.forEach(c => {
+    breakdown.summary += `, capped by ${c.type === 'per-month' ? 'monthly' : 'per-pickup'} limit of ${c.limit}`;
+  });
+  if (breakdown.caps.length) breakdown.summary += ` → ${points} pts`;
+
+  return breakdown;
+}
+
+// Household history needed by the bonuses and the monthly cap
+async function buildPointsContext(pickup, completedAt = new Date()) {
+  const others = { userId: pickup.userId, status: 'completed', _id: { $ne: pickup._id } };
+  const monthStart = new Date(completedAt.getFullYear(), completedAt.getMonth(), 1);
+
+  const [previousCount, recent, monthTotals] = await Promise.all([
+    Pickup.countDocuments(others),
+    Pickup.find({ ...others, completedDate: { $gte: new Date(completedAt - 52 * WEEK_MS) } }).select('completedDate'),
+    Pickup.aggregate([
+      { $match: { ...others, completedDate: { $gte: monthStart } } },
+      { $group: { _id: null, total: { $sum: '$pointsAwarded' } } }
+    ])
+  ]);
+
+  // Weeks are rolling 7-day windows counted back from the completion time
+  const weeksWithPickups = new Set(recent.map(p => Math.floor((completedAt - p.completedDate) / WEEK_MS)));
+  let streakWeeks = 1;
+  while (weeksWithPickups.has(streakWeeks)) streakWeeks++;
+
+  return {
+    completedAt,
+    isFirstPickup: previousCount === 0,
+    streakWeeks,
+    pointsThisMonth: monthTotals[0]?.total || 0
+  };
+}
+
+module.exports = {
+  calculatePickupPoints,
+  buildPointsContext
+};
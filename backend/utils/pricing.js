@@ -0,0 +1,61 @@
+const { haversineKm } = require('./geo');
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Highest tier the quantity reaches, or null
+function tierFor(rules, quantity) {
+  return (rules.quantityTiers || [])
+    .filter(tier => quantity >= tier.minQuantity)
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0] || null;
+}
+
+// Straight-line km from the compost center to the delivery point, null when either is unknown
+function deliveryDistanceKm(center, point) {
+  if (!center || !point || point.lat == null || point.lon == null) return null;
+  return round(haversineKm(center, point));
+}
+
+// Pure calculation so the admin preview, the farmer's quote and the placed order
+// give the same answer. distanceKm is null when the delivery location is unknown;
+// only the base delivery fee is charged then.
+function calculateOrderPrice(rules, { pricePerKg, quantity, distanceKm = null }) {
+  const subtotal = round(pricePerKg * quantity);
+
+  const tier = tierFor(rules, quantity);
+  const discount = tier
+    ? { minQuantity: tier.minQuantity, percent: tier.discountPercent, amount: round(subtotal * tier.discountPercent / 100) }
+    : null;
+  const discountedSubtotal = round(subtotal - (discount ? discount.amount : 0));
+
+  const taxes = (rules.taxes || []).map(tax => ({
+    name: tax.name,
+    percent: tax.percent,
+    amount: round(discountedSubtotal * tax.percent / 100)
+  }));
+  const taxTotal = round(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+  const { baseFee = 0, perKm = 0, freeKm = 0 } = rules.delivery || {};
+  const chargedKm = distanceKm == null ? 0 : round(Math.max(0, distanceKm - freeKm));
+  const deliveryFee = round(baseFee + chargedKm * perKm);
+
+  return {
+    pricePerKg,
+    quantity,
+    subtotal,
+    discount,
+    discountedSubtotal,
+    taxes,
+    taxTotal,
+    delivery: { distanceKm, chargedKm, baseFee, perKm, fee: deliveryFee },
+    total: round(discountedSubtotal + taxTotal + deliveryFee),
+    calculatedAt: new Date()
+  };
+}
+
+module.exports = {
+  calculateOrderPrice,
+  deliveryDistanceKm
+};
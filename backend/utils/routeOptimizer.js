@@ -0,0 +1,196 @@
+// Route ordering shared by the ad-hoc optimizer endpoint and saved route plans.
+// The visiting order always comes from the local solver (utils/routeSolver.js), so it is
+// reproducible and works offline. Gemini, when configured, only writes a short
+// explanation of the finished route.
+//
+// Given a departure time, stops with a time window ({ start, end } instants, see
+// utils/timeWindows.js) are ordered to be reached inside their window where possible,
+// and every stop gets a planned arrival time. Routes can mix pickups and deliveries;
+// given a capacity, the vehicle's load (see utils/vehicleLoad.js) is kept within it.
+
+// Install: npm install @google/generative-ai@latest
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { haversineKm } = require('./geo');
+const { solveRoute } = require('./routeSolver');
+const { formatLocalTime } = require('./timeWindows');
+const { loadChange, deliveryLoad, loadProfile } = require('./vehicleLoad');
+
+// Initialize Gemini (add GEMINI_API_KEY to your .env file)
+const genAI = process.env.GEMINI_API_KEY
+  ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+  : null;
+
+// Assumptions used for time estimates
+const AVERAGE_SPEED_KMH = 30;
+const MINUTES_PER_STOP = 5;
+const MINUTES_PER_KM = 60 / AVERAGE_SPEED_KMH;
+
+function isDepot(loc) {
+  return loc.isDepot || loc.kind === 'depot';
+}
+
+// Distance and time for visiting locations in the given order; depots add no stop time
+function routeMetrics(order) {
+  let totalDistance = 0;
+  for (let i = 0; i < order.length - 1; i++) {
+    totalDistance += haversineKm(order[i], order[i + 1]);
+  }
+
+  const totalStops = order.filter(loc => !isDepot(loc)).length;
+  const travelTime = (totalDistance / AVERAGE_SPEED_KMH) * 60; // minutes
+  const stopTime = totalStops * MINUTES_PER_STOP;
+
+  return {
+    totalStops,
+    totalDistance: Math.round(totalDistance * 100) / 100, // km, 2 decimals
+    estimatedTime: Math.round(travelTime + stopTime) // minutes
+  };
+}
+
+function travelMinutes(distanceKm) {
+  return (distanceKm / AVERAGE_SPEED_KMH) * 60;
+}
+
+// Driving plus handling time for a route of the given length and number of stops
+function estimateMinutes(distanceKm, stops) {
+  return travelMinutes(distanceKm) + stops * MINUTES_PER_STOP;
+}
+
+// Each location's window as minutes after departure, for the solver
+function relativeWindows(locations, departure) {
+  const leaving = new Date(departure).getTime();
+  return locations.map(loc => {
+    if (isDepot(loc) || !loc.timeWindow?.start || !loc.timeWindow?.end) return null;
+    return {
+      start: (new Date(loc.timeWindow.start).getTime() - leaving) / 60000,
+      end: (new Date(loc.timeWindow.end).getTime() - leaving) / 60000
+    };
+  });
+}
+
+/**
+ * Planned arrival at each location when leaving order[0] at departure.
+ * Reaching a stop before its window opens means waiting for it; reaching it after
+ * the window closes adds a warning. plannedArrival is when the stop is served.
+ */
+function scheduleRoute(order, departure) {
+  let time = new Date(departure).getTime();
+  let lateMinutes = 0;
+  const warnings = [];
+
+  const stops = order.map((loc, idx) => {
+    if (idx > 0) time += haversineKm(order[idx - 1], loc) * MINUTES_PER_KM * 60000;
+    const scheduled = { ...loc };
+
+    if (!isDepot(loc) && loc.timeWindow?.start && loc.timeWindow?.end) {
+      const start = new Date(loc.timeWindow.start).getTime();
+      const end = new Date(loc.timeWindow.end).getTime();
+      if (time < start) {
+        scheduled.waitMinutes = Math.round((start - time) / 60000);
+        time = start;
+      }
+      if (time > end) {
+        const late = (time - end) / 60000;
+        lateMinutes += late;
+        scheduled.lateMinutes = Math.round(late);
+        warnings.push({
+          id: loc.id || loc._id || null,
+          name: loc.name,
+          lateMinutes: Math.round(late),
+          message: `${loc.name}: planned arrival ${formatLocalTime(time)} is after its ${formatLocalTime(start)}-${formatLocalTime(end)} window`
+        });
+      }
+    }
+
+    scheduled.plannedArrival = new Date(time);
+    if (!isDepot(loc)) time += MINUTES_PER_STOP * 60000;
+    return scheduled;
+  });
+
+  return { stops, lateMinutes, warnings };
+}
+
+// Ask Gemini to describe a finished route; never affects the order. Resolves null on any failure.
+async function explainRoute(optimizedOrder, metrics) {
+  if (!genAI) return null;
+
+  try {
+    const model = genAI.getGenerativeModel({
+      model: 'models/gemini-2.5-flash',
+      generationConfig: { temperature: 0.2, maxOutputTokens: 256 }
+    });
+
+    const prompt = `
+You are helping a waste collection dispatcher.
+Explain in 2-3 short sentences why this visiting order is sensible (clusters, direction of travel, return to the depot).
+Do not suggest a different order.
+
+ROUTE (${metrics.totalDistance} km, about ${metrics.estimatedTime} min):
+${optimizedOrder.map((loc, i) => `${i}. ${loc.name} (${loc.lat}, ${loc.lon})`).join('\n')}
+`;
+
+    const result = await model.generateContent(prompt);
+    const text = (await result.response).text().trim();
+    return text || null;
+  } catch (error) {
+    console.warn('⚠️ Gemini route explanation failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Order locations for the shortest route starting at locations[0].
+ * By default the route returns to locations[0]; pass { returnTo: null } for an open
+ * route or another location to finish there. The end point is included in optimizedOrder.
+ * With a departure time, time windows are respected and each location gets a
+ * plannedArrival; warnings lists the stops that can't be reached within their window.
+ * Every location gets loadAfter; with a capacity the order keeps the load within it.
+ * startLoad defaults to the compost for every delivery in locations.
+ */
+async function optimizeLocations(locations, {
+  returnTo = locations[0],
+  explain = false,
+  departure = null,
+  capacity = null,
+  startLoad = deliveryLoad(locations.slice(1))
+} = {}) {
+  const { order, method } = solveRoute(locations, {
+    end: returnTo,
+    windows: departure ? relativeWindows(locations, departure) : null,
+    minutesPerKm: MINUTES_PER_KM,
+    serviceMinutes: MINUTES_PER_STOP,
+    // locations[0] is where the vehicle already is, whatever kind of stop it was
+    loads: locations.map((loc, idx) => (idx === 0 ? 0 : loadChange(loc))),
+    startLoad,
+    capacity
+  });
+  const ordered = order.map(idx => locations[idx]);
+  if (returnTo) ordered.push({ ...returnTo });
+
+  const load = loadProfile(ordered.slice(1), { startLoad, capacity });
+  let optimizedOrder = [{ ...ordered[0], loadAfter: load.startLoad }, ...load.stops];
+
+  let warnings = [];
+  if (departure) ({ stops: optimizedOrder, warnings } = scheduleRoute(optimizedOrder, departure));
+
+  const reasoning = explain ? await explainRoute(optimizedOrder, routeMetrics(optimizedOrder)) : null;
+  return {
+    optimizedOrder,
+    method,
+    reasoning,
+    warnings,
+    loadProfile: { startLoad: load.startLoad, peakLoad: load.peakLoad, capacity, feasible: load.feasible }
+  };
+}
+
+module.exports = {
+  routeMetrics,
+  travelMinutes,
+  estimateMinutes,
+  MINUTES_PER_KM,
+  MINUTES_PER_STOP,
+  relativeWindows,
+  scheduleRoute,
+  explainRoute,
+  optimizeLocations
+};
@@ -0,0 +1,145 @@
+const RoutePlan = require('../models/RoutePlan');
+const Pickup = require('../models/Pickup');
+const Order = require('../models/Order');
+const { pickupTimeWindow, windowForRouteDate } = require('./timeWindows');
+
+// Routes a collector can still work on
+const ACTIVE_ROUTE_STATUSES = ['planned', 'in-progress'];
+
+// Status changes a collector may make from the field; everything else stays with admins
+const COLLECTOR_STATUSES = {
+  pickup: ['picked', 'completed'],
+  delivery: ['in-transit', 'delivered']
+};
+
+// A stop is finished once nothing more is expected of the collector
+const FINISHED_STATUSES = {
+  pickup: ['completed', 'rejected', 'cancelled'],
+  delivery: ['delivered', 'rejected']
+};
+
+function stopRefField(kind) {
+  return kind === 'pickup' ? 'pickupId' : 'orderId';
+}
+
+// The collector's active route containing this pickup/order, or null
+function findAssignedRoute(collectorId, kind, refId) {
+  return RoutePlan.findOne({
+    collectorId,
+    status: { $in: ACTIVE_ROUTE_STATUSES },
+    [`stops.${stopRefField(kind)}`]: refId
+  });
+}
+
+// Look up the current Pickup / Order status for every stop of a route
+async function loadStopStatuses(route) {
+  const pickupIds = route.stops.filter(s => s.pickupId).map(s => s.pickupId);
+  const orderIds = route.stops.filter(s => s.orderId).map(s => s.orderId);
+
+  const [pickups, orders] = await Promise.all([
+    pickupIds.length
+      ? Pickup.find({ _id: { $in: pickupIds } }).select('status lat lon measuredQuantity contaminationPercent')
+      : [],
+    orderIds.length
+      ? Order.find({ _id: { $in: orderIds } }).select('status lat lon orderNumber')
+      : []
+  ]);
+
+  const byId = new Map();
+  pickups.forEach(p => byId.set(String(p._id), p));
+  orders.forEach(o => byId.set(String(o._id), o));
+
+  return route.stops.map(stop => {
+    const ref = stop.pickupId || stop.orderId;
+    const doc = ref ? byId.get(String(ref)) : null;
+    return {
+      stop,
+      doc,
+      status: doc ? doc.status : null,
+      finished: stop.kind === 'depot' || !doc || FINISHED_STATUSES[stop.kind].includes(doc.status)
+    };
+  });
+}
+
+// Move a route to in-progress once work starts and to completed when every stop is finished
+async function refreshRouteProgress(routeId) {
+  const route = await RoutePlan.findById(routeId);
+  if (!route || !ACTIVE_ROUTE_STATUSES.includes(route.status)) return route;
+
+  const stops = await loadStopStatuses(route);
+  const workStops = stops.filter(s => s.stop.kind !== 'depot');
+  const started = workStops.some(s => s.status && !['pending', 'confirmed', 'processing'].includes(s.status));
+
+  if (workStops.length && workStops.every(s => s.finished)) {
+    route.status = 'completed';
+    route.completedAt = new Date();
+  } else if (started && route.status === 'planned') {
+    route.status = 'in-progress';
+  } else {
+    return route;
+  }
+
+  await route.save();
+  console.log(`🚚 Route ${route._id} is now ${route.status}`);
+  return route;
+}
+
+// Called after any pickup/order status change, whoever made it
+async function refreshRoutesForStop(kind, refId) {
+  const routes = await RoutePlan.find({
+    status: { $in: ACTIVE_ROUTE_STATUSES },
+    [`stops.${stopRefField(kind)}`]: refId
+  }).select('_id');
+  for (const route of routes) {
+    await refreshRouteProgress(route._id);
+  }
+}
+
+// Whether a pickup/order is a stop on a route that is planned or being driven
+async function isOnActiveRoute(kind, refId) {
+  return !!(await RoutePlan.exists({
+    status: { $in: ACTIVE_ROUTE_STATUSES },
+    [`stops.${stopRefField(kind)}`]: refId
+  }));
+}
+
+// Collectors may only touch stops on their own active routes, with field statuses.
+// Returns an error message, or null when the change is allowed.
+async function collectorStopError(user, kind, refId, status) {
+  if (user.role !== 'collector') return null;
+  if (!COLLECTOR_STATUSES[kind].includes(status)) {
+    return `Collectors can only set status to: ${COLLECTOR_STATUSES[kind].join(', ')}`;
+  }
+  const route = await findAssignedRoute(user.userId, kind, refId);
+  return route ? null : `This ${kind === 'pickup' ? 'pickup' : 'order'} is not on one of your assigned routes`;
+}
+
+// Current time window of each pickup stop for a route driven on `date` (YYYY-MM-DD),
+// as timeWindow on the stop, plus warnings for windows on another day
+async function attachTimeWindows(stops, date) {
+  const pickupIds = stops.filter(s => s.kind === 'pickup' && s.pickupId).map(s => s.pickupId);
+  const pickups = pickupIds.length
+    ? await Pickup.find({ _id: { $in: pickupIds } }).select('timeWindow pickupDate pickupTime')
+    : [];
+  const windows = new Map(pickups.map(p => [String(p._id), pickupTimeWindow(p)]));
+
+  const warnings = [];
+  const withWindows = stops.map(stop => {
+    const { window, warning } = windowForRouteDate(stop.name, windows.get(String(stop.pickupId)) || null, date);
+    if (warning) warnings.push({ name: stop.name, message: warning });
+    return { ...stop, timeWindow: window || undefined };
+  });
+  return { stops: withWindows, warnings };
+}
+
+module.exports = {
+  ACTIVE_ROUTE_STATUSES,
+  COLLECTOR_STATUSES,
+  attachTimeWindows,
+  findAssignedRoute,
+  isOnActiveRoute,
+  loadStopStatuses,
+  refreshRouteProgress,
+  refreshRoutesForStop,
+  collectorStopError
+};
@@ -0,0 +1,426 @@
+// Deterministic route solver: same input, same route, no network needed.
+//
+// Stops are visited starting from locations[0] (the depot). The route can end at a
+// fixed location (usually back at the depot) or stay open. Small inputs are solved
+// exactly by exhaustive search; larger ones start from a few nearest-neighbour tours
+// and improve each with 2-opt and Or-opt moves until no move shortens the route.
+//
+// When stops have time windows the search compares routes by total lateness first
+// and distance second: arriving early means waiting, arriving late is what we avoid.
+// With a vehicle capacity and per-stop load changes (pickups load in, deliveries
+// unload), keeping the load within capacity at every stop comes before both.
+
+const { haversineKm } = require('./geo');
+
+// Up to this many stops the exhaustive search is fast enough (8! = 40320 orders)
+const EXACT_MAX_STOPS = 8;
+// Ignore "improvements" smaller than this (km) so floating point noise can't loop forever
+const EPSILON = 1e-9;
+const MAX_IMPROVEMENT_PASSES = 1000;
+// Local search restarts from several first stops and keeps the best result
+const LOCAL_SEARCH_STARTS = 8;
+// Window/load-aware search re-evaluates the whole schedule per move, so it gets fewer passes
+const WINDOW_SEARCH_PASSES = 20;
+
+function buildDistanceMatrix(points) {
+  return points.map(a => points.map(b => haversineKm(a, b)));
+}
+
+// Length of a sequence of matrix indices
+function sequenceLength(matrix, seq) {
+  let total = 0;
+  for (let i = 0; i < seq.length - 1; i++) {
+    total += matrix[seq[i]][seq[i + 1]];
+  }
+  return total;
+}
+
+// Cost of the edge a -> b, where a missing b means the open end of the route
+function edgeCost(matrix, a, b) {
+  return b === undefined ? 0 : matrix[a][b];
+}
+
+function nearestNeighbourOrder(matrix, stops, firstStop) {
+  const unvisited = stops.filter(stop => stop !== firstStop);
+  const order = [firstStop];
+  let current = firstStop;
+
+  while (unvisited.length) {
+    let bestIdx = 0;
+    for (let i = 1; i < unvisited.length; i++) {
+      // Strict comparison keeps ties on the lower input index, so results are reproducible
+      if (matrix[current][unvisited[i]] < matrix[current][unvisited[bestIdx]] - EPSILON) {
+        bestIdx = i;
+      }
+    }
+    current = unvisited.splice(bestIdx, 1)[0];
+    order.push(current);
+  }
+  return order;
+}
+
+// Reverse seq[i..j] whenever that shortens the route. Positions 1..last are movable.
+function improveTwoOpt(matrix, seq, last) {
+  for (let i = 1; i < last; i++) {
+    for (let j = i + 1; j <= last; j++) {
+      const before = seq[i - 1];
+      const after = seq[j + 1];
+      const delta = matrix[before][seq[j]] + edgeCost(matrix, seq[i], after)
+        - matrix[before][seq[i]] - edgeCost(matrix, seq[j], after);
+
+      if (delta < -EPSILON) {
+        const reversed = seq.slice(i, j + 1).reverse();
+        seq.splice(i, reversed.length, ...reversed);
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Move a chain of 1-3 consecutive stops elsewhere in the route, optionally reversed
+function improveOrOpt(matrix, seq, last, fixedEnd) {
+  for (let length = 1; length <= 3; length++) {
+    for (let i = 1; i + length - 1 <= last; i++) {
+      const first = seq[i];
+      const chainEnd = seq[i + length - 1];
+      const before = seq[i - 1];
+      const after = seq[i + length];
+
+      const removeGain = matrix[before][first] + edgeCost(matrix, chainEnd, after)
+        - edgeCost(matrix, before, after);
+
+      const chain = seq.slice(i, i + length);
+      const rest = [...seq.slice(0, i), ...seq.slice(i + length)];
+      // Never insert after a fixed end location
+      const lastInsert = fixedEnd ? rest.length - 2 : rest.length - 1;
+
+      for (let k = 0; k <= lastInsert; k++) {
+        if (k === i - 1) continue; // that's where the chain came from
+        const a = rest[k];
+        const b = rest[k + 1];
+        const baseline = edgeCost(matrix, a, b);
+
+        const forward = matrix[a][first] + edgeCost(matrix, chainEnd, b) - baseline;
+        const backward = matrix[a][chainEnd] + edgeCost(matrix, first, b) - baseline;
+        const insertCost = Math.min(forward, backward);
+
+        if (insertCost - removeGain < -EPSILON) {
+          const moved = backward < forward - EPSILON ? chain.reverse() : chain;
+          rest.splice(k + 1, 0, ...moved);
+          seq.splice(0, seq.length, ...rest);
+          return true;
+        }
+      }
+    }
+  }
+  return false;
+}
+
+function improveOrder(matrix, initialOrder, endIndex) {
+  const seq = [0, ...initialOrder];
+  if (endIndex !== null) seq.push(endIndex);
+  const last = endIndex !== null ? seq.length - 2 : seq.length - 1;
+
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    if (!improveTwoOpt(matrix, seq, last) && !improveOrOpt(matrix, seq, last, endIndex !== null)) {
+      break;
+    }
+  }
+  return seq.slice(1, last + 1);
+}
+
+// Nearest-neighbour tours starting with each of the stops closest to the depot, each
+// improved by local search. Restarts make getting stuck in a poor local optimum rarer.
+function localSearchOrder(matrix, stops, endIndex) {
+  const firstStops = [...stops]
+    .sort((a, b) => matrix[0][a] - matrix[0][b] || a - b)
+    .slice(0, LOCAL_SEARCH_STARTS);
+
+  let best = null;
+  let bestLength = Infinity;
+  for (const firstStop of firstStops) {
+    const order = improveOrder(matrix, nearestNeighbourOrder(matrix, stops, firstStop), endIndex);
+    const length = sequenceLength(matrix, [0, ...order, ...(endIndex !== null ? [endIndex] : [])]);
+    if (length < bestLength - EPSILON) {
+      best = order;
+      bestLength = length;
+    }
+  }
+  return best || [];
+}
+
+// Exhaustive search with a simple bound; only used for small inputs
+function exactOrder(matrix, stops, endIndex) {
+  let best = null;
+  let bestLength = Infinity;
+  const order = [];
+  const used = new Array(stops.length).fill(false);
+
+  function visit(current, length) {
+    if (length >= bestLength - EPSILON) return;
+    if (order.length === stops.length) {
+      const total = length + (endIndex !== null ? matrix[current][endIndex] : 0);
+      if (total < bestLength - EPSILON) {
+        bestLength = total;
+        best = [...order];
+      }
+      return;
+    }
+    for (let i = 0; i < stops.length; i++) {
+      if (used[i]) continue;
+      used[i] = true;
+      order.push(stops[i]);
+      visit(stops[i], length + matrix[current][stops[i]]);
+      order.pop();
+      used[i] = false;
+    }
+  }
+
+  visit(0, 0);
+  return best || [];
+}
+
+// ---- Time windows and vehicle load ----------------------------------------
+
+// Kg over capacity when carrying `load`
+function excessLoad(load, capacity) {
+  return capacity === null ? 0 : Math.max(0, load - capacity);
+}
+
+// Overload (kg over capacity, summed over stops), lateness (minutes past window ends)
+// and distance of a full sequence
+function evaluateSchedule(matrix, seq, constraints) {
+  const { windows, minutesPerKm, serviceMinutes, endIndex, loads, startLoad, capacity } = constraints;
+  let time = 0;
+  let late = 0;
+  let distance = 0;
+  let load = startLoad;
+  let overload = excessLoad(load, capacity);
+
+  for (let i = 1; i < seq.length; i++) {
+    const leg = matrix[seq[i - 1]][seq[i]];
+    distance += leg;
+    time += leg * minutesPerKm;
+
+    const window = windows[seq[i]];
+    if (window) {
+      if (time < window.start) time = window.start;
+      if (time > window.end) late += time - window.end;
+    }
+    if (seq[i] !== endIndex) {
+      time += serviceMinutes;
+      load += loads[seq[i]];
+      overload += excessLoad(load, capacity);
+    }
+  }
+  return { overload, late, distance };
+}
+
+function isBetterSchedule(a, b) {
+  if (a.overload < b.overload - EPSILON) return true;
+  if (a.overload > b.overload + EPSILON) return false;
+  if (a.late < b.late - EPSILON) return true;
+  if (a.late > b.late + EPSILON) return false;
+  return a.distance < b.distance - EPSILON;
+}
+
+function withEnd(order, endIndex) {
+  return [0, ...order, ...(endIndex !== null ? [endIndex] : [])];
+}
+
+// Stops with the earliest window end first; stops without a window go last
+function earliestDeadlineOrder(stops, windows) {
+  return [...stops].sort((a, b) => {
+    const wa = windows[a];
+    const wb = windows[b];
+    return (wa ? wa.end : Infinity) - (wb ? wb.end : Infinity)
+      || (wa ? wa.start : Infinity) - (wb ? wb.start : Infinity)
+      || a - b;
+  });
+}
+
+// Unloading stops first, keeping the given order otherwise: the lowest possible peak load
+function unloadFirstOrder(stops, loads) {
+  return [...stops.filter(stop => loads[stop] < 0), ...stops.filter(stop => loads[stop] >= 0)];
+}
+
+// 2-opt and chain moves judged on the whole schedule; keeps applying moves within a pass
+function improveScheduleOrder(matrix, initialOrder, constraints) {
+  const order = [...initialOrder];
+  let best = evaluateSchedule(matrix, withEnd(order, constraints.endIndex), constraints);
+  const maxChain = order.length > 80 ? 1 : 3;
+
+  const tryOrder = (candidate) => {
+    const score = evaluateSchedule(matrix, withEnd(candidate, constraints.endIndex), constraints);
+    if (!isBetterSchedule(score, best)) return false;
+    order.splice(0, order.length, ...candidate);
+    best = score;
+    return true;
+  };
+
+  for (let pass = 0; pass < WINDOW_SEARCH_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        if (tryOrder(candidate)) improved = true;
+      }
+    }
+
+    for (let length = 1; length <= maxChain; length++) {
+      for (let i = 0; i + length <= order.length; i++) {
+        const chain = order.slice(i, i + length);
+        const rest = [...order.slice(0, i), ...order.slice(i + length)];
+        for (let k = 0; k <= rest.length; k++) {
+          if (k === i) continue;
+          if (tryOrder([...rest.slice(0, k), ...chain, ...rest.slice(k)])) {
+            improved = true;
+            break;
+          }
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+  return order;
+}
+
+// Exhaustive search for small inputs; overload, lateness and distance only grow along a
+// route, so partial routes already worse than the best complete one are cut off
+function exactScheduleOrder(matrix, stops, constraints) {
+  const { windows, minutesPerKm, serviceMinutes, endIndex, loads, startLoad, capacity } = constraints;
+  let best = null;
+  let bestScore = { overload: Infinity, late: Infinity, distance: Infinity };
+  const order = [];
+  const used = new Array(stops.length).fill(false);
+
+  function visit(current, time, load, overload, late, distance) {
+    if (!isBetterSchedule({ overload, late, distance }, bestScore)) return;
+
+    if (order.length === stops.length) {
+      let finalLate = late;
+      let finalDistance = distance;
+      if (endIndex !== null) {
+        const leg = matrix[current][endIndex];
+        finalDistance += leg;
+        const window = windows[endIndex];
+        const arrival = time + leg * minutesPerKm;
+        if (window && arrival > window.end) finalLate += arrival - window.end;
+      }
+      const score = { overload, late: finalLate, distance: finalDistance };
+      if (isBetterSchedule(score, bestScore)) {
+        bestScore = score;
+        best = [...order];
+      }
+      return;
+    }
+
+    for (let i = 0; i < stops.length; i++) {
+      if (used[i]) continue;
+      const stop = stops[i];
+      const leg = matrix[current][stop];
+      let arrival = time + leg * minutesPerKm;
+      let stopLate = 0;
+      const window = windows[stop];
+      if (window) {
+        if (arrival < window.start) arrival = window.start;
+        if (arrival > window.end) stopLate = arrival - window.end;
+      }
+
+      const stopLoad = load + loads[stop];
+      used[i] = true;
+      order.push(stop);
+      visit(stop, arrival + serviceMinutes, stopLoad, overload + excessLoad(stopLoad, capacity), late + stopLate, distance + leg);
+      order.pop();
+      used[i] = false;
+    }
+  }
+
+  visit(0, 0, startLoad, excessLoad(startLoad, capacity), 0, 0);
+  return best || [];
+}
+
+/**
+ * Order stops for the shortest route.
+ *
+ * @param {Array<{lat:number, lon:number}>} locations - locations[0] is the start (depot)
+ * @param {Object} [options]
+ * @param {{lat:number, lon:number}|null} [options.end] - where the route must finish; null for an open route
+ * @param {boolean} [options.exact] - force (true) or skip (false) the exhaustive search
+ * @param {Array<{start:number, end:number}|null>} [options.windows] - per location (and end point, if any),
+ *   in minutes after departure from locations[0]
+ * @param {number} [options.minutesPerKm] - driving time, used with windows
+ * @param {number} [options.serviceMinutes] - time spent at each stop, used with windows
+ * @param {number[]} [options.loads] - kg loaded (+) or unloaded (-) at each location, used with capacity
+ * @param {number} [options.startLoad] - kg on board when leaving locations[0]
+ * @param {number|null} [options.capacity] - vehicle capacity in kg
+ * @returns {{ order: number[], distance: number, lateMinutes: number, overloadKg: number, method: 'exact'|'local-search' }}
+ *   order holds indexes into locations, starting with 0 and excluding the end point
+ */
+function solveRoute(locations, {
+  end = null,
+  exact,
+  windows = null,
+  minutesPerKm = 2,
+  serviceMinutes = 5,
+  loads = null,
+  startLoad = 0,
+  capacity = null
+} = {}) {
+  const points = end ? [...locations, end] : [...locations];
+  const matrix = buildDistanceMatrix(points);
+  const endIndex = end ? points.length - 1 : null;
+  const stops = locations.map((_, idx) => idx).slice(1);
+
+  const useExact = exact !== undefined ? exact : stops.length <= EXACT_MAX_STOPS;
+  const hasWindows = Boolean(windows && windows.some(Boolean));
+  const hasLoads = Boolean(loads && capacity !== null);
+  const constraints = hasWindows || hasLoads
+    ? {
+      windows: points.map((_, idx) => (hasWindows && windows[idx]) || null),
+      minutesPerKm,
+      serviceMinutes,
+      endIndex,
+      loads: points.map((_, idx) => (hasLoads && idx !== endIndex && loads[idx]) || 0),
+      startLoad: hasLoads ? startLoad : 0,
+      capacity: hasLoads ? capacity : null
+    }
+    : null;
+
+  let stopOrder;
+  if (!constraints) {
+    stopOrder = useExact ? exactOrder(matrix, stops, endIndex) : localSearchOrder(matrix, stops, endIndex);
+  } else if (useExact) {
+    stopOrder = exactScheduleOrder(matrix, stops, constraints);
+  } else {
+    // Start from the best of the shortest route, deadline order and unloading first, and improve it
+    const shortest = localSearchOrder(matrix, stops, endIndex);
+    const candidates = [shortest];
+    if (hasWindows) candidates.push(earliestDeadlineOrder(stops, constraints.windows));
+    if (hasLoads) candidates.push(unloadFirstOrder(shortest, constraints.loads));
+    const scored = candidates.map(order => ({
+      order,
+      score: evaluateSchedule(matrix, withEnd(order, endIndex), constraints)
+    }));
+    const start = scored.reduce((best, c) => (isBetterSchedule(c.score, best.score) ? c : best));
+    stopOrder = improveScheduleOrder(matrix, start.order, constraints);
+  }
+
+  const seq = withEnd(stopOrder, endIndex);
+  const score = constraints ? evaluateSchedule(matrix, seq, constraints) : null;
+  return {
+    order: [0, ...stopOrder],
+    distance: sequenceLength(matrix, seq),
+    lateMinutes: score ? score.late : 0,
+    overloadKg: score ? score.overload : 0,
+    method: useExact ? 'exact' : 'local-search'
+  };
+}
+
+module.exports = {
+  EXACT_MAX_STOPS,
+  solveRoute
+};
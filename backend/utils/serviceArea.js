@@ -0,0 +1,96 @@
+const { haversineKm, pointInPolygon } = require('./geo');
+const { geocode, geocodeDetails, userLocationDetails, LOW_CONFIDENCE } = require('./geocoder');
+
+// Service-area checks against the compost centers (models/Center.js)
+
+// { inside, distanceKm } for a lat/lon; distanceKm is from the center
+function checkLocation(center, point) {
+  const distanceKm = Math.round(haversineKm(center, point) * 10) / 10;
+  const { shape, radiusKm, polygon } = center.boundary;
+  const inside = shape === 'polygon' && polygon.length >= 3
+    ? pointInPolygon(point, polygon)
+    : distanceKm <= radiusKm;
+  return { inside, distanceKm };
+}
+
+// The center serving a location: the nearest one whose area contains it, else the
+// nearest overall. Returns { center, inside, distanceKm } or null without centers.
+function nearestCenter(centers, point) {
+  const ranked = centers
+    .map(center => ({ center, ...checkLocation(center, point) }))
+    .sort((a, b) => (b.inside - a.inside) || (a.distanceKm - b.distanceKm));
+  return ranked[0] || null;
+}
+
+// Geocoder options so addresses are looked up in the center's city
+function geocodeOptions(center) {
+  return { context: center.city, near: { lat: center.lat, lon: center.lon } };
+}
+
+// Geocode an address in each center's city in turn until one places it
+async function locateAddress(address, centers) {
+  const cities = new Set();
+  for (const center of centers) {
+    if (cities.has(center.city)) continue;
+    cities.add(center.city);
+    const location = await geocode(address, geocodeOptions(center));
+    if (location) return location;
+  }
+  return null;
+}
+
+/**
+ * Where a household is: the coordinates they picked, else their geocoded address.
+ * Resolves to { lat, lon, geocode, approximate, warning }; lat/lon are missing when
+ * the address couldn't be placed, and warning asks the household to pin their location.
+ */
+async function locateHousehold({ address, lat, lon }, centers) {
+  if (lat != null && lon != null) {
+    return { lat, lon, geocode: userLocationDetails(), approximate: false };
+  }
+  const location = await locateAddress(address, centers);
+  if (!location) {
+    return { warning: 'We could not find your address on the map. Please pin your location so the collector can find you.' };
+  }
+  const approximate = location.confidence < LOW_CONFIDENCE;
+  return {
+    lat: location.lat,
+    lon: location.lon,
+    geocode: geocodeDetails(location),
+    approximate,
+    warning: approximate
+      ? 'We could only find your address approximately. Please pin your location on the map for accurate pickups.'
+      : undefined
+  };
+}
+
+/**
+ * Applies the center's out-of-area policy to a located pickup or order.
+ * Returns { rejected, message } when it must not be saved; otherwise flags the
+ * document and returns a warning for the user when it is outside the area.
+ * Approximate geocoder results are only flagged, never rejected.
+ */
+function applyServiceArea(center, doc, { approximate = false } = {}) {
+  if (doc.lat == null || doc.lon == null) return {};
+
+  const { inside, distanceKm } = checkLocation(center, doc);
+  doc.outsideServiceArea = !inside;
+  if (inside) return {};
+
+  if (center.outOfArea === 'reject' && !approximate) {
+    return {
+      rejected: true,
+      message: `This address is outside our service area (${distanceKm} km from ${center.name}).`
+    };
+  }
+  return { warning: `This address is outside our usual service area (${distanceKm} km from ${center.name}); we will confirm whether we can serve it.` };
+}
+
+module.exports = {
+  checkLocation,
+  nearestCenter,
+  geocodeOptions,
+  locateAddress,
+  locateHousehold,
+  applyServiceArea
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: (req.get('User-Agent') || '').slice(0, 300),
+    ip: req.ip || req.connection?.remoteAddress || ''
+  };
+}
+
+// Short-lived JWT; sessionId lets the auth middleware reject revoked sessions
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { userId: user._id, role: user.role, sessionId: session._id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh tokens are "<sessionId>.<random secret>" so lookups don't need the hash
+function buildRefreshToken(session, secret) {
+  return `${session._id}.${secret}`;
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+// Start a new session for a user who just registered or logged in
+async function createSession(user, req) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+  await session.save();
+
+  return {
+    session,
+    token: signAccessToken(user, session),
+    refreshToken: buildRefreshToken(session, secret)
+  };
+}
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Returns null when the token is unknown, expired or revoked. Presenting an
+// already-rotated token revokes the whole session, since it means the token leaked.
+async function rotateSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive()) return null;
+
+  if (session.refreshTokenHash !== hashToken(parsed.secret)) {
+    console.warn(`⚠️ Refresh token reuse detected for session ${session._id}, revoking`);
+    await revokeSession(session._id, 'refresh-token-reuse');
+    return null;
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || user.active === false) return null;
+
+  const secret = crypto.randomBytes(48).toString('hex');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(secret),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+      ...clientInfo(req)
+    },
+    { new: true }
+  );
+  // Another request rotated the same token first
+  if (!rotated) return null;
+
+  return {
+    user,
+    session: rotated,
+    token: signAccessToken(user, rotated),
+    refreshToken: buildRefreshToken(rotated, secret)
+  };
+}
+
+async function findSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.refreshTokenHash !== hashToken(parsed.secret)) return null;
+  return session;
+}
+
+async function isSessionActive(sessionId) {
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return !!session && session.isActive();
+}
+
+async function revokeSession(sessionId, reason = 'logout') {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+}
+
+async function revokeAllSessions(userId, reason = 'logout-all', exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount || 0;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  JWT_SECRET
+};
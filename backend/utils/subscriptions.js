@@ -0,0 +1,189 @@
+const Pickup = require('../models/Pickup');
+const PickupSlot = require('../models/PickupSlot');
+const PickupSubscription = require('../models/PickupSubscription');
+const { parseTimeWindow, localDate } = require('./timeWindows');
+
+// Recurring pickups. The scheduler walks every live subscription and creates the
+// Pickup documents for its dates within the next SUBSCRIPTION_HORIZON_DAYS (default 7),
+// booking the matching slot in the subscription's zone like a one-off request would.
+// A date is generated at most once (unique subscriptionId + pickupDate on Pickup);
+// dates that couldn't be booked are recorded on the subscription and retried next run.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HORIZON_DAYS = parseInt(process.env.SUBSCRIPTION_HORIZON_DAYS, 10) || 7;
+const MAX_ISSUES = 20;
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// Whether the subscription asks for a pickup on date, ignoring pauses and skips
+function isOccurrence(subscription, date) {
+  if (date < subscription.startDate) return false;
+  const offset = Math.round((Date.parse(date) - Date.parse(subscription.startDate)) / DAY_MS);
+  if (subscription.frequency === 'custom') {
+    return offset % subscription.intervalDays === 0;
+  }
+  if (!subscription.weekdays.includes(weekday(date))) return false;
+  if (subscription.frequency === 'biweekly') {
+    // Weeks run Sunday to Saturday; the week startDate falls in is week 0
+    return Math.floor((offset + weekday(subscription.startDate)) / 7) % 2 === 0;
+  }
+  return true;
+}
+
+function isPausedOn(subscription, date) {
+  return subscription.status === 'paused' && (!subscription.pausedUntil || date <= subscription.pausedUntil);
+}
+
+// Dates the subscription asks for in the `days` days starting at from
+function upcomingDates(subscription, from, days = HORIZON_DAYS) {
+  const dates = [];
+  for (let i = 0; i < days; i++) {
+    const date = addDays(from, i);
+    if (isOccurrence(subscription, date)) dates.push(date);
+  }
+  return dates;
+}
+
+function recordIssue(subscription, date, message) {
+  subscription.issues = [
+    ...subscription.issues.filter(issue => issue.date !== date),
+    { date, message }
+  ].slice(-MAX_ISSUES);
+}
+
+function pickupFor(subscription, slot, timeWindow) {
+  return new Pickup({
+    userId: subscription.userId,
+    subscriptionId: subscription._id,
+    quantity: subscription.quantity,
+    address: subscription.address,
+    lat: subscription.lat,
+    lon: subscription.lon,
+    geocode: subscription.geocode,
+    outsideServiceArea: subscription.outsideServiceArea,
+    centerId: subscription.centerId,
+    wasteType: subscription.wasteType,
+    phone: subscription.phone,
+    instructions: subscription.instructions,
+    slotId: slot._id,
+    pickupDate: slot.date,
+    pickupTime: slot.time,
+    timeWindow,
+    status: 'pending',
+    statusHistory: [{ to: 'pending', changedBy: subscription.userId, note: 'Scheduled from recurring pickup' }],
+    requestDate: new Date()
+  });
+}
+
+// Create the subscription's missing pickups within the horizon. Returns the number created.
+async function generatePickups(subscription, now = new Date()) {
+  if (subscription.status === 'cancelled') return 0;
+
+  const today = localDate(now);
+  if (subscription.status === 'paused' && subscription.pausedUntil && subscription.pausedUntil < today) {
+    subscription.status = 'active';
+    subscription.pausedUntil = undefined;
+  }
+
+  let created = 0;
+  for (const date of upcomingDates(subscription, today)) {
+    if (subscription.skipDates.includes(date) || isPausedOn(subscription, date)) continue;
+    if (await Pickup.exists({ subscriptionId: subscription._id, pickupDate: date })) continue;
+
+    const timeWindow = parseTimeWindow(date, subscription.time);
+    if (!timeWindow || timeWindow.end <= now) continue;
+
+    const slot = await PickupSlot.findOne({ centerId: subscription.centerId, date, time: subscription.time, active: true });
+    if (!slot) {
+      recordIssue(subscription, date, `No ${subscription.time} pickup slot is open on this day`);
+      continue;
+    }
+    if (!(await PickupSlot.book(slot._id, subscription.quantity))) {
+      recordIssue(subscription, date, `The ${subscription.time} pickup slot is full`);
+      continue;
+    }
+
+    try {
+      await pickupFor(subscription, slot, timeWindow).save();
+      created++;
+      subscription.issues = subscription.issues.filter(issue => issue.date !== date);
+    } catch (err) {
+      await PickupSlot.release(slot._id, subscription.quantity);
+      // Another run created it first
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  await subscription.save();
+  return created;
+}
+
+// Remove generated pickups nobody has acted on yet, freeing their slots.
+// dates limits it to those days; otherwise every upcoming one goes.
+async function removeUpcomingPickups(subscription, { dates, now = new Date() } = {}) {
+  const filter = {
+    subscriptionId: subscription._id,
+    status: 'pending',
+    pickupDate: dates ? { $in: dates } : { $gte: localDate(now) }
+  };
+  const pickups = await Pickup.find(filter);
+  let removed = 0;
+  for (const pickup of pickups) {
+    // Only while still pending; an admin may be processing it right now
+    const deleted = await Pickup.findOneAndDelete({ _id: pickup._id, status: 'pending' });
+    if (!deleted) continue;
+    if (deleted.slotId) await PickupSlot.release(deleted.slotId, deleted.quantity);
+    removed++;
+  }
+  return removed;
+}
+
+let running = false;
+
+async function runScheduler() {
+  if (running) return;
+  running = true;
+  try {
+    const subscriptions = await PickupSubscription.find({ status: { $in: ['active', 'paused'] } });
+    let created = 0;
+    for (const subscription of subscriptions) {
+      try {
+        created += await generatePickups(subscription);
+      } catch (err) {
+        console.error(`❌ Recurring pickup ${subscription._id} failed: ${err.message}`);
+      }
+    }
+    if (created) console.log(`🔁 Scheduled ${created} recurring pickup(s)`);
+  } catch (err) {
+    console.error('❌ Recurring pickup scheduler failed:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Runs every SUBSCRIPTION_SCHEDULER_MINUTES (default 60; 0 turns it off)
+function startSubscriptionScheduler() {
+  const minutes = parseInt(process.env.SUBSCRIPTION_SCHEDULER_MINUTES ?? '60', 10);
+  if (!(minutes > 0)) {
+    console.log('⏸️ Recurring pickup scheduler disabled');
+    return null;
+  }
+  // First run shortly after start so the database connection is up
+  setTimeout(runScheduler, 10 * 1000);
+  return setInterval(runScheduler, minutes * 60 * 1000);
+}
+
+module.exports = {
+  HORIZON_DAYS,
+  upcomingDates,
+  generatePickups,
+  removeUpcomingPickups,
+  runScheduler,
+  startSubscriptionScheduler
+};
@@ -0,0 +1,77 @@
+// Pickup time windows.
+//
+// Households pick a date and a slot such as "09:00-12:00". Both are interpreted in
+// the service's local time (APP_UTC_OFFSET, India by default) and stored on the
+// pickup as absolute start/end instants so the route planner can compare them with
+// planned arrival times.
+
+const TIME_RANGE_PATTERN = /^((?:[01]\d|2[0-3]):[0-5]\d)\s*-\s*((?:[01]\d|2[0-3]):[0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Departure for routes when neither the request nor a vehicle shift says otherwise
+const DEFAULT_ROUTE_START = '08:00';
+
+function utcOffset() {
+  return process.env.APP_UTC_OFFSET || '+05:30';
+}
+
+// "2025-03-01" + "09:30" -> Date (local service time)
+function combineDateTime(date, time) {
+  if (!DATE_PATTERN.test(date || '') || !/^\d{2}:\d{2}$/.test(time || '')) return null;
+  const result = new Date(`${date}T${time}:00${utcOffset()}`);
+  return Number.isNaN(result.getTime()) ? null : result;
+}
+
+// Parse the household's date + slot into { start, end }; null when either is missing or malformed
+function parseTimeWindow(date, timeRange) {
+  const match = TIME_RANGE_PATTERN.exec((timeRange || '').trim());
+  if (!match) return null;
+
+  const start = combineDateTime(date, match[1]);
+  const end = combineDateTime(date, match[2]);
+  if (!start || !end || end <= start) return null;
+  return { start, end };
+}
+
+// Stored window, or one parsed from the legacy free-text fields
+function pickupTimeWindow(pickup) {
+  if (pickup.timeWindow?.start && pickup.timeWindow?.end) {
+    return { start: new Date(pickup.timeWindow.start), end: new Date(pickup.timeWindow.end) };
+  }
+  return parseTimeWindow(pickup.pickupDate, pickup.pickupTime);
+}
+
+// Shift a Date so its UTC fields read as local service time
+function toLocal(date) {
+  const [, sign, hours, minutes] = /^([+-])(\d{2}):(\d{2})$/.exec(utcOffset()) || [null, '+', '00', '00'];
+  const offsetMinutes = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  return new Date(new Date(date).getTime() + offsetMinutes * 60000);
+}
+
+// "HH:MM" in local service time, for warnings and labels
+function formatLocalTime(date) {
+  return toLocal(date).toISOString().slice(11, 16);
+}
+
+// "YYYY-MM-DD" in local service time
+function localDate(date) {
+  return toLocal(date).toISOString().slice(0, 10);
+}
+
+// A window only applies to a route driven on its own day; others are dropped with a warning
+function windowForRouteDate(name, window, date) {
+  if (!window) return { window: null, warning: null };
+  const day = localDate(window.start);
+  if (day === date) return { window, warning: null };
+  return { window: null, warning: `${name}: requested for ${day}, not ${date}; its time window was ignored` };
+}
+
+module.exports = {
+  DEFAULT_ROUTE_START,
+  TIME_RANGE_PATTERN,
+  combineDateTime,
+  parseTimeWindow,
+  pickupTimeWindow,
+  formatLocalTime,
+  localDate,
+  windowForRouteDate
+};
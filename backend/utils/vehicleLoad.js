@@ -0,0 +1,56 @@
+// Vehicle load along a route that can mix household pickups (waste loaded in) and
+// farmer deliveries (compost unloaded). The vehicle leaves the depot carrying all the
+// compost it will deliver, so the load at any point is the compost still on board plus
+// the waste collected so far.
+
+function isDepot(loc) {
+  return loc.isDepot || loc.kind === 'depot';
+}
+
+// Kg added (pickup) or removed (delivery) at a location; stops without a kind are pickups
+function loadChange(loc) {
+  if (isDepot(loc)) return 0;
+  const quantity = loc.quantity || 0;
+  return loc.kind === 'delivery' ? -quantity : quantity;
+}
+
+// Compost on board when leaving the depot: everything delivered along the route
+function deliveryLoad(stops) {
+  return stops
+    .filter(loc => !isDepot(loc) && loc.kind === 'delivery')
+    .reduce((sum, loc) => sum + (loc.quantity || 0), 0);
+}
+
+function round(kg) {
+  return Math.round(kg * 100) / 100;
+}
+
+/**
+ * Load on board after each location of a route.
+ * Returns the locations with loadAfter, the starting and peak load, and whether the
+ * load stays within capacity (always true without a capacity).
+ */
+function loadProfile(order, { startLoad = deliveryLoad(order), capacity = null } = {}) {
+  let load = startLoad;
+  let peakLoad = startLoad;
+
+  const stops = order.map(loc => {
+    load += loadChange(loc);
+    peakLoad = Math.max(peakLoad, load);
+    return { ...loc, loadAfter: round(load) };
+  });
+
+  return {
+    stops,
+    startLoad: round(startLoad),
+    peakLoad: round(peakLoad),
+    capacity,
+    feasible: capacity == null || peakLoad <= capacity + 1e-9
+  };
+}
+
+module.exports = {
+  loadChange,
+  deliveryLoad,
+  loadProfile
+};
@@ -0,0 +1,59 @@
+const { rules } = require('../middleware/validate');
+const { idParams, password } = require('./common');
+
+// Other roles are only assigned by an admin through /api/users
+const SELF_REGISTER_ROLES = ['household', 'farmer'];
+
+const emailBody = {
+  body: { email: rules.email({ required: true }) }
+};
+
+module.exports = {
+  SELF_REGISTER_ROLES,
+
+  register: {
+    body: {
+      name: rules.string({ required: true, max: 100 }),
+      email: rules.email({ required: true }),
+      password: password({ required: true }),
+      role: rules.string({ required: true, enum: SELF_REGISTER_ROLES }),
+      address: rules.string({ max: 500 }),
+      phone: rules.string({ max: 30 })
+    }
+  },
+
+  login: {
+    body: {
+      email: rules.email({ required: true }),
+      password: rules.string({ required: true, trim: false, max: 128 })
+    }
+  },
+
+  verifyEmail: {
+    body: { token: rules.string({ required: true, max: 200 }) }
+  },
+
+  resendVerification: emailBody,
+
+  forgotPassword: emailBody,
+
+  resetPassword: {
+    body: {
+      token: rules.string({ required: true, max: 200 }),
+      password: password({ required: true })
+    }
+  },
+
+  refresh: {
+    body: { refreshToken: rules.string({ required: true, max: 200 }) }
+  },
+
+  logout: {
+    body: {
+      refreshToken: rules.string({ max: 200 }),
+      allDevices: rules.boolean({ default: false })
+    }
+  },
+
+  revokeSession: { params: idParams }
+};
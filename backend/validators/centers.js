@@ -0,0 +1,39 @@
+const { rules } = require('../middleware/validate');
+const { idParams } = require('./common');
+
+const point = rules.object({
+  lat: rules.number({ required: true, min: -90, max: 90 }),
+  lon: rules.number({ required: true, min: -180, max: 180 })
+});
+
+const centerFields = (required) => ({
+  name: rules.string({ required, max: 100 }),
+  address: rules.string({ max: 500 }),
+  lat: rules.number({ required, min: -90, max: 90 }),
+  lon: rules.number({ required, min: -180, max: 180 }),
+  city: rules.string({ min: 2, max: 200 }),
+  boundary: rules.object({
+    shape: rules.string({ enum: ['radius', 'polygon'] }),
+    radiusKm: rules.number({ min: 1, max: 500 }),
+    polygon: rules.array(point, { max: 200 })
+  }),
+  outOfArea: rules.string({ enum: ['reject', 'flag'] }),
+  available: rules.number({ min: 0 }),
+  pricePerKg: rules.number({ min: 0 }),
+  active: rules.boolean(),
+  isDefault: rules.boolean()
+});
+
+module.exports = {
+  listCenters: {
+    query: { includeInactive: rules.boolean() }
+  },
+  createCenter: { body: centerFields(true) },
+  updateCenter: { params: idParams, body: centerFields(false) },
+  checkLocation: {
+    body: {
+      lat: rules.number({ required: true, min: -90, max: 90 }),
+      lon: rules.number({ required: true, min: -180, max: 180 })
+    }
+  }
+};
@@ -0,0 +1,22 @@
+const { rules } = require('../middleware/validate');
+const ClassificationTaxonomy = require('../models/ClassificationTaxonomy');
+
+const share = (options = {}) => rules.number({ min: 0, max: 1, ...options });
+const keyword = () => rules.string({ required: true, lowercase: true, max: 100 });
+
+module.exports = {
+  updateTaxonomy: {
+    body: {
+      labels: rules.array(rules.object({
+        keyword: keyword(),
+        category: rules.string({ required: true, enum: ClassificationTaxonomy.CATEGORIES }),
+        weight: rules.number({ required: true, min: 0, max: 100 }),
+        wasteType: rules.string({ max: 100 })
+      }), { max: 1000 }),
+      ignoredLabels: rules.array(keyword(), { max: 200 }),
+      minConfidence: share(),
+      fallbackProbability: share(),
+      fallbackKeywords: rules.array(keyword(), { max: 200 })
+    }
+  }
+};
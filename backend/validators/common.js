@@ -0,0 +1,36 @@
+const { rules } = require('../middleware/validate');
+
+// Fragments shared by several route schemas
+
+const idParams = {
+  id: rules.objectId({ required: true })
+};
+
+const coordinates = {
+  lat: rules.number({ min: -90, max: 90 }),
+  lon: rules.number({ min: -180, max: 180 })
+};
+
+// <input type="date"> value
+const isoDate = (options = {}) => rules.string({
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  patternMessage: 'must be a date in YYYY-MM-DD format',
+  ...options
+});
+
+// <input type="time"> value, e.g. a route's departure
+const timeOfDay = (options = {}) => rules.string({
+  pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+  patternMessage: 'must be a time like 08:00',
+  ...options
+});
+
+const password = (options = {}) => rules.string({ trim: false, min: 6, max: 128, ...options });
+
+module.exports = {
+  idParams,
+  coordinates,
+  isoDate,
+  timeOfDay,
+  password
+};
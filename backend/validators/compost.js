@@ -0,0 +1,14 @@
+const { rules } = require('../middleware/validate');
+
+module.exports = {
+  getStock: {
+    query: { centerId: rules.objectId() }
+  },
+  updateStock: {
+    body: {
+      centerId: rules.objectId(),
+      available: rules.number({ min: 0 }),
+      pricePerKg: rules.number({ min: 0 })
+    }
+  }
+};
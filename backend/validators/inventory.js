@@ -0,0 +1,17 @@
+const { rules } = require('../middleware/validate');
+const { idParams } = require('./common');
+
+// Images are stored inline as data URLs, so they are only capped by the JSON body limit
+const itemFields = (required) => ({
+  name: rules.string({ required, max: 100 }),
+  category: rules.string({ max: 50 }),
+  pricePerKg: rules.number({ required, min: 0 }),
+  stock: rules.number({ required, min: 0 }),
+  image: rules.string()
+});
+
+module.exports = {
+  createItem: { body: itemFields(true) },
+  updateItem: { params: idParams, body: itemFields(false) },
+  deleteItem: { params: idParams }
+};
@@ -0,0 +1,31 @@
+const { rules } = require('../middleware/validate');
+const { idParams, coordinates } = require('./common');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'in-transit', 'rejected', 'delivered'];
+
+const orderFields = {
+  // Store product to order; name and price are taken from it
+  itemId: rules.objectId({ required: true }),
+  quantity: rules.number({ required: true, min: 0.1, max: 100000 }),
+  deliveryAddress: rules.string({ max: 500 }),
+  // Center to order from; the one nearest the delivery location when omitted
+  centerId: rules.objectId(),
+  ...coordinates
+};
+
+module.exports = {
+  ORDER_STATUSES,
+
+  createOrder: { body: orderFields },
+
+  quoteOrder: { body: orderFields },
+
+  listOrders: {
+    query: { centerId: rules.objectId() }
+  },
+
+  updateStatus: {
+    params: idParams,
+    body: { status: rules.string({ required: true, enum: ORDER_STATUSES }) }
+  }
+};
@@ -0,0 +1,59 @@
+const { rules } = require('../middleware/validate');
+const { idParams, coordinates, isoDate } = require('./common');
+const { TIME_RANGE_PATTERN } = require('../utils/timeWindows');
+
+const timeRange = (options = {}) => rules.string({
+  pattern: TIME_RANGE_PATTERN,
+  patternMessage: 'must be a time slot like 09:00-12:00',
+  ...options
+});
+
+// 0 means no limit
+const capacity = {
+  capacityKg: rules.number({ min: 0, max: 100000 }),
+  capacityStops: rules.integer({ min: 0, max: 1000 })
+};
+
+module.exports = {
+  availability: {
+    query: {
+      date: isoDate({ required: true }),
+      // Only slots with room for this many kg
+      quantity: rules.number({ min: 0, max: 1000 }),
+      centerId: rules.objectId(),
+      address: rules.string({ max: 500 }),
+      ...coordinates
+    }
+  },
+
+  listSlots: {
+    query: {
+      centerId: rules.objectId(),
+      from: isoDate(),
+      to: isoDate()
+    }
+  },
+
+  // The same slots on every matching day from startDate to endDate
+  createSlots: {
+    body: {
+      centerId: rules.objectId({ required: true }),
+      startDate: isoDate({ required: true }),
+      endDate: isoDate({ required: true }),
+      // 0 = Sunday ... 6 = Saturday; every day when omitted
+      weekdays: rules.array(rules.integer({ min: 0, max: 6 }), { max: 7 }),
+      times: rules.array(timeRange({ required: true }), { required: true, min: 1, max: 24 }),
+      ...capacity
+    }
+  },
+
+  updateSlot: {
+    params: idParams,
+    body: {
+      ...capacity,
+      active: rules.boolean()
+    }
+  },
+
+  deleteSlot: { params: idParams }
+};
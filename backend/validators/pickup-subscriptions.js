@@ -0,0 +1,45 @@
+const { rules } = require('../middleware/validate');
+const { idParams, coordinates, isoDate } = require('./common');
+const { TIME_RANGE_PATTERN } = require('../utils/timeWindows');
+const PickupSubscription = require('../models/PickupSubscription');
+
+const FREQUENCIES = PickupSubscription.schema.path('frequency').enumValues;
+
+module.exports = {
+  createSubscription: {
+    body: {
+      frequency: rules.string({ required: true, enum: FREQUENCIES }),
+      // 0 = Sunday ... 6 = Saturday; required for weekly and biweekly
+      weekdays: rules.array(rules.integer({ min: 0, max: 6 }), { max: 7 }),
+      // Required for custom
+      intervalDays: rules.integer({ min: 1, max: 90 }),
+      startDate: isoDate({ required: true }),
+      time: rules.string({
+        required: true,
+        pattern: TIME_RANGE_PATTERN,
+        patternMessage: 'must be a time slot like 09:00-12:00'
+      }),
+      // The slot chosen for startDate; its center is the zone when the address can't be located
+      slotId: rules.objectId({ required: true }),
+      quantity: rules.number({ required: true, min: 0.1, max: 1000 }),
+      address: rules.string({ required: true, max: 500 }),
+      wasteType: rules.string({ max: 100 }),
+      phone: rules.string({ max: 30 }),
+      instructions: rules.string({ max: 1000 }),
+      ...coordinates
+    }
+  },
+
+  pauseSubscription: {
+    params: idParams,
+    // Resumes by itself after this date; paused until resumed when omitted
+    body: { until: isoDate() }
+  },
+
+  skipDate: {
+    params: idParams,
+    body: { date: isoDate({ required: true }) }
+  },
+
+  subscriptionAction: { params: idParams }
+};
@@ -0,0 +1,83 @@
+const { rules } = require('../middleware/validate');
+const { idParams, coordinates } = require('./common');
+const Pickup = require('../models/Pickup');
+const PickupPhoto = require('../models/PickupPhoto');
+
+const PICKUP_STATUSES = Pickup.schema.path('status').enumValues;
+
+// Sent when completing; required by the pickup lifecycle for that transition
+const measurement = {
+  measuredQuantity: rules.number({ min: 0, max: 5000 }),
+  contaminationPercent: rules.number({ min: 0, max: 100 })
+};
+
+// Sent with the request when the household classified a photo of the waste
+const classification = rules.object({
+  verdict: rules.string({ required: true, enum: ['compostable', 'non-compostable', 'recyclable', 'unknown'] }),
+  confidence: rules.number({ min: 0, max: 1 }),
+  predictions: rules.array(rules.object({
+    label: rules.string({ required: true, max: 200 }),
+    probability: rules.number({ required: true, min: 0, max: 1 })
+  }), { max: 5 }),
+  // Data URLs of about 1 MB at most each
+  photos: rules.array(rules.string({
+    max: 1500000,
+    pattern: PickupPhoto.PICKUP_PHOTO_PATTERN,
+    patternMessage: 'must be a JPEG, PNG or WebP image'
+  }), { max: 3 }),
+  classifiedAt: rules.date()
+});
+
+module.exports = {
+  PICKUP_STATUSES,
+
+  requestPickup: {
+    body: {
+      quantity: rules.number({ required: true, min: 0.1, max: 1000 }),
+      address: rules.string({ required: true, max: 500 }),
+      wasteType: rules.string({ max: 100 }),
+      phone: rules.string({ max: 30 }),
+      // From GET /api/pickup-slots/availability; sets the pickup date and time
+      slotId: rules.objectId({ required: true }),
+      instructions: rules.string({ max: 1000 }),
+      classification,
+      ...coordinates
+    }
+  },
+
+  listPickups: {
+    query: { centerId: rules.objectId() }
+  },
+
+  updateStatus: {
+    params: idParams,
+    body: {
+      status: rules.string({ required: true, enum: PICKUP_STATUSES }),
+      note: rules.string({ max: 500 }),
+      ...measurement
+    }
+  },
+
+  // Admin, or the pickup's household
+  pickupPhotos: { params: idParams },
+
+  // Household, before the cut-off
+  cancelPickup: {
+    params: idParams,
+    body: { reason: rules.string({ required: true, max: 500 }) }
+  },
+
+  reschedulePickup: {
+    params: idParams,
+    body: { slotId: rules.objectId({ required: true }) }
+  },
+
+  completePickup: {
+    params: idParams,
+    body: {
+      note: rules.string({ max: 500 }),
+      measuredQuantity: rules.number({ required: true, min: 0, max: 5000 }),
+      contaminationPercent: measurement.contaminationPercent
+    }
+  }
+};
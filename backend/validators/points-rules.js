@@ -0,0 +1,46 @@
+const { rules } = require('../middleware/validate');
+
+const multiplier = (options = {}) => rules.number({ min: 1, max: 10, ...options });
+
+module.exports = {
+  updateRules: {
+    body: {
+      defaultPointsPerKg: rules.number({ min: 0, max: 1000 }),
+      defaultMinQuantity: rules.number({ min: 0, max: 1000 }),
+      rates: rules.array(rules.object({
+        wasteType: rules.string({ required: true, max: 50 }),
+        pointsPerKg: rules.number({ required: true, min: 0, max: 1000 }),
+        minQuantity: rules.number({ min: 0, max: 1000, default: 0 })
+      }), { max: 50 }),
+      firstPickupBonus: rules.object({
+        enabled: rules.boolean({ default: false }),
+        multiplier: multiplier({ default: 1 })
+      }),
+      streakBonus: rules.object({
+        enabled: rules.boolean({ default: false }),
+        weeks: rules.integer({ min: 2, max: 52, default: 4 }),
+        multiplier: multiplier({ default: 1 })
+      }),
+      campaigns: rules.array(rules.object({
+        name: rules.string({ required: true, max: 100 }),
+        wasteTypes: rules.array(rules.string({ max: 50 }), { max: 50, default: [] }),
+        startDate: rules.date({ required: true }),
+        endDate: rules.date({ required: true }),
+        multiplier: multiplier({ required: true }),
+        active: rules.boolean({ default: true })
+      }), { max: 50 }),
+      maxPointsPerPickup: rules.integer({ min: 0 }),
+      maxPointsPerMonth: rules.integer({ min: 0 })
+    }
+  },
+
+  preview: {
+    body: {
+      wasteType: rules.string({ max: 50 }),
+      quantity: rules.number({ required: true, min: 0, max: 1000 }),
+      isFirstPickup: rules.boolean({ default: false }),
+      streakWeeks: rules.integer({ min: 1, max: 52, default: 1 }),
+      pointsThisMonth: rules.integer({ min: 0, default: 0 })
+    }
+  }
+};
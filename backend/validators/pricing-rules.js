@@ -0,0 +1,31 @@
+const { rules } = require('../middleware/validate');
+
+const percent = (options = {}) => rules.number({ min: 0, max: 100, ...options });
+
+module.exports = {
+  updateRules: {
+    body: {
+      quantityTiers: rules.array(rules.object({
+        minQuantity: rules.number({ required: true, min: 0, max: 100000 }),
+        discountPercent: percent({ required: true })
+      }), { max: 20 }),
+      taxes: rules.array(rules.object({
+        name: rules.string({ required: true, max: 50 }),
+        percent: percent({ required: true })
+      }), { max: 10 }),
+      delivery: rules.object({
+        baseFee: rules.number({ min: 0, max: 100000, default: 0 }),
+        perKm: rules.number({ min: 0, max: 10000, default: 0 }),
+        freeKm: rules.number({ min: 0, max: 1000, default: 0 })
+      })
+    }
+  },
+
+  preview: {
+    body: {
+      pricePerKg: rules.number({ required: true, min: 0 }),
+      quantity: rules.number({ required: true, min: 0.1, max: 100000 }),
+      distanceKm: rules.number({ min: 0, max: 1000 })
+    }
+  }
+};
@@ -0,0 +1,7 @@
+const { rules } = require('../middleware/validate');
+
+module.exports = {
+  redeem: {
+    body: { rewardId: rules.objectId({ required: true }) }
+  }
+};
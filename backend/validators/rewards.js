@@ -0,0 +1,15 @@
+const { rules } = require('../middleware/validate');
+const { idParams } = require('./common');
+
+const rewardFields = (required) => ({
+  title: rules.string({ required, max: 100 }),
+  points: rules.integer({ required, min: 0 }),
+  description: rules.string({ max: 1000 }),
+  image: rules.string()
+});
+
+module.exports = {
+  createReward: { body: rewardFields(true) },
+  updateReward: { params: idParams, body: rewardFields(false) },
+  deleteReward: { params: idParams }
+};
@@ -0,0 +1,43 @@
+const { rules } = require('../middleware/validate');
+const { isoDate, timeOfDay } = require('./common');
+
+// A stop as sent by the admin route planner; display fields are echoed back in the result
+const location = rules.object({
+  id: rules.string({ max: 50 }),
+  _id: rules.string({ max: 50 }),
+  name: rules.string({ required: true, max: 200 }),
+  lat: rules.number({ required: true, min: -90, max: 90 }),
+  lon: rules.number({ required: true, min: -180, max: 180 }),
+  address: rules.string({ max: 500 }),
+  quantity: rules.number({ min: 0 }),
+  wasteType: rules.string({ max: 100 }),
+  phone: rules.string({ max: 30 }),
+  pickupDate: rules.string({ max: 30 }),
+  pickupTime: rules.string({ max: 50 }),
+  orderNumber: rules.string({ max: 30 }),
+  totalAmount: rules.number({ min: 0 }),
+  status: rules.string({ max: 30 }),
+  isDepot: rules.boolean(),
+  // Pickups load waste in, deliveries unload compost; stored pickups/orders are detected
+  kind: rules.string({ enum: ['pickup', 'delivery'] })
+});
+
+module.exports = {
+  optimizeRoute: {
+    body: {
+      locations: rules.array(location, { required: true, min: 2, max: 200 }),
+      // Vehicles to split the stops across; defaults to every active vehicle (of the center)
+      vehicleIds: rules.array(rules.objectId(), { max: 50 }),
+      // Compost center the route starts from (locations[0] is its depot)
+      centerId: rules.objectId(),
+      // Day the route is driven (defaults to today) and departure time
+      // (defaults to each vehicle's shift start, or 08:00 without a fleet)
+      date: isoDate(),
+      startTime: timeOfDay()
+    }
+  },
+
+  geocode: {
+    body: { address: rules.string({ required: true, max: 500 }) }
+  }
+};
@@ -0,0 +1,57 @@
+const { rules } = require('../middleware/validate');
+const { idParams, isoDate, timeOfDay } = require('./common');
+
+const ROUTE_TYPES = ['pickup', 'delivery', 'mixed'];
+const ROUTE_STATUSES = ['planned', 'in-progress', 'completed', 'archived'];
+
+// One stop of an optimized route, in visiting order
+const stop = rules.object({
+  kind: rules.string({ required: true, enum: ['depot', 'pickup', 'delivery'] }),
+  refId: rules.objectId(),
+  name: rules.string({ max: 200 }),
+  address: rules.string({ max: 500 }),
+  phone: rules.string({ max: 30 }),
+  lat: rules.number({ required: true, min: -90, max: 90 }),
+  lon: rules.number({ required: true, min: -180, max: 180 }),
+  quantity: rules.number({ min: 0 })
+});
+
+module.exports = {
+  createRoute: {
+    body: {
+      type: rules.string({ required: true, enum: ROUTE_TYPES }),
+      date: isoDate({ required: true }),
+      // Departure; defaults to the vehicle's shift start. Planned arrivals are worked out from it.
+      startTime: timeOfDay(),
+      name: rules.string({ max: 100 }),
+      centerId: rules.objectId(),
+      vehicle: rules.string({ max: 100 }),
+      vehicleId: rules.objectId(),
+      collectorId: rules.objectId(),
+      stops: rules.array(stop, { required: true, min: 1, max: 200 }),
+      method: rules.string({ max: 100 }),
+      reasoning: rules.string({ max: 2000 })
+    }
+  },
+
+  listRoutes: {
+    query: {
+      date: isoDate(),
+      type: rules.string({ enum: ROUTE_TYPES }),
+      status: rules.string({ enum: ROUTE_STATUSES }),
+      collectorId: rules.objectId(),
+      centerId: rules.objectId()
+    }
+  },
+
+  getRoute: { params: idParams },
+
+  assignRoute: {
+    params: idParams,
+    body: { collectorId: rules.objectId({ required: true }) }
+  },
+
+  reoptimizeRoute: { params: idParams },
+
+  archiveRoute: { params: idParams }
+};
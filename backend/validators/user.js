@@ -0,0 +1,58 @@
+const { rules } = require('../middleware/validate');
+const { idParams, password } = require('./common');
+const User = require('../models/User');
+
+const USER_ROLES = User.schema.path('role').enumValues;
+
+const newUserFields = {
+  name: rules.string({ required: true, max: 100 }),
+  email: rules.email({ required: true }),
+  role: rules.string({ required: true, enum: USER_ROLES }),
+  address: rules.string({ max: 500 }),
+  phone: rules.string({ max: 30 })
+};
+
+const historyQuery = {
+  page: rules.integer({ min: 1, default: 1 }),
+  limit: rules.integer({ min: 1, max: 100, default: 25 })
+};
+
+module.exports = {
+  pointsHistory: { query: historyQuery },
+
+  userPointsHistory: { params: idParams, query: historyQuery },
+
+  adjustPoints: {
+    params: idParams,
+    body: {
+      points: rules.integer({
+        required: true,
+        min: -100000,
+        max: 100000,
+        custom: value => (value === 0 ? 'must not be zero' : null)
+      }),
+      reason: rules.string({ required: true, min: 3, max: 500 })
+    }
+  },
+
+  listUsers: {
+    query: {
+      role: rules.string({ enum: USER_ROLES }),
+      status: rules.string({ enum: ['active', 'deactivated', 'invited'] }),
+      q: rules.string({ max: 100 })
+    }
+  },
+
+  createUser: {
+    body: { ...newUserFields, password: password({ required: true }) }
+  },
+
+  inviteUser: { body: newUserFields },
+
+  changeRole: {
+    params: idParams,
+    body: { role: rules.string({ required: true, enum: USER_ROLES }) }
+  },
+
+  userId: { params: idParams }
+};
@@ -0,0 +1,33 @@
+const { rules } = require('../middleware/validate');
+const { idParams } = require('./common');
+
+const time = (options = {}) => rules.string({
+  pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+  patternMessage: 'must be a time in HH:MM format',
+  ...options
+});
+
+const vehicleFields = (required) => ({
+  name: rules.string({ required, max: 100 }),
+  registration: rules.string({ max: 30 }),
+  capacityKg: rules.number({ required, min: 1, max: 100000 }),
+  centerId: rules.objectId(),
+  depot: rules.object({
+    name: rules.string({ max: 200 }),
+    address: rules.string({ max: 500 }),
+    lat: rules.number({ min: -90, max: 90 }),
+    lon: rules.number({ min: -180, max: 180 })
+  }),
+  shiftStart: time(),
+  shiftEnd: time(),
+  active: rules.boolean()
+});
+
+module.exports = {
+  listVehicles: {
+    query: { active: rules.boolean(), centerId: rules.objectId() }
+  },
+  createVehicle: { body: vehicleFields(true) },
+  updateVehicle: { params: idParams, body: vehicleFields(false) },
+  deleteVehicle: { params: idParams }
+};
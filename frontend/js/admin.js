@@ -30,6 +30,14 @@ const state = {
   orders: [],
   inventory: [],
   rewards: [],
+  users: [],
+  pointsRules: null,
+  pricingRules: null,
+  taxonomy: null,
+  slots: [],
+  centers: [],
+  routeCenterId: null,
+  vehicles: [],
   stock: { available: 0, pricePerKg: 0 }
 };
 document.addEventListener('DOMContentLoaded', async () => {
@@ -112,8 +120,14 @@ async function initAdminDashboard() {
     refreshPickups(),
     refreshOrders(),
     refreshInventory(),
-    refreshRewards()
+    refreshRewards(),
+    refreshUsers(),
+    refreshPointsRules(),
+    refreshPricingRules(),
+    refreshTaxonomy(),
+    refreshCenters()
   ]);
+  refreshActiveSessions();
 
   updateDashboardMetrics();
   showSection('dashboard');
@@ -152,6 +166,7 @@ async function refreshInventory() {
       category: it.category,
       pricePerKg: Number(it.pricePerKg || 0),
       stock: Number(it.stock || 0),
+      reserved: Number(it.reserved || 0),
       image: it.image || ''
     }));
   } catch (_) {
@@ -275,7 +290,21 @@ function setupFilters() {
   if (pickupSearch) pickupSearch.addEventListener('input', renderPickupTable);
   if (orderFilter) orderFilter.addEventListener('change', renderOrderTable);
   if (orderSearch) orderSearch.addEventListener('input', renderOrderTable);
+  document.getElementById('pickupCenterFilter')?.addEventListener('change', renderPickupTable);
+  document.getElementById('orderCenterFilter')?.addEventListener('change', renderOrderTable);
   if (inventorySearch) inventorySearch.addEventListener('input', renderInventoryList);
+
+  const userRoleFilter = document.getElementById('userRoleFilter');
+  const userStatusFilter = document.getElementById('userStatusFilter');
+  const userSearch = document.getElementById('userSearchInput');
+  if (userRoleFilter) userRoleFilter.addEventListener('change', renderUserTable);
+  if (userStatusFilter) userStatusFilter.addEventListener('change', renderUserTable);
+  if (userSearch) userSearch.addEventListener('input', renderUserTable);
+
+  const pointsHouseholdSearch = document.getElementById('pointsHouseholdSearch');
+  const pointsHouseholdSelect = document.getElementById('pointsHouseholdSelect');
+  if (pointsHouseholdSearch) pointsHouseholdSearch.addEventListener('input', renderPointsHouseholdOptions);
+  if (pointsHouseholdSelect) pointsHouseholdSelect.addEventListener('change', loadHouseholdPointsHistory);
 }
 
 function setupForms() {
@@ -293,6 +322,35 @@ function setupForms() {
   if (rewardForm) {
     rewardForm.addEventListener('submit', handleRewardSave);
   }
+
+  const userForm = document.getElementById('userForm');
+  if (userForm) {
+    userForm.addEventListener('submit', handleUserSave);
+  }
+
+  document.getElementById('pricingRulesForm')?.addEventListener('submit', handlePricingRulesSave);
+  document.getElementById('taxonomyForm')?.addEventListener('submit', handleTaxonomySave);
+  document.getElementById('taxonomySearch')?.addEventListener('input', filterTaxonomyRows);
+  document.getElementById('slotForm')?.addEventListener('submit', handleSlotCreate);
+  document.getElementById('slotCenter')?.addEventListener('change', refreshSlots);
+  document.getElementById('slotListDate')?.addEventListener('change', refreshSlots);
+
+  const pointsRulesForm = document.getElementById('pointsRulesForm');
+  if (pointsRulesForm) {
+    pointsRulesForm.addEventListener('submit', handlePointsRulesSave);
+  }
+
+  const centerForm = document.getElementById('centerForm');
+  if (centerForm) {
+    centerForm.addEventListener('submit', handleCenterSave);
+    document.getElementById('areaShape')?.addEventListener('change', toggleServiceAreaShape);
+  }
+  document.getElementById('routeCenterSelect')?.addEventListener('change', (e) => switchRouteCenter(e.target.value));
+
+  const pointsAdjustForm = document.getElementById('pointsAdjustForm');
+  if (pointsAdjustForm) {
+    pointsAdjustForm.addEventListener('submit', handlePointsAdjust);
+  }
 }
 
 async function initAdminDashboard() {
@@ -301,11 +359,34 @@ async function initAdminDashboard() {
   setupFilters();
   setupForms();
 
-  await Promise.all([refreshStock(), refreshPickups(), refreshOrders(), refreshInventory(), refreshRewards()]);
+  await Promise.all([refreshStock(), refreshPickups(), refreshOrders(), refreshInventory(), refreshRewards(), refreshUsers(), refreshPointsRules(), refreshPricingRules(), refreshTaxonomy(), refreshCenters()]);
+  refreshActiveSessions();
   updateDashboardMetrics();
   showSection('dashboard');
 }
 
+// How trustworthy a pickup's or order's map location is (see backend utils/geocoder.js)
+function locationStatus(doc) {
+  return {
+    located: doc.lat != null && doc.lon != null,
+    approximate: (doc.geocode?.confidence ?? 1) < 0.5,
+    outsideServiceArea: !!doc.outsideServiceArea
+  };
+}
+
+function locationNote(item) {
+  if (item.located === false) return '<div class="muted" style="font-size:12px;color:#b91c1c;">📍 Not on map yet</div>';
+  if (item.outsideServiceArea) return '<div class="muted" style="font-size:12px;color:#b45309;">⚠️ Outside service area</div>';
+  if (item.approximate) return '<div class="muted" style="font-size:12px;">≈ Approximate location</div>';
+  return '';
+}
+
+// Which compost center handles it, shown once there is more than one
+function centerNote(item) {
+  if (state.centers.length < 2 || !item.centerId) return '';
+  return `<div class="muted" style="font-size:12px;">🏭 ${centerName(item.centerId)}</div>`;
+}
+
 function normalisePickup(pickup) {
   const status = (pickup.status || 'pending').toLowerCase();
   return {
@@ -317,8 +398,16 @@ function normalisePickup(pickup) {
     status,
     pickupDate: pickup.pickupDate,
     pickupTime: pickup.pickupTime,
+    // Generated from a household's recurring pickup
+    recurring: !!pickup.subscriptionId,
+    cancelReason: pickup.cancelReason || '',
+    classification: pickup.classification || null,
     address: pickup.address || '--',
+    centerId: pickup.centerId?._id || pickup.centerId || null,
+    ...locationStatus(pickup),
     requestDate: pickup.requestDate || new Date().toISOString(),
+    measuredQuantity: pickup.measuredQuantity ?? null,
+    contaminationPercent: pickup.contaminationPercent || 0,
     pointsAwarded: pickup.pointsAwarded || 0
   };
 }
@@ -430,6 +519,9 @@ function normaliseOrder(order) {
     totalAmount: Number(order.totalAmount || 0),
     status,
     deliveryAddress: order.deliveryAddress || 'Not provided',
+    centerId: order.centerId?._id || order.centerId || null,
+    priceBreakdown: order.priceBreakdown || null,
+    ...locationStatus(order),
     createdAt: order.createdAt || new Date().toISOString()
   };
 }
@@ -537,27 +629,129 @@ function renderPickupTable() {
     .sort((a, b) => new Date(b.requestDate) - new Date(a.requestDate))
     .map((pickup) => {
       const pickupWindow = pickup.pickupDate ? `${pickup.pickupDate}${pickup.pickupTime ? ` • ${pickup.pickupTime}` : ''}` : '—';
+      const recurringNote = pickup.recurring ? '<div class="muted" style="font-size:12px;">🔁 Recurring</div>' : '';
       return `
         <tr>
           <td>
             <div style="font-weight:700;">${pickup.household}</div>
             <div class="muted" style="font-size:12px;">${pickup.phone || ''}</div>
           </td>
-          <td>${pickup.wasteType}</td>
-          <td>${formatKg(pickup.quantity)}</td>
-          <td>${pickup.address || '--'}</td>
-          <td>${pickupWindow}</td>
+          <td>${pickup.wasteType}${classificationNote(pickup)}</td>
+          <td>
+            ${formatKg(pickup.quantity)}
+            ${pickup.measuredQuantity != null ? `<div class="muted" style="font-size:12px;">Weighed ${formatKg(pickup.measuredQuantity)}${pickup.contaminationPercent ? ` · ${pickup.contaminationPercent}% contam.` : ''}</div>` : ''}
+          </td>
+          <td>${pickup.address || '--'}${locationNote(pickup)}${centerNote(pickup)}</td>
+          <td>${pickupWindow}${recurringNote}</td>
           <td>
             <div class="action-buttons">
               ${pickupActionButtons(pickup)}
             </div>
           </td>
-          <td><span class="badge ${pickup.status}">${statusLabel(pickup.status)}</span></td>
+          <td>
+            <span class="badge ${pickup.status}">${statusLabel(pickup.status)}</span>
+            ${pickup.cancelReason ? `<div class="muted" style="font-size:12px;">${pickup.cancelReason}</div>` : ''}
+          </td>
         </tr>
       `;
     }).join('');
 }
 
+// Contamination at or above this contradicts a "compostable" photo
+const CONTAMINATION_MISMATCH_PERCENT = 25;
+
+const VERDICT_LABELS = {
+  compostable: 'Compostable',
+  'non-compostable': 'Non-compostable',
+  recyclable: 'Recyclable',
+  unknown: 'Unclear'
+};
+
+// How the classifier's verdict compares with the collection, or null before completion
+function classificationMismatch(pickup) {
+  const verdict = pickup.classification?.verdict;
+  if (!verdict || pickup.status !== 'completed' || verdict === 'unknown') return null;
+  const contaminated = pickup.contaminationPercent >= CONTAMINATION_MISMATCH_PERCENT;
+  if (verdict === 'compostable' && contaminated) {
+    return `Photo looked compostable but ${pickup.contaminationPercent}% contamination was found`;
+  }
+  if (verdict !== 'compostable' && !contaminated) {
+    return `Photo looked ${VERDICT_LABELS[verdict].toLowerCase()} but the waste was collected as compost`;
+  }
+  return '';
+}
+
+function classificationNote(pickup) {
+  const result = pickup.classification;
+  if (!result) return '';
+  const confidence = result.confidence != null ? ` ${Math.round(result.confidence * 100)}%` : '';
+  const flag = classificationMismatch(pickup) ? ' ⚠️' : '';
+  return `
+    <div class="muted" style="font-size:12px;">
+      🤖 ${VERDICT_LABELS[result.verdict] || result.verdict}${confidence}${flag}
+      <a href="#" onclick="showPickupPhotos('${pickup._id}'); return false;">View</a>
+    </div>`;
+}
+
+async function showPickupPhotos(id) {
+  const pickup = state.pickups.find(p => p._id === id);
+  const card = document.getElementById('pickupPhotoCard');
+  const body = document.getElementById('pickupPhotoBody');
+  if (!pickup?.classification || !card || !body) return;
+
+  const result = pickup.classification;
+  const mismatch = classificationMismatch(pickup);
+  const comparison = mismatch === null
+    ? 'Not collected yet'
+    : mismatch ? `⚠️ ${mismatch}` : '✅ Matches what was collected';
+  card.style.display = 'block';
+  body.innerHTML = `
+    <div class="grid-two">
+      <div>
+        <h3 style="margin-top:0;">Household photo</h3>
+        <div id="pickupPhotoImages" class="muted">Loading photos…</div>
+        <p style="margin:12px 0 4px;"><strong>${VERDICT_LABELS[result.verdict] || result.verdict}</strong>${result.confidence != null ? ` · ${Math.round(result.confidence * 100)}% confidence` : ''}</p>
+        ${result.classifiedAt ? `<p class="muted" style="margin:0;font-size:12px;">Classified ${new Date(result.classifiedAt).toLocaleString()}</p>` : ''}
+        <ol style="margin:8px 0 0; padding-left:20px; font-size:13px;">
+          ${(result.predictions || []).map(p => `<li>${p.label} — ${(p.probability * 100).toFixed(1)}%</li>`).join('')}
+        </ol>
+      </div>
+      <div>
+        <h3 style="margin-top:0;">Collected</h3>
+        <p style="margin:4px 0;">${pickup.household} · ${pickup.wasteType}</p>
+        <p style="margin:4px 0;">Status: <span class="badge ${pickup.status}">${statusLabel(pickup.status)}</span></p>
+        <p style="margin:4px 0;">Reported ${formatKg(pickup.quantity)}${pickup.measuredQuantity != null ? ` · weighed ${formatKg(pickup.measuredQuantity)}` : ''}</p>
+        ${pickup.measuredQuantity != null ? `<p style="margin:4px 0;">Contamination: ${pickup.contaminationPercent}%</p>` : ''}
+        <p style="margin:12px 0 0;font-weight:600;">${comparison}</p>
+      </div>
+    </div>
+  `;
+  card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+  const images = document.getElementById('pickupPhotoImages');
+  if (!result.photoIds?.length) {
+    images.textContent = 'No photo was uploaded';
+    return;
+  }
+  try {
+    const res = await fetch(`${API_BASE}/pickup/${id}/photos`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    const photos = await res.json();
+    if (!res.ok) throw new Error(photos.message || 'Failed to load photos');
+    images.innerHTML = photos.map(photo => `
+      <img src="${photo.image}" alt="Waste photo" style="max-width:100%; max-height:320px; border-radius:8px; border:1px solid #e5e7eb; margin-bottom:8px;" />
+    `).join('') || 'No photo was uploaded';
+  } catch (err) {
+    images.textContent = err.message;
+  }
+}
+
+function closePickupPhotos() {
+  const card = document.getElementById('pickupPhotoCard');
+  if (card) card.style.display = 'none';
+}
+
 function pickupActionButtons(pickup) {
   const actions = [];
   if (pickup.status === 'pending') {
@@ -569,6 +763,8 @@ function pickupActionButtons(pickup) {
     actions.push(`<button class="btn-ghost" onclick="handlePickupStatus('${pickup._id}','pending')">Set Pending</button>`);
   } else if (pickup.status === 'rejected') {
     actions.push(`<button class="btn-ghost" onclick="handlePickupStatus('${pickup._id}','pending')">Reopen</button>`);
+  } else if (pickup.status === 'completed') {
+    actions.push(`<button class="btn-ghost" onclick="handlePickupStatus('${pickup._id}','picked')">Reopen</button>`);
   }
   return actions.join('');
 }
@@ -576,10 +772,12 @@ function pickupActionButtons(pickup) {
 function filterPickups() {
   const statusFilter = (document.getElementById('pickupStatusFilter')?.value || '').toLowerCase();
   const query = (document.getElementById('pickupSearchInput')?.value || '').toLowerCase().trim();
+  const centerFilter = document.getElementById('pickupCenterFilter')?.value || '';
   return state.pickups.filter((pickup) => {
     const matchesStatus = !statusFilter || pickup.status === statusFilter;
+    const matchesCenter = !centerFilter || pickup.centerId === centerFilter;
     const matchesQuery = !query || [pickup.household, pickup.phone, pickup.wasteType].some((field) => (field || '').toLowerCase().includes(query));
-    return matchesStatus && matchesQuery;
+    return matchesStatus && matchesCenter && matchesQuery;
   });
 }
 
@@ -648,10 +846,11 @@ function renderOrderTable() {
         <td>
           <div>${formatCurrency(order.pricePerKg || 0)}/kg</div>
           <div class="muted" style="font-size:12px;">Total: ${formatCurrency(order.totalAmount || 0)}</div>
+          ${order.priceBreakdown ? `<div class="muted" style="font-size:11px;">${priceBreakdownLines(order.priceBreakdown).join('<br>')}</div>` : ''}
         </td>
 
         <!-- ADDRESS -->
-        <td>${order.deliveryAddress || 'No address'}</td>
+        <td>${order.deliveryAddress || 'No address'}${locationNote(order)}${centerNote(order)}</td>
 
         <!-- STATUS -->
         <td><span class="badge ${order.status}">${statusLabel(order.status)}</span></td>
@@ -687,10 +886,12 @@ function orderActionButtons(order) {
 function filterOrders() {
   const statusFilter = (document.getElementById('orderStatusFilter')?.value || '').toLowerCase();
   const query = (document.getElementById('orderSearchInput')?.value || '').toLowerCase().trim();
+  const centerFilter = document.getElementById('orderCenterFilter')?.value || '';
   return state.orders.filter((order) => {
     const matchesStatus = !statusFilter || order.status === statusFilter;
+    const matchesCenter = !centerFilter || order.centerId === centerFilter;
     const matchesQuery = !query || [order.orderNumber, order.farmerName, order.farmerPhone].some((field) => (field || '').toLowerCase().includes(query));
-    return matchesStatus && matchesQuery;
+    return matchesStatus && matchesCenter && matchesQuery;
   });
 }
 
@@ -755,7 +956,8 @@ function renderInventoryList() {
           </div>
           <span class="badge confirmed">${formatCurrency(item.pricePerKg)}/kg</span>
         </div>
-        <div style="margin-top:12px;color:#475569;font-weight:600;">${formatKg(item.stock)} available</div>
+        <div style="margin-top:12px;color:#475569;font-weight:600;">${formatKg(item.stock - (item.reserved || 0))} available</div>
+        ${item.reserved ? `<div class="muted" style="font-size:12px;">${formatKg(item.reserved)} reserved for open orders of ${formatKg(item.stock)} in stock</div>` : ''}
       </div>
       <div class="action-buttons" style="margin-top:auto;">
         <button class="btn-ghost" onclick="removeInventoryItem('${item.id}')">Remove</button>
@@ -787,206 +989,1136 @@ function renderRewardList() {
   setText('metricRewardItems', state.rewards.length);
 }
 
-function updateDashboardMetrics() {
-  updatePickupMetrics();
-  updateOrderMetrics();
-  setText('metricRewardItems', state.rewards.length);
-  setText('metricStockKg', state.stock.available.toLocaleString('en-IN'));
-  setText('metricStockPrice', Number(state.stock.pricePerKg || 0).toFixed(2));
-}
+/* ============================================
+   POINTS RULES
+   ============================================ */
 
-async function handlePickupStatus(pickupId, status) {
-  await updatePickupStatus(pickupId, status);
+// Same values as the household pickup form
+const WASTE_TYPES = [
+  { value: 'vegetable-peels', label: 'Vegetable Peels & Food Scraps' },
+  { value: 'fruit-waste', label: 'Fruit Waste & Leftovers' },
+  { value: 'mixed-organic', label: 'Mixed Organic Waste' },
+  { value: 'coffee-grounds', label: 'Coffee Grounds' },
+  { value: 'tea-leaves', label: 'Tea Leaves' },
+  { value: 'recyclable', label: 'Recyclable Waste' },
+  { value: 'non-organic', label: 'Non-Organic / Non-Recyclable' }
+];
+
+function getDefaultPointsRules() {
+  return {
+    defaultPointsPerKg: 10,
+    defaultMinQuantity: 0,
+    rates: [],
+    firstPickupBonus: { enabled: false, multiplier: 1 },
+    streakBonus: { enabled: false, weeks: 4, multiplier: 1 },
+    campaigns: [],
+    maxPointsPerPickup: 0,
+    maxPointsPerMonth: 0
+  };
 }
 
-async function updatePickupStatus(pickupId, status) {
+async function refreshPointsRules() {
   try {
-    if (!token) throw new Error('demo');
-    const res = await fetch(`${API_BASE}/pickup/${pickupId}/status`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`
-      },
-      body: JSON.stringify({ status })
-    });
-    const data = await res.json();
-    if (!res.ok) throw new Error(data.message || 'Failed to update pickup');
-    if (data.pickup) {
-      const updated = normalisePickup(data.pickup);
-      const idx = state.pickups.findIndex((p) => p._id === updated._id);
-      if (idx !== -1) {
-        state.pickups[idx] = updated;
-      } else {
-        state.pickups.push(updated);
-      }
-    } else {
-      const idx = state.pickups.findIndex((p) => p._id === pickupId);
-      if (idx !== -1) state.pickups[idx].status = status;
+    const res = await fetch(`${API_BASE}/points-rules`);
+    if (!res.ok) throw new Error('failed');
+    state.pointsRules = await res.json();
+  } catch (_) {
+    state.pointsRules = getDefaultPointsRules();
+  }
+  renderPointsRulesForm();
+}
+
+function toDateInput(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '';
+}
+
+function renderPointsRulesForm() {
+  const rules = state.pointsRules || getDefaultPointsRules();
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value ?? '';
+  };
+  const setChecked = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.checked = !!value;
+  };
+
+  setValue('ruleDefaultRate', rules.defaultPointsPerKg);
+  setValue('ruleDefaultMin', rules.defaultMinQuantity);
+  setChecked('ruleFirstPickupEnabled', rules.firstPickupBonus?.enabled);
+  setValue('ruleFirstPickupMultiplier', rules.firstPickupBonus?.multiplier);
+  setChecked('ruleStreakEnabled', rules.streakBonus?.enabled);
+  setValue('ruleStreakWeeks', rules.streakBonus?.weeks);
+  setValue('ruleStreakMultiplier', rules.streakBonus?.multiplier);
+  setValue('ruleMaxPerPickup', rules.maxPointsPerPickup);
+  setValue('ruleMaxPerMonth', rules.maxPointsPerMonth);
+
+  // Known waste types first, then any custom ones already configured
+  const rateRows = [...WASTE_TYPES];
+  (rules.rates || []).forEach((rate) => {
+    if (!rateRows.some((type) => type.value === rate.wasteType)) {
+      rateRows.push({ value: rate.wasteType, label: rate.wasteType });
     }
-    showToast(data.message || `Pickup status updated to ${statusLabel(status)}`);
-  } catch (error) {
-    const idx = state.pickups.findIndex((p) => p._id === pickupId);
-    if (idx !== -1) state.pickups[idx].status = status;
-    showToast(`${statusLabel(status)} (demo)`, 'success');
+  });
+  const ratesBody = document.getElementById('pointsRatesBody');
+  if (ratesBody) {
+    ratesBody.innerHTML = rateRows.map((type) => {
+      const rate = (rules.rates || []).find((r) => r.wasteType === type.value);
+      return `
+        <tr data-waste-type="${type.value}">
+          <td>${type.label}</td>
+          <td><input class="rate-points" type="number" min="0" step="0.5" value="${rate ? rate.pointsPerKg : ''}" placeholder="${rules.defaultPointsPerKg}" /></td>
+          <td><input class="rate-min" type="number" min="0" step="0.1" value="${rate ? rate.minQuantity || 0 : ''}" placeholder="${rules.defaultMinQuantity || 0}" /></td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  const campaignsBody = document.getElementById('pointsCampaignsBody');
+  if (campaignsBody) {
+    campaignsBody.innerHTML = '';
+    (rules.campaigns || []).forEach(addPointsCampaignRow);
+  }
+
+  const previewType = document.getElementById('previewWasteType');
+  if (previewType) {
+    previewType.innerHTML = rateRows.map((type) => `<option value="${type.value}">${type.label}</option>`).join('');
   }
-  renderPickupTable();
-  renderPickupSnapshot();
-  updatePickupMetrics();
 }
 
-async function handleOrderStatus(orderId, status) {
-  await updateOrderStatus(orderId, status);
+function addPointsCampaignRow(campaign = {}) {
+  const body = document.getElementById('pointsCampaignsBody');
+  if (!body) return;
+  const selected = campaign.wasteTypes || [];
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><input class="campaign-name" value="${(campaign.name || '').replace(/"/g, '&quot;')}" placeholder="Monsoon drive" /></td>
+    <td>
+      <select class="campaign-types" multiple size="3" title="No selection = all waste types">
+        ${WASTE_TYPES.map((type) => `<option value="${type.value}" ${selected.includes(type.value) ? 'selected' : ''}>${type.label}</option>`).join('')}
+      </select>
+    </td>
+    <td><input class="campaign-start" type="date" value="${toDateInput(campaign.startDate)}" /></td>
+    <td><input class="campaign-end" type="date" value="${toDateInput(campaign.endDate)}" /></td>
+    <td><input class="campaign-multiplier" type="number" min="1" max="10" step="0.1" value="${campaign.multiplier || 1.5}" /></td>
+    <td><input class="campaign-active" type="checkbox" style="width:auto;" ${campaign.active === false ? '' : 'checked'} /></td>
+    <td><button type="button" class="btn-ghost" onclick="this.closest('tr').remove()">Remove</button></td>
+  `;
+  body.appendChild(row);
 }
 
-async function updateOrderStatus(orderId, status) {
+function collectPointsRules() {
+  const numberValue = (id) => Number(document.getElementById(id)?.value || 0);
+  const rates = [...document.querySelectorAll('#pointsRatesBody tr')]
+    .filter((row) => row.querySelector('.rate-points').value !== '')
+    .map((row) => ({
+      wasteType: row.dataset.wasteType,
+      pointsPerKg: Number(row.querySelector('.rate-points').value),
+      minQuantity: Number(row.querySelector('.rate-min').value || 0)
+    }));
+  const campaigns = [...document.querySelectorAll('#pointsCampaignsBody tr')].map((row) => ({
+    name: row.querySelector('.campaign-name').value.trim(),
+    wasteTypes: [...row.querySelector('.campaign-types').selectedOptions].map((opt) => opt.value),
+    startDate: row.querySelector('.campaign-start').value,
+    // End dates are inclusive of the whole day
+    endDate: row.querySelector('.campaign-end').value ? `${row.querySelector('.campaign-end').value}T23:59:59` : '',
+    multiplier: Number(row.querySelector('.campaign-multiplier').value || 1),
+    active: row.querySelector('.campaign-active').checked
+  }));
+
+  return {
+    defaultPointsPerKg: numberValue('ruleDefaultRate'),
+    defaultMinQuantity: numberValue('ruleDefaultMin'),
+    rates,
+    firstPickupBonus: {
+      enabled: !!document.getElementById('ruleFirstPickupEnabled')?.checked,
+      multiplier: numberValue('ruleFirstPickupMultiplier') || 1
+    },
+    streakBonus: {
+      enabled: !!document.getElementById('ruleStreakEnabled')?.checked,
+      weeks: numberValue('ruleStreakWeeks') || 4,
+      multiplier: numberValue('ruleStreakMultiplier') || 1
+    },
+    campaigns,
+    maxPointsPerPickup: numberValue('ruleMaxPerPickup'),
+    maxPointsPerMonth: numberValue('ruleMaxPerMonth')
+  };
+}
+
+async function handlePointsRulesSave(e) {
+  e.preventDefault();
+  const payload = collectPointsRules();
+
+  if (currentUser.isDemo) {
+    state.pointsRules = payload;
+    showToast('(Demo) Points rules saved');
+    return;
+  }
+
   try {
-    if (!token) throw new Error('demo');
-    const res = await fetch(`${API_BASE}/order/${orderId}/status`, {
+    const res = await fetch(`${API_BASE}/points-rules`, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
         Authorization: `Bearer ${token}`
       },
-      body: JSON.stringify({ status })
+      body: JSON.stringify(payload)
     });
     const data = await res.json();
-    if (!res.ok) throw new Error(data.message || 'Failed to update order');
-    if (data.order) {
-      const updated = normaliseOrder(data.order);
-      const idx = state.orders.findIndex((o) => o._id === updated._id);
-      if (idx !== -1) {
-        state.orders[idx] = updated;
-      } else {
-        state.orders.push(updated);
-      }
-    } else {
-      const idx = state.orders.findIndex((o) => o._id === orderId);
-      if (idx !== -1) state.orders[idx].status = status;
-    }
-    showToast(data.message || `Order ${statusLabel(status)}`);
-    await refreshStock();
+    if (!res.ok) throw new Error(data.message || 'Failed to save points rules');
+    state.pointsRules = data.rules;
+    renderPointsRulesForm();
+    showToast(data.message || 'Points rules saved');
   } catch (error) {
-    const idx = state.orders.findIndex((o) => o._id === orderId);
-    if (idx !== -1) state.orders[idx].status = status;
-    showToast(`Order ${statusLabel(status)} (demo)`, 'success');
+    showToast(error.message, 'error');
   }
-  renderOrderTable();
-  renderOrderSnapshot();
-  updateOrderMetrics();
 }
 
-async function handleStockUpdate(event) {
-  event.preventDefault();
-  const stockInput = document.getElementById('newStock');
-  const priceInput = document.getElementById('newPrice');
-  const payload = {};
-  if (stockInput?.value) payload.available = Number(stockInput.value);
-  if (priceInput?.value) payload.pricePerKg = Number(priceInput.value);
-
-  if (!Object.keys(payload).length) {
-    showToast('Enter stock or price to update', 'error');
+// Calculates with the saved rules, so save first to preview changes
+async function previewPointsRules() {
+  const result = document.getElementById('pointsPreviewResult');
+  const quantity = Number(document.getElementById('previewQuantity')?.value || 0);
+  if (!quantity) {
+    if (result) result.textContent = 'Enter a quantity to preview';
     return;
   }
 
-  let shouldRefresh = true;
   try {
-    if (currentUser.isDemo) throw new Error('demo'); // Added demo check
-    const res = await fetch(`${API_BASE}/compost/stock`, {
-      method: 'PUT',
+    if (currentUser.isDemo || !token) throw new Error('Preview is not available in demo mode');
+    const res = await fetch(`${API_BASE}/points-rules/preview`, {
+      method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         Authorization: `Bearer ${token}`
       },
-      body: JSON.stringify(payload)
+      body: JSON.stringify({
+        wasteType: document.getElementById('previewWasteType')?.value,
+        quantity,
+        isFirstPickup: !!document.getElementById('previewFirstPickup')?.checked
+      })
     });
     const data = await res.json();
-    if (!res.ok) throw new Error(data.message || 'Failed to update stock');
-    showToast(data.message || 'Stock updated');
+    if (!res.ok) throw new Error(data.message || 'Preview failed');
+    if (result) result.innerHTML = `<strong>${data.points} pts</strong> · ${data.summary}`;
   } catch (error) {
-    showToast('Stock updated (demo)', 'success');
-    state.stock.available = payload.available ?? state.stock.available;
-    state.stock.pricePerKg = payload.pricePerKg ?? state.stock.pricePerKg;
-    setText('availableStock', state.stock.available.toLocaleString('en-IN'));
-    setText('pricePerKg', Number(state.stock.pricePerKg || 0).toFixed(2));
-    shouldRefresh = false;
+    if (result) result.textContent = error.message;
   }
+}
 
-  if (event.target) event.target.reset();
-  if (shouldRefresh) {
-    await refreshStock();
+function getDefaultPricingRules() {
+  return {
+    quantityTiers: [],
+    taxes: [],
+    delivery: { baseFee: 0, perKm: 0, freeKm: 0 }
+  };
+}
+
+async function refreshPricingRules() {
+  try {
+    const res = await fetch(`${API_BASE}/pricing-rules`);
+    if (!res.ok) throw new Error('failed');
+    state.pricingRules = await res.json();
+  } catch (_) {
+    state.pricingRules = getDefaultPricingRules();
   }
-  updateDashboardMetrics();
+  renderPricingRulesForm();
 }
 
-function handleCompostImageChange(event) {
-  const file = event.target.files[0];
-  if (!file) return;
+function renderPricingRulesForm() {
+  const rules = state.pricingRules || getDefaultPricingRules();
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value ?? '';
+  };
 
-  const reader = new FileReader();
-  reader.onload = function (e) {
-    const imageUrl = e.target.result;
-    document.getElementById('compostImageUrl').value = imageUrl;
-    const preview = document.getElementById('compostImagePreview');
-    if (preview) {
-      preview.innerHTML = `<img src="${imageUrl}" alt="Preview" style="max-width:200px;max-height:150px;border-radius:8px;margin-top:8px;">`;
+  setValue('pricingBaseFee', rules.delivery?.baseFee);
+  setValue('pricingPerKm', rules.delivery?.perKm);
+  setValue('pricingFreeKm', rules.delivery?.freeKm);
+
+  const tiersBody = document.getElementById('pricingTiersBody');
+  if (tiersBody) {
+    tiersBody.innerHTML = '';
+    [...(rules.quantityTiers || [])]
+      .sort((a, b) => a.minQuantity - b.minQuantity)
+      .forEach(addPricingTierRow);
+  }
+  const taxesBody = document.getElementById('pricingTaxesBody');
+  if (taxesBody) {
+    taxesBody.innerHTML = '';
+    (rules.taxes || []).forEach(addPricingTaxRow);
+  }
+}
+
+function addPricingTierRow(tier = {}) {
+  const body = document.getElementById('pricingTiersBody');
+  if (!body) return;
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><input class="tier-min" type="number" min="0" step="1" value="${tier.minQuantity ?? ''}" placeholder="100" /></td>
+    <td><input class="tier-discount" type="number" min="0" max="100" step="0.5" value="${tier.discountPercent ?? ''}" placeholder="5" /></td>
+    <td><button type="button" class="btn-ghost" onclick="this.closest('tr').remove()">Remove</button></td>
+  `;
+  body.appendChild(row);
+}
+
+function addPricingTaxRow(tax = {}) {
+  const body = document.getElementById('pricingTaxesBody');
+  if (!body) return;
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><input class="tax-name" value="${(tax.name || '').replace(/"/g, '&quot;')}" placeholder="GST" /></td>
+    <td><input class="tax-percent" type="number" min="0" max="100" step="0.5" value="${tax.percent ?? ''}" placeholder="5" /></td>
+    <td><button type="button" class="btn-ghost" onclick="this.closest('tr').remove()">Remove</button></td>
+  `;
+  body.appendChild(row);
+}
+
+function collectPricingRules() {
+  const numberValue = (id) => Number(document.getElementById(id)?.value || 0);
+  const quantityTiers = [...document.querySelectorAll('#pricingTiersBody tr')]
+    .filter((row) => row.querySelector('.tier-min').value !== '' && row.querySelector('.tier-discount').value !== '')
+    .map((row) => ({
+      minQuantity: Number(row.querySelector('.tier-min').value),
+      discountPercent: Number(row.querySelector('.tier-discount').value)
+    }));
+  const taxes = [...document.querySelectorAll('#pricingTaxesBody tr')]
+    .filter((row) => row.querySelector('.tax-name').value.trim() && row.querySelector('.tax-percent').value !== '')
+    .map((row) => ({
+      name: row.querySelector('.tax-name').value.trim(),
+      percent: Number(row.querySelector('.tax-percent').value)
+    }));
+
+  return {
+    quantityTiers,
+    taxes,
+    delivery: {
+      baseFee: numberValue('pricingBaseFee'),
+      perKm: numberValue('pricingPerKm'),
+      freeKm: numberValue('pricingFreeKm')
     }
   };
-  reader.readAsDataURL(file);
 }
 
-async function handleInventorySave(e) {
+async function handlePricingRulesSave(e) {
   e.preventDefault();
-  const name = document.getElementById('compostName')?.value.trim();
-  const category = document.getElementById('compostCategory')?.value.trim();
-  const price = document.getElementById('compostPrice')?.value;
-  const stock = document.getElementById('compostStock')?.value;
-  const image = document.getElementById('compostImageUrl')?.value || '';
+  const payload = collectPricingRules();
 
   if (currentUser.isDemo) {
-    showToast('(Demo) Inventory saved successfully', 'success');
-    const existing = state.inventory.find(x => x.name === name);
-    if (existing) {
-      existing.category = category;
-      existing.pricePerKg = Number(price);
-      existing.stock = Number(stock);
-      existing.image = image;
-    } else {
-      state.inventory.unshift({ id: 'demo-inv-' + Date.now(), name, category, pricePerKg: Number(price), stock: Number(stock), image });
-    }
-    renderInventoryList();
-    updateDashboardMetrics();
-    // Close modal if open
-    const modal = document.getElementById('inventoryModal');
-    if (modal) modal.style.display = 'none';
-    if (e.target) e.target.reset();
+    state.pricingRules = payload;
+    showToast('(Demo) Pricing rules saved');
     return;
   }
 
-  const payload = { name, category, pricePerKg: price, stock, image };
-  const existing = state.inventory.find((item) => item.name.toLowerCase() === name.toLowerCase());
-  const method = existing ? 'PUT' : 'POST';
-  const url = existing && existing.id && !String(existing.id).startsWith('compost-')
-    ? `${API_BASE}/inventory/${existing.id}`
-    : `${API_BASE}/inventory`;
-
   try {
-    const res = await fetch(url, {
-      method,
+    const res = await fetch(`${API_BASE}/pricing-rules`, {
+      method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
         Authorization: `Bearer ${token}`
       },
       body: JSON.stringify(payload)
     });
-    if (!res.ok) throw new Error('Save failed');
-    showToast('Item saved successfully');
-
-    // Close modal
-    const modal = document.getElementById('inventoryModal');
-    if (modal) modal.style.display = 'none';
-
-    refreshInventory();
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to save pricing rules');
+    state.pricingRules = data.rules;
+    renderPricingRulesForm();
+    showToast(data.message || 'Pricing rules saved');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// One line per price component of a breakdown from the server
+function priceBreakdownLines(breakdown) {
+  const lines = [`${formatCurrency(breakdown.subtotal)} compost`];
+  if (breakdown.discount) {
+    lines.push(`−${formatCurrency(breakdown.discount.amount)} discount (${breakdown.discount.percent}% from ${breakdown.discount.minQuantity} kg)`);
+  }
+  (breakdown.taxes || []).forEach((tax) => lines.push(`+${formatCurrency(tax.amount)} ${tax.name} (${tax.percent}%)`));
+  if (breakdown.delivery?.fee) {
+    const distance = breakdown.delivery.distanceKm == null ? 'distance unknown' : `${breakdown.delivery.distanceKm} km`;
+    lines.push(`+${formatCurrency(breakdown.delivery.fee)} delivery (${distance})`);
+  }
+  return lines;
+}
+
+// Calculates with the saved rules, so save first to preview changes
+async function previewPricingRules() {
+  const result = document.getElementById('pricingPreviewResult');
+  const pricePerKg = Number(document.getElementById('pricingPreviewPrice')?.value || 0);
+  const quantity = Number(document.getElementById('pricingPreviewQuantity')?.value || 0);
+  const distance = document.getElementById('pricingPreviewDistance')?.value;
+  if (!quantity) {
+    if (result) result.textContent = 'Enter a quantity to preview';
+    return;
+  }
+
+  try {
+    if (currentUser.isDemo || !token) throw new Error('Preview is not available in demo mode');
+    const res = await fetch(`${API_BASE}/pricing-rules/preview`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        pricePerKg,
+        quantity,
+        distanceKm: distance === '' ? undefined : Number(distance)
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Preview failed');
+    if (result) result.innerHTML = `<strong>${formatCurrency(data.total)}</strong> · ${priceBreakdownLines(data).join(' · ')}`;
+  } catch (error) {
+    if (result) result.textContent = error.message;
+  }
+}
+
+// ==================== CLASSIFIER TAXONOMY ====================
+
+const TAXONOMY_CATEGORIES = [
+  { value: 'compost', label: 'Compostable' },
+  { value: 'non', label: 'Non-compostable' },
+  { value: 'recycle', label: 'Recyclable' }
+];
+
+const listToText = (list) => (list || []).join(', ');
+const textToList = (text) => [...new Set(text.split(',').map((item) => item.trim().toLowerCase()).filter(Boolean))];
+
+async function refreshTaxonomy() {
+  try {
+    const res = await fetch(`${API_BASE}/classification-taxonomy`);
+    if (!res.ok) throw new Error('failed');
+    state.taxonomy = await res.json();
+  } catch (_) {
+    state.taxonomy = { labels: [], ignoredLabels: [], minConfidence: 0.4, fallbackProbability: 0.25, fallbackKeywords: [] };
+  }
+  renderTaxonomyForm();
+}
+
+function renderTaxonomyForm() {
+  const taxonomy = state.taxonomy;
+  if (!taxonomy) return;
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value ?? '';
+  };
+
+  setValue('taxonomyMinConfidence', Math.round(taxonomy.minConfidence * 100));
+  setValue('taxonomyFallbackProbability', Math.round(taxonomy.fallbackProbability * 100));
+  setValue('taxonomyFallbackKeywords', listToText(taxonomy.fallbackKeywords));
+  setValue('taxonomyIgnoredLabels', listToText(taxonomy.ignoredLabels));
+
+  const body = document.getElementById('taxonomyLabelsBody');
+  if (body) {
+    body.innerHTML = '';
+    [...(taxonomy.labels || [])]
+      .sort((a, b) => a.category.localeCompare(b.category) || a.keyword.localeCompare(b.keyword))
+      .forEach(addTaxonomyLabelRow);
+  }
+  filterTaxonomyRows();
+}
+
+function addTaxonomyLabelRow(label = {}) {
+  const body = document.getElementById('taxonomyLabelsBody');
+  if (!body) return;
+  const options = (list, selected) => list
+    .map((item) => `<option value="${item.value}" ${item.value === selected ? 'selected' : ''}>${item.label}</option>`)
+    .join('');
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><input class="taxonomy-keyword" value="${(label.keyword || '').replace(/"/g, '&quot;')}" placeholder="banana" /></td>
+    <td><select class="taxonomy-category">${options(TAXONOMY_CATEGORIES, label.category || 'compost')}</select></td>
+    <td><input class="taxonomy-weight" type="number" min="0" step="0.5" value="${label.weight ?? 3}" style="max-width:90px;" /></td>
+    <td><select class="taxonomy-waste-type"><option value="">—</option>${options(WASTE_TYPES, label.wasteType)}</select></td>
+    <td><button type="button" class="btn-ghost" onclick="this.closest('tr').remove()">Remove</button></td>
+  `;
+  // New rows go on top so they are visible without scrolling
+  if (label.keyword) {
+    body.appendChild(row);
+  } else {
+    body.prepend(row);
+    row.querySelector('.taxonomy-keyword').focus();
+  }
+}
+
+function filterTaxonomyRows() {
+  const query = (document.getElementById('taxonomySearch')?.value || '').toLowerCase().trim();
+  document.querySelectorAll('#taxonomyLabelsBody tr').forEach((row) => {
+    const keyword = row.querySelector('.taxonomy-keyword').value.toLowerCase();
+    row.style.display = !query || !keyword || keyword.includes(query) ? '' : 'none';
+  });
+}
+
+function collectTaxonomy() {
+  const percentValue = (id) => Number(document.getElementById(id)?.value || 0) / 100;
+  const labels = [...document.querySelectorAll('#taxonomyLabelsBody tr')]
+    .filter((row) => row.querySelector('.taxonomy-keyword').value.trim())
+    .map((row) => {
+      const label = {
+        keyword: row.querySelector('.taxonomy-keyword').value.trim().toLowerCase(),
+        category: row.querySelector('.taxonomy-category').value,
+        weight: Number(row.querySelector('.taxonomy-weight').value || 0)
+      };
+      const wasteType = row.querySelector('.taxonomy-waste-type').value;
+      if (wasteType) label.wasteType = wasteType;
+      return label;
+    });
+
+  return {
+    labels,
+    ignoredLabels: textToList(document.getElementById('taxonomyIgnoredLabels')?.value || ''),
+    minConfidence: percentValue('taxonomyMinConfidence'),
+    fallbackProbability: percentValue('taxonomyFallbackProbability'),
+    fallbackKeywords: textToList(document.getElementById('taxonomyFallbackKeywords')?.value || '')
+  };
+}
+
+async function taxonomyRequest(path, options) {
+  const res = await fetch(`${API_BASE}/classification-taxonomy${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.message || 'Classifier taxonomy request failed');
+  state.taxonomy = data.taxonomy;
+  renderTaxonomyForm();
+  showToast(data.message);
+}
+
+async function handleTaxonomySave(e) {
+  e.preventDefault();
+  const payload = collectTaxonomy();
+
+  if (currentUser.isDemo) {
+    state.taxonomy = payload;
+    showToast('(Demo) Classifier taxonomy saved');
+    return;
+  }
+
+  try {
+    await taxonomyRequest('', { method: 'PUT', body: JSON.stringify(payload) });
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function resetTaxonomy() {
+  if (currentUser.isDemo) return showToast('Not available in demo mode', 'error');
+  if (!confirm('Replace the classifier taxonomy with the defaults? Your changes will be lost.')) return;
+  try {
+    await taxonomyRequest('/reset', { method: 'POST' });
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// ==================== PICKUP SLOTS ====================
+
+async function slotRequest(path, options = {}) {
+  const res = await fetch(`${API_BASE}/pickup-slots${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.message || 'Pickup slot request failed');
+  return data;
+}
+
+// Slots of the center picked in the slot form on the chosen day
+async function refreshSlots() {
+  const list = document.getElementById('slotList');
+  if (!list) return;
+  if (currentUser.isDemo || !token) {
+    list.innerHTML = '<div class="empty-state">Pickup slots are not available in demo mode</div>';
+    return;
+  }
+
+  const dateInput = document.getElementById('slotListDate');
+  if (dateInput && !dateInput.value) dateInput.value = toDateInput(new Date());
+  const centerId = document.getElementById('slotCenter')?.value;
+  if (!centerId) {
+    list.innerHTML = '<div class="empty-state">Add a compost center first</div>';
+    return;
+  }
+
+  try {
+    const date = dateInput.value;
+    state.slots = await slotRequest(`?centerId=${centerId}&from=${date}&to=${date}`);
+    renderSlotList();
+  } catch (error) {
+    console.error('❌ Error loading pickup slots:', error);
+    list.innerHTML = `<div class="empty-state">${error.message}</div>`;
+  }
+}
+
+function slotUsage(booked, capacity, unit) {
+  return capacity > 0 ? `${booked}/${capacity} ${unit}` : `${booked} ${unit}`;
+}
+
+function renderSlotList() {
+  const list = document.getElementById('slotList');
+  if (!state.slots.length) {
+    list.innerHTML = '<div class="empty-state">No slots open on this day</div>';
+    return;
+  }
+
+  list.innerHTML = state.slots.map((slot) => `
+    <div class="stop-item" style="${slot.active ? '' : 'opacity:0.6;'}">
+      <div class="stop-details">
+        <div class="stop-name">🕘 ${slot.time}${slot.active ? '' : ' • closed'}</div>
+        <div class="stop-address">${slotUsage(slot.bookedStops, slot.capacityStops, 'stops')} • ${slotUsage(slot.bookedKg, slot.capacityKg, 'kg')}</div>
+      </div>
+      <div style="display:flex;gap:4px;">
+        <button class="btn btn-secondary" onclick="setSlotActive('${slot._id}', ${!slot.active})">${slot.active ? 'Close' : 'Reopen'}</button>
+        ${slot.bookedStops > 0 ? '' : `<button class="btn btn-secondary" onclick="deleteSlot('${slot._id}')">✕</button>`}
+      </div>
+    </div>
+  `).join('');
+}
+
+async function handleSlotCreate(e) {
+  e.preventDefault();
+  if (currentUser.isDemo || !token) {
+    showToast('Pickup slots are not available in demo mode', 'error');
+    return;
+  }
+
+  const times = document.getElementById('slotTimes').value
+    .split(',')
+    .map((time) => time.trim().replace(/\s*-\s*/, '-'))
+    .filter(Boolean);
+  const weekdays = [...document.querySelectorAll('#slotWeekdays input:checked')].map((input) => Number(input.value));
+  if (!weekdays.length) {
+    showToast('Pick at least one day', 'error');
+    return;
+  }
+
+  try {
+    const data = await slotRequest('', {
+      method: 'POST',
+      body: JSON.stringify({
+        centerId: document.getElementById('slotCenter').value,
+        startDate: document.getElementById('slotStartDate').value,
+        endDate: document.getElementById('slotEndDate').value,
+        weekdays,
+        times,
+        capacityKg: Number(document.getElementById('slotCapacityKg').value || 0),
+        capacityStops: Number(document.getElementById('slotCapacityStops').value || 0)
+      })
+    });
+    showToast(data.message || 'Pickup slots opened');
+    await refreshSlots();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function setSlotActive(slotId, active) {
+  try {
+    await slotRequest(`/${slotId}`, { method: 'PUT', body: JSON.stringify({ active }) });
+    showToast(active ? 'Slot reopened' : 'Slot closed');
+    await refreshSlots();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function deleteSlot(slotId) {
+  if (!confirm('Delete this pickup slot?')) return;
+  try {
+    await slotRequest(`/${slotId}`, { method: 'DELETE' });
+    showToast('Slot deleted');
+    await refreshSlots();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Stand-in for demo mode: the built-in depot as the only center
+function getDemoCenters() {
+  return [{
+    _id: 'demo-center',
+    name: COMPOST_CENTER.name,
+    address: COMPOST_CENTER.address,
+    lat: COMPOST_CENTER.lat,
+    lon: COMPOST_CENTER.lon,
+    city: 'Belagavi, Karnataka, India',
+    boundary: { shape: 'radius', radiusKm: 60, polygon: [] },
+    outOfArea: 'flag',
+    available: 320,
+    pricePerKg: 32,
+    active: true,
+    isDefault: true
+  }];
+}
+
+async function refreshCenters() {
+  try {
+    const res = await fetch(`${API_BASE}/centers?includeInactive=true`);
+    if (!res.ok) throw new Error('failed');
+    state.centers = await res.json();
+  } catch (_) {
+    state.centers = getDemoCenters();
+  }
+  // Route planning starts at the default center until another one is picked
+  if (!state.centers.some((c) => c._id === state.routeCenterId && c.active)) {
+    const fallback = state.centers.find((c) => c.isDefault && c.active) || state.centers.find((c) => c.active);
+    state.routeCenterId = fallback?._id || null;
+  }
+  renderCenterOptions();
+  renderCenterList();
+  applyRouteCenter();
+  await refreshSlots();
+}
+
+function centerName(centerId) {
+  return state.centers.find((c) => c._id === centerId)?.name || '';
+}
+
+function routeCenter() {
+  return state.centers.find((c) => c._id === state.routeCenterId) || null;
+}
+
+// Center id to send to the API (none for the demo stand-in)
+function routeCenterId() {
+  const center = routeCenter();
+  return center && center._id !== 'demo-center' ? center._id : undefined;
+}
+
+// Pickups and orders handled by the route planning center; ones without a center belong to the default
+function belongsToRouteCenter(item) {
+  const center = routeCenter();
+  if (!center) return true;
+  const itemCenter = item.centerId?._id || item.centerId;
+  return itemCenter ? itemCenter === center._id : !!center.isDefault;
+}
+
+// Fill the pickup/order center filters and the route planning center picker
+function renderCenterOptions() {
+  const options = state.centers
+    .map((c) => `<option value="${c._id}">${c.name}${c.active ? '' : ' (closed)'}</option>`)
+    .join('');
+  document.querySelectorAll('.center-filter').forEach((select) => {
+    const value = select.value;
+    select.innerHTML = `<option value="">All centers</option>${options}`;
+    select.value = state.centers.some((c) => c._id === value) ? value : '';
+  });
+
+  // Pickers that need one center
+  document.querySelectorAll('.center-select').forEach((select) => {
+    const value = select.value;
+    select.innerHTML = state.centers
+      .filter((c) => c.active)
+      .map((c) => `<option value="${c._id}">${c.name}</option>`)
+      .join('');
+    if (state.centers.some((c) => c._id === value && c.active)) select.value = value;
+  });
+
+  const routeSelect = document.getElementById('routeCenterSelect');
+  if (routeSelect) {
+    routeSelect.innerHTML = state.centers
+      .filter((c) => c.active)
+      .map((c) => `<option value="${c._id}">${c.name}</option>`)
+      .join('');
+    routeSelect.value = state.routeCenterId || '';
+  }
+}
+
+// Routes start and end at the selected center; the map shows its service area
+function applyRouteCenter() {
+  const center = routeCenter();
+  if (!center) return;
+  Object.assign(COMPOST_CENTER, {
+    name: center.name,
+    address: center.address || '',
+    lat: center.lat,
+    lon: center.lon
+  });
+  if (routeMap) {
+    addDepotMarker();
+    drawServiceArea();
+  }
+}
+
+async function switchRouteCenter(centerId) {
+  state.routeCenterId = centerId;
+  applyRouteCenter();
+  if (routeMap) {
+    routeMap.setView([COMPOST_CENTER.lat, COMPOST_CENTER.lon], 12);
+    clearCurrentRoute();
+    await Promise.all([loadCurrentRouteData(), refreshRoutePlans(), refreshVehicles()]);
+  }
+}
+
+function renderCenterList() {
+  const list = document.getElementById('centerList');
+  if (!list) return;
+  if (!state.centers.length) {
+    list.innerHTML = '<div class="empty-state">No centers yet</div>';
+    return;
+  }
+
+  list.innerHTML = state.centers.map((center) => `
+    <div class="stop-item" style="${center.active ? '' : 'opacity:0.6;'}">
+      <div class="stop-details">
+        <div class="stop-name">🏭 ${center.name}${center.isDefault ? ' (default)' : ''}</div>
+        <div class="stop-address">${formatKg(center.available || 0)} • ₹${Number(center.pricePerKg || 0).toFixed(2)}/kg${center.active ? '' : ' • closed'}</div>
+      </div>
+      <button class="btn btn-secondary" onclick="editCenter('${center._id}')">Edit</button>
+    </div>
+  `).join('');
+}
+
+function setFieldValue(id, value) {
+  const el = document.getElementById(id);
+  if (el) el.value = value ?? '';
+}
+
+function editCenter(centerId) {
+  const center = state.centers.find((c) => c._id === centerId);
+  if (!center) return;
+
+  setFieldValue('centerId', center._id);
+  setFieldValue('centerName', center.name);
+  setFieldValue('centerAddress', center.address);
+  setFieldValue('centerLat', center.lat);
+  setFieldValue('centerLon', center.lon);
+  setFieldValue('centerCity', center.city);
+  setFieldValue('areaShape', center.boundary?.shape || 'radius');
+  setFieldValue('areaRadius', center.boundary?.radiusKm);
+  setFieldValue('areaPolygon', (center.boundary?.polygon || []).map((p) => `${p.lat},${p.lon}`).join('\n'));
+  setFieldValue('areaOutOfArea', center.outOfArea || 'flag');
+  setFieldValue('centerStock', center.available);
+  setFieldValue('centerPrice', center.pricePerKg);
+  document.getElementById('centerActive').checked = center.active !== false;
+  document.getElementById('centerDefault').checked = !!center.isDefault;
+  document.getElementById('centerSaveBtn').textContent = 'Save Center';
+  toggleServiceAreaShape();
+}
+
+function resetCenterForm() {
+  const form = document.getElementById('centerForm');
+  if (!form) return;
+  form.reset();
+  setFieldValue('centerId', '');
+  document.getElementById('centerSaveBtn').textContent = 'Add Center';
+  toggleServiceAreaShape();
+}
+
+function toggleServiceAreaShape() {
+  const polygon = document.getElementById('areaShape')?.value === 'polygon';
+  document.getElementById('areaRadius').style.display = polygon ? 'none' : '';
+  document.getElementById('areaPolygon').style.display = polygon ? '' : 'none';
+}
+
+function collectCenter() {
+  const value = (id) => document.getElementById(id)?.value.trim() || '';
+  const polygon = value('areaPolygon')
+    .split('\n')
+    .map((line) => line.split(',').map(Number))
+    .filter(([lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon))
+    .map(([lat, lon]) => ({ lat, lon }));
+
+  const center = {
+    name: value('centerName'),
+    address: value('centerAddress'),
+    lat: Number(value('centerLat')),
+    lon: Number(value('centerLon')),
+    boundary: {
+      shape: value('areaShape') || 'radius',
+      radiusKm: Number(value('areaRadius')) || 60,
+      polygon
+    },
+    outOfArea: value('areaOutOfArea') || 'flag',
+    active: document.getElementById('centerActive').checked,
+    isDefault: document.getElementById('centerDefault').checked
+  };
+  if (value('centerCity')) center.city = value('centerCity');
+  if (value('centerStock') !== '') center.available = Number(value('centerStock'));
+  if (value('centerPrice') !== '') center.pricePerKg = Number(value('centerPrice'));
+  return center;
+}
+
+async function handleCenterSave(e) {
+  e.preventDefault();
+  const centerId = document.getElementById('centerId')?.value;
+  const payload = collectCenter();
+  if (payload.boundary.shape === 'polygon' && payload.boundary.polygon.length < 3) {
+    showToast('A polygon boundary needs at least 3 points', 'error');
+    return;
+  }
+
+  if (currentUser.isDemo || !token) {
+    showToast('Managing centers is not available in demo mode', 'error');
+    return;
+  }
+
+  try {
+    const res = await fetch(`${API_BASE}/centers${centerId ? `/${centerId}` : ''}`, {
+      method: centerId ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to save center');
+    showToast(data.message || 'Center saved');
+    resetCenterForm();
+    await Promise.all([refreshCenters(), refreshStock()]);
+    updateDashboardMetrics();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+function updateDashboardMetrics() {
+  updatePickupMetrics();
+  updateOrderMetrics();
+  setText('metricRewardItems', state.rewards.length);
+  setText('metricStockKg', state.stock.available.toLocaleString('en-IN'));
+  setText('metricStockPrice', Number(state.stock.pricePerKg || 0).toFixed(2));
+}
+
+async function handlePickupStatus(pickupId, status) {
+  const pickup = state.pickups.find((p) => p._id === pickupId);
+  if (pickup?.status === 'completed' && status !== 'completed' &&
+    !confirm('Reopen this completed pickup? The awarded points and the compost added to stock will be reversed.')) {
+    return;
+  }
+
+  let measurement = {};
+  if (status === 'completed') {
+    measurement = promptPickupMeasurement(pickup);
+    if (!measurement) return;
+  }
+  await updatePickupStatus(pickupId, status, measurement);
+}
+
+// Points and compost stock are credited from the weighed quantity, not the household's estimate
+function promptPickupMeasurement(pickup) {
+  const weightInput = prompt(`Measured weight in kg (household reported ${formatKg(pickup?.quantity || 0)}):`, pickup?.quantity || '');
+  if (weightInput === null) return null;
+  const measuredQuantity = Number(weightInput);
+  if (!Number.isFinite(measuredQuantity) || measuredQuantity < 0 || weightInput.trim() === '') {
+    showToast('Enter a valid measured weight', 'error');
+    return null;
+  }
+
+  const contaminationInput = prompt('Contamination % (optional, 0-100):', '0');
+  if (contaminationInput === null) return null;
+  const contaminationPercent = Number(contaminationInput || 0);
+  if (!Number.isFinite(contaminationPercent) || contaminationPercent < 0 || contaminationPercent > 100) {
+    showToast('Contamination must be between 0 and 100', 'error');
+    return null;
+  }
+  return { measuredQuantity, contaminationPercent };
+}
+
+async function updatePickupStatus(pickupId, status, extra = {}) {
+  try {
+    if (!token) throw new Error('demo');
+    const res = await fetch(`${API_BASE}/pickup/${pickupId}/status`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify({ status, ...extra })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to update pickup');
+    if (data.pickup) {
+      const updated = normalisePickup(data.pickup);
+      const idx = state.pickups.findIndex((p) => p._id === updated._id);
+      if (idx !== -1) {
+        state.pickups[idx] = updated;
+      } else {
+        state.pickups.push(updated);
+      }
+    } else {
+      const idx = state.pickups.findIndex((p) => p._id === pickupId);
+      if (idx !== -1) state.pickups[idx].status = status;
+    }
+    showToast(data.message || `Pickup status updated to ${statusLabel(status)}`);
+    // Completing or reopening a pickup changes compost stock
+    refreshStock();
+  } catch (error) {
+    if (error.message !== 'demo') {
+      showToast(error.message, 'error');
+      return;
+    }
+    const idx = state.pickups.findIndex((p) => p._id === pickupId);
+    if (idx !== -1) Object.assign(state.pickups[idx], { status, ...extra });
+    showToast(`${statusLabel(status)} (demo)`, 'success');
+  }
+  renderPickupTable();
+  renderPickupSnapshot();
+  updatePickupMetrics();
+}
+
+async function handleOrderStatus(orderId, status) {
+  await updateOrderStatus(orderId, status);
+}
+
+async function updateOrderStatus(orderId, status) {
+  try {
+    if (!token) throw new Error('demo');
+    const res = await fetch(`${API_BASE}/order/${orderId}/status`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify({ status })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to update order');
+    if (data.order) {
+      const updated = normaliseOrder(data.order);
+      const idx = state.orders.findIndex((o) => o._id === updated._id);
+      if (idx !== -1) {
+        state.orders[idx] = updated;
+      } else {
+        state.orders.push(updated);
+      }
+    } else {
+      const idx = state.orders.findIndex((o) => o._id === orderId);
+      if (idx !== -1) state.orders[idx].status = status;
+    }
+    showToast(data.message || `Order ${statusLabel(status)}`);
+    // Rejecting releases the order's reserved stock, delivering consumes it
+    await Promise.all([refreshStock(), refreshInventory()]);
+  } catch (error) {
+    const idx = state.orders.findIndex((o) => o._id === orderId);
+    if (idx !== -1) state.orders[idx].status = status;
+    showToast(`Order ${statusLabel(status)} (demo)`, 'success');
+  }
+  renderOrderTable();
+  renderOrderSnapshot();
+  updateOrderMetrics();
+}
+
+async function handleStockUpdate(event) {
+  event.preventDefault();
+  const stockInput = document.getElementById('newStock');
+  const priceInput = document.getElementById('newPrice');
+  const payload = {};
+  if (stockInput?.value) payload.available = Number(stockInput.value);
+  if (priceInput?.value) payload.pricePerKg = Number(priceInput.value);
+
+  if (!Object.keys(payload).length) {
+    showToast('Enter stock or price to update', 'error');
+    return;
+  }
+
+  let shouldRefresh = true;
+  try {
+    if (currentUser.isDemo) throw new Error('demo'); // Added demo check
+    const res = await fetch(`${API_BASE}/compost/stock`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to update stock');
+    showToast(data.message || 'Stock updated');
+  } catch (error) {
+    showToast('Stock updated (demo)', 'success');
+    state.stock.available = payload.available ?? state.stock.available;
+    state.stock.pricePerKg = payload.pricePerKg ?? state.stock.pricePerKg;
+    setText('availableStock', state.stock.available.toLocaleString('en-IN'));
+    setText('pricePerKg', Number(state.stock.pricePerKg || 0).toFixed(2));
+    shouldRefresh = false;
+  }
+
+  if (event.target) event.target.reset();
+  if (shouldRefresh) {
+    await refreshStock();
+  }
+  updateDashboardMetrics();
+}
+
+function handleCompostImageChange(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = function (e) {
+    const imageUrl = e.target.result;
+    document.getElementById('compostImageUrl').value = imageUrl;
+    const preview = document.getElementById('compostImagePreview');
+    if (preview) {
+      preview.innerHTML = `<img src="${imageUrl}" alt="Preview" style="max-width:200px;max-height:150px;border-radius:8px;margin-top:8px;">`;
+    }
+  };
+  reader.readAsDataURL(file);
+}
+
+async function handleInventorySave(e) {
+  e.preventDefault();
+  const name = document.getElementById('compostName')?.value.trim();
+  const category = document.getElementById('compostCategory')?.value.trim();
+  const price = document.getElementById('compostPrice')?.value;
+  const stock = document.getElementById('compostStock')?.value;
+  const image = document.getElementById('compostImageUrl')?.value || '';
+
+  if (currentUser.isDemo) {
+    showToast('(Demo) Inventory saved successfully', 'success');
+    const existing = state.inventory.find(x => x.name === name);
+    if (existing) {
+      existing.category = category;
+      existing.pricePerKg = Number(price);
+      existing.stock = Number(stock);
+      existing.image = image;
+    } else {
+      state.inventory.unshift({ id: 'demo-inv-' + Date.now(), name, category, pricePerKg: Number(price), stock: Number(stock), image });
+    }
+    renderInventoryList();
+    updateDashboardMetrics();
+    // Close modal if open
+    const modal = document.getElementById('inventoryModal');
+    if (modal) modal.style.display = 'none';
+    if (e.target) e.target.reset();
+    return;
+  }
+
+  const payload = { name, category, pricePerKg: price, stock, image };
+  const existing = state.inventory.find((item) => item.name.toLowerCase() === name.toLowerCase());
+  const method = existing ? 'PUT' : 'POST';
+  const url = existing && existing.id && !String(existing.id).startsWith('compost-')
+    ? `${API_BASE}/inventory/${existing.id}`
+    : `${API_BASE}/inventory`;
+
+  try {
+    const res = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) throw new Error('Save failed');
+    showToast('Item saved successfully');
+
+    // Close modal
+    const modal = document.getElementById('inventoryModal');
+    if (modal) modal.style.display = 'none';
+
+    refreshInventory();
   } catch (error) {
     console.error(error);
     showToast('Falling back to local save (Demo/Error)', 'warning');
@@ -1137,6 +2269,325 @@ async function removeRewardItem(id) {
 }
 
 
+/* ============================================
+   USER MANAGEMENT
+   ============================================ */
+
+const USER_ROLES = ['household', 'farmer', 'collector', 'admin'];
+
+function userStatus(user) {
+  if (!user.active) return 'deactivated';
+  if (user.invitePending) return 'invited';
+  return 'active';
+}
+
+function normaliseUser(user) {
+  return {
+    id: user.id || user._id,
+    name: user.name || 'User',
+    email: user.email || '',
+    phone: user.phone || '',
+    role: user.role || 'household',
+    rewardPoints: user.rewardPoints || 0,
+    active: user.active !== false,
+    invitePending: !!user.invitePending,
+    createdAt: user.createdAt || new Date().toISOString()
+  };
+}
+
+function getDemoUsers() {
+  const now = Date.now();
+  return [
+    { id: 'demo-u1', name: 'Household Alpha', email: 'alpha@example.com', phone: '+91 90000 11111', role: 'household', createdAt: new Date(now - 864000000).toISOString() },
+    { id: 'demo-u2', name: 'Farmer Xavier', email: 'xavier@example.com', phone: '+91 98888 11111', role: 'farmer', createdAt: new Date(now - 432000000).toISOString() },
+    { id: 'demo-u3', name: 'Ops Admin', email: 'ops@waste2wealth.com', phone: '', role: 'admin', createdAt: new Date(now - 86400000).toISOString() },
+    { id: 'demo-u4', name: 'New Partner', email: 'partner@example.com', phone: '', role: 'farmer', invitePending: true, createdAt: new Date(now).toISOString() }
+  ].map(normaliseUser);
+}
+
+async function refreshUsers() {
+  try {
+    if (currentUser.isDemo || !token) throw new Error('demo');
+    const res = await fetch(`${API_BASE}/users`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    if (!res.ok) throw new Error('request failed');
+    const raw = await res.json();
+    state.users = Array.isArray(raw) ? raw.map(normaliseUser) : [];
+  } catch (_) {
+    state.users = getDemoUsers();
+  }
+  renderUserTable();
+  renderPointsHouseholdOptions();
+  renderRouteCollectorOptions();
+}
+
+function filterUsers() {
+  const roleFilter = document.getElementById('userRoleFilter')?.value || '';
+  const statusFilter = document.getElementById('userStatusFilter')?.value || '';
+  const query = (document.getElementById('userSearchInput')?.value || '').toLowerCase().trim();
+  return state.users.filter((user) => {
+    const matchesRole = !roleFilter || user.role === roleFilter;
+    const matchesStatus = !statusFilter || userStatus(user) === statusFilter;
+    const matchesQuery = !query || [user.name, user.email, user.phone].some((field) => (field || '').toLowerCase().includes(query));
+    return matchesRole && matchesStatus && matchesQuery;
+  });
+}
+
+function renderUserTable() {
+  const tbody = document.getElementById('userTableBody');
+  if (!tbody) return;
+  const filtered = filterUsers();
+  if (!filtered.length) {
+    tbody.innerHTML = '<tr><td colspan="6"><div class="empty-state">No users found</div></td></tr>';
+    return;
+  }
+
+  const statusBadgeClass = { active: 'completed', invited: 'pending', deactivated: 'rejected' };
+  tbody.innerHTML = filtered.map((user) => {
+    const status = userStatus(user);
+    const roleOptions = USER_ROLES.map((role) => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('');
+    return `
+      <tr>
+        <td>
+          <div style="font-weight:700;">${user.name}</div>
+          <div class="muted" style="font-size:12px;">${user.email}</div>
+        </td>
+        <td>${user.phone || '—'}</td>
+        <td>
+          <select onchange="changeUserRole('${user.id}', this.value)" ${user.active ? '' : 'disabled'}>${roleOptions}</select>
+        </td>
+        <td>${formatDate(user.createdAt)}</td>
+        <td><span class="badge ${statusBadgeClass[status]}">${status}</span></td>
+        <td>
+          <div class="action-buttons">
+            ${user.active
+              ? `<button class="btn-danger" onclick="setUserActive('${user.id}', false)">Deactivate</button>`
+              : `<button class="btn-success" onclick="setUserActive('${user.id}', true)">Reactivate</button>`}
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function replaceUser(updated) {
+  const idx = state.users.findIndex((u) => u.id === updated.id);
+  if (idx !== -1) {
+    state.users[idx] = updated;
+  } else {
+    state.users.unshift(updated);
+  }
+}
+
+async function handleUserSave(e) {
+  e.preventDefault();
+  const payload = {
+    name: document.getElementById('newUserName')?.value.trim(),
+    email: document.getElementById('newUserEmail')?.value.trim(),
+    role: document.getElementById('newUserRole')?.value,
+    phone: document.getElementById('newUserPhone')?.value.trim()
+  };
+  const password = document.getElementById('newUserPassword')?.value;
+  const isInvite = !password;
+  if (!isInvite) payload.password = password;
+
+  if (currentUser.isDemo) {
+    replaceUser(normaliseUser({ ...payload, id: 'demo-user-' + Date.now(), invitePending: isInvite }));
+    showToast(`(Demo) ${isInvite ? 'Invitation sent' : 'User created'}`);
+    renderUserTable();
+    if (e.target) e.target.reset();
+    return;
+  }
+
+  try {
+    const res = await fetch(`${API_BASE}/users${isInvite ? '/invite' : ''}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to save user');
+    if (data.user) replaceUser(normaliseUser(data.user));
+    showToast(data.message || 'User saved', data.emailSent === false ? 'error' : 'success');
+    if (e.target) e.target.reset();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+  renderUserTable();
+}
+
+async function changeUserRole(userId, role) {
+  const user = state.users.find((u) => u.id === userId);
+  if (!user || user.role === role) return;
+  if (!confirm(`Change ${user.name}'s role to ${role}? They will be signed out of all devices.`)) {
+    renderUserTable();
+    return;
+  }
+
+  try {
+    if (currentUser.isDemo) throw new Error('demo');
+    const res = await fetch(`${API_BASE}/users/${userId}/role`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify({ role })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to change role');
+    if (data.user) replaceUser(normaliseUser(data.user));
+    showToast(data.message || `Role changed to ${role}`);
+  } catch (error) {
+    if (error.message === 'demo') {
+      user.role = role;
+      showToast(`Role changed to ${role} (demo)`);
+    } else {
+      showToast(error.message, 'error');
+    }
+  }
+  renderUserTable();
+}
+
+async function setUserActive(userId, active) {
+  const user = state.users.find((u) => u.id === userId);
+  if (!user) return;
+  if (!active && !confirm(`Deactivate ${user.name}? They will be signed out and unable to log in.`)) return;
+
+  try {
+    if (currentUser.isDemo) throw new Error('demo');
+    const res = await fetch(`${API_BASE}/users/${userId}/${active ? 'reactivate' : 'deactivate'}`, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to update user');
+    if (data.user) replaceUser(normaliseUser(data.user));
+    showToast(data.message || (active ? 'User reactivated' : 'User deactivated'));
+  } catch (error) {
+    if (error.message === 'demo') {
+      user.active = active;
+      showToast(`${active ? 'User reactivated' : 'User deactivated'} (demo)`);
+    } else {
+      showToast(error.message, 'error');
+    }
+  }
+  renderUserTable();
+}
+
+// Household picker for the points adjustment form, narrowed by the search box
+function renderPointsHouseholdOptions() {
+  const select = document.getElementById('pointsHouseholdSelect');
+  if (!select) return;
+  const query = (document.getElementById('pointsHouseholdSearch')?.value || '').toLowerCase().trim();
+  const previous = select.value;
+  const households = state.users.filter((user) => user.role === 'household' && (
+    !query || [user.name, user.email, user.phone].some((field) => (field || '').toLowerCase().includes(query))
+  ));
+
+  select.innerHTML = households.length
+    ? '<option value="">Select a household</option>' + households.map((user) =>
+      `<option value="${user.id}">${user.name} (${user.email}) — ${user.rewardPoints} pts</option>`
+    ).join('')
+    : '<option value="">No matching households</option>';
+
+  if (households.some((user) => user.id === previous)) {
+    select.value = previous;
+  } else if (households.length === 1) {
+    select.value = households[0].id;
+    loadHouseholdPointsHistory();
+  }
+}
+
+const POINTS_TYPE_LABELS = { earn: 'Earned', redeem: 'Redeemed', adjust: 'Adjustment', reverse: 'Reversal' };
+
+async function loadHouseholdPointsHistory() {
+  const container = document.getElementById('pointsHouseholdHistory');
+  const userId = document.getElementById('pointsHouseholdSelect')?.value;
+  if (!container) return;
+  if (!userId) {
+    container.innerHTML = '<div class="empty-state">Select a household to see its points statement</div>';
+    setText('pointsHouseholdBalance', '');
+    return;
+  }
+
+  try {
+    if (currentUser.isDemo || !token) throw new Error('demo');
+    const res = await fetch(`${API_BASE}/users/${userId}/points/history?limit=20`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to load statement');
+
+    setText('pointsHouseholdBalance', `· balance ${data.balance} pts`);
+    if (!data.transactions.length) {
+      container.innerHTML = '<div class="empty-state">No points activity yet</div>';
+      return;
+    }
+    container.innerHTML = data.transactions.map((t) => `
+      <div class="pickup-item">
+        <div class="pickup-details">
+          <div class="pickup-description">${(t.description || POINTS_TYPE_LABELS[t.type] || t.type).replace(/</g, '&lt;')}</div>
+          <div class="pickup-meta">
+            ${POINTS_TYPE_LABELS[t.type] || t.type} · ${formatDate(t.createdAt)}${t.actor ? ` · by ${t.actor.name}` : ''} · balance ${t.balanceAfter} pts${t.reversed ? ' · reversed' : ''}
+          </div>
+        </div>
+        <div style="font-weight:700;color:${t.points > 0 ? '#16a34a' : '#dc2626'};">${t.points > 0 ? '+' : ''}${t.points} pts</div>
+      </div>
+    `).join('');
+  } catch (error) {
+    const user = state.users.find((u) => u.id === userId);
+    setText('pointsHouseholdBalance', user ? `· balance ${user.rewardPoints} pts` : '');
+    container.innerHTML = `<div class="empty-state">${error.message === 'demo' ? 'Statement is not available in demo mode' : error.message}</div>`;
+  }
+}
+
+async function handlePointsAdjust(e) {
+  e.preventDefault();
+  const userId = document.getElementById('pointsHouseholdSelect')?.value;
+  const direction = document.getElementById('pointsDirection')?.value;
+  const amount = parseInt(document.getElementById('pointsAmount')?.value, 10);
+  const reason = document.getElementById('pointsReason')?.value.trim();
+  const user = state.users.find((u) => u.id === userId);
+
+  if (!user) return showToast('Select a household first', 'error');
+  if (!amount || amount <= 0) return showToast('Enter a positive number of points', 'error');
+  const points = direction === 'debit' ? -amount : amount;
+  if (!confirm(`${points > 0 ? 'Credit' : 'Debit'} ${amount} points ${points > 0 ? 'to' : 'from'} ${user.name}?`)) return;
+
+  try {
+    if (currentUser.isDemo) throw new Error('demo');
+    const res = await fetch(`${API_BASE}/users/${userId}/points/adjust`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify({ points, reason })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to adjust points');
+    user.rewardPoints = data.rewardPoints;
+    showToast(data.message || 'Points adjusted');
+    if (e.target) e.target.reset();
+  } catch (error) {
+    if (error.message === 'demo') {
+      user.rewardPoints = Math.max(0, user.rewardPoints + points);
+      showToast('Points adjusted (demo)');
+    } else {
+      return showToast(error.message, 'error');
+    }
+  }
+  renderPointsHouseholdOptions();
+  document.getElementById('pointsHouseholdSelect').value = userId;
+  loadHouseholdPointsHistory();
+}
+
+
 /* ============================================
    ROUTE PLANNING WITH COMPOST CENTER DEPOT
    ============================================ */
@@ -1144,12 +2595,16 @@ async function removeRewardItem(id) {
 let routeMap;
 let routeMarkers = [];
 let routeLine;
+// Optimizer response with one route per vehicle, and the layer drawing all of them
+let fleetRouteData = null;
+let fleetRouteLayer = null;
+let fleetRouteLines = [];
 let currentRouteType = 'pickup';
 let pickupLocations = [];
 let deliveryLocations = [];
 let optimizedRouteData = null;
 
-// Compost Center (Depot) - Start and End Point
+// Compost Center (Depot) - Start and End Point; replaced by the configured service area's depot
 const COMPOST_CENTER = {
   id: 'depot',
   name: 'Compost Center',
@@ -1159,8 +2614,8 @@ const COMPOST_CENTER = {
   isDepot: true
 };
 
-// Switch between pickup and delivery routes
-function switchRouteType(type) {
+// Switch between pickup, delivery and mixed (pickups and deliveries in one trip) routes
+async function switchRouteType(type) {
   currentRouteType = type;
 
   document.querySelectorAll('.route-toggle-btn').forEach(btn => {
@@ -1170,13 +2625,16 @@ function switchRouteType(type) {
   if (type === 'pickup') {
     document.getElementById('routeSequenceTitle').textContent = 'Pickup Sequence';
     document.getElementById('routeMetricLabel').textContent = 'Time Saved';
+  } else if (type === 'mixed') {
+    document.getElementById('routeSequenceTitle').textContent = 'Trip Sequence';
+    document.getElementById('routeMetricLabel').textContent = 'Peak Load';
   } else {
     document.getElementById('routeSequenceTitle').textContent = 'Delivery Sequence';
     document.getElementById('routeMetricLabel').textContent = 'Total Load';
   }
 
   clearCurrentRoute();
-  loadCurrentRouteData();
+  await loadCurrentRouteData();
 
   console.log(`✅ Switched to ${type} routes`);
 }
@@ -1185,11 +2643,30 @@ function switchRouteType(type) {
 async function loadCurrentRouteData() {
   if (currentRouteType === 'pickup') {
     await loadPickupsForRouting();
+  } else if (currentRouteType === 'mixed') {
+    await loadPickupsForRouting();
+    await loadDeliveriesForRouting();
+    displayLocationsOnMap(routeLocations(), 'mixed');
   } else {
     await loadDeliveriesForRouting();
   }
 }
 
+// Stops for the current route type; mixed trips take both
+function routeLocations() {
+  if (currentRouteType === 'mixed') return [...pickupLocations, ...deliveryLocations];
+  return currentRouteType === 'pickup' ? pickupLocations : deliveryLocations;
+}
+
+// Pickups green, deliveries orange; loc.kind decides on mixed routes
+function routeStopKind(loc) {
+  return loc.kind || (currentRouteType === 'delivery' ? 'delivery' : 'pickup');
+}
+
+function routeKindColor(kind) {
+  return kind === 'delivery' ? '#f97316' : '#00A63E';
+}
+
 // Initialize route map
 function initRouteMap() {
   if (routeMap) return;
@@ -1208,15 +2685,25 @@ function initRouteMap() {
     maxZoom: 19
   }).addTo(routeMap);
 
-  // Add Compost Center marker (always visible, blue)
+  // Add Compost Center marker (always visible, blue) and the service area boundary
   addDepotMarker();
+  drawServiceArea();
 
   console.log('✅ Route map initialized with Compost Center');
+  document.getElementById('savedRoutesDate')?.addEventListener('change', refreshRoutePlans);
+  document.getElementById('vehicleForm')?.addEventListener('submit', handleVehicleSubmit);
   loadCurrentRouteData();
+  refreshRoutePlans();
+  refreshVehicles();
 }
 
+let depotMarker = null;
+let serviceAreaLayer = null;
+
 // Add depot marker (blue, always visible)
 function addDepotMarker() {
+  if (depotMarker) routeMap.removeLayer(depotMarker);
+
   const depotIcon = L.divIcon({
     html: `<div class="depot-marker">
       <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2.5">
@@ -1228,7 +2715,7 @@ function addDepotMarker() {
     iconSize: [48, 48]
   });
 
-  const depotMarker = L.marker([COMPOST_CENTER.lat, COMPOST_CENTER.lon], {
+  depotMarker = L.marker([COMPOST_CENTER.lat, COMPOST_CENTER.lon], {
     icon: depotIcon,
     zIndexOffset: 1000 // Keep depot on top
   })
@@ -1250,6 +2737,20 @@ function addDepotMarker() {
   console.log('✅ Depot marker added');
 }
 
+// Dashed outline of the route planning center's service area
+function drawServiceArea() {
+  if (!routeMap) return;
+  if (serviceAreaLayer) routeMap.removeLayer(serviceAreaLayer);
+  const boundary = routeCenter()?.boundary;
+  if (!boundary) return;
+
+  const style = { color: '#3b82f6', weight: 2, dashArray: '6 6', fill: false, interactive: false };
+  serviceAreaLayer = boundary.shape === 'polygon' && (boundary.polygon || []).length >= 3
+    ? L.polygon(boundary.polygon.map(p => [p.lat, p.lon]), style)
+    : L.circle([COMPOST_CENTER.lat, COMPOST_CENTER.lon], { ...style, radius: boundary.radiusKm * 1000 });
+  serviceAreaLayer.addTo(routeMap);
+}
+
 // Load pickups for routing
 async function loadPickupsForRouting() {
   const overlay = document.getElementById('routeLoadingOverlay');
@@ -1270,6 +2771,7 @@ async function loadPickupsForRouting() {
         .filter(p => !p.status || p.status === 'pending' || p.status === 'processing') // Relaxed filter for demo
         .map(p => ({
           id: p._id,
+          kind: 'pickup',
           name: p.household || 'Household',
           address: p.address || 'Address not provided',
           lat: p.lat || (16.29 + Math.random() * 0.02), // Mock coords if missing
@@ -1298,10 +2800,11 @@ async function loadPickupsForRouting() {
       .filter(p => {
         const hasStatus = p.status === 'pending' || p.status === 'processing';
         const hasCoords = p.lat && p.lon && !isNaN(p.lat) && !isNaN(p.lon);
-        return hasStatus && hasCoords;
+        return hasStatus && hasCoords && belongsToRouteCenter(p);
       })
       .map(p => ({
         id: p._id,
+        kind: 'pickup',
         name: p.userId?.name || 'Household',
         address: p.address || 'Address not provided',
         lat: parseFloat(p.lat),
@@ -1315,6 +2818,14 @@ async function loadPickupsForRouting() {
 
     console.log(`✅ Loaded ${pickupLocations.length} pickups`);
 
+    // Pickups whose address couldn't be geocoded are kept off the map until they have a location
+    const unlocated = pickups.filter(p =>
+      (p.status === 'pending' || p.status === 'processing') && (p.lat == null || p.lon == null) && belongsToRouteCenter(p)
+    ).length;
+    if (unlocated) {
+      showToast(`${unlocated} pending pickup(s) have no map location yet`, 'error');
+    }
+
     if (pickupLocations.length === 0) {
       showToast('No pending pickups found', 'error');
       // displayDemoPickups(); // Don't auto-fallback to hardcoded demo in real mode unless requested
@@ -1354,7 +2865,7 @@ async function loadDeliveriesForRouting() {
     console.log(`📦 Total orders fetched: ${orders.length}`);
 
     const eligibleOrders = orders.filter(o =>
-      o.status === 'confirmed' || o.status === 'in-transit'
+      (o.status === 'confirmed' || o.status === 'in-transit') && belongsToRouteCenter(o)
     );
 
     console.log(`✅ Eligible orders: ${eligibleOrders.length}`);
@@ -1374,6 +2885,7 @@ async function loadDeliveriesForRouting() {
 
     deliveryLocations = ordersWithCoords.map(o => ({
       id: o._id,
+      kind: 'delivery',
       name: o.farmerId?.name || 'Farmer',
       address: o.deliveryAddress || 'Address not provided',
       lat: parseFloat(o.lat),
@@ -1413,11 +2925,38 @@ async function loadDeliveriesForRouting() {
   }
 }
 
+// Geocode orders that were saved without coordinates
+async function fixOrderCoordinates() {
+  if (!token || currentUser.isDemo) {
+    showToast('Fixing coordinates is not available in demo mode', 'error');
+    return;
+  }
+
+  try {
+    showToast('Looking up missing delivery locations...', 'info');
+    const res = await fetch(`${API_BASE}/order/fix-coordinates`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || 'Failed to fix coordinates');
+
+    const missing = (data.notFound || []).length;
+    showToast(missing
+      ? `${data.message}; ${missing} address(es) could not be found`
+      : data.message);
+    await loadCurrentRouteData();
+  } catch (error) {
+    console.error('Fix coordinates error:', error);
+    showToast(error.message, 'error');
+  }
+}
+
 // Display demo data
 function displayDemoPickups() {
   pickupLocations = [
-    { id: '1', name: 'Household A', lat: 16.3000, lon: 74.5300, address: 'MG Road', quantity: 3, wasteType: 'Kitchen Waste' },
-    { id: '2', name: 'Household B', lat: 16.2900, lon: 74.5400, address: 'Hebbal', quantity: 2.5, wasteType: 'Fruit Waste' }
+    { id: '1', kind: 'pickup', name: 'Household A', lat: 16.3000, lon: 74.5300, address: 'MG Road', quantity: 3, wasteType: 'Kitchen Waste' },
+    { id: '2', kind: 'pickup', name: 'Household B', lat: 16.2900, lon: 74.5400, address: 'Hebbal', quantity: 2.5, wasteType: 'Fruit Waste' }
   ];
   displayLocationsOnMap(pickupLocations, 'pickup');
   showToast('Using demo pickup data', 'info');
@@ -1425,8 +2964,8 @@ function displayDemoPickups() {
 
 function displayDemoDeliveries() {
   deliveryLocations = [
-    { id: '1', name: 'Farmer Alpha', lat: 16.3100, lon: 74.5250, address: 'Organic Farm', quantity: 50, orderNumber: 'ORD-001', totalAmount: 1500 },
-    { id: '2', name: 'Farmer Beta', lat: 16.2800, lon: 74.5300, address: 'Green Valley', quantity: 75, orderNumber: 'ORD-002', totalAmount: 2250 }
+    { id: 'd1', kind: 'delivery', name: 'Farmer Alpha', lat: 16.3100, lon: 74.5250, address: 'Organic Farm', quantity: 50, orderNumber: 'ORD-001', totalAmount: 1500 },
+    { id: 'd2', kind: 'delivery', name: 'Farmer Beta', lat: 16.2800, lon: 74.5300, address: 'Green Valley', quantity: 75, orderNumber: 'ORD-002', totalAmount: 2250 }
   ];
   displayLocationsOnMap(deliveryLocations, 'delivery');
   showToast('Using demo delivery data', 'info');
@@ -1436,16 +2975,16 @@ function displayDemoDeliveries() {
 function displayLocationsOnMap(locations, type) {
   clearRouteMarkers();
 
-  const markerColor = type === 'pickup' ? '#00A63E' : '#f97316';
-
   locations.forEach((loc, index) => {
+    const kind = loc.kind || type;
+    const markerColor = routeKindColor(kind);
     const icon = L.divIcon({
       html: `<div class="custom-marker" style="background:${markerColor};border-color:${markerColor};color:#fff;">${index + 1}</div>`,
       className: '',
       iconSize: [36, 36]
     });
 
-    const popupContent = type === 'pickup' ? `
+    const popupContent = kind === 'pickup' ? `
       <strong>${loc.name}</strong><br>
       📍 ${loc.address}<br>
       📦 ${loc.quantity} kg • ${loc.wasteType || 'Organic'}<br>
@@ -1475,7 +3014,7 @@ function displayLocationsOnMap(locations, type) {
 
 // Unified optimization function
 async function optimizeCurrentRoute() {
-  const locations = currentRouteType === 'pickup' ? pickupLocations : deliveryLocations;
+  const locations = routeLocations();
 
   if (locations.length < 1) {
     showToast(`Need at least 1 ${currentRouteType} location`, 'error');
@@ -1515,13 +3054,12 @@ async function optimizeCurrentRoute() {
           totalStops: optimizedOrder.length,
           timeSaved: 25 // Fake saving
         },
-        method: 'fallback',
-        reasoning: 'Demo Mode: Route optimized based on nearest location from center.'
+        method: 'demo'
       };
 
       optimizedRouteData = result;
       displayOptimizedRoute(result.optimizedOrder, result.metrics, result.method);
-      updateRouteMethodInfo(result.method, result.reasoning);
+      updateRouteMethodInfo(result.method);
       showToast('Route optimized (Demo Mode)!');
       if (overlay) overlay.style.display = 'none';
     }, 1500); // Fake delay
@@ -1538,7 +3076,7 @@ async function optimizeCurrentRoute() {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`
       },
-      body: JSON.stringify({ locations: locationsWithDepot })
+      body: JSON.stringify({ locations: locationsWithDepot, centerId: routeCenterId(), ...routeSchedulingInputs() })
     });
 
     if (!res.ok) {
@@ -1546,39 +3084,15 @@ async function optimizeCurrentRoute() {
       throw new Error(error.message || 'Optimization failed');
     }
 
+    // The route comes back closed (depot -> stops -> depot) with metrics for the whole loop
     const result = await res.json();
 
-    // Preserve ALL properties when adding depot at end
-    const depotEnd = { ...COMPOST_CENTER };
-    const routeWithReturn = [...result.optimizedOrder, depotEnd];
-
-    // Recalculate metrics with return trip
-    const totalDistance = calculateTotalDistance(routeWithReturn);
-    const travelTime = (totalDistance / 30) * 60;
-    const stopTime = (routeWithReturn.length - 2) * 5; // Exclude depot from stop time
-    const totalTime = Math.round(travelTime + stopTime);
-
-    // Preserve all properties in optimizedOrder
-    result.optimizedOrder = routeWithReturn;
-    result.metrics.totalDistance = Math.round(totalDistance * 100) / 100;
-    result.metrics.estimatedTime = totalTime;
-    result.metrics.totalStops = routeWithReturn.length;
-
-    optimizedRouteData = result;
-
-    const aiReasoning = result.reasoning || result.reason || result.explanation || null;
-
-    displayOptimizedRoute(result.optimizedOrder, result.metrics, result.method);
-    updateRouteMethodInfo(result.method, aiReasoning);
+    showOptimizationResult(result);
 
-    if (result.method === 'gemini') {
-      console.log('✅ Optimization method used: gemini');
-      showToast('Route optimized using ✨ Gemini AI!');
-    } else {
-      console.warn('⚠️ Optimization method used: fallback');
-      console.warn('Check backend console for Gemini API errors.');
-      showToast('Route optimized using 🔧 Fallback algorithm');
-    }
+    console.log(`✅ Optimization method used: ${result.method}`);
+    showToast(result.method === 'exact'
+      ? 'Route optimized (shortest possible order)'
+      : 'Route optimized using local search');
 
   } catch (error) {
     console.error('❌ Optimization error:', error);
@@ -1614,8 +3128,7 @@ function displayOptimizedRoute(optimizedOrder, metrics, method) {
   clearRouteMarkers();
   clearRouteLine();
 
-  const markerColor = currentRouteType === 'pickup' ? '#00A63E' : '#f97316';
-  const lineColor = currentRouteType === 'pickup' ? '#00A63E' : '#f97316';
+  const lineColor = currentRouteType === 'mixed' ? '#6366f1' : routeKindColor(currentRouteType);
 
   // Draw route line (including return to depot)
   const coordinates = optimizedOrder.map(loc => [loc.lat, loc.lon]);
@@ -1651,6 +3164,7 @@ function displayOptimizedRoute(optimizedOrder, metrics, method) {
     if (loc.isDepot) return; // Skip depot - it has permanent blue marker
 
     const stopNumber = index; // Depot is 0, first stop is 1, etc.
+    const markerColor = routeKindColor(routeStopKind(loc));
 
     const icon = L.divIcon({
       html: `<div class="custom-marker optimized-marker" style="background:${markerColor};border-color:${markerColor};">${stopNumber}</div>`,
@@ -1658,9 +3172,9 @@ function displayOptimizedRoute(optimizedOrder, metrics, method) {
       iconSize: [36, 36]
     });
 
-    // Build popup content based on route type
+    // Build popup content based on stop type
     let popupContent = '';
-    if (currentRouteType === 'pickup') {
+    if (routeStopKind(loc) === 'pickup') {
       popupContent = `
         <div style="min-width:220px;">
           <div style="background:${markerColor};color:white;margin:-10px -10px 10px;padding:8px 10px;border-radius:4px 4px 0 0;">
@@ -1670,7 +3184,8 @@ function displayOptimizedRoute(optimizedOrder, metrics, method) {
             📍 ${loc.address}<br>
             📦 <strong>${loc.quantity || 0} kg</strong> • ${loc.wasteType || 'Organic'}<br>
             ${loc.phone ? `📞 ${loc.phone}<br>` : ''}
-            ${loc.pickupDate ? `📅 ${loc.pickupDate} ${loc.pickupTime || ''}` : ''}
+            ${loc.pickupDate ? `📅 ${loc.pickupDate} ${loc.pickupTime || ''}<br>` : ''}
+            ${routeStopTiming(loc)}
           </div>
         </div>
       `;
@@ -1684,7 +3199,8 @@ function displayOptimizedRoute(optimizedOrder, metrics, method) {
             📍 ${loc.address}<br>
             📦 <strong>${loc.quantity || 0} kg</strong> compost<br>
             🆔 ${loc.orderNumber || ''}<br>
-            ${loc.phone ? `📞 ${loc.phone}` : ''}
+            ${loc.phone ? `📞 ${loc.phone}<br>` : ''}
+            ${routeStopTiming(loc)}
           </div>
         </div>
       `;
@@ -1705,23 +3221,26 @@ function displayOptimizedRoute(optimizedOrder, metrics, method) {
 }
 
 // Update stop list
-function updateRouteStopList(order) {
+function updateRouteStopList(order, stopColor) {
   const container = document.getElementById('routeStopList');
   container.innerHTML = order.map((loc, index) => {
     const isDepot = loc.isDepot;
-    const bgColor = isDepot ? '#3b82f6' : (currentRouteType === 'pickup' ? '#00A63E' : '#f97316');
+    const kind = routeStopKind(loc);
+    const bgColor = isDepot ? '#3b82f6' : (stopColor || routeKindColor(kind));
     const label = isDepot ? (index === 0 ? '0' : 'END') : index.toString();
 
-    // Build details based on route type
+    // Build details based on stop type
     let details = '';
     if (isDepot) {
-      details = `<div class="stop-address">${loc.address}</div>`;
-    } else if (currentRouteType === 'pickup') {
+      details = `<div class="stop-address">${loc.address}</div>${routeStopTiming(loc)}`;
+    } else if (kind === 'pickup') {
       details = `
         <div class="stop-address">${loc.address}</div>
         <div style="font-size:11px;color:#94a3b8;margin-top:2px;">
           ${loc.wasteType || 'Organic'} • ${loc.phone || 'No phone'}
         </div>
+        ${routeStopTiming(loc)}
+        ${routeStopLoad(loc)}
       `;
     } else {
       details = `
@@ -1729,6 +3248,8 @@ function updateRouteStopList(order) {
         <div style="font-size:11px;color:#94a3b8;margin-top:2px;">
           ${loc.orderNumber || ''} • ${loc.phone || 'No phone'}
         </div>
+        ${routeStopTiming(loc)}
+        ${routeStopLoad(loc)}
       `;
     }
 
@@ -1739,12 +3260,92 @@ function updateRouteStopList(order) {
           <div class="stop-name">${loc.name}${isDepot ? ' 🏠' : ''}</div>
           ${details}
         </div>
-        ${!isDepot ? `<div class="stop-quantity">${loc.quantity || 0} kg</div>` : ''}
+        ${!isDepot ? `<div class="stop-quantity">${currentRouteType === 'mixed' ? (kind === 'delivery' ? '−' : '+') : ''}${loc.quantity || 0} kg</div>` : ''}
       </div>
     `;
   }).join('');
 }
 
+// Route day and departure from the Save & Assign card; a blank time means each vehicle's shift start
+function routeSchedulingInputs() {
+  const date = document.getElementById('routeAssignDate')?.value;
+  const startTime = document.getElementById('routeStartTime')?.value;
+  return {
+    date: date || undefined,
+    startTime: startTime || undefined
+  };
+}
+
+function formatClock(value) {
+  return new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Planned arrival, the household's slot, and any wait or lateness against it
+function routeStopTiming(loc) {
+  if (!loc.plannedArrival) return '';
+  const window = loc.timeWindow?.start
+    ? ` • slot ${formatClock(loc.timeWindow.start)}–${formatClock(loc.timeWindow.end)}`
+    : '';
+  let status = '';
+  if (loc.lateMinutes) {
+    status = ` • <strong style="color:#dc2626;">${loc.lateMinutes} min late</strong>`;
+  } else if (loc.waitMinutes) {
+    status = ` • waits ${loc.waitMinutes} min`;
+  }
+  return `<div style="font-size:11px;color:#475569;margin-top:2px;">🕒 ${formatClock(loc.plannedArrival)}${window}${status}</div>`;
+}
+
+// Kg on board after a stop of a mixed trip
+function routeStopLoad(loc) {
+  if (currentRouteType !== 'mixed' || loc.loadAfter == null) return '';
+  return `<div style="font-size:11px;color:#475569;margin-top:2px;">🚚 ${loc.loadAfter} kg on board after this stop</div>`;
+}
+
+// Bar per location showing the load on board, with the vehicle capacity when known
+function renderLoadProfile(order, capacity) {
+  const box = document.getElementById('routeLoadProfile');
+  if (!box) return;
+  if (currentRouteType !== 'mixed' || !order?.some((loc) => loc.loadAfter != null)) {
+    box.innerHTML = '';
+    return;
+  }
+
+  const loads = order.map((loc) => loc.loadAfter || 0);
+  const peak = Math.max(...loads);
+  const scale = Math.max(peak, capacity || 0, 1);
+  const bars = order.map((loc, index) => {
+    const over = capacity && loads[index] > capacity;
+    const label = loc.isDepot ? (index === 0 ? 'Depart' : 'Return') : `Stop ${index}: ${loc.name}`;
+    return `<div title="${label}: ${loads[index]} kg" style="flex:1;height:${Math.max(2, loads[index] / scale * 100)}%;background:${over ? '#dc2626' : routeKindColor(routeStopKind(loc))};border-radius:2px 2px 0 0;"></div>`;
+  }).join('');
+
+  box.innerHTML = `
+    <div style="margin-bottom:10px;">
+      <div style="font-size:12px;color:#475569;margin-bottom:4px;">
+        🚚 Load profile • peak ${peak} kg${capacity ? ` of ${capacity} kg capacity` : ''}
+      </div>
+      <div style="position:relative;display:flex;align-items:flex-end;gap:2px;height:56px;border-bottom:1px solid #cbd5e1;">
+        ${bars}
+        ${capacity ? `<div style="position:absolute;left:0;right:0;bottom:${capacity / scale * 100}%;border-top:1px dashed #dc2626;"></div>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// Stops that can't be reached in their slot, or whose slot is on another day
+function renderRouteWarnings(warnings) {
+  const box = document.getElementById('routeWarnings');
+  if (!box) return;
+  box.innerHTML = warnings?.length ? `
+    <div style="margin-bottom:10px;padding:10px;background:#fffbeb;border-radius:8px;border:1px solid #fde68a;">
+      <strong style="color:#b45309;font-size:13px;">⚠️ Time slot warnings (${warnings.length})</strong>
+      ${warnings.map((warning) => `
+        <div style="font-size:12px;color:#92400e;margin-top:4px;">${warning.message}</div>
+      `).join('')}
+    </div>
+  ` : '';
+}
+
 // Focus on specific stop
 function focusOnStop(index) {
   const order = optimizedRouteData?.optimizedOrder;
@@ -1771,44 +3372,56 @@ function updateRouteMetrics(metrics) {
   if (currentRouteType === 'pickup') {
     setText('routeMetricValue', `${metrics.timeSaved || 0} min`);
   } else {
-    const locations = deliveryLocations;
-    const totalLoad = locations.reduce((sum, loc) => sum + (loc.quantity || 0), 0);
+    const locations = routeLocations();
+    const totalLoad = metrics.load ?? locations.reduce((sum, loc) => sum + (loc.quantity || 0), 0);
     setText('routeMetricValue', `${totalLoad} kg`);
   }
 }
 
 // Update method info
+const ROUTE_METHOD_INFO = {
+  exact: {
+    icon: '🎯',
+    title: 'Exact Route',
+    text: 'Every possible visiting order was checked, so this is the shortest route by straight-line (haversine) distance. Route starts and ends at Compost Center.'
+  },
+  'local-search': {
+    icon: '🔧',
+    title: 'Local Search (2-opt + Or-opt)',
+    text: 'Nearest-neighbour routes improved by reversing and moving stops until no change shortens them. Distances use the haversine formula. Route starts and ends at Compost Center.'
+  },
+  demo: {
+    icon: '🧪',
+    title: 'Demo Route',
+    text: 'Demo mode: stops ordered by nearest location from the Compost Center.'
+  }
+};
+
 function updateRouteMethodInfo(method, reasoning) {
   const card = document.getElementById('routeMethodCard');
   const info = document.getElementById('routeMethodInfo');
 
-  let content = '';
-
-  if (method === 'gemini') {
-    content = `
-      <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;">
-        <span style="font-size:24px;">✨</span>
-        <strong style="color:#00A63E;">Gemini AI Optimization</strong>
-      </div>
-      <p style="margin:0;">Route optimized using Google's Gemini AI with Haversine distance calculations. Route starts and ends at Compost Center.</p>
-    `;
-
-    if (reasoning) {
-      content += `
-        <div style="margin-top:12px;padding:10px;background:#f0fdf4;border-radius:8px;border:1px solid #bbf7d0;">
-          <strong style="color:#166534;font-size:13px;display:block;margin-bottom:4px;">AI Reasoning:</strong>
-          <p style="margin:0;font-size:13px;color:#15803d;line-height:1.5;">${reasoning}</p>
-        </div>
-      `;
-    }
+  const details = ROUTE_METHOD_INFO[method] || {
+    icon: '🗺️',
+    title: 'Saved Route',
+    text: `Route order from the "${method || 'manual'}" planner.`
+  };
 
-  } else {
-    content = `
-      <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;">
-        <span style="font-size:24px;">🔧</span>
-        <strong style="color:#3b82f6;">Nearest-Neighbor Algorithm</strong>
+  let content = `
+    <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;">
+      <span style="font-size:24px;">${details.icon}</span>
+      <strong style="color:#00A63E;">${details.title}</strong>
+    </div>
+    <p style="margin:0;">${details.text}</p>
+  `;
+
+  // Gemini only ever explains the route; it never changes the order
+  if (reasoning) {
+    content += `
+      <div style="margin-top:12px;padding:10px;background:#f0fdf4;border-radius:8px;border:1px solid #bbf7d0;">
+        <strong style="color:#166534;font-size:13px;display:block;margin-bottom:4px;">✨ Why this order (Gemini):</strong>
+        <p style="margin:0;font-size:13px;color:#15803d;line-height:1.5;">${reasoning}</p>
       </div>
-      <p style="margin:0;">Route optimized using greedy nearest-neighbor algorithm. Route starts and ends at Compost Center.</p>
     `;
   }
 
@@ -1831,6 +3444,14 @@ function clearCurrentRoute() {
 
   document.getElementById('routeStopList').innerHTML = '<div class="empty-state">Click "Optimize Route" to generate sequence</div>';
   document.getElementById('routeMethodCard').style.display = 'none';
+  renderRouteWarnings([]);
+  renderLoadProfile(null);
+  optimizedRouteData = null;
+  fleetRouteData = null;
+  setLoadedRoutePlan(null);
+  const fleetCard = document.getElementById('fleetRoutesCard');
+  if (fleetCard) fleetCard.style.display = 'none';
+  setRouteVehicleInput('');
 }
 
 function clearRouteMarkers() {
@@ -1839,6 +3460,11 @@ function clearRouteMarkers() {
 }
 
 function clearRouteLine() {
+  if (fleetRouteLayer) {
+    routeMap.removeLayer(fleetRouteLayer);
+    fleetRouteLayer = null;
+    fleetRouteLines = [];
+  }
   if (routeLine) {
 
     routeMap.removeLayer(routeLine);
@@ -1846,6 +3472,503 @@ function clearRouteLine() {
   }
 }
 
+// ==================== FLEET ====================
+
+// One colour per vehicle route on the map, reused in order
+const VEHICLE_COLORS = ['#00A63E', '#f97316', '#8b5cf6', '#ef4444', '#0ea5e9', '#eab308', '#ec4899', '#14b8a6'];
+
+function vehicleColor(index) {
+  return VEHICLE_COLORS[index % VEHICLE_COLORS.length];
+}
+
+async function vehicleRequest(path, options = {}) {
+  const res = await fetch(`${API_BASE}/vehicles${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.message || 'Vehicle request failed');
+  return data;
+}
+
+async function refreshVehicles() {
+  if (currentUser.isDemo || !token) {
+    state.vehicles = [];
+  } else {
+    try {
+      // Vehicles of the route planning center plus the shared ones
+      state.vehicles = await vehicleRequest(routeCenterId() ? `?centerId=${routeCenterId()}` : '');
+    } catch (error) {
+      console.error('❌ Error loading vehicles:', error);
+      state.vehicles = [];
+    }
+  }
+  renderVehicleList();
+}
+
+function renderVehicleList() {
+  const list = document.getElementById('vehicleList');
+  if (!list) return;
+  if (!state.vehicles.length) {
+    list.innerHTML = '<div class="empty-state">No vehicles yet – routes are planned as a single tour</div>';
+    return;
+  }
+
+  list.innerHTML = state.vehicles.map((vehicle) => `
+    <div class="stop-item" style="${vehicle.active ? '' : 'opacity:0.6;'}">
+      <div class="stop-details">
+        <div class="stop-name">🚚 ${vehicle.name}${vehicle.registration ? ` (${vehicle.registration})` : ''}</div>
+        <div class="stop-address">${vehicle.capacityKg} kg • ${vehicle.shiftStart}–${vehicle.shiftEnd}${vehicle.active ? '' : ' • inactive'}</div>
+      </div>
+      <div style="display:flex;gap:4px;">
+        <button class="btn btn-secondary" onclick="setVehicleActive('${vehicle._id}', ${!vehicle.active})">${vehicle.active ? 'Disable' : 'Enable'}</button>
+        <button class="btn btn-secondary" onclick="deleteVehicle('${vehicle._id}')">✕</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+async function handleVehicleSubmit(event) {
+  event.preventDefault();
+  if (currentUser.isDemo || !token) {
+    showToast('Fleet management is not available in demo mode', 'error');
+    return;
+  }
+
+  try {
+    await vehicleRequest('', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: document.getElementById('vehicleName').value,
+        registration: document.getElementById('vehicleRegistration').value,
+        capacityKg: Number(document.getElementById('vehicleCapacity').value),
+        shiftStart: document.getElementById('vehicleShiftStart').value,
+        shiftEnd: document.getElementById('vehicleShiftEnd').value,
+        centerId: routeCenterId()
+      })
+    });
+    showToast('Vehicle added');
+    event.target.reset();
+    await refreshVehicles();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function setVehicleActive(vehicleId, active) {
+  try {
+    await vehicleRequest(`/${vehicleId}`, { method: 'PUT', body: JSON.stringify({ active }) });
+    showToast(active ? 'Vehicle enabled' : 'Vehicle disabled');
+    await refreshVehicles();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function deleteVehicle(vehicleId) {
+  if (!confirm('Delete this vehicle? Saved routes keep its name.')) return;
+  try {
+    await vehicleRequest(`/${vehicleId}`, { method: 'DELETE' });
+    showToast('Vehicle deleted');
+    await refreshVehicles();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// The vehicle field is filled in (and locked) when the route belongs to a fleet vehicle
+function setRouteVehicleInput(name, locked = false) {
+  const input = document.getElementById('routeVehicle');
+  if (!input) return;
+  input.value = name;
+  input.disabled = locked;
+}
+
+function showOptimizationResult(result) {
+  const isFleet = Array.isArray(result.routes) && result.routes.some((route) => route.vehicle);
+  if (!isFleet) {
+    optimizedRouteData = result;
+    displayOptimizedRoute(result.optimizedOrder, result.metrics, result.method);
+    updateRouteMethodInfo(result.method, result.reasoning);
+    renderRouteWarnings(result.warnings);
+    renderLoadProfile(result.optimizedOrder, result.loadProfile?.capacity);
+    return;
+  }
+
+  if (!result.routes.length) {
+    clearCurrentRoute();
+    fleetRouteData = { ...result, selected: 0 };
+    renderFleetRoutes();
+    showToast('No stops could be assigned to the fleet', 'error');
+    return;
+  }
+
+  displayFleetRoutes(result);
+  if (result.unassigned.length) {
+    showToast(`${result.unassigned.length} stop(s) did not fit any vehicle`, 'error');
+  }
+}
+
+// Draw every vehicle's route in its own colour
+function displayFleetRoutes(result) {
+  clearRouteMarkers();
+  clearRouteLine();
+
+  fleetRouteData = { ...result, selected: 0 };
+  fleetRouteLayer = L.featureGroup().addTo(routeMap);
+
+  result.routes.forEach((route, routeIndex) => {
+    const color = vehicleColor(routeIndex);
+    const line = L.polyline(route.optimizedOrder.map((loc) => [loc.lat, loc.lon]), {
+      color,
+      weight: 5,
+      opacity: 0.8,
+      dashArray: '10, 10',
+      lineJoin: 'round'
+    }).bindTooltip(route.vehicle.name);
+    line.on('click', () => selectFleetRoute(routeIndex));
+    fleetRouteLayer.addLayer(line);
+    fleetRouteLines.push(line);
+
+    route.optimizedOrder.forEach((loc, index) => {
+      if (loc.isDepot) return;
+      const icon = L.divIcon({
+        html: `<div class="custom-marker optimized-marker" style="background:${color};border-color:${color};">${index}</div>`,
+        className: '',
+        iconSize: [36, 36]
+      });
+      const marker = L.marker([loc.lat, loc.lon], { icon })
+        .bindPopup(`
+          <div style="min-width:200px;">
+            <strong style="color:${color};">${route.vehicle.name} • Stop ${index}</strong><br>
+            ${loc.name}<br>
+            <span style="color:#64748b;font-size:13px;">📍 ${loc.address || ''}<br>📦 ${loc.quantity || 0} kg</span>
+            ${routeStopTiming(loc)}
+          </div>
+        `)
+        .addTo(routeMap);
+      routeMarkers.push(marker);
+    });
+  });
+
+  routeMap.fitBounds(fleetRouteLayer.getBounds().pad(0.15));
+  renderFleetRoutes();
+  selectFleetRoute(0);
+}
+
+function renderFleetRoutes() {
+  const card = document.getElementById('fleetRoutesCard');
+  const list = document.getElementById('fleetRoutesList');
+  const unassignedBox = document.getElementById('fleetUnassigned');
+  if (!card || !fleetRouteData) return;
+
+  card.style.display = 'block';
+  list.innerHTML = fleetRouteData.routes.map((route, index) => {
+    const capacity = route.vehicle.capacityKg || 0;
+    const percent = capacity ? Math.round(route.load / capacity * 100) : 0;
+    return `
+      <div class="stop-item" onclick="selectFleetRoute(${index})"
+        style="cursor:pointer;${index === fleetRouteData.selected ? `outline:2px solid ${vehicleColor(index)};` : ''}">
+        <div class="stop-number" style="background:${vehicleColor(index)};">🚚</div>
+        <div class="stop-details">
+          <div class="stop-name">${route.vehicle.name}</div>
+          <div class="stop-address">
+            ${route.metrics.totalStops} stops • ${route.metrics.totalDistance} km • ${route.metrics.estimatedTime} min
+            <br>Load ${route.load}/${capacity} kg (${percent}%)${route.savedPlan ? ' • ✅ saved' : ''}
+            ${route.warnings?.length ? `<br><span style="color:#b45309;">⚠️ ${route.warnings.length} stop(s) outside their slot</span>` : ''}
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const unassigned = fleetRouteData.unassigned || [];
+  unassignedBox.innerHTML = unassigned.length ? `
+    <div style="margin-top:10px;padding:10px;background:#fef2f2;border-radius:8px;border:1px solid #fecaca;">
+      <strong style="color:#b91c1c;font-size:13px;">Not assigned (${unassigned.length})</strong>
+      ${unassigned.map((loc) => `
+        <div style="font-size:12px;color:#7f1d1d;margin-top:4px;">
+          ${loc.name} • ${loc.quantity || 0} kg – ${loc.reason}
+        </div>
+      `).join('')}
+    </div>
+  ` : '';
+}
+
+// Show one vehicle's route in the sequence, metrics and save cards
+function selectFleetRoute(index) {
+  if (!fleetRouteData?.routes?.[index]) return;
+  fleetRouteData.selected = index;
+  const route = fleetRouteData.routes[index];
+
+  optimizedRouteData = {
+    optimizedOrder: route.optimizedOrder,
+    metrics: { ...route.metrics, load: route.load, timeSaved: fleetRouteData.metrics?.timeSaved },
+    method: route.method,
+    reasoning: route.reasoning,
+    vehicle: route.vehicle,
+    // Slots ignored because they are on another day apply to the whole plan, not one vehicle
+    warnings: [...(fleetRouteData.warnings || []).filter((w) => w.lateMinutes == null), ...(route.warnings || [])]
+  };
+
+  fleetRouteLines.forEach((line, lineIndex) => {
+    line.setStyle({ weight: lineIndex === index ? 7 : 4, opacity: lineIndex === index ? 0.95 : 0.5 });
+  });
+
+  updateRouteStopList(route.optimizedOrder, vehicleColor(index));
+  updateRouteMetrics(optimizedRouteData.metrics);
+  updateRouteMethodInfo(route.method, route.reasoning);
+  renderRouteWarnings(optimizedRouteData.warnings);
+  renderLoadProfile(route.optimizedOrder, route.loadProfile?.capacity);
+  renderFleetRoutes();
+  setLoadedRoutePlan(route.savedPlan || null);
+  setRouteVehicleInput(route.vehicle.name, true);
+}
+
+// ==================== SAVED ROUTE PLANS ====================
+
+let savedRoutePlans = [];
+// Plan currently shown on the map, if it was loaded from the saved list
+let loadedRoutePlan = null;
+
+function setLoadedRoutePlan(plan) {
+  loadedRoutePlan = plan;
+  const button = document.getElementById('routeSaveBtn');
+  const hint = document.getElementById('routeAssignHint');
+  if (button) button.textContent = plan ? 'Update Assignment' : 'Save Route';
+  if (hint) {
+    hint.textContent = plan
+      ? `Showing saved route "${routePlanLabel(plan)}". Choose a collector to reassign it.`
+      : 'Optimize the route first, then save it.';
+  }
+}
+
+const ROUTE_TYPE_LABELS = { pickup: 'Pickup', delivery: 'Delivery', mixed: 'Mixed' };
+const ROUTE_TYPE_ICONS = { pickup: '♻️', delivery: '📦', mixed: '🔄' };
+
+function routePlanLabel(plan) {
+  return plan.name || `${ROUTE_TYPE_LABELS[plan.type] || 'Route'} route ${formatDate(plan.date)}`;
+}
+
+function renderRouteCollectorOptions() {
+  const select = document.getElementById('routeCollectorSelect');
+  if (!select) return;
+  const previous = select.value;
+  const collectors = state.users.filter((user) => user.role === 'collector' && user.active !== false);
+  select.innerHTML = '<option value="">No collector yet</option>' + collectors
+    .map((user) => `<option value="${user.id}">${user.name} (${user.email})</option>`)
+    .join('');
+  select.value = collectors.some((user) => user.id === previous) ? previous : '';
+
+  const dateInput = document.getElementById('routeAssignDate');
+  if (dateInput && !dateInput.value) dateInput.value = toDateInput(new Date());
+}
+
+async function routePlanRequest(path, options = {}) {
+  const res = await fetch(`${API_BASE}/route-plans${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.message || 'Route plan request failed');
+  return data;
+}
+
+// Save the optimized route (optionally assigning a collector), or reassign a loaded plan
+async function saveCurrentRoute() {
+  if (!optimizedRouteData) {
+    showToast('Please optimize a route first', 'error');
+    return;
+  }
+  if (currentUser.isDemo || !token) {
+    showToast('Saving routes is not available in demo mode', 'error');
+    return;
+  }
+  const collectorId = document.getElementById('routeCollectorSelect')?.value;
+
+  try {
+    if (loadedRoutePlan) {
+      if (!collectorId) {
+        showToast('Please choose a collector', 'error');
+        return;
+      }
+      const data = await routePlanRequest(`/${loadedRoutePlan._id}/assign`, {
+        method: 'PUT',
+        body: JSON.stringify({ collectorId })
+      });
+      showToast(data.message || 'Route reassigned');
+      await refreshRoutePlans();
+      return;
+    }
+
+    const date = document.getElementById('routeAssignDate')?.value;
+    if (!date) {
+      showToast('Please choose a route date', 'error');
+      return;
+    }
+
+    const stops = optimizedRouteData.optimizedOrder.map((loc) => ({
+      kind: loc.isDepot ? 'depot' : routeStopKind(loc),
+      refId: loc.isDepot ? undefined : (loc.id || loc._id),
+      name: loc.name,
+      address: loc.address,
+      phone: loc.phone,
+      lat: loc.lat,
+      lon: loc.lon,
+      quantity: loc.quantity
+    }));
+
+    const data = await routePlanRequest('', {
+      method: 'POST',
+      body: JSON.stringify({
+        type: currentRouteType,
+        centerId: routeCenterId(),
+        date,
+        startTime: routeSchedulingInputs().startTime,
+        vehicle: document.getElementById('routeVehicle')?.value || '',
+        vehicleId: optimizedRouteData.vehicle?.id || undefined,
+        collectorId: collectorId || undefined,
+        stops,
+        method: optimizedRouteData.method,
+        reasoning: optimizedRouteData.reasoning || undefined
+      })
+    });
+    showToast(data.message || 'Route saved');
+    // Remember which vehicle route was saved so saving again reassigns instead of duplicating
+    const fleetRoute = fleetRouteData?.routes?.[fleetRouteData.selected];
+    if (fleetRoute) {
+      fleetRoute.savedPlan = data.route;
+      renderFleetRoutes();
+    }
+    setLoadedRoutePlan(data.route);
+    await refreshRoutePlans();
+  } catch (error) {
+    console.error('❌ Route save error:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+async function refreshRoutePlans() {
+  const list = document.getElementById('savedRoutesList');
+  if (!list) return;
+  if (currentUser.isDemo || !token) {
+    list.innerHTML = '<div class="empty-state">Saved routes are not available in demo mode</div>';
+    return;
+  }
+
+  const date = document.getElementById('savedRoutesDate')?.value;
+  const params = new URLSearchParams();
+  if (date) params.set('date', date);
+  if (routeCenterId()) params.set('centerId', routeCenterId());
+  try {
+    savedRoutePlans = await routePlanRequest(params.toString() ? `?${params}` : '');
+    renderRoutePlans();
+  } catch (error) {
+    console.error('❌ Error loading saved routes:', error);
+    list.innerHTML = `<div class="empty-state">${error.message}</div>`;
+  }
+}
+
+function renderRoutePlans() {
+  const list = document.getElementById('savedRoutesList');
+  if (!savedRoutePlans.length) {
+    list.innerHTML = '<div class="empty-state">No saved routes</div>';
+    return;
+  }
+
+  list.innerHTML = savedRoutePlans.map((plan) => {
+    const active = ['planned', 'in-progress'].includes(plan.status);
+    return `
+      <div class="stop-item" style="flex-direction:column;align-items:stretch;gap:6px;">
+        <div class="stop-name">${ROUTE_TYPE_ICONS[plan.type] || '🗺️'} ${routePlanLabel(plan)}</div>
+        <div class="stop-address">
+          ${formatDate(plan.date)} • ${plan.status} • ${plan.metrics?.totalStops || 0} stops • ${plan.metrics?.totalDistance || 0} km
+          ${plan.vehicle ? ` • 🚚 ${plan.vehicle}` : ''}
+          <br>${plan.collectorId ? `👤 ${plan.collectorId.name}` : 'Unassigned'}
+        </div>
+        <div style="display:flex;gap:6px;">
+          <button class="btn btn-secondary" style="flex:1;" onclick="loadRoutePlan('${plan._id}')">Load</button>
+          ${active ? `<button class="btn btn-secondary" style="flex:1;" onclick="reoptimizeRoutePlan('${plan._id}')">Re-optimize</button>` : ''}
+          <button class="btn btn-secondary" style="flex:1;" onclick="archiveRoutePlan('${plan._id}')">Archive</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+// Show a saved plan on the map exactly as it was stored
+async function loadRoutePlan(planId) {
+  try {
+    const plan = await routePlanRequest(`/${planId}`);
+    if (plan.type !== currentRouteType) {
+      await switchRouteType(plan.type);
+    }
+
+    optimizedRouteData = {
+      optimizedOrder: plan.stops.map((stop) => ({
+        id: stop.pickupId || stop.orderId,
+        name: stop.name,
+        address: stop.address || '',
+        lat: stop.lat,
+        lon: stop.lon,
+        quantity: stop.quantity || 0,
+        phone: stop.phone,
+        orderNumber: stop.orderNumber,
+        isDepot: stop.kind === 'depot',
+        kind: stop.kind === 'depot' ? undefined : stop.kind,
+        loadAfter: stop.loadAfter,
+        plannedArrival: stop.plannedArrival,
+        timeWindow: stop.windowStart ? { start: stop.windowStart, end: stop.windowEnd } : null
+      })),
+      metrics: plan.metrics,
+      method: plan.method,
+      reasoning: plan.reasoning,
+      warnings: plan.warnings
+    };
+    displayOptimizedRoute(optimizedRouteData.optimizedOrder, plan.metrics, plan.method);
+    updateRouteMethodInfo(plan.method, plan.reasoning);
+    renderRouteWarnings(plan.warnings);
+    renderLoadProfile(optimizedRouteData.optimizedOrder, null);
+
+    setLoadedRoutePlan(plan);
+    setRouteVehicleInput(plan.vehicle || '', !!plan.vehicleId);
+    const select = document.getElementById('routeCollectorSelect');
+    if (select) select.value = plan.collectorId?._id || '';
+    showToast(`Loaded ${routePlanLabel(plan)} (${plan.progress.finished}/${plan.progress.total} stops done)`);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function reoptimizeRoutePlan(planId) {
+  try {
+    const data = await routePlanRequest(`/${planId}/reoptimize`, { method: 'POST' });
+    showToast(data.message || 'Route re-optimized');
+    await refreshRoutePlans();
+    await loadRoutePlan(planId);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function archiveRoutePlan(planId) {
+  if (!confirm('Archive this route? It will disappear from the collector\'s list.')) return;
+  try {
+    const data = await routePlanRequest(`/${planId}/archive`, { method: 'PUT' });
+    showToast(data.message || 'Route archived');
+    if (loadedRoutePlan?._id === planId) clearCurrentRoute();
+    await refreshRoutePlans();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 function exportCurrentRoutePDF() {
   if (!optimizedRouteData) {
     showToast('Please optimize a route first', 'error');
@@ -1872,7 +3995,7 @@ function exportRoutePDF() {
   const doc = new jsPDF();
 
   doc.setFontSize(16);
-  doc.text(`Optimized ${currentRouteType === 'pickup' ? 'Pickup' : 'Delivery'} Route`, 10, 10);
+  doc.text(`Optimized ${ROUTE_TYPE_LABELS[currentRouteType]} Route`, 10, 10);
 
   doc.setFontSize(10);
   doc.text(`Generated: ${new Date().toLocaleString()} `, 10, 20);
@@ -1904,13 +4027,15 @@ function exportRouteCSV() {
   }
 
   const csvContent = [
-    ['Stop', 'Type', 'Name', 'Address', 'Quantity (kg)', 'Latitude', 'Longitude'],
+    ['Stop', 'Type', 'Name', 'Address', 'Quantity (kg)', 'Load After (kg)', 'Planned Arrival', 'Latitude', 'Longitude'],
     ...optimizedRouteData.optimizedOrder.map((loc, i) => [
       loc.isDepot ? (i === 0 ? 'START' : 'END') : i,
-      loc.isDepot ? 'Depot' : (currentRouteType === 'pickup' ? 'Pickup' : 'Delivery'),
+      loc.isDepot ? 'Depot' : ROUTE_TYPE_LABELS[routeStopKind(loc)],
       loc.name,
       loc.address,
       loc.isDepot ? '-' : loc.quantity,
+      loc.loadAfter ?? '-',
+      loc.plannedArrival ? formatClock(loc.plannedArrival) : '-',
       loc.lat,
       loc.lon
     ])
@@ -1939,18 +4064,60 @@ window.showSection = function (sectionName) {
   }
 };
 
-function logout() {
+// { allDevices: true } ends every session of the account
+async function logout(options = {}) {
+  if (window.endSession) await window.endSession(options);
   localStorage.removeItem('token');
   localStorage.removeItem('user');
   window.location.href = 'index.html';
 }
 
+async function logoutEverywhere() {
+  if (!confirm('Log out on all your devices, including this one?')) return;
+  await logout({ allDevices: true });
+}
+
+// The demo admin has no real sessions to list
+function refreshActiveSessions() {
+  if (currentUser.isDemo) {
+    const container = document.getElementById('activeSessions');
+    if (container) container.innerHTML = '<div class="empty-state">Sessions are not available in demo mode</div>';
+    return;
+  }
+  if (window.mountActiveSessions) window.mountActiveSessions('activeSessions', showToast);
+}
+
 window.handlePickupStatus = handlePickupStatus;
 window.handleOrderStatus = handleOrderStatus;
 window.removeInventoryItem = removeInventoryItem;
 window.removeRewardItem = removeRewardItem;
+window.changeUserRole = changeUserRole;
+window.setUserActive = setUserActive;
+window.addPointsCampaignRow = addPointsCampaignRow;
+window.previewPointsRules = previewPointsRules;
+window.previewPricingRules = previewPricingRules;
+window.addPricingTierRow = addPricingTierRow;
+window.addPricingTaxRow = addPricingTaxRow;
+window.addTaxonomyLabelRow = addTaxonomyLabelRow;
+window.resetTaxonomy = resetTaxonomy;
+window.saveCurrentRoute = saveCurrentRoute;
+window.fixOrderCoordinates = fixOrderCoordinates;
+window.editCenter = editCenter;
+window.setSlotActive = setSlotActive;
+window.showPickupPhotos = showPickupPhotos;
+window.closePickupPhotos = closePickupPhotos;
+window.deleteSlot = deleteSlot;
+window.resetCenterForm = resetCenterForm;
+window.selectFleetRoute = selectFleetRoute;
+window.setVehicleActive = setVehicleActive;
+window.deleteVehicle = deleteVehicle;
+window.refreshRoutePlans = refreshRoutePlans;
+window.loadRoutePlan = loadRoutePlan;
+window.reoptimizeRoutePlan = reoptimizeRoutePlan;
+window.archiveRoutePlan = archiveRoutePlan;
 window.showSection = showSection;
 window.logout = logout;
+window.logoutEverywhere = logoutEverywhere;
 window.handleRewardImageChange = handleRewardImageChange;
 window.handleCompostImageChange = handleCompostImageChange;
 
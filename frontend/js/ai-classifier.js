@@ -2,6 +2,10 @@ let mobilenetModel = null;
 let modelLoaded = false;
 let modelLoadingPromise = null;
 let isWasteOrganic = false;
+// Result of the last successful classification, sent with the pickup request
+let lastClassification = null;
+// Longest side of the photo stored with the pickup
+const UPLOAD_PHOTO_SIZE = 640;
 
 async function loadModel() {
   if (modelLoaded) return;
@@ -43,6 +47,25 @@ async function loadModel() {
   return modelLoadingPromise;
 }
 
+// How MobileNet labels map to waste categories; managed by admins on the server
+// (backend/models/ClassificationTaxonomy.js) and loaded once per page
+let taxonomyPromise = null;
+
+function loadTaxonomy() {
+  if (!taxonomyPromise) {
+    taxonomyPromise = fetch(`${API_BASE_URL}/classification-taxonomy`)
+      .then(res => {
+        if (!res.ok) throw new Error('Classification rules are unavailable, please try again');
+        return res.json();
+      })
+      .catch(err => {
+        taxonomyPromise = null;
+        throw err;
+      });
+  }
+  return taxonomyPromise;
+}
+
 async function onClassifyClick() {
   const input = document.getElementById('wasteImage');
   if (!input || !input.files || !input.files.length) {
@@ -178,9 +201,23 @@ async function normalizeImage(img) {
   });
 }
 
+// Downscaled JPEG of the original photo for the pickup record
+function photoForUpload(img) {
+  const scale = Math.min(1, UPLOAD_PHOTO_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.8);
+}
+
 async function classifyFile(file) {
   const resultBox = document.getElementById('aiResult');
   resultBox.innerHTML = '🔄 Processing image...';
+  lastClassification = null;
 
   const submitBtn = document.querySelector('#pickupForm button[type="submit"]');
   if (submitBtn) {
@@ -227,7 +264,10 @@ async function classifyFile(file) {
     console.log('🤖 Running classification...');
     console.log('🔧 Backend:', tf.getBackend());
 
-    const predictions = await mobilenetModel.classify(normalized.canvas, 15);
+    const [predictions, taxonomy] = await Promise.all([
+      mobilenetModel.classify(normalized.canvas, 15),
+      loadTaxonomy()
+    ]);
 
     console.log('🔍 Raw predictions:', predictions);
 
@@ -244,7 +284,12 @@ async function classifyFile(file) {
 
     console.log('✅ Valid predictions received');
 
-    await analyzeAndDisplay(predictions, normalized.displayUrl, file.name);
+    const result = await analyzeAndDisplay(predictions, normalized.displayUrl, file.name, taxonomy);
+    lastClassification = {
+      ...result,
+      photos: [photoForUpload(img)],
+      classifiedAt: new Date().toISOString()
+    };
 
   } catch (err) {
     console.error('❌ Classification error:', err);
@@ -269,49 +314,14 @@ async function classifyFile(file) {
   }
 }
 
-async function analyzeAndDisplay(predictions, imageUrl, fileName) {
+async function analyzeAndDisplay(predictions, imageUrl, fileName, taxonomy) {
   const resultBox = document.getElementById('aiResult');
 
-  // Keywords
-  const compostKeywords = [
-    'banana', 'apple', 'orange', 'lemon', 'mango', 'pear', 'pineapple',
-    'strawberry', 'grapes', 'watermelon', 'peach', 'plum', 'kiwi',
-    'vegetable', 'potato', 'tomato', 'cabbage', 'onion', 'carrot',
-    'broccoli', 'cauliflower', 'cucumber', 'lettuce', 'spinach', 'pepper',
-    'squash', 'zucchini', 'eggplant', 'pumpkin', 'corn', 'mushroom',
-    'food', 'salad', 'pizza', 'sandwich', 'bread', 'rice', 'pasta',
-    'soup', 'meal', 'dish', 'plate', 'bowl', 'bagel', 'pretzel',
-    'grocery', 'market', 'produce', 'fruit', 'bean', 'seed',
-    'leaf', 'leaves', 'plant', 'flower', 'grass', 'twig', 'bark',
-    'peel', 'shell', 'nut', 'egg', 'coffee', 'tea'
-  ];
-
-  const nonCompostKeywords = [
-    'plastic', 'bottle', 'wrapper', 'bag', 'container', 'package',
-    'styrofoam', 'foam', 'packaging',
-    'can', 'metal', 'glass', 'jar', 'aluminum', 'steel', 'tin',
-    'phone', 'remote', 'toy', 'tool', 'utensil', 'cup', 'mug',
-    'fork', 'spoon', 'knife', 'screwdriver', 'hammer',
-    'tire', 'wheel', 'battery', 'cable', 'wire',
-    'pin', 'safety', 'clip', 'buckle', 'diaper',
-    'fish', 'shark', 'tench', 'goldfish' // ✅ Added fish keywords
-  ];
-
-  const recycleKeywords = [
-    'paper', 'cardboard', 'newspaper', 'book', 'magazine',
-    'box', 'carton', 'envelope', 'notebook'
-  ];
-
   // Filter out obvious false positives
   const filteredPredictions = predictions.filter(pred => {
     const label = pred.className.toLowerCase();
 
-    const falsePositives = [
-      'safety pin', 'diaper', 'buckle', 'ballpoint',
-      'tench', 'goldfish', 'shark', 'fish', 'stingray'
-    ];
-
-    if (falsePositives.some(fp => label.includes(fp))) {
+    if (taxonomy.ignoredLabels.some(fp => label.includes(fp))) {
       console.log(`🚫 Filtered: ${pred.className}`);
       return false;
     }
@@ -322,6 +332,8 @@ async function analyzeAndDisplay(predictions, imageUrl, fileName) {
   console.log('✅ Top predictions:', topk.map(p => `${p.className} (${(p.probability * 100).toFixed(1)}%)`));
 
   let score = { compost: 0, non: 0, recycle: 0 };
+  // Rule that added most to each category, for the waste type suggestion
+  const leading = {};
 
   topk.forEach((pred, index) => {
     const label = (pred.className || '').toLowerCase();
@@ -330,29 +342,22 @@ async function analyzeAndDisplay(predictions, imageUrl, fileName) {
     const weightedScore = p * weight;
     const clean = label.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
 
-    const hasCompost = compostKeywords.some(k => clean.includes(k));
-    const hasNon = nonCompostKeywords.some(k => clean.includes(k));
-    const hasRecycle = recycleKeywords.some(k => clean.includes(k));
-
-    if (hasCompost) {
-      score.compost += weightedScore * 3;
-      console.log(`  ✅ Compost: ${pred.className} (+${(weightedScore * 3).toFixed(3)})`);
-    }
-    if (hasNon) {
-      score.non += weightedScore * 2;
-    }
-    if (hasRecycle) {
-      score.recycle += weightedScore * 1.5;
-    }
+    // Only the strongest matching rule of each category counts for a label
+    const strongest = {};
+    taxonomy.labels.forEach(rule => {
+      if (clean.includes(rule.keyword) && rule.weight > (strongest[rule.category]?.weight ?? -1)) {
+        strongest[rule.category] = rule;
+      }
+    });
 
-    // Pattern matching
-    if (/fruit|vegetable|food|produce|grocery|market|bean|seed/.test(clean)) {
-      score.compost += weightedScore * 2;
-      console.log(`  🌱 Pattern: ${pred.className} (+${(weightedScore * 2).toFixed(3)})`);
-    }
-    if (/bottle|plastic|metal|fish|shark/.test(clean)) {
-      score.non += weightedScore * 2;
-    }
+    Object.values(strongest).forEach(rule => {
+      const points = weightedScore * rule.weight;
+      score[rule.category] += points;
+      if (!leading[rule.category] || points > leading[rule.category].points) {
+        leading[rule.category] = { points, wasteType: rule.wasteType };
+      }
+      console.log(`  ${rule.category === 'compost' ? '✅' : '•'} ${rule.category}: ${pred.className} via "${rule.keyword}" (+${points.toFixed(3)})`);
+    });
   });
 
   console.log('📊 Final scores:', score);
@@ -367,8 +372,10 @@ async function analyzeAndDisplay(predictions, imageUrl, fileName) {
   let verdict = 'Unknown';
   let message = '🤔 Not sure – try a clearer photo';
   let verdictClass = 'unknown';
+  let wasteType = null;
 
-  if (confidence >= 0.40) {
+  if (confidence >= taxonomy.minConfidence) {
+    wasteType = leading[topCategory]?.wasteType || null;
     if (topCategory === 'compost') {
       verdict = 'Compostable';
       message = '✅ Compostable – add to your green bin!';
@@ -388,9 +395,10 @@ async function analyzeAndDisplay(predictions, imageUrl, fileName) {
   } else {
     // Fallback to top prediction
     const topPred = topk[0];
-    if (topPred && topPred.probability > 0.25) {
+    if (topPred && topPred.probability > taxonomy.fallbackProbability) {
       const topLabel = topPred.className.toLowerCase();
-      if (/banana|apple|orange|cucumber|strawberry|mushroom|grocery|market/.test(topLabel)) {
+      if (taxonomy.fallbackKeywords.some(k => topLabel.includes(k))) {
+        wasteType = leading.compost?.wasteType || null;
         verdict = 'Compostable';
         message = '✅ Compostable';
         verdictClass = 'compostable';
@@ -435,12 +443,20 @@ async function analyzeAndDisplay(predictions, imageUrl, fileName) {
     </div>
   `;
 
-  const wasteTypeSelect = document.querySelector('select[name="wasteType"]');
-  if (wasteTypeSelect && verdict === 'Compostable') {
-    wasteTypeSelect.value = 'mixed-organic';
+  // Suggest the waste type the deciding rule maps to
+  const wasteTypeSelect = document.getElementById('wasteType');
+  if (verdict === 'Compostable') wasteType = wasteType || 'mixed-organic';
+  if (wasteTypeSelect && wasteType && [...wasteTypeSelect.options].some(o => o.value === wasteType)) {
+    wasteTypeSelect.value = wasteType;
   }
 
   enableSubmitBtn();
+
+  return {
+    verdict: verdictClass,
+    confidence,
+    predictions: topk.slice(0, 5).map(p => ({ label: p.className, probability: p.probability }))
+  };
 }
 
 function enableSubmitBtn() {
@@ -453,6 +469,8 @@ function enableSubmitBtn() {
 }
 
 window.isWasteOrganic = () => isWasteOrganic;
+window.getClassification = () => lastClassification;
+window.clearClassification = () => { lastClassification = null; };
 window.isModelLoaded = () => modelLoaded;
 window.isModelLoading = () => !!modelLoadingPromise;
 window.loadModel = loadModel;
\ No newline at end of file
@@ -3,18 +3,62 @@ const API_BASE = 'https://waste2wealth-8rio.onrender.com/api';
 
 console.log('Auth.js loaded successfully');
 
+const AUTH_FORMS = ['loginForm', 'registerForm', 'forgotPasswordForm', 'resetPasswordForm'];
+
+// Show one auth form and hide the others
+function showAuthForm(formId) {
+    AUTH_FORMS.forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = id === formId ? 'block' : 'none';
+    });
+}
+
 // Show register form
 function showRegister() {
     console.log('Showing register form');
-    document.getElementById('loginForm').style.display = 'none';
-    document.getElementById('registerForm').style.display = 'block';
+    showAuthForm('registerForm');
 }
 
 // Show login form
 function showLogin() {
     console.log('Showing login form');
-    document.getElementById('registerForm').style.display = 'none';
-    document.getElementById('loginForm').style.display = 'block';
+    showAuthForm('loginForm');
+}
+
+// Show forgot password form
+function showForgotPassword() {
+    showAuthForm('forgotPasswordForm');
+}
+
+// Handle ?verify=<token> and ?reset=<token> links from emails
+async function handleEmailLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verify');
+    const resetToken = params.get('reset');
+
+    if (verifyToken) {
+        try {
+            const response = await fetch(`${API_BASE}/auth/verify-email`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: verifyToken })
+            });
+            const data = await response.json();
+            alert(data.message || (response.ok ? 'Email verified' : 'Verification failed'));
+        } catch (error) {
+            console.error('Email verification error:', error);
+            alert('Verification failed. Please check your connection.');
+        }
+        window.history.replaceState({}, '', window.location.pathname);
+        return false;
+    }
+
+    if (resetToken) {
+        showAuthForm('resetPasswordForm');
+        return true;
+    }
+
+    return false;
 }
 
 // Redirect to appropriate dashboard
@@ -33,6 +77,9 @@ function redirectToDashboard(role) {
         case 'farmer':
             targetPage = '/farmer-dashboard.html';
             break;
+        case 'collector':
+            targetPage = '/collector-dashboard.html';
+            break;
         default:
             alert('Invalid user role: ' + role);
             return;
@@ -68,17 +115,21 @@ function loginAsDemoAdmin() {
 // Make globally available
 window.showRegister = showRegister;
 window.showLogin = showLogin;
+window.showForgotPassword = showForgotPassword;
 window.loginAsDemoAdmin = loginAsDemoAdmin;
 
 // Wait for DOM to load
-document.addEventListener('DOMContentLoaded', function () {
+document.addEventListener('DOMContentLoaded', async function () {
     console.log('DOM Content Loaded');
 
+    // A password reset link must show the reset form even if a session exists
+    const isResetting = await handleEmailLinks();
+
     // Check if user is already logged in
     const existingToken = localStorage.getItem('token');
     const existingUser = localStorage.getItem('user');
 
-    if (existingToken && existingUser) {
+    if (existingToken && existingUser && !isResetting) {
         console.log('User already logged in, redirecting...');
         const user = JSON.parse(existingUser);
         redirectToDashboard(user.role);
@@ -110,12 +161,24 @@ document.addEventListener('DOMContentLoaded', function () {
                 const data = await response.json();
 
                 if (response.ok) {
-                    // Store token and user data
+                    // Store access/refresh tokens and user data
                     localStorage.setItem('token', data.token);
+                    localStorage.setItem('refreshToken', data.refreshToken);
                     localStorage.setItem('user', JSON.stringify(data.user));
 
                     // Immediate redirect (No blocking alert)
                     redirectToDashboard(data.user.role);
+                } else if (response.status === 403 && data.emailVerified === false) {
+                    if (confirm(`${data.message}. Send a new verification email?`)) {
+                        await fetch(`${API_BASE}/auth/resend-verification`, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ email })
+                        });
+                        alert('Verification email sent. Please check your inbox.');
+                    }
+                    submitBtn.disabled = false;
+                    submitBtn.textContent = originalText;
                 } else {
                     alert(data.message || 'Login failed');
                     submitBtn.disabled = false;
@@ -166,7 +229,7 @@ document.addEventListener('DOMContentLoaded', function () {
                 console.log('Registration response:', data);
 
                 if (response.ok) {
-                    alert('Registration successful! Please login.');
+                    alert('Registration successful! We sent a verification link to your email. Please login.');
                     showLogin();
                     // Clear form
                     registerForm.reset();
@@ -181,11 +244,76 @@ document.addEventListener('DOMContentLoaded', function () {
     } else {
         console.error('Register form not found!');
     }
+
+    // Forgot password functionality
+    const forgotForm = document.getElementById('forgotPassword');
+    if (forgotForm) {
+        forgotForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const email = document.getElementById('forgotEmail').value;
+
+            try {
+                const response = await fetch(`${API_BASE}/auth/forgot-password`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ email })
+                });
+                const data = await response.json();
+                alert(data.message || 'If an account exists, a reset link has been sent');
+                if (response.ok) {
+                    forgotForm.reset();
+                    showLogin();
+                }
+            } catch (error) {
+                console.error('Forgot password error:', error);
+                alert('Request failed. Please check your connection and try again.');
+            }
+        });
+    }
+
+    // Reset password functionality
+    const resetForm = document.getElementById('resetPassword');
+    if (resetForm) {
+        resetForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const password = document.getElementById('resetPasswordInput').value;
+            const confirmPassword = document.getElementById('resetPasswordConfirm').value;
+            const token = new URLSearchParams(window.location.search).get('reset');
+
+            if (password !== confirmPassword) {
+                alert('Passwords do not match');
+                return;
+            }
+
+            try {
+                const response = await fetch(`${API_BASE}/auth/reset-password`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token, password })
+                });
+                const data = await response.json();
+                alert(data.message || (response.ok ? 'Password reset' : 'Password reset failed'));
+                if (response.ok) {
+                    // Every session was revoked server-side, so drop the local one too
+                    localStorage.removeItem('token');
+                    localStorage.removeItem('refreshToken');
+                    localStorage.removeItem('user');
+                    window.history.replaceState({}, '', window.location.pathname);
+                    resetForm.reset();
+                    showLogin();
+                }
+            } catch (error) {
+                console.error('Reset password error:', error);
+                alert('Password reset failed. Please check your connection and try again.');
+            }
+        });
+    }
 });
 
 // Logout function (used in all dashboards)
-function logout() {
+async function logout() {
     console.log('Logging out...');
+    if (window.endSession) await window.endSession();
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     window.location.href = '/index.html';
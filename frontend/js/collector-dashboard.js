@@ -0,0 +1,274 @@
+// Collector dashboard: today's assigned routes as a mobile stop list.
+// Stop updates go through the same pickup/order status endpoints the admin dashboard uses.
+const API_BASE = 'https://waste2wealth-8rio.onrender.com/api';
+let token = localStorage.getItem('token');
+let currentUser = JSON.parse(localStorage.getItem('user') || 'null');
+
+let myRoutes = [];
+let selectedRouteId = null;
+
+const STOP_STATUS_LABELS = {
+  pending: 'Pending',
+  processing: 'Processing',
+  picked: 'Picked up',
+  completed: 'Completed',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled by household',
+  confirmed: 'Ready to deliver',
+  'in-transit': 'On the way',
+  delivered: 'Delivered'
+};
+
+function toast(message, type = 'success') {
+  const container = document.getElementById('toastContainer');
+  if (!container) {
+    alert(message);
+    return;
+  }
+  const el = document.createElement('div');
+  el.className = 'toast ' + (type === 'error' ? 'error' : 'success');
+  el.textContent = message;
+  container.appendChild(el);
+  setTimeout(() => el.remove(), 3000);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[ch]));
+}
+
+function ensureAuth() {
+  if (!token || !currentUser || currentUser.role !== 'collector') {
+    alert('Please login as a collector');
+    window.location.href = 'login.html';
+    return false;
+  }
+  document.getElementById('userInitial').textContent = (currentUser.name || 'C').charAt(0).toUpperCase();
+  document.getElementById('collectorGreeting').textContent = `Hi ${currentUser.name || 'Collector'} 🚚`;
+  return true;
+}
+
+async function apiRequest(path, options = {}) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+      ...(options.headers || {})
+    }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.message || `Request failed (${res.status})`);
+  return data;
+}
+
+async function loadMyRoutes() {
+  try {
+    myRoutes = await apiRequest('/route-plans/mine');
+    if (!myRoutes.some(r => r._id === selectedRouteId)) {
+      selectedRouteId = myRoutes[0]?._id || null;
+    }
+    renderRoutes();
+  } catch (error) {
+    console.error('Error loading routes:', error);
+    document.getElementById('stopList').innerHTML =
+      `<div class="empty-state">Could not load your routes: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+function formatRouteDate(date) {
+  return new Date(date).toLocaleDateString('en-GB', { weekday: 'short', day: '2-digit', month: 'short' });
+}
+
+const ROUTE_TYPES = {
+  pickup: { icon: '♻️', label: 'Pickup route' },
+  delivery: { icon: '📦', label: 'Delivery route' },
+  mixed: { icon: '🔄', label: 'Pickup & delivery trip' }
+};
+
+function formatClock(value) {
+  return new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// "Arrive 09:40 · slot 09:00–12:00"
+function stopTiming(stop) {
+  if (!stop.plannedArrival) return '';
+  const slot = stop.windowStart ? ` · slot ${formatClock(stop.windowStart)}–${formatClock(stop.windowEnd)}` : '';
+  return `<div class="muted">🕒 Arrive ${formatClock(stop.plannedArrival)}${slot}</div>`;
+}
+
+function renderRoutes() {
+  const tabs = document.getElementById('routeTabs');
+  const summary = document.getElementById('routeSummary');
+  const list = document.getElementById('stopList');
+
+  if (!myRoutes.length) {
+    tabs.innerHTML = '';
+    summary.innerHTML = '';
+    list.innerHTML = '<div class="empty-state">No routes assigned to you right now. 🎉</div>';
+    return;
+  }
+
+  tabs.innerHTML = myRoutes.map(route => `
+    <button class="route-tab ${route._id === selectedRouteId ? 'active' : ''}" onclick="selectRoute('${route._id}')">
+      ${ROUTE_TYPES[route.type]?.icon || '🗺️'} ${escapeHtml(route.name || formatRouteDate(route.date))}
+      <span>${route.progress.finished}/${route.progress.total}</span>
+    </button>
+  `).join('');
+
+  const route = myRoutes.find(r => r._id === selectedRouteId);
+  const percent = route.progress.total ? Math.round(route.progress.finished / route.progress.total * 100) : 0;
+  summary.innerHTML = `
+    <div class="route-summary">
+      <div><strong>${ROUTE_TYPES[route.type]?.label || 'Route'}</strong> · ${formatRouteDate(route.date)}</div>
+      <div class="muted">${route.metrics.totalStops} stops · ${route.metrics.totalDistance || 0} km · ~${route.metrics.estimatedTime || 0} min${route.departureAt ? ` · leave ${formatClock(route.departureAt)}` : ''}</div>
+      ${(route.warnings || []).map(w => `<div class="muted">⚠️ ${escapeHtml(w.message)}</div>`).join('')}
+      <div class="progress-bar"><div style="width:${percent}%"></div></div>
+    </div>
+  `;
+
+  // The next unfinished stop is highlighted so the collector always knows where to go
+  const nextStop = route.stops.find(s => s.kind !== 'depot' && !s.finished);
+  list.innerHTML = route.stops.map((stop, index) =>
+    renderStop(route, stop, index, nextStop && stop.sequence === nextStop.sequence)
+  ).join('');
+}
+
+function selectRoute(routeId) {
+  selectedRouteId = routeId;
+  renderRoutes();
+}
+
+function renderStop(route, stop, index, isNext) {
+  const directions = `https://www.google.com/maps/dir/?api=1&destination=${stop.lat},${stop.lon}`;
+
+  if (stop.kind === 'depot') {
+    return `
+      <div class="stop-card depot">
+        <div class="stop-number">🏭</div>
+        <div class="stop-body">
+          <div class="stop-title">${escapeHtml(stop.name || 'Depot')}</div>
+          <div class="muted">${index === 0 ? 'Start' : 'Return to depot'}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="stop-card ${stop.finished ? 'finished' : ''} ${isNext ? 'next' : ''}" id="stop-${route._id}-${stop.sequence}">
+      <div class="stop-number">${index}</div>
+      <div class="stop-body">
+        <div class="stop-title">
+          ${escapeHtml(stop.name || 'Stop')}
+          <span class="status-badge status-${escapeHtml(stop.status || 'unknown')}">${STOP_STATUS_LABELS[stop.status] || 'Unknown'}</span>
+        </div>
+        <div class="muted">${escapeHtml(stop.address || '')}</div>
+        <div class="muted">
+          ${stop.kind === 'delivery' && stop.orderNumber ? `Order ${escapeHtml(stop.orderNumber)} · ` : ''}${stop.quantity || 0} kg
+          ${stop.measuredQuantity != null ? ` · Weighed ${stop.measuredQuantity} kg (${stop.contaminationPercent || 0}% contam.)` : ''}
+        </div>
+        ${stopTiming(stop)}
+        ${route.type === 'mixed' && stop.loadAfter != null ? `<div class="muted">🚚 ${stop.loadAfter} kg on board after this stop</div>` : ''}
+        <div class="stop-links">
+          <a href="${directions}" target="_blank" rel="noopener">🧭 Directions</a>
+          ${stop.phone ? `<a href="tel:${escapeHtml(stop.phone)}">📞 Call</a>` : ''}
+        </div>
+        ${stop.finished ? '' : stopActions(route, stop)}
+      </div>
+    </div>
+  `;
+}
+
+function stopActions(route, stop) {
+  if (stop.kind === 'pickup') {
+    // Pending pickups have to be collected before they can be weighed and completed
+    const canComplete = ['picked', 'processing'].includes(stop.status);
+    return `
+      <div class="stop-actions">
+        ${stop.status === 'picked' ? '' : `<button class="btn btn-secondary" onclick="updatePickupStop('${stop.pickupId}', 'picked')">Mark picked up</button>`}
+        ${canComplete ? `
+          <div class="measure-row">
+            <input type="number" id="weight-${stop.pickupId}" min="0" step="0.1" placeholder="Weight (kg)" inputmode="decimal">
+            <input type="number" id="contam-${stop.pickupId}" min="0" max="100" step="1" placeholder="Contam. %" inputmode="numeric">
+          </div>
+          <button class="btn btn-primary" onclick="completePickupStop('${stop.pickupId}')">✓ Weighed &amp; complete</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  if (!['confirmed', 'in-transit'].includes(stop.status)) {
+    return '<div class="stop-actions muted">Waiting for the order to be confirmed</div>';
+  }
+  return `
+    <div class="stop-actions">
+      ${stop.status === 'confirmed' ? `<button class="btn btn-secondary" onclick="updateOrderStop('${stop.orderId}', 'in-transit')">Start delivery</button>` : ''}
+      <button class="btn btn-primary" onclick="updateOrderStop('${stop.orderId}', 'delivered')">✓ Mark delivered</button>
+    </div>
+  `;
+}
+
+async function updatePickupStop(pickupId, status, extra = {}) {
+  try {
+    const data = await apiRequest(`/pickup/${pickupId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, ...extra })
+    });
+    toast(data.message || 'Stop updated');
+    await loadMyRoutes();
+  } catch (error) {
+    toast(error.message, 'error');
+  }
+}
+
+function completePickupStop(pickupId) {
+  const weight = parseFloat(document.getElementById(`weight-${pickupId}`).value);
+  const contamination = parseFloat(document.getElementById(`contam-${pickupId}`).value || '0');
+
+  if (!Number.isFinite(weight) || weight <= 0) {
+    toast('Enter the measured weight before completing', 'error');
+    return;
+  }
+  if (!Number.isFinite(contamination) || contamination < 0 || contamination > 100) {
+    toast('Contamination must be between 0 and 100%', 'error');
+    return;
+  }
+
+  updatePickupStop(pickupId, 'completed', {
+    measuredQuantity: weight,
+    contaminationPercent: contamination
+  });
+}
+
+async function updateOrderStop(orderId, status) {
+  try {
+    const data = await apiRequest(`/order/${orderId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status })
+    });
+    toast(data.message || 'Stop updated');
+    await loadMyRoutes();
+  } catch (error) {
+    toast(error.message, 'error');
+  }
+}
+
+async function logout() {
+  if (window.endSession) await window.endSession();
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  window.location.href = 'index.html';
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (!ensureAuth()) return;
+  loadMyRoutes();
+});
+
+window.loadMyRoutes = loadMyRoutes;
+window.selectRoute = selectRoute;
+window.updatePickupStop = updatePickupStop;
+window.completePickupStop = completePickupStop;
+window.updateOrderStop = updateOrderStop;
+window.logout = logout;
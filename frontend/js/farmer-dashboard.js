@@ -56,7 +56,8 @@ async function loadStore(){
             title: p.name || 'Compost Product',
             desc: `Category: ${p.category || 'general'}`,
             pricePerKg: p.pricePerKg || 0,
-            stock: p.stock || 0,
+            // What's left after stock reserved for other farmers' open orders
+            stock: p.available ?? p.stock ?? 0,
             category: p.category || 'premium',
             img: p.image || ''
           }));
@@ -233,14 +234,23 @@ function renderOrderModal(product){
               <label style="font-weight:700;font-size:13px;">Order Quantity (kg)</label>
               <div class="qty-control">
               <button onclick="changeQty(-1)">−</button>
-                <input id="orderQty" type="number" value="1" min="1" max="${product.stock}" style="width:80px;padding:8px;border-radius:8px;border:1px solid #e6e6e6;text-align:center;font-weight:600;">
+                <input id="orderQty" type="number" value="1" min="1" oninput="recalcTotals()" max="${product.stock}" style="width:80px;padding:8px;border-radius:8px;border:1px solid #e6e6e6;text-align:center;font-weight:600;">
                 <button onclick="changeQty(1)">+</button>
               </div>
             </div>
 
+            ${farmerCenters.length > 1 ? `
+            <div style="margin-top:12px;">
+              <label style="font-weight:700;font-size:13px;">Fulfil From</label>
+              <select id="orderCenter" onchange="recalcTotals()" style="width:100%;padding:10px;border-radius:8px;border:1px solid #e6e6e6;margin-top:8px;">
+                <option value="">Nearest compost center</option>
+                ${farmerCenters.map(c => `<option value="${c._id}">${c.name} (${c.available || 0} kg available)</option>`).join('')}
+              </select>
+            </div>` : ''}
+
             <div style="margin-top:12px;">
               <label style="font-weight:700;font-size:13px;">Delivery Address</label>
-              <input id="orderAddress" type="text" placeholder="Enter delivery address" style="width:100%;padding:10px;border-radius:8px;border:1px solid #e6e6e6;margin-top:8px;" value="Farm Plot 23, Village Road, Belagavi">
+              <input id="orderAddress" type="text" placeholder="Enter delivery address" onchange="recalcTotals()" style="width:100%;padding:10px;border-radius:8px;border:1px solid #e6e6e6;margin-top:8px;" value="Farm Plot 23, Village Road, Belagavi">
               
               <!-- ✅ ADD LOCATION PICKER BUTTON -->
               <button type="button" class="btn-secondary" onclick="showFarmerLocationPicker()" style="width:100%;margin-top:8px;padding:10px;display:flex;align-items:center;justify-content:center;gap:8px;">
@@ -256,6 +266,7 @@ function renderOrderModal(product){
 
         <div class="summary">
           <div class="row-between"><div>Subtotal:</div><div id="subtotal" style="font-weight:600;">₹${product.pricePerKg}</div></div>
+          <div id="priceBreakdown"></div>
           <div class="row-between" style="margin-top:6px;font-weight:700;font-size:16px;"><div>Total Amount:</div><div id="totalAmount" style="color:#16a34a;">₹${product.pricePerKg}</div></div>
         </div>
 
@@ -295,13 +306,60 @@ function changeQty(delta){
   recalcTotals();
 }
 
+// Show the plain price straight away, then the server's quote with discounts, taxes and delivery
+let quoteTimer = null;
 function recalcTotals(){
   const qtyInput = document.getElementById('orderQty');
   if(!qtyInput || !currentProduct) return;
   const qty = Number(qtyInput.value) || 0;
   const subtotal = qty * currentProduct.pricePerKg;
   document.getElementById('subtotal').textContent = `₹${subtotal}`;
-  document.getElementById('totalAmount').textContent = `₹${subtotal}`; // delivery free in demo
+  document.getElementById('totalAmount').textContent = `₹${subtotal}`;
+  clearTimeout(quoteTimer);
+  quoteTimer = setTimeout(loadOrderQuote, 400);
+}
+
+async function loadOrderQuote(){
+  const qty = Number(document.getElementById('orderQty')?.value) || 0;
+  if(!currentProduct || qty <= 0 || !token) return;
+  const payload = {
+    itemId: currentProduct.id,
+    quantity: qty,
+    deliveryAddress: document.getElementById('orderAddress')?.value || ''
+  };
+  const centerId = document.getElementById('orderCenter')?.value;
+  if (centerId) payload.centerId = centerId;
+  if (window.farmerDeliveryCoords) {
+    payload.lat = window.farmerDeliveryCoords.lat;
+    payload.lon = window.farmerDeliveryCoords.lon;
+  }
+
+  try {
+    const res = await fetch(`${API_BASE}/order/quote`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) return;
+    const { breakdown } = await res.json();
+    const rows = document.getElementById('priceBreakdown');
+    if (!rows) return; // modal closed meanwhile
+    const line = (label, value) => `<div class="row-between" style="margin-top:4px;color:#6b7280;font-size:13px;"><div>${label}</div><div>${value}</div></div>`;
+    let html = '';
+    if (breakdown.discount) {
+      html += line(`Discount (${breakdown.discount.percent}% from ${breakdown.discount.minQuantity} kg)`, `−₹${breakdown.discount.amount}`);
+    }
+    breakdown.taxes.forEach(tax => { html += line(`${tax.name} (${tax.percent}%)`, `₹${tax.amount}`); });
+    if (breakdown.delivery.fee) {
+      const distance = breakdown.delivery.distanceKm == null ? '' : ` (${breakdown.delivery.distanceKm} km)`;
+      html += line(`Delivery${distance}`, `₹${breakdown.delivery.fee}`);
+    }
+    rows.innerHTML = html;
+    document.getElementById('subtotal').textContent = `₹${breakdown.subtotal}`;
+    document.getElementById('totalAmount').textContent = `₹${breakdown.total}`;
+  } catch (e) {
+    // keep the plain estimate
+  }
 }
 
 // Confirm order -> POST /api/order (requires auth)
@@ -312,14 +370,17 @@ async function confirmOrder() {
   if (qty <= 0) return toast('Enter valid quantity', 'error');
   if (qty > currentProduct.stock) return toast('Quantity exceeds stock', 'error');
 
+  // Name and price come from the product on the server
   const payload = {
-    compostName: currentProduct.title || currentProduct.name || currentProduct.productName,  // ⭐ SEND COMPOST NAME
+    itemId: currentProduct.id,
     quantity: qty,
-    deliveryAddress: address,
-    pricePerKg: currentProduct.pricePerKg,
-    totalAmount: qty * currentProduct.pricePerKg
+    deliveryAddress: address
   };
 
+  // Otherwise the server picks the center nearest to the delivery address
+  const centerId = document.getElementById('orderCenter')?.value;
+  if (centerId) payload.centerId = centerId;
+
   // If farmer selected location on map
   if (window.farmerDeliveryCoords) {
     payload.lat = window.farmerDeliveryCoords.lat;
@@ -337,11 +398,18 @@ async function confirmOrder() {
     });
 
     const data = await res.json();
-    if (!res.ok) throw new Error(data.message);
+    // Refused by the server (e.g. outside the service area): keep the form open
+    if (!res.ok) {
+      toast(data.message || 'Failed to place order', 'error');
+      return;
+    }
 
     toast("Order placed successfully");
+    if (data.warning) toast(data.warning, 'error');
     closeOrderModal();
     loadRecentOrders();
+    // The ordered quantity is now reserved
+    loadStore();
 
   } catch (err) {
     toast("Order placed (demo)", "success");
@@ -385,12 +453,19 @@ function openOrderHistory(){
 }
 
 // small helpers for navigation
-function logout(){
+// { allDevices: true } ends every session of the account
+async function logout(options = {}){
+  if (window.endSession) await window.endSession(options);
   localStorage.removeItem('token');
   localStorage.removeItem('user');
   window.location.href = 'index.html';
 }
 
+async function logoutEverywhere(){
+  if (!confirm('Log out on all your devices, including this one?')) return;
+  await logout({ allDevices: true });
+}
+
 // Order History Functions (merged from order-history.js)
 function formatDate(dateStr){
   try { 
@@ -478,6 +553,8 @@ document.addEventListener('DOMContentLoaded', ()=>{
   if(!ensureAuth()) return;
   loadStore();
   loadRecentOrders();
+  loadCenters();
+  if (window.mountActiveSessions) mountActiveSessions('activeSessions', toast);
 
   // Setup navigation links
   document.querySelectorAll('.nav-link[data-section]').forEach(link => {
@@ -565,6 +642,23 @@ document.addEventListener('DOMContentLoaded', ()=>{
 let farmerLocationPickerMap = null;
 let farmerSelectedMarker = null;
 let farmerSelectedCoords = null;
+// Picker map centre: the default compost center once loaded
+let farmerPickerCentre = [15.860888802973438, 74.50410617670109];
+// Open compost centers, default first
+let farmerCenters = [];
+
+async function loadCenters() {
+    try {
+        const res = await fetch(`${API_BASE}/centers`);
+        if (!res.ok) return;
+        farmerCenters = await res.json();
+        if (farmerCenters.length) {
+            farmerPickerCentre = [farmerCenters[0].lat, farmerCenters[0].lon];
+        }
+    } catch (_) {
+        // keep the default centre
+    }
+}
 
 function showFarmerLocationPicker() {
     // Check if Leaflet is loaded
@@ -585,7 +679,7 @@ function showFarmerLocationPicker() {
     setTimeout(() => {
         try {
             if (!farmerLocationPickerMap) {
-                farmerLocationPickerMap = L.map('farmerLocationPickerMap').setView([15.860888802973438,74.50410617670109], 12);
+                farmerLocationPickerMap = L.map('farmerLocationPickerMap').setView(farmerPickerCentre, 12);
                 
                 L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
                     attribution: '© OpenStreetMap contributors',
@@ -658,6 +752,8 @@ function confirmFarmerLocation() {
     
     toast('Delivery location selected successfully!', 'success');
     closeFarmerLocationPicker();
+    // Delivery fee depends on the location
+    recalcTotals();
     
     // Update address field with coordinates (optional)
     const addressInput = document.getElementById('orderAddress');
@@ -31,6 +31,7 @@ document.addEventListener('DOMContentLoaded', () => {
 	// Continue with rest of initialization
 	checkAuth();
 	setupEventListeners();
+	loadDefaultCenter();
 	// ... rest of your code
 });
 
@@ -39,6 +40,19 @@ document.addEventListener('DOMContentLoaded', () => {
 let locationPickerMap = null;
 let selectedMarker = null;
 let selectedCoords = null;
+// Picker map centre: the default compost center once loaded
+let pickerCentre = [15.860888802973438, 74.50410617670109];
+
+async function loadDefaultCenter() {
+	try {
+		const res = await fetch(`${API_BASE_URL}/centers`);
+		if (!res.ok) return;
+		const [center] = await res.json();
+		if (center) pickerCentre = [center.lat, center.lon];
+	} catch (_) {
+		// keep the default centre
+	}
+}
 
 function showLocationPicker() {
 	// ✅ Check if Leaflet is loaded
@@ -59,7 +73,7 @@ function showLocationPicker() {
 	setTimeout(() => {
 		try {
 			if (!locationPickerMap) {
-				locationPickerMap = L.map('locationPickerMap').setView([15.860888802973438, 74.50410617670109], 13);
+				locationPickerMap = L.map('locationPickerMap').setView(pickerCentre, 13);
 
 				L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
 					attribution: '© OpenStreetMap contributors',
@@ -110,6 +124,8 @@ function confirmLocation() {
 
 	showToast('Location selected successfully!');
 	closeLocationPicker();
+	// The location decides which zone's slots are offered
+	loadPickupSlots();
 }
 
 // ✅ Make these functions global
@@ -217,6 +233,7 @@ function showSection(section) {
 	} else if (section === 'rewards') {
 		loadRewards();
 		loadRedemptionHistory();
+		loadPointsStatement();
 	}
 
 	// ✅ PRELOAD AI MODEL
@@ -233,6 +250,88 @@ function showSection(section) {
 
 // Handle pickup request
 // Handle pickup request
+// Open slots for the chosen date in the household's zone (from their pin or address)
+let slotsRequest = 0;
+async function loadPickupSlots() {
+	const select = document.getElementById('pickupTime');
+	const date = document.getElementById('pickupDate')?.value;
+	if (!select) return;
+	if (!date) {
+		select.innerHTML = '<option value="">Select a date first</option>';
+		return;
+	}
+
+	const params = new URLSearchParams({ date });
+	const quantity = parseFloat(document.getElementById('quantity')?.value) || 0;
+	if (quantity > 0) params.set('quantity', quantity);
+	if (window.manualCoords) {
+		params.set('lat', window.manualCoords.lat);
+		params.set('lon', window.manualCoords.lon);
+	} else {
+		const address = document.getElementById('address')?.value.trim();
+		if (address) params.set('address', address);
+	}
+
+	// Only the latest request may fill the list
+	const requestId = ++slotsRequest;
+	select.innerHTML = '<option value="">Loading time slots…</option>';
+	try {
+		const res = await fetch(`${API_BASE_URL}/pickup-slots/availability?${params}`, {
+			headers: { 'Authorization': `Bearer ${token}` }
+		});
+		const data = await res.json();
+		if (requestId !== slotsRequest) return;
+		if (!res.ok) throw new Error(data.message || 'Failed to load time slots');
+
+		if (!data.slots.length) {
+			select.innerHTML = '<option value="">No open slots on this day</option>';
+			return;
+		}
+		select.innerHTML = '<option value="">Select time slot</option>' + data.slots.map(slot => {
+			const left = slot.remainingStops != null ? ` (${slot.remainingStops} left)` : '';
+			return `<option value="${slot._id}" data-time="${slot.time}">${slot.time.replace('-', ' - ')}${left}</option>`;
+		}).join('');
+	} catch (err) {
+		if (requestId !== slotsRequest) return;
+		select.innerHTML = '<option value="">Time slots unavailable</option>';
+		showToast(err.message, 'error');
+	}
+}
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Weekday checkboxes for weekly/biweekly, the interval for custom
+function toggleRepeatOptions() {
+	const frequency = document.getElementById('repeatFrequency')?.value || 'once';
+	const weekdays = document.getElementById('repeatWeekdays');
+	const interval = document.getElementById('repeatInterval');
+	const byWeekday = frequency === 'weekly' || frequency === 'biweekly';
+	if (weekdays) weekdays.style.display = byWeekday ? 'flex' : 'none';
+	if (interval) interval.style.display = frequency === 'custom' ? 'block' : 'none';
+
+	// Start with the weekday of the chosen date ticked
+	const boxes = [...document.querySelectorAll('input[name="repeatWeekday"]')];
+	const date = document.getElementById('pickupDate')?.value;
+	if (byWeekday && date && !boxes.some(box => box.checked)) {
+		const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+		boxes.forEach(box => { box.checked = Number(box.value) === day; });
+	}
+}
+
+// Payload for POST /pickup-subscriptions, starting on the chosen date and slot time
+function subscriptionPayload(frequency, pickupDate) {
+	const option = document.getElementById('pickupTime').selectedOptions[0];
+	const payload = { frequency, startDate: pickupDate, time: option?.dataset.time, slotId: option?.value };
+	if (frequency === 'custom') {
+		payload.intervalDays = parseInt(document.getElementById('repeatIntervalDays').value, 10);
+		if (!(payload.intervalDays >= 1)) throw new Error('Enter how many days apart the pickups should be');
+	} else {
+		payload.weekdays = [...document.querySelectorAll('input[name="repeatWeekday"]:checked')].map(box => Number(box.value));
+		if (!payload.weekdays.length) throw new Error('Select at least one day of the week');
+	}
+	return payload;
+}
+
 async function handlePickupRequest(e) {
 	e.preventDefault();
 
@@ -246,29 +345,43 @@ async function handlePickupRequest(e) {
 	const wasteType = document.getElementById('wasteType').value;
 	const address = document.getElementById('address').value.trim();
 	const pickupDate = document.getElementById('pickupDate').value;
-	const pickupTime = document.getElementById('pickupTime').value;
+	const slotId = document.getElementById('pickupTime').value;
 
 	if (quantity <= 0) return showToast('Enter valid quantity', 'error');
 	if (!wasteType) return showToast('Select waste type', 'error');
 	if (!address) return showToast('Enter address', 'error');
-	if (!pickupDate || !pickupTime) return showToast('Select date & time', 'error');
+	if (!pickupDate || !slotId) return showToast('Select date & time', 'error');
 
-	const payload = {
+	let payload = {
 		quantity,
 		wasteType,
 		address,
-		pickupDate,
-		pickupTime
+		slotId
 	};
 
+	// A repeating pickup is saved as a subscription that books each date's slot
+	const frequency = document.getElementById('repeatFrequency')?.value || 'once';
+	if (frequency !== 'once') {
+		try {
+			payload = { ...subscriptionPayload(frequency, pickupDate), quantity, wasteType, address };
+		} catch (err) {
+			return showToast(err.message, 'error');
+		}
+	}
+
 	if (window.manualCoords) {
 		payload.lat = window.manualCoords.lat;
 		payload.lon = window.manualCoords.lon;
 		console.log('Using manual coordinates:', payload.lat, payload.lon);
 	}
 
+	// The classifier's photo and verdict go with a one-off request
+	const classification = window.getClassification && window.getClassification();
+	if (classification && frequency === 'once') payload.classification = classification;
+
 	try {
-		const res = await fetch(`${API_BASE_URL}/pickup/request`, {
+		const endpoint = frequency === 'once' ? 'pickup/request' : 'pickup-subscriptions';
+		const res = await fetch(`${API_BASE_URL}/${endpoint}`, {
 			method: 'POST',
 			headers: {
 				'Content-Type': 'application/json',
@@ -278,16 +391,26 @@ async function handlePickupRequest(e) {
 		});
 
 		const data = await res.json();
-		if (!res.ok) return showToast(data.message || 'Failed', 'error');
+		if (!res.ok) {
+			showToast(data.message || 'Failed', 'error');
+			// The slot may have filled up meanwhile
+			if (res.status === 409) loadPickupSlots();
+			return;
+		}
 
-		showToast('Pickup requested successfully!');
+		showToast(frequency === 'once' ? 'Pickup requested successfully!' : 'Recurring pickup set up!');
+		// Address couldn't be placed precisely on the map
+		if (data.warning) showToast(data.warning, 'error');
 		document.getElementById('pickupForm').reset();
 		window.manualCoords = null;
+		toggleRepeatOptions();
+		loadPickupSlots();
 
 		// ✅ RESET AI CLASSIFICATION FLAG
 		if (window.isWasteOrganic) {
 			isWasteOrganic = false;
 		}
+		if (window.clearClassification) window.clearClassification();
 
 		// ✅ RESET SUBMIT BUTTON
 		const submitBtn = document.querySelector('#pickupForm button[type="submit"]');
@@ -383,6 +506,177 @@ async function loadPickupHistory() {
 		console.error('Error loading history:', err);
 		renderHistory([]);
 	}
+	loadSubscriptions();
+}
+
+// Household changes to a pending pickup
+let historyPickups = new Map();
+
+async function cancelPickup(id) {
+	const reason = prompt('Why are you cancelling this pickup?', '');
+	if (reason === null) return;
+	if (!reason.trim()) return showToast('Please give a reason for cancelling', 'error');
+	try {
+		const res = await fetch(`${API_BASE_URL}/pickup/${id}/cancel`, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'Authorization': `Bearer ${token}`
+			},
+			body: JSON.stringify({ reason: reason.trim() })
+		});
+		const data = await res.json();
+		if (!res.ok) throw new Error(data.message || 'Failed to cancel pickup');
+		showToast(data.message);
+		loadPickupHistory();
+	} catch (err) {
+		showToast(err.message, 'error');
+	}
+}
+
+function toggleReschedule(id) {
+	const panel = document.getElementById(`reschedule-${id}`);
+	if (panel) panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+}
+
+// Open slots in the pickup's own zone on the chosen day
+async function loadRescheduleSlots(id) {
+	const panel = document.getElementById(`reschedule-${id}`);
+	const pickup = historyPickups.get(id);
+	if (!panel || !pickup) return;
+	const date = panel.querySelector('input[type="date"]').value;
+	const select = panel.querySelector('select');
+	if (!date) return;
+
+	const params = new URLSearchParams({ date, quantity: pickup.quantity || 0 });
+	if (pickup.centerId) params.set('centerId', pickup.centerId);
+	select.innerHTML = '<option value="">Loading time slots…</option>';
+	try {
+		const res = await fetch(`${API_BASE_URL}/pickup-slots/availability?${params}`, {
+			headers: { 'Authorization': `Bearer ${token}` }
+		});
+		const data = await res.json();
+		if (!res.ok) throw new Error(data.message || 'Failed to load time slots');
+		const slots = data.slots.filter(slot => slot._id !== pickup.slotId);
+		select.innerHTML = slots.length
+			? '<option value="">Select time slot</option>' + slots.map(slot => `<option value="${slot._id}">${slot.time.replace('-', ' - ')}</option>`).join('')
+			: '<option value="">No open slots on this day</option>';
+	} catch (err) {
+		select.innerHTML = '<option value="">Time slots unavailable</option>';
+		showToast(err.message, 'error');
+	}
+}
+
+async function reschedulePickup(id) {
+	const panel = document.getElementById(`reschedule-${id}`);
+	const slotId = panel?.querySelector('select').value;
+	if (!slotId) return showToast('Select a new date & time', 'error');
+	try {
+		const res = await fetch(`${API_BASE_URL}/pickup/${id}/reschedule`, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'Authorization': `Bearer ${token}`
+			},
+			body: JSON.stringify({ slotId })
+		});
+		const data = await res.json();
+		if (!res.ok) {
+			showToast(data.message || 'Failed to reschedule pickup', 'error');
+			if (res.status === 409) loadRescheduleSlots(id);
+			return;
+		}
+		showToast(data.message);
+		loadPickupHistory();
+	} catch (err) {
+		showToast(err.message, 'error');
+	}
+}
+
+// Recurring pickups
+async function loadSubscriptions() {
+	const container = document.getElementById('recurringPickups');
+	if (!container) return;
+	try {
+		const res = await fetch(`${API_BASE_URL}/pickup-subscriptions/my`, {
+			headers: { Authorization: `Bearer ${token}` }
+		});
+		if (!res.ok) throw new Error('Failed to load recurring pickups');
+		const subscriptions = await res.json();
+		renderSubscriptions(subscriptions.filter(s => s.status !== 'cancelled'));
+	} catch (err) {
+		console.error('Error loading recurring pickups:', err);
+		container.innerHTML = '<p class="empty-state">Recurring pickups unavailable</p>';
+	}
+}
+
+function describeFrequency(s) {
+	if (s.frequency === 'custom') return `Every ${s.intervalDays} day${s.intervalDays === 1 ? '' : 's'}`;
+	const days = s.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ');
+	return `${s.frequency === 'biweekly' ? 'Every other' : 'Every'} ${days}`;
+}
+
+function renderSubscriptions(list) {
+	const container = document.getElementById('recurringPickups');
+	if (!list.length) {
+		container.innerHTML = '<p class="empty-state">No recurring pickups. Choose "Repeat" when scheduling a pickup.</p>';
+		return;
+	}
+	container.innerHTML = list.map(s => {
+		const paused = s.status === 'paused';
+		const nextDate = s.nextDates[0];
+		return `
+			<div class="pickup-item">
+				<div class="pickup-details">
+					<div class="pickup-description">🔁 ${describeFrequency(s)} • ${s.time.replace('-', ' - ')}</div>
+					<div class="pickup-meta">${s.quantity} kg • ${s.wasteType || 'Mixed Organic Waste'} • from ${s.startDate}</div>
+					${s.address ? `<div class="pickup-meta" style="color:#6b7280;">Address: ${s.address}</div>` : ''}
+					${paused
+						? `<div class="pickup-meta" style="color:#c2410c;">Paused${s.pausedUntil ? ` until ${s.pausedUntil}` : ''}</div>`
+						: `<div class="pickup-meta">Next: ${s.nextDates.join(', ') || '—'}</div>`}
+					${s.skipDates.length ? `<div class="pickup-meta" style="color:#6b7280;">Skipped: ${s.skipDates.join(', ')}</div>` : ''}
+					${s.issues.map(issue => `<div class="pickup-meta" style="color:#b91c1c;">⚠️ ${issue.date}: ${issue.message}</div>`).join('')}
+				</div>
+				<div style="display:flex;flex-direction:column;align-items:flex-end;gap:6px;">
+					${paused
+						? `<button class="btn-secondary" onclick="subscriptionAction('${s._id}', 'resume')">Resume</button>`
+						: `<button class="btn-secondary" onclick="pauseSubscription('${s._id}')">Pause</button>`}
+					${!paused && nextDate ? `<button class="btn-secondary" onclick="subscriptionAction('${s._id}', 'skip', { date: '${nextDate}' })">Skip ${nextDate}</button>` : ''}
+					<button class="btn-secondary" onclick="cancelSubscription('${s._id}')">Cancel</button>
+				</div>
+			</div>
+		`;
+	}).join('');
+}
+
+async function subscriptionAction(id, action, body = {}) {
+	try {
+		const res = await fetch(`${API_BASE_URL}/pickup-subscriptions/${id}/${action}`, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'Authorization': `Bearer ${token}`
+			},
+			body: JSON.stringify(body)
+		});
+		const data = await res.json();
+		if (!res.ok) throw new Error(data.message || 'Failed to update recurring pickup');
+		showToast(data.message);
+		loadPickupHistory();
+	} catch (err) {
+		showToast(err.message, 'error');
+	}
+}
+
+function pauseSubscription(id) {
+	const until = prompt('Pause until which date (YYYY-MM-DD)? Leave empty to pause until you resume.', '');
+	if (until === null) return;
+	subscriptionAction(id, 'pause', until.trim() ? { until: until.trim() } : {});
+}
+
+function cancelSubscription(id) {
+	if (!confirm('Cancel this recurring pickup? Its upcoming pickups will be removed.')) return;
+	subscriptionAction(id, 'cancel');
 }
 
 function renderHistory(list) {
@@ -390,12 +684,13 @@ function renderHistory(list) {
 	const past = document.getElementById('pastPickups');
 	if (!upcoming || !past) return;
 
-	const future = list.filter(p => p.status !== 'completed' && p.status !== 'rejected');
-	const done = list.filter(p => p.status === 'completed');
-	const rejected = list.filter(p => p.status === 'rejected');
+	const closed = ['completed', 'rejected', 'cancelled'];
+	const future = list.filter(p => !closed.includes(p.status));
+	const ended = closed.flatMap(status => list.filter(p => p.status === status));
+	historyPickups = new Map(list.map(p => [p._id, p]));
 
 	upcoming.innerHTML = future.length ? future.map(card).join('') : '<p class="empty-state">No upcoming pickups</p>';
-	past.innerHTML = (done.length || rejected.length) ? [...done, ...rejected].map(card).join('') : '<p class="empty-state">No past pickups</p>';
+	past.innerHTML = ended.length ? ended.map(card).join('') : '<p class="empty-state">No past pickups</p>';
 
 	function getStatusBadge(status) {
 		const statusLower = (status || 'pending').toLowerCase();
@@ -404,7 +699,8 @@ function renderHistory(list) {
 			processing: '<span style="background:#eef2ff;color:#3730a3;padding:4px 8px;border-radius:6px;font-size:12px;font-weight:600;">Processing</span>',
 			picked: '<span style="background:#f5f3ff;color:#6d28d9;padding:4px 8px;border-radius:6px;font-size:12px;font-weight:600;">Picked</span>',
 			completed: '<span style="background:#ecfdf5;color:#166534;padding:4px 8px;border-radius:6px;font-size:12px;font-weight:600;">Completed</span>',
-			rejected: '<span style="background:#fee2e2;color:#b91c1c;padding:4px 8px;border-radius:6px;font-size:12px;font-weight:600;">Rejected</span>'
+			rejected: '<span style="background:#fee2e2;color:#b91c1c;padding:4px 8px;border-radius:6px;font-size:12px;font-weight:600;">Rejected</span>',
+			cancelled: '<span style="background:#f3f4f6;color:#4b5563;padding:4px 8px;border-radius:6px;font-size:12px;font-weight:600;">Cancelled</span>'
 		};
 		return badges[statusLower] || badges.pending;
 	}
@@ -412,18 +708,33 @@ function renderHistory(list) {
 	function card(p) {
 		const status = p.status || 'pending';
 		const statusBadge = getStatusBadge(status);
+		// The server enforces the cut-off before the slot
+		const changeable = status === 'pending' && (!p.timeWindow?.start || new Date(p.timeWindow.start) > new Date());
 		const requestDate = p.requestDate ? new Date(p.requestDate).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : 'N/A';
 		return `
 			<div class="pickup-item">
 				<div class="pickup-details">
 					<div class="pickup-description">Request Date: ${requestDate}</div>
 					<div class="pickup-meta">${(p.quantity || 0)} kg • ${p.wasteType || 'Mixed Organic Waste'}</div>
-					${p.pickupDate ? `<div class="pickup-meta">Scheduled: ${p.pickupDate} ${p.pickupTime || ''}</div>` : ''}
+					${p.measuredQuantity != null ? `<div class="pickup-meta">Reported: ${p.quantity || 0} kg • Weighed: ${p.measuredQuantity} kg${p.contaminationPercent ? ` (${p.contaminationPercent}% contamination)` : ''}</div>` : ''}
+					${p.pickupDate ? `<div class="pickup-meta">Scheduled: ${p.pickupDate} ${p.pickupTime || ''}${p.subscriptionId ? ' • 🔁 Recurring' : ''}</div>` : ''}
 					${p.address ? `<div class="pickup-meta" style="color:#6b7280;">Address: ${p.address}</div>` : ''}
+					${p.pointsBreakdown?.summary ? `<div class="pickup-meta" style="color:#6b7280;">Points: ${p.pointsBreakdown.summary}</div>` : ''}
+					${p.cancelReason ? `<div class="pickup-meta" style="color:#6b7280;">Cancelled: ${p.cancelReason}</div>` : ''}
+					${p.classification ? `<div class="pickup-meta" style="color:#6b7280;">🤖 Photo check: ${p.classification.verdict}</div>` : ''}
 					<div style="margin-top:8px;">${statusBadge}</div>
+					${changeable ? `
+					<div id="reschedule-${p._id}" style="display:none;margin-top:10px;gap:8px;flex-wrap:wrap;align-items:center;">
+						<input type="date" onchange="loadRescheduleSlots('${p._id}')">
+						<select><option value="">Select a date first</option></select>
+						<button class="btn-primary" onclick="reschedulePickup('${p._id}')">Move</button>
+					</div>` : ''}
 				</div>
 				<div style="display:flex;flex-direction:column;align-items:flex-end;gap:4px;">
 					${p.pointsAwarded ? `<div class="pickup-points">+${p.pointsAwarded} pts</div>` : ''}
+					${changeable ? `
+					<button class="btn-secondary" onclick="toggleReschedule('${p._id}')">Reschedule</button>
+					<button class="btn-secondary" onclick="cancelPickup('${p._id}')">Cancel</button>` : ''}
 				</div>
 			</div>
 		`;
@@ -523,6 +834,7 @@ async function redeemReward(id, cost) {
 		showToast('Reward redeemed successfully!');
 		loadRewards(); // Refresh to update button states
 		loadRedemptionHistory(); // Refresh history
+		loadPointsStatement();
 	} catch (err) {
 		console.error('Redemption error:', err);
 		showToast('Failed to redeem reward', 'error');
@@ -562,6 +874,68 @@ async function loadRedemptionHistory() {
 	}
 }
 
+// Points statement (ledger of every earn / redeem / adjustment)
+const POINTS_TYPE_LABELS = {
+	earn: 'Earned',
+	redeem: 'Redeemed',
+	adjust: 'Adjustment',
+	reverse: 'Reversal'
+};
+let pointsStatementPage = 1;
+
+async function loadPointsStatement(page = 1) {
+	const container = document.getElementById('pointsStatement');
+	const moreBtn = document.getElementById('pointsStatementMore');
+	if (!container) return;
+
+	try {
+		const res = await fetch(`${API_BASE_URL}/users/me/points/history?page=${page}`, {
+			headers: { Authorization: `Bearer ${token}` }
+		});
+
+		if (!res.ok) throw new Error('Failed to load statement');
+		const data = await res.json();
+		pointsStatementPage = data.page;
+
+		const rows = data.transactions.map(t => {
+			const credit = t.points > 0;
+			const label = POINTS_TYPE_LABELS[t.type] || t.type;
+			const description = (t.description || '').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+			return `
+			<div class="pickup-item">
+				<div class="pickup-details">
+					<div class="pickup-description">${description || label}${t.reversed ? ' <span style="color:#6b7280;">(reversed)</span>' : ''}</div>
+					<div class="pickup-meta">${label} • ${new Date(t.createdAt).toLocaleString()} • Balance: ${t.balanceAfter} pts</div>
+				</div>
+				<div class="pickup-points" style="color:${credit ? '#16a34a' : '#dc2626'};">${credit ? '+' : ''}${t.points} pts</div>
+			</div>
+		`;
+		}).join('');
+
+		// The opening balance row closes the statement once the oldest entry is shown
+		const isLastPage = data.page >= data.pages;
+		const opening = isLastPage && data.openingBalance ? `
+			<div class="pickup-item">
+				<div class="pickup-details">
+					<div class="pickup-description">Opening balance</div>
+					<div class="pickup-meta">Points held before the statement started</div>
+				</div>
+				<div class="pickup-points">${data.openingBalance} pts</div>
+			</div>
+		` : '';
+
+		if (page === 1) {
+			container.innerHTML = rows || opening ? rows + opening : '<p class="empty-state">No points activity yet</p>';
+		} else {
+			container.insertAdjacentHTML('beforeend', rows + opening);
+		}
+		if (moreBtn) moreBtn.style.display = isLastPage ? 'none' : 'inline-block';
+	} catch (err) {
+		console.error('Error loading points statement:', err);
+		if (page === 1) container.innerHTML = '<p class="empty-state">Failed to load statement</p>';
+	}
+}
+
 // Setup event listeners
 function setupEventListeners() {
 	document.querySelectorAll('.nav-link').forEach(link => {
@@ -572,6 +946,11 @@ function setupEventListeners() {
 	});
 	const form = document.getElementById('pickupForm');
 	if (form) form.addEventListener('submit', handlePickupRequest);
+	// Slot availability depends on the day, the amount and where the household is
+	['pickupDate', 'quantity', 'address'].forEach(id => {
+		document.getElementById(id)?.addEventListener('change', loadPickupSlots);
+	});
+	document.getElementById('pickupDate')?.addEventListener('change', toggleRepeatOptions);
 
 	// ✅ Image Preview Listener
 	const wasteImageInput = document.getElementById('wasteImage');
@@ -617,6 +996,7 @@ document.addEventListener('DOMContentLoaded', () => {
 	loadRecentPickups();
 	loadRewards();
 	loadRedemptionHistory();
+	if (window.mountActiveSessions) mountActiveSessions('activeSessions', showToast);
 });
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -637,9 +1017,15 @@ document.addEventListener('DOMContentLoaded', () => {
 	loadRedemptionHistory();
 });
 
-// Logout
-function logout() {
+// Logout; { allDevices: true } ends every session of the account
+async function logout(options = {}) {
+	if (window.endSession) await window.endSession(options);
 	localStorage.removeItem('token');
 	localStorage.removeItem('user');
 	window.location.href = 'index.html';
+}
+
+async function logoutEverywhere() {
+	if (!confirm('Log out on all your devices, including this one?')) return;
+	await logout({ allDevices: true });
 }
\ No newline at end of file
@@ -0,0 +1,179 @@
+// Session handling shared by the login page and all dashboards.
+// Access tokens are short-lived, so authenticated API calls that come back 401
+// are retried once after exchanging the stored refresh token for a new pair.
+(function () {
+	const SESSION_API_BASE = 'https://waste2wealth-8rio.onrender.com/api';
+	const nativeFetch = window.fetch.bind(window);
+	let refreshInFlight = null;
+
+	function clearStoredSession() {
+		localStorage.removeItem('token');
+		localStorage.removeItem('refreshToken');
+		localStorage.removeItem('user');
+	}
+
+	function storeSession(data) {
+		if (data.token) localStorage.setItem('token', data.token);
+		if (data.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+		if (data.user) {
+			const existing = JSON.parse(localStorage.getItem('user') || 'null') || {};
+			localStorage.setItem('user', JSON.stringify({ ...existing, ...data.user }));
+		}
+	}
+
+	// Concurrent 401s share one refresh call, since each refresh token is single-use
+	function refreshAccessToken() {
+		if (!refreshInFlight) {
+			refreshInFlight = (async () => {
+				const refreshToken = localStorage.getItem('refreshToken');
+				if (!refreshToken) return null;
+				try {
+					const res = await nativeFetch(`${SESSION_API_BASE}/auth/refresh`, {
+						method: 'POST',
+						headers: { 'Content-Type': 'application/json' },
+						body: JSON.stringify({ refreshToken })
+					});
+					if (!res.ok) {
+						clearStoredSession();
+						return null;
+					}
+					const data = await res.json();
+					storeSession(data);
+					return data.token;
+				} catch (err) {
+					console.error('Session refresh failed:', err);
+					return null;
+				}
+			})().finally(() => { refreshInFlight = null; });
+		}
+		return refreshInFlight;
+	}
+
+	window.fetch = async function (input, init = {}) {
+		const url = typeof input === 'string' ? input : input.url;
+		if (!url.startsWith(SESSION_API_BASE)) return nativeFetch(input, init);
+
+		const headers = new Headers(init.headers || {});
+		if (!headers.has('Authorization')) return nativeFetch(input, init);
+
+		// Dashboards keep the token they loaded with; always send the latest one
+		const latest = localStorage.getItem('token');
+		if (latest) headers.set('Authorization', `Bearer ${latest}`);
+
+		const res = await nativeFetch(input, { ...init, headers });
+		if (res.status !== 401) return res;
+
+		const fresh = await refreshAccessToken();
+		if (!fresh) return res;
+		headers.set('Authorization', `Bearer ${fresh}`);
+		return nativeFetch(input, { ...init, headers });
+	};
+
+	// Revoke the session server-side, then forget it locally
+	async function endSession(options = {}) {
+		const refreshToken = localStorage.getItem('refreshToken');
+		if (refreshToken) {
+			try {
+				await nativeFetch(`${SESSION_API_BASE}/auth/logout`, {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify({ refreshToken, allDevices: !!options.allDevices })
+				});
+			} catch (err) {
+				console.warn('Logout request failed, clearing local session anyway:', err);
+			}
+		}
+		clearStoredSession();
+	}
+
+	function escapeSessionText(value) {
+		return String(value ?? '').replace(/[&<>"']/g, ch => ({
+			'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+		}[ch]));
+	}
+
+	// "Chrome on Android" from the user agent the session logged in with
+	function describeDevice(userAgent = '') {
+		const browser = /Edg\//.test(userAgent) ? 'Edge'
+			: /OPR\/|Opera/.test(userAgent) ? 'Opera'
+			: /Firefox\//.test(userAgent) ? 'Firefox'
+			: /Chrome\//.test(userAgent) ? 'Chrome'
+			: /Safari\//.test(userAgent) ? 'Safari'
+			: null;
+		const os = /Android/.test(userAgent) ? 'Android'
+			: /iPhone|iPad|iPod/.test(userAgent) ? 'iOS'
+			: /Windows/.test(userAgent) ? 'Windows'
+			: /Mac OS X|Macintosh/.test(userAgent) ? 'macOS'
+			: /Linux/.test(userAgent) ? 'Linux'
+			: null;
+		if (browser && os) return `${browser} on ${os}`;
+		return browser || os || 'Unknown device';
+	}
+
+	function authHeaders() {
+		return { Authorization: `Bearer ${localStorage.getItem('token')}` };
+	}
+
+	// "My active sessions" card: lists the devices logged in to this account and lets
+	// the user revoke any but the current one (that one ends with the Logout button).
+	// notify(message, type) is the dashboard's toast.
+	async function mountActiveSessions(container, notify = () => {}) {
+		if (typeof container === 'string') container = document.getElementById(container);
+		if (!container) return;
+
+		if (!container.dataset.sessionsBound) {
+			container.dataset.sessionsBound = 'true';
+			container.addEventListener('click', async (event) => {
+				const button = event.target.closest('[data-revoke-session]');
+				if (!button) return;
+				button.disabled = true;
+				try {
+					const res = await fetch(`${SESSION_API_BASE}/auth/sessions/${button.dataset.revokeSession}`, {
+						method: 'DELETE',
+						headers: authHeaders()
+					});
+					const data = await res.json();
+					if (!res.ok) throw new Error(data.message || 'Failed to revoke session');
+					notify('Device logged out');
+					mountActiveSessions(container, notify);
+				} catch (err) {
+					button.disabled = false;
+					notify(err.message, 'error');
+				}
+			});
+		}
+
+		container.innerHTML = '<p style="color:#6b7280;margin:0;">Loading sessions…</p>';
+		try {
+			const res = await fetch(`${SESSION_API_BASE}/auth/sessions`, { headers: authHeaders() });
+			const data = await res.json();
+			if (!res.ok) throw new Error(data.message || 'Failed to load sessions');
+
+			if (!data.length) {
+				container.innerHTML = '<p style="color:#6b7280;margin:0;">No active sessions</p>';
+				return;
+			}
+
+			container.innerHTML = data.map(session => {
+				const lastUsed = session.lastUsedAt || session.createdAt;
+				return `
+					<div style="display:flex;justify-content:space-between;align-items:center;gap:12px;padding:10px 0;border-bottom:1px solid #eef2f6;">
+						<div>
+							<div style="font-weight:600;">${escapeSessionText(describeDevice(session.userAgent))}${session.current ? ' <span style="color:#00A63E;font-size:12px;">(this device)</span>' : ''}</div>
+							<div style="color:#6b7280;font-size:12px;">
+								${session.ip ? `${escapeSessionText(session.ip)} · ` : ''}Last active ${lastUsed ? new Date(lastUsed).toLocaleString() : 'unknown'}
+							</div>
+						</div>
+						${session.current ? '' : `<button type="button" class="btn btn-secondary" data-revoke-session="${escapeSessionText(session.id)}">Log out</button>`}
+					</div>`;
+			}).join('');
+		} catch (err) {
+			console.error('Failed to load sessions:', err);
+			container.innerHTML = `<p style="color:#b91c1c;margin:0;">${escapeSessionText(err.message)}</p>`;
+		}
+	}
+
+	window.storeSession = storeSession;
+	window.endSession = endSession;
+	window.mountActiveSessions = mountActiveSessions;
+})();